@@ -1,14 +1,20 @@
 import { globals } from '../configs/globals.js';
-import { getPageTitle, jsonResponse, httpGet, sourceLogContext, toLogSourceName, runWithHttpCache, httpCacheContext } from '../utils/http-util.js';
-import { log } from '../utils/log-util.js'
+import { getPageTitle, jsonResponse, httpGet, toLogSourceName, runWithHttpCache, httpCacheContext } from '../utils/http-util.js';
+import { log, runWithLogSource } from '../utils/log-util.js'
 import { simplized } from '../utils/zh-util.js';
 import { setRedisKey, updateRedisCaches } from "../utils/redis-util.js";
 import { setLocalRedisKey, updateLocalRedisCaches } from "../utils/local-redis-util.js";
+import { setSqliteKey, updateSqliteCaches } from "../utils/sqlite-util.js";
 import {
-    setCommentCache, addAnime, findAnimeIdByCommentId, findTitleById, findUrlById, getCommentCache, getPreferAnimeId,
-    getSearchCache, removeEarliestAnime, resolveAnimeById, resolveAnimeByIdFromDetailStore, setPreferByAnimeId, setPreferForTitle, setSearchCache, storeAnimeIdsToMap, writeCacheToFile,
-    updateLocalCaches, setLastSearch, getLastSearch, findAnimeTitleById, findIndexById, hasSeasonSpecificPreference, hasLegacySeasonPreference
+    setCommentCache, addAnime, addEpisode, findAnimeIdByCommentId, findTitleById, findUrlById, getCommentCache, getCommentsSince, getStaleCommentCache, getStoredCommentCache, getPreferAnimeId,
+    getSearchCache, loadSharedCommentCache, loadSharedSearchCache, removeEarliestAnime, resolveAnimeById, resolveAnimeByIdFromDetailStore, setPreferByAnimeId, setPreferForTitle, setSearchCache, storeAnimeIdsToMap, writeCacheToFile,
+    updateLocalCaches, setLastSearch, getLastSearch, findAnimeTitleById, findIndexById, hasSeasonSpecificPreference, hasLegacySeasonPreference, scheduleCommentRefresh,
+    getAiMatchCacheKey, getAiMatchDecision, setAiMatchDecision, resolveEpisodeContextById
 } from "../utils/cache-util.js";
+import { recordRuleSuggestionEvidence } from "../utils/rule-suggestion-util.js";
+import {
+    clearPendingFileHash, getPendingFileHash, lookupFileHash, normalizeFileHash, rememberFileHash, setPendingFileHash
+} from "../utils/file-hash-util.js";
 import { resolveFavoriteForSearchKeyword } from "../utils/favorite-util.js";
 import { formatDanmuResponse, convertToDanmakuJson } from "../utils/danmu-util.js";
 import { resolveOffset, resolveOffsetRule, applyOffset, stripLinkOffset } from "../utils/offset-util.js";
@@ -18,61 +24,42 @@ import {
   extractYear, titleMatches, extractAnimeInfo, extractEpisodeNumberFromTitle, extractSeasonNumberFromAnimeTitle, extractAnimeTitle
 } from "../utils/common-util.js";
 import { getTMDBChineseTitle, getTmdbSeasonBoundaries } from "../utils/tmdb-util.js";
-import { applyMergeLogic, mergeDanmakuList, MERGE_DELIMITER, alignSourceTimelines, sanitizeUrl } from "../utils/merge-util.js";
+import { applyMergeLogic, mergeDanmakuList, MERGE_DELIMITER, alignSourceTimelines, sanitizeUrl, isTracingMergeDecisions } from "../utils/merge-util.js";
 import { getHanjutvSourceLabel } from "../utils/hanjutv-util.js";
 import AIClient from '../utils/ai-util.js';
-import Kan360Source from "../sources/kan360.js";
-import VodSource from "../sources/vod.js";
-import TmdbSource from "../sources/tmdb.js";
-import DoubanSource from "../sources/douban.js";
-import RenrenSource from "../sources/renren.js";
-import HanjutvSource from "../sources/hanjutv.js";
-import BahamutSource from "../sources/bahamut.js";
-import DandanSource from "../sources/dandan.js";
-import CustomSource from "../sources/custom.js";
-import TencentSource from "../sources/tencent.js";
-import IqiyiSource from "../sources/iqiyi.js";
-import MangoSource from "../sources/mango.js";
-import BilibiliSource from "../sources/bilibili.js";
-import MiguSource from "../sources/migu.js";
-import YoukuSource from "../sources/youku.js";
-import SohuSource from "../sources/sohu.js";
-import LeshiSource from "../sources/leshi.js";
-import XiguaSource from "../sources/xigua.js";
-import MaiduiduiSource from "../sources/maiduidui.js";
-import AiyifanSource from "../sources/aiyifan.js";
-import HongguoSource, { isHongguoPlayerUrl } from "../sources/hongguo.js";
-import AnimekoSource from "../sources/animeko.js";
-import OtherSource from "../sources/other.js";
+import { moderateDanmus } from '../utils/ai-moderation-util.js';
+import { isSourceCircuitOpen, trackSourceCall } from "../utils/source-health-util.js";
+import { getSource, getSourceDefinition, getSourceDefinitionByPlatform, findSourceDefinitionByUrl } from "../sources/index.js";
 import { Anime, AnimeMatch, Episodes, Bangumi } from "../models/dandan-model.js";
 
 // =====================
 // 兼容弹弹play接口
 // =====================
 
-const kan360Source = new Kan360Source();
-const vodSource = new VodSource();
-const renrenSource = new RenrenSource();
-const hanjutvSource = new HanjutvSource();
-const bahamutSource = new BahamutSource();
-const dandanSource = new DandanSource();
-const customSource = new CustomSource();
-const tencentSource = new TencentSource();
-const youkuSource = new YoukuSource();
-const iqiyiSource = new IqiyiSource();
-const mangoSource = new MangoSource();
-const bilibiliSource = new BilibiliSource();
-const miguSource = new MiguSource();
-const sohuSource = new SohuSource();
-const leshiSource = new LeshiSource();
-const xiguaSource = new XiguaSource();
-const maiduiduiSource = new MaiduiduiSource();
-const aiyifanSource = new AiyifanSource();
-const hongguoSource = new HongguoSource();
-const animekoSource = new AnimekoSource();
-const otherSource = new OtherSource();
-const doubanSource = new DoubanSource(tencentSource, iqiyiSource, youkuSource, bilibiliSource, miguSource);
-const tmdbSource = new TmdbSource(doubanSource);
+/**
+ * 在源日志上下文中调用注册表中的源实例
+ * @param {Object} definition 源注册表中的源定义
+ * @param {Function} fn 接收源实例的回调
+ * @returns {Promise<any>}
+ */
+function runWithSource(definition, fn) {
+  return runWithLogSource(definition.logName, () => fn(getSource(definition.key)));
+}
+
+/**
+ * 按源定义获取链接弹幕：先由源提取弹幕ID、展开短链，再走 getComments 流水线
+ * @param {Object} definition 源定义
+ * @param {string} url 播放链接或弹幕ID
+ * @param {string|null} platform 平台标识
+ * @param {boolean} segmentFlag 是否仅获取分片列表
+ * @returns {Promise<any>}
+ */
+function fetchCommentsBySource(definition, url, platform, segmentFlag) {
+  return runWithSource(definition, async source => {
+    const commentUrl = await source.resolveCommentUrl(source.extractCommentId(url));
+    return source.getComments(commentUrl, platform || definition.platform, segmentFlag);
+  });
+}
 
 // 用于聚合请求的去重Map
 const PENDING_DANMAKU_REQUESTS = new Map();
@@ -101,6 +88,20 @@ function buildDanmuResponse(data, videoDuration = null) {
   return { videoDuration, ...data };
 }
 
+// since 增量请求：只返回游标（cid）之后新增的弹幕，并附带最新游标供下次请求；游标失效时返回全部弹幕并附带 reset: true
+function applySinceCursor(data, cacheKey, since) {
+  if (since === null || since === undefined) return data;
+  const { comments, cursor, reset } = getCommentsSince(cacheKey, since, data.comments);
+  return { ...data, count: comments.length, comments, cursor, ...(reset ? { reset } : {}) };
+}
+
+// 标记返回的是宽限期内的过期弹幕缓存（正在后台刷新）
+function markStaleResponse(response) {
+  response.headers.set("X-Danmu-Cache", "stale");
+  response.headers.set("Access-Control-Expose-Headers", "X-Danmu-Cache");
+  return response;
+}
+
 function extractDurationFromSegments(segmentResult) {
   const explicitDuration = normalizeDurationValue(segmentResult?.duration || segmentResult?.videoDuration || 0);
   if (explicitDuration > 0) return explicitDuration;
@@ -119,43 +120,12 @@ function extractDurationFromSegments(segmentResult) {
 }
 
 async function resolveUrlDuration(url) {
-  if (String(url || '').startsWith('hongguo:') || isHongguoPlayerUrl(url)) {
-    const segmentResult = await sourceLogContext.run('hongguo', () => hongguoSource.getComments(url, 'hongguo', true));
-    return extractDurationFromSegments(segmentResult);
-  }
-  if (!/^https?:\/\//i.test(url)) return 0;
+  // 仅链接可映射到注册源、且该源可通过分片列表解析时长时才请求
+  const definition = findSourceDefinitionByUrl(url);
+  if (!definition || !definition.capabilities.duration) return 0;
 
   try {
-    let targetUrl = url;
-    let segmentResult = null;
-
-    if (targetUrl.includes('.qq.com')) {
-      segmentResult = await sourceLogContext.run('tencent', () => tencentSource.getComments(targetUrl, 'qq', true));
-    } else if (targetUrl.includes('.iqiyi.com')) {
-      segmentResult = await sourceLogContext.run('iqiyi', () => iqiyiSource.getComments(targetUrl, 'qiyi', true));
-    } else if (targetUrl.includes('.mgtv.com')) {
-      segmentResult = await sourceLogContext.run('mango', () => mangoSource.getComments(targetUrl, 'imgo', true));
-    } else if (targetUrl.includes('.bilibili.com') || targetUrl.includes('b23.tv')) {
-      if (targetUrl.includes('b23.tv')) {
-        targetUrl = await sourceLogContext.run('bilibili', () => bilibiliSource.resolveB23Link(targetUrl));
-      }
-      segmentResult = await sourceLogContext.run('bilibili', () => bilibiliSource.getComments(targetUrl, 'bilibili1', true));
-    } else if (targetUrl.includes('.youku.com')) {
-      segmentResult = await sourceLogContext.run('youku', () => youkuSource.getComments(targetUrl, 'youku', true));
-    } else if (targetUrl.includes('.miguvideo.com')) {
-      segmentResult = await sourceLogContext.run('migu', () => miguSource.getComments(targetUrl, 'migu', true));
-    } else if (targetUrl.includes('.sohu.com')) {
-      segmentResult = await sourceLogContext.run('sohu', () => sohuSource.getComments(targetUrl, 'sohu', true));
-    } else if (targetUrl.includes('.le.com')) {
-      segmentResult = await sourceLogContext.run('leshi', () => leshiSource.getComments(targetUrl, 'leshi', true));
-    } else if (targetUrl.includes('.douyin.com') || targetUrl.includes('.ixigua.com')) {
-      segmentResult = await sourceLogContext.run('xigua', () => xiguaSource.getComments(targetUrl, 'xigua', true));
-    } else if (targetUrl.includes('.mddcloud.com.cn')) {
-      segmentResult = await sourceLogContext.run('maiduidui', () => maiduiduiSource.getComments(targetUrl, 'maiduidui', true));
-    } else if (targetUrl.includes('.yfsp.tv')) {
-      segmentResult = await sourceLogContext.run('aiyifan', () => aiyifanSource.getComments(targetUrl, 'aiyifan', true));
-    }
-
+    const segmentResult = await fetchCommentsBySource(definition, url, definition.platform, true);
     return extractDurationFromSegments(segmentResult);
   } catch (error) {
     log('warn', `[system] [duration] 获取时长失败: ${error.message}`);
@@ -388,98 +358,26 @@ function checkEpisodeSatisfied(animesList, querySeason, queryEpisode, requestAni
  * @param {string|null} preferSource 优选源
  */
 async function executeSourceHandlers(resultData, queryTitle, targetAnimesList, requestAnimeDetailsMap, targetSeason, preferAnimeId = null, preferSource = null) {
-  const {
-    vod: animesVodResults, 360: animes360, tmdb: animesTmdb, douban: animesDouban, renren: animesRenren,
-    hanjutv: animesHanjutv, bahamut: animesBahamut, dandan: animesDandan, custom: animesCustom,
-    tencent: animesTencent, youku: animesYouku, iqiyi: animesIqiyi, imgo: animesImgo, bilibili: animesBilibili,
-    migu: animesMigu, sohu: animesSohu, leshi: animesLeshi, xigua: animesXigua, maiduidui: animesMaiduidui,
-    aiyifan: animesAiyifan, hongguo: animesHongguo, animeko: animesAnimeko
-  } = resultData;
-
   // 仅处理resultData中存在数据的源，避免将undefined传入handleAnimes
   const activeSourceKeys = globals.sourceOrderArr.filter(key => resultData[key] !== undefined);
   const sourceTasks = [];
 
   for (const key of activeSourceKeys) {
+    const definition = getSourceDefinition(key);
+    if (!definition) continue;
+    if (isSourceCircuitOpen(key)) {
+      log("warn", `[system] [executeSourceHandlers] 源 ${key} 处于熔断冷却中，跳过处理`);
+      continue;
+    }
+
     const isolatedAnimes = [];
     const isolatedDetailStore = new Map();
-
-    if (key === '360') {
-      // 处理360来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(toLogSourceName(key), () => kan360Source.handleAnimes(animes360, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'vod') {
-      // 处理Vod来源（遍历所有VOD服务器的结果，依次在同一隔离容器中处理）
-      if (animesVodResults && Array.isArray(animesVodResults)) {
-        const vodPromise = sourceLogContext.run(key, () => (async () => {
-          for (const vodResult of animesVodResults) {
-            if (vodResult && vodResult.list && vodResult.list.length > 0) {
-              await vodSource.handleAnimes(vodResult.list, queryTitle, isolatedAnimes, vodResult.serverName, isolatedDetailStore, targetSeason);
-            }
-          }
-        })());
-        sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: vodPromise });
-      }
-    } else if (key === 'tmdb') {
-      // 处理TMDB来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => tmdbSource.handleAnimes(animesTmdb, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'douban') {
-      // 处理Douban来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => doubanSource.handleAnimes(animesDouban, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'renren') {
-      // 处理Renren来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => renrenSource.handleAnimes(animesRenren, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'hanjutv') {
-      // 处理Hanjutv来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => hanjutvSource.handleAnimes(animesHanjutv, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'bahamut') {
-      // 处理Bahamut来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => bahamutSource.handleAnimes(animesBahamut, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'dandan') {
-      // 处理弹弹play来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => dandanSource.handleAnimes(animesDandan, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'custom') {
-      // 处理自定义弹幕源来源（handleAnimes签名不含detailStore和querySeason）
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => customSource.handleAnimes(animesCustom, queryTitle, isolatedAnimes)) });
-    } else if (key === 'tencent') {
-      // 处理Tencent来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => tencentSource.handleAnimes(animesTencent, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'youku') {
-      // 处理Youku来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => youkuSource.handleAnimes(animesYouku, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'iqiyi') {
-      // 处理iQiyi来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => iqiyiSource.handleAnimes(animesIqiyi, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'imgo') {
-      // 处理Mango来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(toLogSourceName(key), () => mangoSource.handleAnimes(animesImgo, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'bilibili') {
-      // 处理Bilibili来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => bilibiliSource.handleAnimes(animesBilibili, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'migu') {
-      // 处理Migu来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => miguSource.handleAnimes(animesMigu, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'sohu') {
-      // 处理Sohu来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => sohuSource.handleAnimes(animesSohu, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'leshi') {
-      // 处理Leshi来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => leshiSource.handleAnimes(animesLeshi, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'xigua') {
-      // 处理Xigua来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => xiguaSource.handleAnimes(animesXigua, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'maiduidui') {
-      // 处理Maiduidui来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => maiduiduiSource.handleAnimes(animesMaiduidui, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'aiyifan') {
-      // 处理Aiyifan来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => aiyifanSource.handleAnimes(animesAiyifan, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'hongguo') {
-      // 处理红果短剧来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => hongguoSource.handleAnimes(animesHongguo, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    } else if (key === 'animeko') {
-      // 处理Animeko来源
-      sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise: sourceLogContext.run(key, () => animekoSource.handleAnimes(animesAnimeko, queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)) });
-    }
+    // 各源结果结构差异（如 VOD 按服务器分组、自定义源不写详情缓存）由源自身的 handleSearchResults 处理
+    // 在 searchAnime 管道内调用时已处于同源的健康统计上下文中，不会重复计数
+    const promise = trackSourceCall(key, () => runWithSource(definition, source =>
+      source.handleSearchResults(resultData[key], queryTitle, isolatedAnimes, isolatedDetailStore, targetSeason)
+    ));
+    sourceTasks.push({ key, animes: isolatedAnimes, detailStore: isolatedDetailStore, promise });
   }
 
   // 并发执行所有源的handleAnimes
@@ -514,6 +412,12 @@ async function executeSourceHandlers(resultData, queryTitle, targetAnimesList, r
   }
 }
 
+// 写入搜索缓存；合并决策追踪（/api/debug/merge）的强制刷新搜索不写入，避免调试请求覆盖常规搜索的缓存结果
+function cacheSearchResults(cacheKey, animes, detailsMap) {
+  if (isTracingMergeDecisions()) return;
+  setSearchCache(cacheKey, animes, detailsMap);
+}
+
 // Extracted function for GET /api/v2/search/anime
 export async function searchAnime(url, preferAnimeId = null, preferSource = null, detailStore = null, targetPlatform = null, forceRefresh = false) {
   // 单次搜索请求内启用 HTTP 响应复用缓存: 作为各源通用的请求级复用安全网, 借助 AsyncLocalStorage 做请求级隔离
@@ -570,10 +474,12 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
   }
 
   // 检查普通搜索缓存；刷新收藏时显式跳过所有缓存。
+  if (!forceRefresh) await loadSharedSearchCache(cacheKey);
   let cachedResults = forceRefresh ? null : getSearchCache(cacheKey, requestAnimeDetailsMap);
 
   // 如果带季度的特定缓存未命中，尝试获取不带季度的通用搜索缓存
   if (cachedResults === null && querySeason !== null) {
+    await loadSharedSearchCache(queryTitle);
     const genericCachedResults = getSearchCache(queryTitle, requestAnimeDetailsMap);
     if (genericCachedResults !== null) {
       log("info", `[system] [searchAnime] Cache miss for ${cacheKey}, fallback to generic cache for ${queryTitle}`);
@@ -598,6 +504,7 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
       
       while (!satisfied && !cacheMissed) {
         const nextCacheKey = `${queryTitle}_S${currentS}`;
+        await loadSharedSearchCache(nextCacheKey);
         const nextCache = getSearchCache(nextCacheKey, requestAnimeDetailsMap);
         if (nextCache !== null && nextCache.length > 0) {
           combinedCachedResults.push(...nextCache);
@@ -642,15 +549,12 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
       const titles = [];
       for (const singleUrl of spaceSeparatedUrls) {
         const { source } = resolveSourceAndRealId(singleUrl);
-        if (source === 'animeko') {
-          const bgmId = singleUrl.match(/(?:bgm\.tv|bangumi\.tv|bangumi\.lol|chii\.in)\/ep\/(\d+)/);
-          titles.push(`【animeko】 BGMEp${bgmId ? bgmId[1] : '?'}`);
-        } else if (source === 'bahamut') {
-          titles.push(`【bahamut】 BahaSn${singleUrl.match(/sn=(\d+)/)?.[1] || '?'}`);
-        } else {
-          const pt = await sourceLogContext.run(toLogSourceName(source), () => getPageTitle(stripLinkOffset(singleUrl).cleanUrl));
-          titles.push(`【${source}】 ${pt}`);
-        }
+        const definition = getSourceDefinition(source);
+        const cleanUrl = stripLinkOffset(singleUrl).cleanUrl;
+        const pt = definition
+          ? await runWithSource(definition, instance => instance.getLinkTitle(cleanUrl))
+          : await runWithLogSource(source, () => getPageTitle(cleanUrl));
+        titles.push(`【${source}】 ${pt}`);
       }
       const mergedTitle = titles.join('＆');
 
@@ -678,6 +582,7 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
       if (globals.localCacheValid && curAnimes.length !== 0) await updateLocalCaches();
       if (globals.redisValid && curAnimes.length !== 0) await updateRedisCaches();
       if (globals.localRedisValid && curAnimes.length !== 0) await updateLocalRedisCaches();
+      if (globals.sqliteValid && curAnimes.length !== 0) await updateSqliteCaches();
       const responseAnimes = curAnimes.map(({ links, ...pureAnime }) => pureAnime);
       return jsonResponse({
         errorCode: 0,
@@ -703,53 +608,18 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
       "isFavorited": true
     });
 
-    let platform = "unknown";
-    if (queryTitle.includes(".qq.com")) {
-      platform = "qq";
-    } else if (queryTitle.includes(".iqiyi.com")) {
-      platform = "qiyi";
-    } else if (queryTitle.includes(".mgtv.com")) {
-      platform = "imgo";
-    } else if (queryTitle.includes(".youku.com")) {
-      platform = "youku";
-    } else if (queryTitle.includes(".bilibili.com") || queryTitle.includes('b23.tv')) {
-      platform = "bilibili1";
-    } else if (queryTitle.includes('.miguvideo.com')) {
-      platform = "migu";
-    } else if (queryTitle.includes('.sohu.com')) {
-      platform = "sohu";
-    } else if (queryTitle.includes('.le.com')) {
-      platform = "leshi";
-    } else if (queryTitle.includes('.douyin.com') || queryTitle.includes('.ixigua.com')) {
-      platform = "xigua";
-    } else if (queryTitle.includes('.mddcloud.com.cn')) {
-      platform = "maiduidui";
-    } else if (queryTitle.includes('.yfsp.tv')) {
-      platform = "aiyifan";
-    } else if (isHongguoPlayerUrl(queryTitle)) {
-      platform = "hongguo";
-    } else if (/(?:bgm|bangumi)\.(?:tv|lol)\/ep\/|chii\.in\/ep\//.test(queryTitle)) {
-      platform = "animeko";
-    } else if (queryTitle.includes('ani.gamer.com.tw')) {
-      platform = "bahamut";
-    }
-
-    // 提取 animeko/bahamut 的视频标识符（无法直连获取网页标题）
+    const definition = findSourceDefinitionByUrl(queryTitle);
+    const platform = definition?.platform || "unknown";
+
+    // 由源提取视频标识符与展示标题（animeko/bahamut 等无法直连获取网页标题的源自行提供）
+    // 取标题前剥离 @偏移 后缀，避免带偏移的链接请求失败
     let extractedId = queryTitle;
-    let pageTitle = queryTitle;
-    if (platform === 'animeko') {
-      const m = queryTitle.match(/(?:bgm\.tv|bangumi\.tv|bangumi\.lol|chii\.in)\/ep\/(\d+)/);
-      extractedId = m ? m[1] : queryTitle;
-      pageTitle = `BGMEp${extractedId}`;
-    } else if (platform === 'bahamut') {
-      const m = queryTitle.match(/sn=(\d+)/);
-      extractedId = m ? m[1] : queryTitle;
-      pageTitle = `BahaSn${extractedId}`;
-    } else if (platform === 'hongguo') {
-      pageTitle = '红果短剧';
+    let pageTitle;
+    if (definition) {
+      extractedId = getSource(definition.key).extractCommentId(queryTitle);
+      pageTitle = await runWithSource(definition, source => source.getLinkTitle(stripLinkOffset(queryTitle).cleanUrl));
     } else {
-      // 将源标识符统一映射到日志标签规范名称；取标题前剥离 @偏移 后缀，避免带偏移的链接请求失败
-      pageTitle = await sourceLogContext.run(toLogSourceName(platform), () => getPageTitle(stripLinkOffset(queryTitle).cleanUrl));
+      pageTitle = await runWithLogSource(platform, () => getPageTitle(stripLinkOffset(queryTitle).cleanUrl));
     }
 
     const links = [{
@@ -772,6 +642,9 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
     if (globals.localRedisValid && curAnimes.length !== 0) {
       await updateLocalRedisCaches();
     }
+    if (globals.sqliteValid && curAnimes.length !== 0) {
+      await updateSqliteCaches();
+    }
 
     // 构造响应 DTO：剥离合并产生的 links，确保接口纯净
     const responseAnimes = curAnimes.map(({ links, ...pureAnime }) => pureAnime);
@@ -791,39 +664,24 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
     // 存储各源搜索结果的容器，供S2+季度扩展逻辑读取
     const resultData = {};
 
-    // 源Key到对应搜索Promise的映射
-    const sourceSearchMap = {};
-    for (const source of globals.sourceOrderArr) {
-      if (source === "360") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => kan360Source.search(queryTitle));
-      else if (source === "vod") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => vodSource.search(queryTitle, preferAnimeId, preferSource));
-      else if (source === "tmdb") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => tmdbSource.search(queryTitle));
-      else if (source === "douban") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => doubanSource.search(queryTitle));
-      else if (source === "renren") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => renrenSource.search(queryTitle));
-      else if (source === "hanjutv") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => hanjutvSource.search(queryTitle));
-      else if (source === "bahamut") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => bahamutSource.search(queryTitle));
-      else if (source === "dandan") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => dandanSource.search(queryTitle));
-      else if (source === "custom") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => customSource.search(queryTitle));
-      else if (source === "tencent") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => tencentSource.search(queryTitle));
-      else if (source === "youku") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => youkuSource.search(queryTitle));
-      else if (source === "iqiyi") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => iqiyiSource.search(queryTitle));
-      else if (source === "imgo") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => mangoSource.search(queryTitle));
-      else if (source === "bilibili") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => bilibiliSource.search(queryTitle));
-      else if (source === "migu") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => miguSource.search(queryTitle));
-      else if (source === "sohu") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => sohuSource.search(queryTitle));
-      else if (source === "leshi") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => leshiSource.search(queryTitle));
-      else if (source === "xigua") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => xiguaSource.search(queryTitle));
-      else if (source === "maiduidui") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => maiduiduiSource.search(queryTitle));
-      else if (source === "aiyifan") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => aiyifanSource.search(queryTitle));
-      else if (source === "hongguo") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => hongguoSource.search(queryTitle));
-      else if (source === "animeko") sourceSearchMap[source] = sourceLogContext.run(toLogSourceName(source), () => animekoSource.search(queryTitle));
-    }
+    // 处于熔断冷却中的源本次直接跳过，不发起搜索
+    const activeSources = globals.sourceOrderArr.filter(source => {
+      if (!isSourceCircuitOpen(source)) return true;
+      log("warn", `[system] [searchAnime] 源 ${source} 处于熔断冷却中，本次搜索跳过`);
+      return false;
+    });
 
     // 构建逐源管道：每个源 search 完成后，通过 executeSourceHandlers 处理 handleAnimes
     // 传入仅含当前源数据的 resultData，使 executeSourceHandlers 仅处理该源
-    const pipelineTasks = globals.sourceOrderArr.map(source => {
+    // 整条管道（search + handleAnimes）作为该源的一次调用计入健康统计
+    const pipelineTasks = activeSources.map(source => {
       const isolatedAnimes = [];
       const isolatedDetailStore = new Map();
-      const pipelinePromise = sourceSearchMap[source].then(async searchResult => {
+      const definition = getSourceDefinition(source);
+      const pipelinePromise = trackSourceCall(source, async () => {
+        const searchResult = definition
+          ? await runWithSource(definition, instance => instance.searchAnimes(queryTitle, { preferAnimeId, preferSource }))
+          : [];
         resultData[source] = searchResult;
         await executeSourceHandlers({ [source]: searchResult }, queryTitle, isolatedAnimes, isolatedDetailStore, querySeason, preferAnimeId, preferSource);
       });
@@ -863,7 +721,7 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
 
     // 缓存首季/默认请求结果，剥离附加链接
     if (curAnimes.length > 0) {
-      setSearchCache(cacheKey, curAnimes.map(({ links, ...pureAnime }) => pureAnime), requestAnimeDetailsMap);
+      cacheSearchResults(cacheKey, curAnimes.map(({ links, ...pureAnime }) => pureAnime), requestAnimeDetailsMap);
     }
 
     // 判断当前获取的季度是否已包含用户指定的集数
@@ -922,7 +780,7 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
               const seasonAnimes = [];
               await executeSourceHandlers({ [source]: resultData[source] }, queryTitle, seasonAnimes, requestAnimeDetailsMap, s, preferAnimeId, preferSource);
               if (seasonAnimes.length > 0) {
-                setSearchCache(`${queryTitle}_S${s}`, seasonAnimes.map(({ links, ...pureAnime }) => pureAnime), requestAnimeDetailsMap);
+                cacheSearchResults(`${queryTitle}_S${s}`, seasonAnimes.map(({ links, ...pureAnime }) => pureAnime), requestAnimeDetailsMap);
               }
               sourceResults.push(seasonAnimes);
             }
@@ -1000,6 +858,9 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
     if (globals.localRedisValid && curAnimes.length !== 0) {
       await updateLocalRedisCaches();
     }
+    if (globals.sqliteValid && curAnimes.length !== 0) {
+      await updateSqliteCaches();
+    }
 
     // 构造响应 DTO：剥离合并产生的 links，确保接口纯净
     const responseAnimes = curAnimes.map(({ links, ...pureAnime }) => pureAnime);
@@ -1007,7 +868,7 @@ async function searchAnimeBody(url, preferAnimeId = null, preferSource = null, d
     // 缓存搜索结果
     if (responseAnimes.length > 0) {
       const cacheKey = querySeason !== null ? `${queryTitle}_S${querySeason}` : queryTitle;
-      setSearchCache(cacheKey, responseAnimes, requestAnimeDetailsMap);
+      cacheSearchResults(cacheKey, responseAnimes, requestAnimeDetailsMap);
     }
 
     return jsonResponse({
@@ -1131,118 +992,232 @@ function findEpisodeByNumber(filteredEpisodes, episode, targetEpisode, platform
   return null;
 }
 
+// AI 匹配：每个候选附带的剧集数上限（以目标集为中心截取），避免长篇剧集撑满上下文
+const AI_MATCH_EPISODE_WINDOW = 40;
+// AI 匹配：回答无效时带上错误说明重试的次数
+const AI_MATCH_RETRIES = 1;
+// AI 匹配：置信度低于该值时视为未匹配，交给常规匹配
+const AI_MATCH_MIN_CONFIDENCE = 0.5;
+
+// 剧集模式下只能从过滤后的剧集中选择，与常规匹配保持一致
+function getAiMatchEpisodes(bangumiData, season, episode) {
+  const episodes = bangumiData?.success ? (bangumiData.bangumi?.episodes || []) : [];
+  if (!(season && episode)) return episodes;
+  return filterSameEpisodeTitle(episodes.filter(ep => !globals.episodeTitleFilter.test(ep.episodeTitle)));
+}
+
+function buildAiMatchCandidate(anime, episodes, episode) {
+  const normalizedAnimeTitle = anime.animeTitle || '';
+  const match = normalizedAnimeTitle.match(/^(.*?)\(\d{4}\)/);
+  const targetIndex = Math.max(0, (parseInt(episode, 10) || 1) - 1);
+  const start = Math.max(0, Math.min(targetIndex - AI_MATCH_EPISODE_WINDOW / 2, episodes.length - AI_MATCH_EPISODE_WINDOW));
+
+  return {
+    animeId: anime.animeId,
+    animeTitle: match ? match[1].trim() : normalizedAnimeTitle.split("(")[0].trim(),
+    aliases: anime.aliases || [],
+    type: anime.type,
+    typeDescription: anime.typeDescription || null,
+    year: anime.startDate ? anime.startDate.slice(0, 4) : null,
+    episodeCount: anime.episodeCount,
+    source: anime.source,
+    episodes: episodes.slice(start, start + AI_MATCH_EPISODE_WINDOW).map(ep => ({
+      episodeId: ep.episodeId,
+      episodeNumber: ep.episodeNumber,
+      episodeTitle: ep.episodeTitle
+    }))
+  };
+}
+
+function parseAiMatchAnswer(reply) {
+  const jsonMatch = reply.match(/```json\s*([\s\S]*?)\s*```|```([\s\S]*?)\s*```|({[\s\S]*})/);
+  const jsonString = jsonMatch ? (jsonMatch[1] || jsonMatch[2] || jsonMatch[3]) : reply;
+  return JSON.parse(jsonString.trim());
+}
+
+/**
+ * 按候选的实际剧集列表校验 AI 的回答
+ * @returns {{error: string}|{anime: Object|null, episode: Object|null, confidence: number|null}} animeIndex 为 null 时 anime 为 null
+ */
+function validateAiMatchAnswer(answer, animes, getEpisodes, season, episode) {
+  if (!answer || typeof answer !== 'object') {
+    return { error: '回答不是 JSON 对象' };
+  }
+
+  const { animeIndex, episodeId } = answer;
+  const confidence = typeof answer.confidence === 'number' ? answer.confidence : null;
+  if (confidence !== null && (confidence < 0 || confidence > 1)) {
+    return { error: `confidence 必须是 0 到 1 之间的数字，实际为 ${confidence}` };
+  }
+  if (animeIndex === null || animeIndex === undefined) {
+    return { anime: null, episode: null, confidence };
+  }
+  if (!Number.isInteger(animeIndex) || !animes[animeIndex]) {
+    return { error: `animeIndex ${JSON.stringify(animeIndex)} 不在候选范围 0-${animes.length - 1} 内` };
+  }
+
+  const episodes = getEpisodes(animeIndex);
+  if (episodes.length === 0) {
+    return { error: `候选 ${animeIndex} 没有可用的剧集，请选择其他候选或返回 null` };
+  }
+
+  let matchedEpisode;
+  if (episodeId !== null && episodeId !== undefined) {
+    matchedEpisode = episodes.find(ep => String(ep.episodeId) === String(episodeId));
+    if (!matchedEpisode) {
+      return { error: `episodeId ${JSON.stringify(episodeId)} 不在候选 ${animeIndex} 的 episodes 中` };
+    }
+  } else if (season && episode) {
+    // 兼容只返回 animeIndex 的自定义提示词：按集数查找 (findEpisodeByNumber 已增强支持模糊平台匹配)
+    matchedEpisode = findEpisodeByNumber(episodes, episode, episode);
+  } else {
+    matchedEpisode = episodes[0];
+  }
+
+  return { anime: animes[animeIndex], episode: matchedEpisode, confidence };
+}
+
+// AI 匹配结果与 lastSelectMap 一样立即持久化，避免实例重启后同一文件再次请求 AI
+function persistAiMatchCache() {
+  if (globals.localCacheValid) {
+    writeCacheToFile('aiMatchCache', JSON.stringify(globals.aiMatchCache));
+  }
+  if (globals.redisValid) {
+    setRedisKey('aiMatchCache', globals.aiMatchCache).catch(e => log("error", "[system] [LogVar-API] Redis set error", e));
+  }
+  if (globals.localRedisValid) {
+    setLocalRedisKey('aiMatchCache', globals.aiMatchCache);
+  }
+}
+
+// 通过 AIClient.session 多轮对话选择候选，回答无效时带上错误说明重试；
+// 有效回答按文件（剧名 + 季 + 集）缓存，同一文件只请求一次 AI
 async function matchAniAndEpByAi(season, episode, year, searchData, title, req, dynamicPlatformOrder, preferAnimeId, detailStore = null) {
   const aiBaseUrl = globals.aiBaseUrl;
   const aiModel = globals.aiModel;
   const aiApiKey = globals.aiApiKey;
   const aiMatchPrompt = globals.aiMatchPrompt;
+  const noMatch = { resEpisode: null, resAnime: null };
 
   if (!globals.aiValid || !aiMatchPrompt) {
     log("warn", "AI configuration is incomplete, falling back to normal matching");
-    return { resEpisode: null, resAnime: null };
+    return noMatch;
   }
 
-  const aiClient = new AIClient({
-    apiKey: aiApiKey,
-    baseURL: aiBaseUrl,
-    model: aiModel,
-    systemPrompt: aiMatchPrompt
-  });
-
-  const matchData = {
-    title,
-    season,
-    episode,
-    year,
-    dynamicPlatformOrder,
-    preferAnimeId,
-    animes: searchData.animes.map(anime => {
-      const normalizedAnimeTitle = anime.animeTitle || '';
-      const match = normalizedAnimeTitle.match(/^(.*?)\(\d{4}\)/);
-      const title = match ? match[1].trim() : normalizedAnimeTitle.split("(")[0].trim();
-      return {
-        animeId: anime.animeId,
-        animeTitle: title,
-        aliases: anime.aliases || [],
-        type: anime.type,
-        year: anime.startDate ? anime.startDate.slice(0, 4) : null,
-        episodeCount: anime.episodeCount,
-        source: anime.source
-      };
-    })
+  const episodesByIndex = new Map();
+  const getEpisodes = index => {
+    if (!episodesByIndex.has(index)) {
+      episodesByIndex.set(index, getAiMatchEpisodes(getBangumiDataForMatch(searchData.animes[index], detailStore), season, episode));
+    }
+    return episodesByIndex.get(index);
   };
 
-  try {
-    // userPrompt 只传入结构化数据
-    const userPrompt = JSON.stringify(matchData, null, 2);
-
-    const aiResponse = await aiClient.ask(userPrompt);
-    // const aiResponse = '{ "animeIndex": 0 }';
-    log("info", `AI match response: ${aiResponse}`);
-
-    let parsedResponse;
-    try {
-      const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```|```([\s\S]*?)\s*```|({[\s\S]*})/);
-      const jsonString = jsonMatch ? (jsonMatch[1] || jsonMatch[2] || jsonMatch[3]) : aiResponse;
-      parsedResponse = JSON.parse(jsonString.trim());
-    } catch (parseError) {
-      log("error", `Failed to parse AI response: ${parseError.message}`);
-      return { resEpisode: null, resAnime: null };
+  const cacheKey = getAiMatchCacheKey(title, season, episode);
+  const cachedDecision = getAiMatchDecision(cacheKey);
+  let decision = null;
+
+  if (cachedDecision) {
+    log("info", `[system] [match] Using cached AI decision for "${cacheKey}": ${JSON.stringify(cachedDecision)}`);
+    if (cachedDecision.animeId === null) return noMatch;
+    // 之后手动选择的偏好优先于缓存的 AI 结果，交给常规匹配处理
+    if (preferAnimeId && String(preferAnimeId) !== String(cachedDecision.animeId)) {
+      log("info", `[system] [match] Manual preference ${preferAnimeId} overrides cached AI decision`);
+      return noMatch;
+    }
+    const animeIndex = searchData.animes.findIndex(anime =>
+      String(anime.animeId) === String(cachedDecision.animeId) && (!cachedDecision.source || anime.source === cachedDecision.source));
+    if (animeIndex === -1) {
+      log("warn", `[system] [match] Cached AI decision ${cachedDecision.animeId} is no longer in the candidates, falling back to normal matching`);
+      return noMatch;
+    }
+    decision = validateAiMatchAnswer(
+      { animeIndex, episodeId: cachedDecision.episodeId, confidence: cachedDecision.confidence },
+      searchData.animes, getEpisodes, season, episode
+    );
+    if (decision.error) {
+      log("warn", `[system] [match] Cached AI decision is no longer valid: ${decision.error}`);
+      return noMatch;
     }
+  } else {
+    const aiClient = new AIClient({
+      apiKey: aiApiKey,
+      baseURL: aiBaseUrl,
+      model: aiModel,
+      systemPrompt: aiMatchPrompt
+    });
+    const session = aiClient.session();
 
-    const animeIndex = parsedResponse.animeIndex;
+    const matchData = {
+      title,
+      season,
+      episode,
+      year,
+      dynamicPlatformOrder,
+      preferAnimeId,
+      animes: searchData.animes.map((anime, index) => buildAiMatchCandidate(anime, getEpisodes(index), episode))
+    };
 
-    if (animeIndex === null || animeIndex === undefined) {
-      return { resEpisode: null, resAnime: null };
-    }
+    try {
+      // 首轮只传入结构化数据，无效回答时追加错误说明
+      let reply = await session.send(JSON.stringify(matchData, null, 2));
+      for (let attempt = 0; ; attempt++) {
+        log("info", `AI match response: ${reply}`);
+        let result;
+        try {
+          result = validateAiMatchAnswer(parseAiMatchAnswer(reply), searchData.animes, getEpisodes, season, episode);
+        } catch (parseError) {
+          result = { error: `无法解析为 JSON（${parseError.message}）` };
+        }
+        if (!result.error) {
+          decision = result;
+          break;
+        }
 
-    const selectedAnime = searchData.animes[animeIndex];
-    if (!selectedAnime) {
-      log("error", `AI returned invalid anime index: ${animeIndex}`);
-      return { resEpisode: null, resAnime: null };
+        log("warn", `[system] [match] Invalid AI match answer: ${result.error}`);
+        if (attempt >= AI_MATCH_RETRIES) break;
+        reply = await session.send(`上一次回答无效：${result.error}。请只从 animes 及其 episodes 中选择，并严格按照要求的 JSON 格式重新回答。`);
+      }
+    } catch (error) {
+      log("error", `AI matching failed: ${error.message}`);
+      return noMatch;
     }
 
-    // AI 有时会把同名电影选为首个候选；存在季集参数时交给常规匹配，
-    // 让多集电视剧候选按季集和集数优先级决策，避免单集电影抢占 S01E01。
-    const bangumiData = getBangumiDataForMatch(selectedAnime, detailStore);
-    if (!bangumiData?.success || !bangumiData?.bangumi?.episodes) {
-      return { resEpisode: null, resAnime: null };
+    // 重试后仍无效时不缓存，本次交给常规匹配，同一文件下次请求仍会询问 AI；AI 明确回答无匹配（animeIndex 为 null）时才缓存未匹配
+    if (!decision) {
+      log("warn", `[system] [match] AI gave no valid answer for "${cacheKey}", falling back to normal matching without caching`);
+      return noMatch;
     }
-
-    const hasSeriesCandidate = searchData.animes.some(candidate => {
-      const candidateData = getBangumiDataForMatch(candidate, detailStore);
-      return !isMovieMatchCandidate(candidate) && getMatchEpisodeCount(candidate, candidateData) > 1;
+    setAiMatchDecision(cacheKey, {
+      animeId: decision.anime?.animeId ?? null,
+      source: decision.anime?.source ?? null,
+      episodeId: decision.episode?.episodeId ?? null,
+      confidence: decision.confidence ?? null
     });
-    if (season && episode && isSingleEpisodeMatchCandidate(selectedAnime, bangumiData) && hasSeriesCandidate) {
-      log('info', '[system] [match] AI selected a single-episode candidate while series candidates exist; falling back to season/episode matching');
-      return { resEpisode: null, resAnime: null };
-    }
-
-    let filteredEpisode = null;
-    
-    if (season && episode) {
-        // 剧集模式逻辑
-        const filteredTmpEpisodes = bangumiData.bangumi.episodes.filter(episode => {
-          return !globals.episodeTitleFilter.test(episode.episodeTitle);
-        });
-        const filteredEpisodes = filterSameEpisodeTitle(filteredTmpEpisodes);
-        
-        log("info", "过滤后的集标题", filteredEpisodes.map(episode => episode.episodeTitle));
+    persistAiMatchCache();
+  }
 
-        // 匹配集数 (注意：findEpisodeByNumber 已增强支持模糊平台匹配)
-        filteredEpisode = findEpisodeByNumber(filteredEpisodes, episode, episode);
-    } else {
-        // 电影模式逻辑
-        if (bangumiData.bangumi.episodes.length > 0) {
-          filteredEpisode = bangumiData.bangumi.episodes[0];
-        }
-    }
+  if (!decision?.anime) {
+    return noMatch;
+  }
+  if (decision.confidence !== null && decision.confidence < AI_MATCH_MIN_CONFIDENCE) {
+    log("info", `[system] [match] AI confidence ${decision.confidence} is below ${AI_MATCH_MIN_CONFIDENCE}, falling back to normal matching`);
+    return noMatch;
+  }
 
-    return { resEpisode: filteredEpisode, resAnime: selectedAnime };
-  } catch (error) {
-    log("error", `AI matching failed: ${error.message}`);
-    return { resEpisode: null, resAnime: null };
+  // AI 有时会把同名电影选为首个候选；存在季集参数时交给常规匹配，
+  // 让多集电视剧候选按季集和集数优先级决策，避免单集电影抢占 S01E01。
+  const selectedAnime = decision.anime;
+  const bangumiData = getBangumiDataForMatch(selectedAnime, detailStore);
+  const hasSeriesCandidate = searchData.animes.some(candidate => {
+    const candidateData = getBangumiDataForMatch(candidate, detailStore);
+    return !isMovieMatchCandidate(candidate) && getMatchEpisodeCount(candidate, candidateData) > 1;
+  });
+  if (season && episode && isSingleEpisodeMatchCandidate(selectedAnime, bangumiData) && hasSeriesCandidate) {
+    log('info', '[system] [match] AI selected a single-episode candidate while series candidates exist; falling back to season/episode matching');
+    return noMatch;
   }
+
+  return { resEpisode: decision.episode, resAnime: selectedAnime };
 }
 
 export function getBangumiDataForMatch(anime, detailStore = null) {
@@ -1719,43 +1694,16 @@ async function fallbackMatchAniAndEp(searchData, req, season, episode, year, tit
  * @returns {{source: string, realId: string}}
  */
 function resolveSourceAndRealId(url) {
-  // Animeko: bgm.tv/bangumi.tv/chii.in/bangumi.lol/ep/xxx → animeko:xxx(@offset)
-  const bgmMatch = url.match(/(?:bgm\.tv|bangumi\.tv|bangumi\.lol|chii\.in)\/ep\/(\d+)/);
-  if (bgmMatch) {
-    const { offset, percent } = stripLinkOffset(url);
-    return { source: 'animeko', realId: bgmMatch[1] + (offset !== 0 ? `@${offset}${percent ? '%' : ''}` : '') };
-  }
-  // Bahamut: ani.gamer.com.tw/animeVideo.php?sn=xxx → bahamut:xxx(@offset)
-  const bahaMatch = url.match(/ani\.gamer\.com\.tw\/animeVideo\.php\?sn=(\d+)/);
-  if (bahaMatch) {
-    const { offset, percent } = stripLinkOffset(url);
-    return { source: 'bahamut', realId: bahaMatch[1] + (offset !== 0 ? `@${offset}${percent ? '%' : ''}` : '') };
-  }
-  // 其他平台：直接传递完整 URL
-  const source = detectPlatformFromUrl(url);
-  return { source, realId: url };
+  const definition = findSourceDefinitionByUrl(url);
+  if (!definition) return { source: 'unknown', realId: url };
+
+  // 需要提取ID的源（如 animeko: bgm.tv/ep/xxx、bahamut: sn=xxx）→ source:xxx(@offset)，其他平台直接传递完整 URL
+  const commentId = getSource(definition.key).extractCommentId(url);
+  if (commentId === url) return { source: definition.key, realId: url };
+  const { offset, percent } = stripLinkOffset(url);
+  return { source: definition.key, realId: commentId + (offset !== 0 ? `@${offset}${percent ? '%' : ''}` : '') };
 }
 
-/**
- * 根据 URL 域名返回源标识符
- * @param {string} url
- * @returns {string}
- */
-function detectPlatformFromUrl(url) {
-  if (String(url).startsWith('hongguo:') || isHongguoPlayerUrl(url)) return 'hongguo';
-  if (url.includes('.qq.com')) return 'tencent';
-  if (url.includes('.iqiyi.com')) return 'iqiyi';
-  if (url.includes('.mgtv.com')) return 'imgo';
-  if (url.includes('.youku.com')) return 'youku';
-  if (url.includes('.bilibili.com') || url.includes('b23.tv')) return 'bilibili';
-  if (url.includes('.miguvideo.com')) return 'migu';
-  if (url.includes('.sohu.com')) return 'sohu';
-  if (url.includes('.le.com')) return 'leshi';
-  if (url.includes('.douyin.com') || url.includes('.ixigua.com')) return 'xigua';
-  if (url.includes('.mddcloud.com.cn')) return 'maiduidui';
-  if (url.includes('.yfsp.tv')) return 'aiyifan';
-  return 'unknown';
-}
 
 export async function extractTitleSeasonEpisode(cleanFileName) {
   const regex = /^(.+?)[.\s]+S(\d+)E(\d+)/i;
@@ -1835,7 +1783,7 @@ export async function extractTitleSeasonEpisode(cleanFileName) {
 
 export function buildSearchAnimeUrl(baseUrl, keyword, season, episode) {
   const searchUrl = new URL(baseUrl);
-  const apiPrefix = searchUrl.pathname.replace(/\/(?:match|search\/episodes)$/, '');
+  const apiPrefix = searchUrl.pathname.replace(/\/(?:match(?:\/batch)?|search\/episodes)$/, '');
   searchUrl.pathname = `${apiPrefix}/search/anime`;
   searchUrl.search = '';
   searchUrl.searchParams.set('keyword', keyword || '');
@@ -1896,13 +1844,29 @@ function createMatchPlatformOrder(preferredPlatform, secondaryPreferredPlatform
   return withoutSecondary;
 }
 
-async function executeMatchAttempt({ req, title, season, episode, year, preferredPlatform, secondaryPreferredPlatform, preferAnimeId, preferSource, offsets, mapping }) {
-  const dynamicPlatformOrder = createMatchPlatformOrder(preferredPlatform, secondaryPreferredPlatform);
-  const targetPlatform = dynamicPlatformOrder.length > 0 ? dynamicPlatformOrder[0] : null;
+// searchMemo 为批量匹配共享的搜索结果，同一标题/季/偏好/平台只搜索一次
+async function searchMatchCandidates({ req, title, season, episode, preferAnimeId, preferSource, targetPlatform, searchMemo }) {
+  const memoKey = [title, season, preferAnimeId, preferSource, targetPlatform].join('|');
+  const memoized = searchMemo?.get(memoKey);
+  if (memoized) {
+    log("info", `[system] [match] Reusing batch search result for ${title} S${season}`);
+    return memoized;
+  }
+
   const detailStore = new Map();
   const searchUrl = buildSearchAnimeUrl(req.url, title, season, episode);
   const searchRes = await searchAnime(searchUrl, preferAnimeId, preferSource, detailStore, targetPlatform);
-  const searchData = await searchRes.json();
+  const result = { searchData: await searchRes.json(), detailStore };
+  searchMemo?.set(memoKey, result);
+  return result;
+}
+
+async function executeMatchAttempt({ req, title, season, episode, year, preferredPlatform, secondaryPreferredPlatform, preferAnimeId, preferSource, offsets, mapping, searchMemo = null }) {
+  const dynamicPlatformOrder = createMatchPlatformOrder(preferredPlatform, secondaryPreferredPlatform);
+  const targetPlatform = dynamicPlatformOrder.length > 0 ? dynamicPlatformOrder[0] : null;
+  const { searchData, detailStore } = await searchMatchCandidates({
+    req, title, season, episode, preferAnimeId, preferSource, targetPlatform, searchMemo
+  });
   log("info", `[system] [match] searchData: ${searchData.animes}`);
   log("info", `[system] [match] Dynamic platformOrder: ${dynamicPlatformOrder}`);
   log("info", `[system] [match] Preferred platform: ${preferredPlatform || 'none'}`);
@@ -2011,141 +1975,328 @@ export async function matchAnime(url, req, clientIp) {
       );
     }
 
-    // 解析fileName，提取平台偏好
-    const { cleanFileName, preferredPlatform } = parseFileName(fileName);
-    log("info", `[system] [match] Processing anime match for query: ${fileName}`);
-    log("info", `[system] [match] Parsed cleanFileName: ${cleanFileName}, preferredPlatform: ${preferredPlatform}`);
-
-    const parsed = await extractTitleSeasonEpisode(cleanFileName);
-    const originalTitle = normalizeMatchTitle(parsed.title);
-    const originalSeason = parsed.season;
-    const originalEpisode = parsed.episode;
-    const originalYear = parsed.year;
+    const file = { fileName, fileHash: normalizeFileHash(body.fileHash), fileSize: body.fileSize };
+    const knownMatch = matchKnownFileHash(file);
+    if (knownMatch) {
+      setPendingFileHash(clientIp, { ...file, episodeId: knownMatch.matches[0].episodeId });
+      return jsonResponse(knownMatch);
+    }
 
-    const preferenceTitles = [...new Set([originalTitle, parsed.title].filter(Boolean))];
-    const configuredMapping = resolveAutoMatchMapping(globals.autoMatchMappingTable, {
-      title: originalTitle,
-      season: originalSeason,
-      episode: originalEpisode
-    });
-    const manualPreferenceTitle = findSeasonPreferenceTitle(preferenceTitles, originalSeason);
-    const mapping = manualPreferenceTitle ? null : configuredMapping;
-    if (configuredMapping && manualPreferenceTitle) {
-      log('info', `[system] [auto-match-mapping] Explicit manual preference for "${manualPreferenceTitle}" S${originalSeason} overrides rule "${configuredMapping.raw}"`);
-    } else if (configuredMapping) {
-      const legacyPreferenceTitle = findLegacySeasonPreferenceTitle(preferenceTitles, originalSeason);
-      if (legacyPreferenceTitle) {
-        log('info', `[system] [auto-match-mapping] Ignoring unmarked legacy preference for "${legacyPreferenceTitle}" S${originalSeason}`);
-      }
+    const resData = await resolveMatch({ parsedFile: await parseMatchFileName(fileName), req, clientIp });
+    if (file.fileHash) {
+      const episodeId = resData.isMatched ? resData.matches[0].episodeId : null;
+      if (episodeId !== null && rememberMatchedFileHash(file, episodeId, false)) persistFileHashIndex();
+      setPendingFileHash(clientIp, { ...file, episodeId });
     }
+    return jsonResponse(resData);
+  } catch (error) {
+    // 处理匹配请求中的异常
+    log("error", `[system] [match] Error processing match request: ${error.stack || error.message}`);
+    return jsonResponse(
+      { errorCode: 400, success: false, errorMessage: error.message || "Invalid JSON body" },
+      400
+    );
+  }
+}
 
-    let attempt;
-    let mappingApplied = false;
-
-    if (mapping) {
-      const mappedTitle = normalizeMatchTitle(mapping.targetTitle);
-      const mappedPlatform = mapping.targetPlatform || preferredPlatform;
-      log('info', `[system] [auto-match-mapping] ${originalTitle} S${originalSeason}E${originalEpisode} -> ${mappedTitle} S${mapping.targetSeason}E${mapping.targetEpisode}${mapping.targetPlatform ? ` @${mapping.targetPlatform}` : ''}`);
-      attempt = await executeMatchAttempt({
-        req,
-        title: mappedTitle,
-        season: mapping.targetSeason,
-        episode: mapping.targetEpisode,
-        year: mapping.targetYear,
-        preferredPlatform: mappedPlatform,
-        secondaryPreferredPlatform: mapping.targetPlatform ? preferredPlatform : null,
-        preferAnimeId: null,
-        preferSource: null,
-        offsets: null,
-        mapping
-      });
-      mappingApplied = Boolean(attempt.resAnime && attempt.resEpisode);
-      if (!mappingApplied) {
-        log('warn', `[system] [auto-match-mapping] Target failed for "${mapping.raw}", falling back to original match`);
-      }
+// 文件哈希索引命中时直接返回记录的剧集；episodeId 按记录的 url 在当前实例重新换算
+function matchKnownFileHash(file) {
+  const entry = file.fileHash ? lookupFileHash(file.fileHash, file.fileSize) : null;
+  if (!entry) return null;
+
+  const episode = addEpisode(entry.url, entry.episodeTitle);
+  log("info", `[system] [match] File hash ${file.fileHash} matched ${entry.animeTitle} ${entry.episodeTitle} (${episode.id})${entry.manual ? ' from manual selection' : ''}`);
+  return {
+    "errorCode": 0,
+    "success": true,
+    "errorMessage": "",
+    "isMatched": true,
+    "matches": [
+      AnimeMatch.fromJson({
+        "episodeId": episode.id,
+        "animeId": entry.animeId,
+        "animeTitle": entry.animeTitle,
+        "episodeTitle": entry.episodeTitle,
+        "type": entry.type,
+        "typeDescription": entry.typeDescription,
+        "shift": 0,
+        "imageUrl": entry.imageUrl,
+        "url": entry.url
+      })
+    ]
+  };
+}
+
+// 将文件哈希记录为指定剧集，剧集所属番剧已不在缓存中时不记录
+function rememberMatchedFileHash(file, episodeId, manual) {
+  const context = resolveEpisodeContextById(episodeId);
+  const url = findUrlById(episodeId);
+  if (!context || !url) return null;
+  return rememberFileHash(file.fileHash, {
+    url,
+    episodeTitle: findTitleById(episodeId) || context.link.title,
+    anime: context.anime,
+    fileName: file.fileName,
+    fileSize: file.fileSize,
+    manual
+  });
+}
+
+// 文件哈希索引与 lastSelectMap 一样立即持久化
+function persistFileHashIndex() {
+  if (globals.localCacheValid) {
+    writeCacheToFile('fileHashIndex', JSON.stringify(globals.fileHashIndex));
+  }
+  if (globals.redisValid) {
+    setRedisKey('fileHashIndex', globals.fileHashIndex).catch(e => log("error", "[system] [match] Redis set error", e));
+  }
+  if (globals.localRedisValid) {
+    setLocalRedisKey('fileHashIndex', globals.fileHashIndex);
+  }
+}
+
+// 解析fileName，提取平台偏好与标题/季/集
+async function parseMatchFileName(fileName) {
+  const { cleanFileName, preferredPlatform } = parseFileName(fileName);
+  log("info", `[system] [match] Processing anime match for query: ${fileName}`);
+  log("info", `[system] [match] Parsed cleanFileName: ${cleanFileName}, preferredPlatform: ${preferredPlatform}`);
+
+  const parsed = await extractTitleSeasonEpisode(cleanFileName);
+  return { preferredPlatform, parsed };
+}
+
+/**
+ * 按解析后的文件名执行一次匹配
+ * @param {Object} options
+ * @param {Object} options.parsedFile parseMatchFileName 的结果
+ * @param {Request} options.req 原始请求，用于构造搜索地址
+ * @param {string|null} options.clientIp 客户端 IP，为空时不记录本次匹配上下文
+ * @param {Map|null} [options.searchMemo] 批量匹配共享的搜索结果
+ * @returns {Promise<Object>} 弹弹play 格式的匹配结果 { errorCode, success, errorMessage, isMatched, matches }
+ */
+async function resolveMatch({ parsedFile, req, clientIp, searchMemo = null }) {
+  const { preferredPlatform, parsed } = parsedFile;
+  const originalTitle = normalizeMatchTitle(parsed.title);
+  const originalSeason = parsed.season;
+  const originalEpisode = parsed.episode;
+  const originalYear = parsed.year;
+
+  const preferenceTitles = [...new Set([originalTitle, parsed.title].filter(Boolean))];
+  const configuredMapping = resolveAutoMatchMapping(globals.autoMatchMappingTable, {
+    title: originalTitle,
+    season: originalSeason,
+    episode: originalEpisode
+  });
+  const manualPreferenceTitle = findSeasonPreferenceTitle(preferenceTitles, originalSeason);
+  const mapping = manualPreferenceTitle ? null : configuredMapping;
+  if (configuredMapping && manualPreferenceTitle) {
+    log('info', `[system] [auto-match-mapping] Explicit manual preference for "${manualPreferenceTitle}" S${originalSeason} overrides rule "${configuredMapping.raw}"`);
+  } else if (configuredMapping) {
+    const legacyPreferenceTitle = findLegacySeasonPreferenceTitle(preferenceTitles, originalSeason);
+    if (legacyPreferenceTitle) {
+      log('info', `[system] [auto-match-mapping] Ignoring unmarked legacy preference for "${legacyPreferenceTitle}" S${originalSeason}`);
     }
+  }
+
+  let attempt;
+  let mappingApplied = false;
 
+  if (mapping) {
+    const mappedTitle = normalizeMatchTitle(mapping.targetTitle);
+    const mappedPlatform = mapping.targetPlatform || preferredPlatform;
+    log('info', `[system] [auto-match-mapping] ${originalTitle} S${originalSeason}E${originalEpisode} -> ${mappedTitle} S${mapping.targetSeason}E${mapping.targetEpisode}${mapping.targetPlatform ? ` @${mapping.targetPlatform}` : ''}`);
+    attempt = await executeMatchAttempt({
+      req,
+      title: mappedTitle,
+      season: mapping.targetSeason,
+      episode: mapping.targetEpisode,
+      year: mapping.targetYear,
+      preferredPlatform: mappedPlatform,
+      secondaryPreferredPlatform: mapping.targetPlatform ? preferredPlatform : null,
+      preferAnimeId: null,
+      preferSource: null,
+      offsets: null,
+      mapping,
+      searchMemo
+    });
+    mappingApplied = Boolean(attempt.resAnime && attempt.resEpisode);
     if (!mappingApplied) {
-      const title = manualPreferenceTitle || resolveLegacyMatchTitle(parsed.title);
-      const preferenceKey = manualPreferenceTitle || title;
-      const [preferAnimeId, preferSource, offsets] = globals.rememberLastSelect
-        ? getPreferAnimeId(preferenceKey, originalSeason)
-        : [null, null, null];
-      log("info", `[system] [match] prefer animeId: ${preferAnimeId} from ${preferSource}`);
-      attempt = await executeMatchAttempt({
-        req,
-        title,
+      log('warn', `[system] [auto-match-mapping] Target failed for "${mapping.raw}", falling back to original match`);
+    }
+  }
+
+  if (!mappingApplied) {
+    const title = manualPreferenceTitle || resolveLegacyMatchTitle(parsed.title);
+    const preferenceKey = manualPreferenceTitle || title;
+    const [preferAnimeId, preferSource, offsets] = globals.rememberLastSelect
+      ? getPreferAnimeId(preferenceKey, originalSeason)
+      : [null, null, null];
+    log("info", `[system] [match] prefer animeId: ${preferAnimeId} from ${preferSource}`);
+    attempt = await executeMatchAttempt({
+      req,
+      title,
+      season: originalSeason,
+      episode: originalEpisode,
+      year: originalYear,
+      preferredPlatform,
+      secondaryPreferredPlatform: null,
+      preferAnimeId,
+      preferSource,
+      offsets,
+      mapping: null,
+      searchMemo
+    });
+  }
+
+  const { resAnime, resEpisode, spilloverMatched } = attempt;
+
+  let resData = {
+    "errorCode": 0,
+    "success": true,
+    "errorMessage": "",
+    "isMatched": false,
+    "matches": []
+  };
+
+  resData["isMatched"] = Boolean(resAnime && resEpisode);
+
+  if (resEpisode) {
+    if (clientIp && !spilloverMatched) {
+      setLastSearch(clientIp, mappingApplied ? {
+        title: originalTitle,
         season: originalSeason,
         episode: originalEpisode,
-        year: originalYear,
-        preferredPlatform,
-        secondaryPreferredPlatform: null,
-        preferAnimeId,
-        preferSource,
-        offsets,
-        mapping: null
+        episodeId: resEpisode.episodeId,
+        autoMatchMappingApplied: true,
+        mappingTargetTitle: mapping.targetTitle
+      } : {
+        title: attempt.title,
+        season: attempt.season,
+        episode: attempt.episode,
+        episodeId: resEpisode.episodeId
       });
     }
+    resData["matches"] = [
+      AnimeMatch.fromJson({
+        "episodeId": resEpisode.episodeId,
+        "animeId": resAnime.animeId,
+        "animeTitle": resAnime.animeTitle,
+        "episodeTitle": resEpisode.episodeTitle,
+        "type": resAnime.type,
+        "typeDescription": resAnime.typeDescription,
+        "shift": 0,
+        "imageUrl": resAnime.imageUrl,
+        "url": resEpisode.url || ""
+      })
+    ]
+  }
 
-    const { resAnime, resEpisode, spilloverMatched } = attempt;
+  if (resData["matches"] && resData["matches"].length > 0) {
+    const favoriteTitle = mappingApplied ? originalTitle : attempt.title;
+    const favoriteSeason = mappingApplied ? originalSeason : attempt.season;
+    const favoriteKey = favoriteSeason !== null ? `${favoriteTitle}_S${favoriteSeason}` : favoriteTitle;
+    if (resolveFavoriteForSearchKeyword(favoriteKey)) {
+      resData["matches"] = resData["matches"].map(m => ({ ...m, isFavorite: true }));
+    }
+  }
 
-    let resData = {
-      "errorCode": 0,
-      "success": true,
-      "errorMessage": "",
-      "isMatched": false,
-      "matches": []
-    };
+  log("info", `[system] [match] resMatchData: ${resData}`);
 
-    resData["isMatched"] = Boolean(resAnime && resEpisode);
-
-    if (resEpisode) {
-      if (clientIp && !spilloverMatched) {
-        setLastSearch(clientIp, mappingApplied ? {
-          title: originalTitle,
-          season: originalSeason,
-          episode: originalEpisode,
-          episodeId: resEpisode.episodeId,
-          autoMatchMappingApplied: true,
-          mappingTargetTitle: mapping.targetTitle
-        } : {
-          title: attempt.title,
-          season: attempt.season,
-          episode: attempt.episode,
-          episodeId: resEpisode.episodeId
-        });
+  return resData;
+}
+
+// 批量匹配单次请求的最大文件数
+const MAX_BATCH_MATCH_FILES = 50;
+// 电影通常不短于 40 分钟，单集剧集通常不超过 150 分钟（秒）
+const MOVIE_MIN_DURATION_SECONDS = 40 * 60;
+const EPISODE_MAX_DURATION_SECONDS = 150 * 60;
+
+// 根据客户端提供的视频时长检查匹配结果类型：短视频命中电影、超长视频命中剧集时视为可疑匹配
+function isMatchDurationMismatch(matchResult, videoDuration) {
+  if (!matchResult.isMatched || !(videoDuration > 0)) return false;
+  return isMovieMatchCandidate(matchResult.matches[0])
+    ? videoDuration < MOVIE_MIN_DURATION_SECONDS
+    : videoDuration > EPISODE_MAX_DURATION_SECONDS;
+}
+
+// Extracted function for POST /api/v2/match/batch
+export async function matchAnimeBatch(url, req) {
+  try {
+    const body = await req.json();
+    const requests = Array.isArray(body?.requests) ? body.requests : [];
+    if (requests.length === 0) {
+      log("error", "[system] [match] Missing requests parameter in batch request body");
+      return jsonResponse(
+        { errorCode: 400, success: false, errorMessage: "Missing requests parameter" },
+        400
+      );
+    }
+    if (requests.length > MAX_BATCH_MATCH_FILES) {
+      return jsonResponse(
+        { errorCode: 400, success: false, errorMessage: `Too many files, at most ${MAX_BATCH_MATCH_FILES} per batch` },
+        400
+      );
+    }
+
+    // 已知文件哈希直接返回；其余按解析出的标题/季/平台偏好分组，组内从最大集数开始匹配，使首次搜索的目标集数覆盖全组，后续文件复用该搜索结果
+    const results = new Array(requests.length);
+    const groups = new Map();
+    let fileHashChanged = false;
+    const failFile = (index, item, error) => {
+      log("error", `[system] [match] Batch match failed for ${item?.fileName}: ${error.message}`);
+      results[index] = { fileName: item?.fileName ?? null, fileHash: item?.fileHash || null, errorCode: 500, success: false, errorMessage: error.message, isMatched: false, matches: [] };
+    };
+    for (const [index, item] of requests.entries()) {
+      let file, parsedFile;
+      try {
+        file = { fileName: item.fileName, fileHash: normalizeFileHash(item.fileHash), fileSize: item.fileSize };
+        const knownMatch = matchKnownFileHash(file);
+        if (knownMatch) {
+          results[index] = { fileName: item.fileName, fileHash: item.fileHash, videoDuration: item.videoDuration ?? null, ...knownMatch };
+          continue;
+        }
+        parsedFile = await parseMatchFileName(item.fileName);
+      } catch (error) {
+        failFile(index, item, error);
+        continue;
       }
-      resData["matches"] = [
-        AnimeMatch.fromJson({
-          "episodeId": resEpisode.episodeId,
-          "animeId": resAnime.animeId,
-          "animeTitle": resAnime.animeTitle,
-          "episodeTitle": resEpisode.episodeTitle,
-          "type": resAnime.type,
-          "typeDescription": resAnime.typeDescription,
-          "shift": 0,
-          "imageUrl": resAnime.imageUrl,
-          "url": resEpisode.url || ""
-        })
-      ]
-    }
-
-    if (resData["matches"] && resData["matches"].length > 0) {
-      const favoriteTitle = mappingApplied ? originalTitle : attempt.title;
-      const favoriteSeason = mappingApplied ? originalSeason : attempt.season;
-      const favoriteKey = favoriteSeason !== null ? `${favoriteTitle}_S${favoriteSeason}` : favoriteTitle;
-      if (resolveFavoriteForSearchKeyword(favoriteKey)) {
-        resData["matches"] = resData["matches"].map(m => ({ ...m, isFavorite: true }));
+      const groupKey = [normalizeMatchTitle(parsedFile.parsed.title), parsedFile.parsed.season, parsedFile.preferredPlatform || ''].join('|');
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push({ index, item, file, parsedFile });
+    }
+
+    const searchMemo = new Map();
+    for (const files of groups.values()) {
+      files.sort((left, right) => (right.parsedFile.parsed.episode || 0) - (left.parsedFile.parsed.episode || 0));
+      for (const { index, item, file, parsedFile } of files) {
+        try {
+          // 批量匹配来自媒体库扫描，不作为播放器手动改选的匹配上下文
+          const matchResult = await resolveMatch({ parsedFile, req, clientIp: null, searchMemo });
+          // 时长与匹配类型不符时仍返回结果供客户端确认，但不写入文件哈希索引，避免错误匹配被固化
+          const durationMismatch = isMatchDurationMismatch(matchResult, item.videoDuration);
+          if (file.fileHash && matchResult.isMatched && !durationMismatch && rememberMatchedFileHash(file, matchResult.matches[0].episodeId, false)) {
+            fileHashChanged = true;
+          }
+          results[index] = { fileName: item.fileName, fileHash: item.fileHash || null, videoDuration: item.videoDuration ?? null, durationMismatch, ...matchResult };
+        } catch (error) {
+          failFile(index, item, error);
+        }
       }
     }
 
-    log("info", `[system] [match] resMatchData: ${resData}`);
+    if (fileHashChanged) persistFileHashIndex();
 
-    // 示例返回
-    return jsonResponse(resData);
+    const matchedCount = results.filter(result => result.isMatched).length;
+    log("info", `[system] [match] Batch matched ${matchedCount}/${requests.length} files in ${groups.size} groups with ${searchMemo.size} searches`);
+    return jsonResponse({
+      errorCode: 0,
+      success: true,
+      errorMessage: "",
+      searchCount: searchMemo.size,
+      results
+    });
   } catch (error) {
-    // 处理匹配请求中的异常
-    log("error", `[system] [match] Error processing match request: ${error.stack || error.message}`);
+    log("error", `[system] [match] Error processing batch match request: ${error.stack || error.message}`);
     return jsonResponse(
       { errorCode: 400, success: false, errorMessage: error.message || "Invalid JSON body" },
       400
@@ -2400,8 +2551,9 @@ async function fetchMergedComments(url, animeTitle, commentId) {
 
   log("info", `[merge] 开始获取 [${sourceTag}] 聚合弹幕...`);
 
-  // 1. 检查聚合缓存
-  const cached = getCommentCache(resolveCommentCacheKey(url));
+  // 1. 检查聚合缓存（getComment 已检查并记录过同一缓存键，此处不重复计入命中率）
+  await loadSharedCommentCache(resolveCommentCacheKey(url));
+  const cached = getCommentCache(resolveCommentCacheKey(url), false);
   if (cached) {
     log("info", `[merge] 命中缓存 [${sourceTag}]，返回 ${cached.length} 条`);
     return cached;
@@ -2433,35 +2585,15 @@ async function fetchMergedComments(url, animeTitle, commentId) {
     }
 
     // 定义请求任务
-    const fetchTask = sourceLogContext.run(toLogSourceName(sourceName), async () => {
-        let sourceInstance = null;
-
-        if (sourceName === 'renren') sourceInstance = renrenSource;
-        else if (sourceName === 'hanjutv') sourceInstance = hanjutvSource;
-        else if (sourceName === 'bahamut') sourceInstance = bahamutSource;
-        else if (sourceName === 'dandan') sourceInstance = dandanSource;
-        else if (sourceName === 'tencent') sourceInstance = tencentSource;
-        else if (sourceName === 'youku') sourceInstance = youkuSource;
-        else if (sourceName === 'iqiyi') sourceInstance = iqiyiSource;
-        else if (sourceName === 'imgo') sourceInstance = mangoSource;
-        else if (sourceName === 'bilibili') sourceInstance = bilibiliSource;
-        else if (sourceName === 'migu') sourceInstance = miguSource;
-        else if (sourceName === 'sohu') sourceInstance = sohuSource;
-        else if (sourceName === 'leshi') sourceInstance = leshiSource;
-        else if (sourceName === 'xigua') sourceInstance = xiguaSource;
-        else if (sourceName === 'maiduidui') sourceInstance = maiduiduiSource;
-        else if (sourceName === 'aiyifan') sourceInstance = aiyifanSource;
-        else if (sourceName === 'hongguo') sourceInstance = hongguoSource;
-        else if (sourceName === 'animeko') sourceInstance = animekoSource;
-        // 如有新增允许的源合并，在此处添加
+    const fetchTask = runWithLogSource(toLogSourceName(sourceName), async () => {
+        // 仅允许参与源合并的注册源
+        const definition = getSourceDefinition(sourceName);
+        const sourceInstance = definition?.capabilities.merge ? getSource(sourceName) : null;
 
         if (sourceInstance) {
           try {
-            // b23.tv 短链需要先解析为完整 BV URL
-            let resolvedId = realId;
-            if (sourceName === 'bilibili' && String(resolvedId).includes('b23.tv')) {
-              resolvedId = await bilibiliSource.resolveB23Link(resolvedId);
-            }
+            // 由源预处理ID（如 b23.tv 短链需要先解析为完整 BV URL）
+            const resolvedId = await sourceInstance.resolveCommentUrl(realId);
             // 获取原始数据 -> 格式化
             const raw = await sourceInstance.getEpisodeDanmu(resolvedId, parts);
             let formatted = sourceInstance.formatComments(raw);
@@ -2577,37 +2709,9 @@ async function fetchMergedComments(url, animeTitle, commentId) {
   return convertToDanmakuJson(mergedList, sourceTag);
 }
 
-// Extracted function for GET /api/v2/comment/:commentId
-export async function getComment(path, queryFormat, segmentFlag, clientIp, includeDuration = false) {
-  const commentId = parseInt(path.split("/").pop());
-  let animeTitle = findAnimeTitleById(commentId);
-  let url = findUrlById(commentId);
-  let title = findTitleById(commentId);
-  let plat = title ? extractEpisodeTitle(title) : null;
-  const shouldAttachDuration = shouldIncludeVideoDuration(queryFormat, includeDuration);
-  log("info", "[system] [LogVar-API] comment url...", url);
-  log("info", "[system] [LogVar-API] comment title...", title);
-  log("info", "[system] [LogVar-API] comment platform...", plat);
-  if (!url) {
-    log("error", `[system] [LogVar-API] Comment with ID ${commentId} not found`);
-    return jsonResponse({ count: 0, comments: [] }, 404);
-  }
-  log("info", `[system] [LogVar-API] Fetched comment ID: ${commentId}`);
-
-  // 检查弹幕缓存
-  const cacheKey = resolveCommentCacheKey(url);
-  const cachedComments = getCommentCache(cacheKey);
-  if (cachedComments !== null) {
-    const responseData = buildDanmuResponse(
-      { count: cachedComments.length, comments: cachedComments },
-      shouldAttachDuration ? await resolveMergedDuration(url) : null
-    );
-    return formatDanmuResponse(responseData, queryFormat);
-  }
-
-  log("info", "[system] [LogVar-API] 开始从本地请求弹幕...", url);
+// 按弹幕ID请求上游弹幕，并应用单链接偏移与 DANMU_OFFSET 偏移规则，结果即写入弹幕缓存的内容
+async function loadEpisodeComments(commentId, url, plat, animeTitle, segmentFlag) {
   let danmus = [];
-  const durationPromise = shouldAttachDuration ? resolveMergedDuration(url) : null;
 
   // 提取单链接偏移值（@秒数 / @%百分比）
   const linkMeta = stripLinkOffset(url);
@@ -2623,68 +2727,26 @@ export async function getComment(path, queryFormat, segmentFlag, clientIp, inclu
   } else {
     const commentUrl = cleanUrl;
 
-    if (url.includes('.qq.com')) {
-      danmus = await sourceLogContext.run('tencent', () => tencentSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.iqiyi.com')) {
-      danmus = await sourceLogContext.run('iqiyi', () => iqiyiSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.mgtv.com')) {
-      danmus = await sourceLogContext.run('mango', () => mangoSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.bilibili.com') || url.includes('b23.tv')) {
-      // 如果是 b23.tv 短链接，先解析为完整 URL
-      let resolvedUrl = commentUrl;
-      if (resolvedUrl.includes('b23.tv')) {
-        resolvedUrl = await sourceLogContext.run('bilibili', () => bilibiliSource.resolveB23Link(resolvedUrl));
-      }
-      danmus = await sourceLogContext.run('bilibili', () => bilibiliSource.getComments(resolvedUrl, plat, segmentFlag));
-    } else if (url.includes('.youku.com')) {
-      danmus = await sourceLogContext.run('youku', () => youkuSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.miguvideo.com')) {
-      danmus = await sourceLogContext.run('migu', () => miguSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.sohu.com')) {
-      danmus = await sourceLogContext.run('sohu', () => sohuSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.le.com')) {
-      danmus = await sourceLogContext.run('leshi', () => leshiSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.douyin.com') || url.includes('.ixigua.com')) {
-      danmus = await sourceLogContext.run('xigua', () => xiguaSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.mddcloud.com.cn')) {
-      danmus = await sourceLogContext.run('maiduidui', () => maiduiduiSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (url.includes('.yfsp.tv')) {
-      danmus = await sourceLogContext.run('aiyifan', () => aiyifanSource.getComments(commentUrl, plat, segmentFlag));
-    } else if (isHongguoPlayerUrl(commentUrl)) {
-      danmus = await sourceLogContext.run('hongguo', () => hongguoSource.getComments(commentUrl, 'hongguo', segmentFlag));
-    } else if (/(?:bgm|bangumi)\.(?:tv|lol)\/ep\/|chii\.in\/ep\//.test(url)) {
-      const bgmMatch = commentUrl.match(/(?:bgm\.tv|bangumi\.tv|bangumi\.lol|chii\.in)\/ep\/(\d+)/);
-      danmus = await sourceLogContext.run('animeko', () => animekoSource.getComments(bgmMatch ? bgmMatch[1] : commentUrl, plat, segmentFlag));
-    } else if (url.includes('ani.gamer.com.tw')) {
-      const bahaMatch = commentUrl.match(/sn=(\d+)/);
-      danmus = await sourceLogContext.run('bahamut', () => bahamutSource.getComments(bahaMatch ? bahaMatch[1] : commentUrl, plat, segmentFlag));
-    }
-
-    // 请求其他平台弹幕
     const urlPattern = /^(https?:\/\/)?([\w.-]+)\.([a-z]{2,})(\/.*)?$/i;
-    if (!urlPattern.test(url)) {
+    if (urlPattern.test(url)) {
+      // 根据链接匹配注册源获取弹幕
+      const urlDefinition = findSourceDefinitionByUrl(commentUrl);
+      if (urlDefinition) {
+        danmus = await fetchCommentsBySource(urlDefinition, commentUrl, plat, segmentFlag);
+      }
+    } else {
+      // 请求其他平台弹幕（弹幕ID非链接，按平台标识匹配注册源）
       // 剥离单源 source:id 前缀（如 bahamut:50709 → 50709），使各源拿到真实 ID，与合并路径分割逻辑一致
       const sourceUrl = sanitizeUrl(commentUrl);
-      if (plat === "renren") {
-        danmus = await sourceLogContext.run('renren', () => renrenSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "hanjutv") {
-        danmus = await sourceLogContext.run('hanjutv', () => hanjutvSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "bahamut") {
-        danmus = await sourceLogContext.run('bahamut', () => bahamutSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "dandan") {
-        danmus = await sourceLogContext.run('dandan', () => dandanSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "custom") {
-        danmus = await sourceLogContext.run('custom', () => customSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "animeko") {
-        danmus = await sourceLogContext.run('animeko', () => animekoSource.getComments(sourceUrl, plat, segmentFlag));
-      } else if (plat === "hongguo") {
-        danmus = await sourceLogContext.run('hongguo', () => hongguoSource.getComments(sourceUrl, plat, segmentFlag));
+      const platDefinition = getSourceDefinitionByPlatform(plat);
+      if (platDefinition && platDefinition.capabilities.search) {
+        danmus = await runWithSource(platDefinition, source => source.getComments(sourceUrl, plat, segmentFlag));
       }
     }
 
     // 如果弹幕为空，则请求第三方弹幕服务器作为兜底
     if ((!danmus || danmus.length === 0) && urlPattern.test(url)) {
-      danmus = await sourceLogContext.run('other', () => otherSource.getComments(url, "other_server", segmentFlag));
+      danmus = await runWithSource(getSourceDefinition('other'), source => source.getComments(url, "other_server", segmentFlag));
     }
   }
 
@@ -2700,6 +2762,84 @@ export async function getComment(path, queryFormat, segmentFlag, clientIp, inclu
     }
   }
 
+  const [, source, episodeTitle] = findAnimeIdByCommentId(commentId);
+
+  // 应用弹幕时间偏移（合并源已在 fetchMergedComments 中按来源分别应用）
+  if (animeTitle && episodeTitle && globals.danmuOffsetRules?.length > 0 && !(url && url.includes(MERGE_DELIMITER))) {
+    let { baseTitle, season, episode } = extractAnimeInfo(animeTitle, episodeTitle);
+    season ||= 1;
+    episode ||= findIndexById(commentId) + 1;
+    const seasonStr = `S${season.toString().padStart(2, '0')}`;
+    const episodeStr = `E${episode.toString().padStart(2, '0')}`;
+    const offsetRule = resolveOffsetRule(globals.danmuOffsetRules, {
+      anime: baseTitle, season: seasonStr, episode: episodeStr, source
+    });
+    const offset = offsetRule?.offset || 0;
+    if (offset !== 0) {
+      const videoDuration = offsetRule?.usePercent ? await resolveUrlDuration(url) : 0;
+      log("info", `[system] [LogVar-API] Applying danmu offset: ${offset}${offsetRule?.usePercent ? '%' : 's'} for ${baseTitle}/${seasonStr}/${episodeStr}${offsetRule?.usePercent ? `, duration=${videoDuration}s` : ''}`);
+      danmus = applyOffset(danmus, offset, {
+        usePercent: offsetRule?.usePercent,
+        videoDuration
+      });
+    }
+  }
+
+  return segmentFlag ? danmus : moderateDanmus(danmus, url);
+}
+
+// Extracted function for GET /api/v2/comment/:commentId
+export async function getComment(path, queryFormat, segmentFlag, clientIp, includeDuration = false, formatOptions = {}, since = null) {
+  const commentId = parseInt(path.split("/").pop());
+  let animeTitle = findAnimeTitleById(commentId);
+  let url = findUrlById(commentId);
+  let title = findTitleById(commentId);
+  let plat = title ? extractEpisodeTitle(title) : null;
+  const shouldAttachDuration = shouldIncludeVideoDuration(queryFormat, includeDuration);
+  log("info", "[system] [LogVar-API] comment url...", url);
+  log("info", "[system] [LogVar-API] comment title...", title);
+  log("info", "[system] [LogVar-API] comment platform...", plat);
+  if (!url) {
+    log("error", `[system] [LogVar-API] Comment with ID ${commentId} not found`);
+    return jsonResponse({ count: 0, comments: [] }, 404);
+  }
+  log("info", `[system] [LogVar-API] Fetched comment ID: ${commentId}`);
+
+  // 带 fileHash 的 match 之后用户搜索并改选了其他剧集：以改选结果覆盖该文件的哈希记录
+  // 未经搜索直接请求其他剧集（如顺播下一集）不视为改选，保留匹配上下文
+  const pendingFileHash = getPendingFileHash(clientIp);
+  if (pendingFileHash?.searched && String(pendingFileHash.episodeId) !== String(commentId)) {
+    clearPendingFileHash(clientIp);
+    if (rememberMatchedFileHash(pendingFileHash, commentId, true)) persistFileHashIndex();
+  }
+
+  // 检查弹幕缓存
+  const cacheKey = resolveCommentCacheKey(url);
+  await loadSharedCommentCache(cacheKey);
+  const cachedComments = getCommentCache(cacheKey);
+  if (cachedComments !== null) {
+    const responseData = buildDanmuResponse(
+      applySinceCursor({ count: cachedComments.length, comments: cachedComments }, cacheKey, since),
+      shouldAttachDuration ? await resolveMergedDuration(url) : null
+    );
+    return formatDanmuResponse(responseData, queryFormat, formatOptions);
+  }
+
+  // 弹幕缓存已过期但仍在宽限期内：直接返回旧弹幕，后台刷新缓存
+  const staleComments = segmentFlag ? null : getStaleCommentCache(cacheKey);
+  if (staleComments !== null) {
+    scheduleCommentRefresh(cacheKey, () => loadEpisodeComments(commentId, url, plat, animeTitle, false));
+    const responseData = buildDanmuResponse(
+      applySinceCursor({ count: staleComments.length, comments: staleComments }, cacheKey, since),
+      shouldAttachDuration ? await resolveMergedDuration(url) : null
+    );
+    return markStaleResponse(formatDanmuResponse(responseData, queryFormat, formatOptions));
+  }
+
+  log("info", "[system] [LogVar-API] 开始从本地请求弹幕...", url);
+  const durationPromise = shouldAttachDuration ? resolveMergedDuration(url) : null;
+  let danmus = await loadEpisodeComments(commentId, url, plat, animeTitle, segmentFlag);
+
   const [animeId, source, episodeTitle, animeAliases] = findAnimeIdByCommentId(commentId);
   if (animeId && source) {
     let lastTitle = null;
@@ -2747,6 +2887,25 @@ export async function getComment(path, queryFormat, segmentFlag, clientIp, inclu
         log("info", `[system] [match] Saving explicit manual preference for "${lastTitle}" S${lastSeason}`);
         setPreferByAnimeId(animeId, source, lastSeason, offset);
       }
+
+      // 手动改选同时记为规则建议的证据，重复出现的改选可在规则库中一键转为永久规则
+      const selected = resolveEpisodeContextById(commentId);
+      const evidence = selected && recordRuleSuggestionEvidence({
+        title: lastTitle,
+        season: lastSeason,
+        episode: lastSearchContext.episode,
+        animeTitle: selected.anime.animeTitle,
+        episodeIndex: selected.index + 1
+      });
+      if (evidence && globals.localCacheValid) {
+        writeCacheToFile('ruleSuggestions', JSON.stringify(globals.ruleSuggestions));
+      }
+      if (evidence && globals.redisValid) {
+        setRedisKey('ruleSuggestions', globals.ruleSuggestions).catch(e => log("error", "[system] [LogVar-API] Redis set error", e));
+      }
+      if (evidence && globals.localRedisValid) {
+        setLocalRedisKey('ruleSuggestions', globals.ruleSuggestions);
+      }
     }
 
     if (globals.localCacheValid && animeId) {
@@ -2758,26 +2917,8 @@ export async function getComment(path, queryFormat, segmentFlag, clientIp, inclu
     if (globals.localRedisValid && animeId) {
         setLocalRedisKey('lastSelectMap', globals.lastSelectMap);
     }
-  }
-
-  // 应用弹幕时间偏移（合并源已在 fetchMergedComments 中按来源分别应用）
-  if (animeTitle && episodeTitle && globals.danmuOffsetRules?.length > 0 && !(url && url.includes(MERGE_DELIMITER))) {
-    let { baseTitle, season, episode } = extractAnimeInfo(animeTitle, episodeTitle);
-    season ||= 1;
-    episode ||= findIndexById(commentId) + 1;
-    const seasonStr = `S${season.toString().padStart(2, '0')}`;
-    const episodeStr = `E${episode.toString().padStart(2, '0')}`;
-    const offsetRule = resolveOffsetRule(globals.danmuOffsetRules, {
-      anime: baseTitle, season: seasonStr, episode: episodeStr, source
-    });
-    const offset = offsetRule?.offset || 0;
-    if (offset !== 0) {
-      const videoDuration = offsetRule?.usePercent ? await resolveUrlDuration(url) : 0;
-      log("info", `[system] [LogVar-API] Applying danmu offset: ${offset}${offsetRule?.usePercent ? '%' : 's'} for ${baseTitle}/${seasonStr}/${episodeStr}${offsetRule?.usePercent ? `, duration=${videoDuration}s` : ''}`);
-      danmus = applyOffset(danmus, offset, {
-        usePercent: offsetRule?.usePercent,
-        videoDuration
-      });
+    if (globals.sqliteValid && animeId) {
+        setSqliteKey('lastSelectMap', globals.lastSelectMap);
     }
   }
 
@@ -2786,19 +2927,64 @@ export async function getComment(path, queryFormat, segmentFlag, clientIp, inclu
     if (danmus && danmus.comments) danmus = danmus.comments;
     if (!Array.isArray(danmus)) danmus = [];
     if (danmus.length > 0) {
-        setCommentCache(cacheKey, danmus);
+        danmus = setCommentCache(cacheKey, danmus);
+    } else {
+        // 上游未返回弹幕（平台故障等）时，回退到 SQLite 中保存的弹幕
+        danmus = getStoredCommentCache(cacheKey) || danmus;
     }
   }
 
   const responseData = buildDanmuResponse(
-    { count: danmus.length, comments: danmus },
+    applySinceCursor({ count: danmus.length, comments: danmus }, cacheKey, since),
     durationPromise ? await durationPromise : null
   );
-  return formatDanmuResponse(responseData, queryFormat);
+  return formatDanmuResponse(responseData, queryFormat, formatOptions);
+}
+
+// 按链接请求上游弹幕并应用单链接偏移，结果即写入弹幕缓存的内容
+async function loadUrlComments(url, segmentFlag) {
+  let danmus = [];
+
+  // 提取单链接偏移值（@秒数 / @%百分比）
+  const linkMeta = stripLinkOffset(url);
+  const singleUrlOffset = linkMeta.offset;
+  const singleUrlOffsetPercent = linkMeta.percent;
+  const cleanUrl = linkMeta.cleanUrl;
+  if (singleUrlOffset !== 0) {
+    log("info", `[system] [LogVar-API] 检测到链接${singleUrlOffsetPercent ? '百分比' : ''}偏移: ${singleUrlOffset}s`);
+  }
+
+  // 根据URL域名匹配注册源并获取弹幕
+  const definition = findSourceDefinitionByUrl(cleanUrl);
+  if (definition) {
+    danmus = await fetchCommentsBySource(definition, cleanUrl, definition.platform, segmentFlag);
+  } else {
+    // 如果不是已知平台，尝试第三方弹幕服务器
+    const urlPattern = /^(https?:\/\/)?([\w.-]+)\.([a-z]{2,})(\/.*)?$/i;
+    if (urlPattern.test(cleanUrl)) {
+      danmus = await runWithSource(getSourceDefinition('other'), source => source.getComments(cleanUrl, "other_server", segmentFlag));
+    }
+  }
+
+  log("info", `[system] [LogVar-API] Successfully fetched ${danmus.length} comments from URL`);
+
+  // 单链接偏移值应用
+  if (singleUrlOffset !== 0 && danmus && Array.isArray(danmus) && danmus.length > 0) {
+    if (singleUrlOffsetPercent) {
+      const maxTime = Math.max(...danmus.map(d => parseFloat(String(d.p).split(',')[0]) || 0), 0);
+      danmus = applyOffset(danmus, singleUrlOffset, { usePercent: true, videoDuration: maxTime || 1 });
+      log("info", `[system] [LogVar-API] 应用链接百分比偏移 ${singleUrlOffset}s (时长=${maxTime}s)`);
+    } else {
+      danmus = applyOffset(danmus, singleUrlOffset);
+      log("info", `[system] [LogVar-API] 应用链接偏移 ${singleUrlOffset}s`);
+    }
+  }
+
+  return segmentFlag ? danmus : moderateDanmus(danmus, url);
 }
 
 // Extracted function for GET /api/v2/comment?url=xxx or /api/v2/extcomment?url=xxx
-export async function getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration = false) {
+export async function getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration = false, formatOptions = {}, since = null) {
   try {
     // 验证URL参数
     if (!videoUrl || typeof videoUrl !== 'string') {
@@ -2826,96 +3012,53 @@ export async function getCommentByUrl(videoUrl, queryFormat, segmentFlag, includ
     const shouldAttachDuration = shouldIncludeVideoDuration(queryFormat, includeDuration);
     // 检查弹幕缓存
     const cacheKey = resolveCommentCacheKey(url);
+    await loadSharedCommentCache(cacheKey);
     const cachedComments = getCommentCache(cacheKey);
     if (cachedComments !== null) {
-      const responseData = buildDanmuResponse({
+      const responseData = buildDanmuResponse(applySinceCursor({
         errorCode: 0,
         success: true,
         errorMessage: "",
         count: cachedComments.length,
         comments: cachedComments
-      }, shouldAttachDuration ? await resolveMergedDuration(url) : null);
-      return formatDanmuResponse(responseData, queryFormat);
+      }, cacheKey, since), shouldAttachDuration ? await resolveMergedDuration(url) : null);
+      return formatDanmuResponse(responseData, queryFormat, formatOptions);
     }
 
-    log("info", "[system] [LogVar-API] 开始从本地请求弹幕...", url);
-    let danmus = [];
-    const durationPromise = shouldAttachDuration ? resolveMergedDuration(url) : null;
-
-    // 提取单链接偏移值（@秒数 / @%百分比）
-    const linkMeta = stripLinkOffset(url);
-    const singleUrlOffset = linkMeta.offset;
-    const singleUrlOffsetPercent = linkMeta.percent;
-    const cleanUrl = linkMeta.cleanUrl;
-    if (singleUrlOffset !== 0) {
-      log("info", `[system] [LogVar-API] 检测到链接${singleUrlOffsetPercent ? '百分比' : ''}偏移: ${singleUrlOffset}s`);
-    }
-
-    // 根据URL域名判断平台并获取弹幕
-    if (url.includes('.qq.com')) {
-      danmus = await sourceLogContext.run('tencent', () => tencentSource.getComments(cleanUrl, "qq", segmentFlag));
-    } else if (url.includes('.iqiyi.com')) {
-      danmus = await sourceLogContext.run('iqiyi', () => iqiyiSource.getComments(cleanUrl, "qiyi", segmentFlag));
-    } else if (url.includes('.mgtv.com')) {
-      danmus = await sourceLogContext.run('mango', () => mangoSource.getComments(cleanUrl, "imgo", segmentFlag));
-    } else if (url.includes('.bilibili.com') || url.includes('b23.tv')) {
-      // 如果是 b23.tv 短链接，先解析为完整 URL
-      let resolvedUrl = cleanUrl;
-      if (resolvedUrl.includes('b23.tv')) {
-        resolvedUrl = await sourceLogContext.run('bilibili', () => bilibiliSource.resolveB23Link(resolvedUrl));
-      }
-      danmus = await sourceLogContext.run('bilibili', () => bilibiliSource.getComments(resolvedUrl, "bilibili1", segmentFlag));
-    } else if (url.includes('.youku.com')) {
-      danmus = await sourceLogContext.run('youku', () => youkuSource.getComments(cleanUrl, "youku", segmentFlag));
-    } else if (url.includes('.miguvideo.com')) {
-      danmus = await sourceLogContext.run('migu', () => miguSource.getComments(cleanUrl, "migu", segmentFlag));
-    } else if (url.includes('.sohu.com')) {
-      danmus = await sourceLogContext.run('sohu', () => sohuSource.getComments(cleanUrl, "sohu", segmentFlag));
-    } else if (url.includes('.le.com')) {
-      danmus = await sourceLogContext.run('leshi', () => leshiSource.getComments(cleanUrl, "leshi", segmentFlag));
-    } else if (url.includes('.douyin.com') || url.includes('.ixigua.com')) {
-      danmus = await sourceLogContext.run('xigua', () => xiguaSource.getComments(cleanUrl, "xigua", segmentFlag));
-    } else if (url.includes('.mddcloud.com.cn')) {
-      danmus = await sourceLogContext.run('maiduidui', () => maiduiduiSource.getComments(cleanUrl, "maiduidui", segmentFlag));
-    } else if (url.includes('.yfsp.tv')) {
-      danmus = await sourceLogContext.run('aiyifan', () => aiyifanSource.getComments(cleanUrl, "aiyifan", segmentFlag));
-    } else if (isHongguoPlayerUrl(cleanUrl)) {
-      danmus = await sourceLogContext.run('hongguo', () => hongguoSource.getComments(cleanUrl, "hongguo", segmentFlag));
-    } else {
-      // 如果不是已知平台，尝试第三方弹幕服务器
-      const urlPattern = /^(https?:\/\/)?([\w.-]+)\.([a-z]{2,})(\/.*)?$/i;
-      if (urlPattern.test(cleanUrl)) {
-        danmus = await sourceLogContext.run('other', () => otherSource.getComments(cleanUrl, "other_server", segmentFlag));
-      }
+    // 弹幕缓存已过期但仍在宽限期内：直接返回旧弹幕，后台刷新缓存
+    const staleComments = segmentFlag ? null : getStaleCommentCache(cacheKey);
+    if (staleComments !== null) {
+      scheduleCommentRefresh(cacheKey, () => loadUrlComments(url, false));
+      const responseData = buildDanmuResponse(applySinceCursor({
+        errorCode: 0,
+        success: true,
+        errorMessage: "",
+        count: staleComments.length,
+        comments: staleComments
+      }, cacheKey, since), shouldAttachDuration ? await resolveMergedDuration(url) : null);
+      return markStaleResponse(formatDanmuResponse(responseData, queryFormat, formatOptions));
     }
 
-    log("info", `[system] [LogVar-API] Successfully fetched ${danmus.length} comments from URL`);
-
-    // 单链接偏移值应用
-    if (singleUrlOffset !== 0 && danmus && Array.isArray(danmus) && danmus.length > 0) {
-      if (singleUrlOffsetPercent) {
-        const maxTime = Math.max(...danmus.map(d => parseFloat(String(d.p).split(',')[0]) || 0), 0);
-        danmus = applyOffset(danmus, singleUrlOffset, { usePercent: true, videoDuration: maxTime || 1 });
-        log("info", `[system] [LogVar-API] 应用链接百分比偏移 ${singleUrlOffset}s (时长=${maxTime}s)`);
-      } else {
-        danmus = applyOffset(danmus, singleUrlOffset);
-        log("info", `[system] [LogVar-API] 应用链接偏移 ${singleUrlOffset}s`);
-      }
-    }
+    log("info", "[system] [LogVar-API] 开始从本地请求弹幕...", url);
+    const durationPromise = shouldAttachDuration ? resolveMergedDuration(url) : null;
+    let danmus = await loadUrlComments(url, segmentFlag);
 
     // 缓存弹幕结果
     if (danmus.length > 0) {
-      setCommentCache(cacheKey, danmus);
+      danmus = setCommentCache(cacheKey, danmus);
+    } else {
+      // 上游未返回弹幕（平台故障等）时，回退到 SQLite 中保存的弹幕
+      danmus = getStoredCommentCache(cacheKey) || danmus;
     }
 
-    const responseData = buildDanmuResponse({
+    const responseData = buildDanmuResponse(applySinceCursor({
       errorCode: 0,
       success: true,
       errorMessage: "",
       count: danmus.length,
       comments: danmus
-    }, durationPromise ? await durationPromise : null);
-    return formatDanmuResponse(responseData, queryFormat);
+    }, cacheKey, since), durationPromise ? await durationPromise : null);
+    return formatDanmuResponse(responseData, queryFormat, formatOptions);
   } catch (error) {
     // 处理异常
     log("error", `[system] [LogVar-API] Failed to process comment by URL request: ${error.message}`);
@@ -2927,7 +3070,7 @@ export async function getCommentByUrl(videoUrl, queryFormat, segmentFlag, includ
 }
 
 // Extracted function for GET /api/v2/segmentcomment
-export async function getSegmentComment(segment, queryFormat) {
+export async function getSegmentComment(segment, queryFormat, formatOptions = {}) {
   try {
     let url = segment.url;
     let platform = segment.type;
@@ -2947,6 +3090,7 @@ export async function getSegmentComment(segment, queryFormat) {
 
     // 检查弹幕缓存
     const cacheKey = resolveCommentCacheKey(url);
+    await loadSharedCommentCache(cacheKey);
     const cachedComments = getCommentCache(cacheKey);
     if (cachedComments !== null) {
       const responseData = {
@@ -2956,54 +3100,20 @@ export async function getSegmentComment(segment, queryFormat) {
         count: cachedComments.length,
         comments: cachedComments
       };
-      return formatDanmuResponse(responseData, queryFormat);
+      return formatDanmuResponse(responseData, queryFormat, formatOptions);
     }
 
     log("info", `[system] [segmentcomment] 开始从本地请求分段弹幕... URL: ${url}`);
     let danmus = [];
 
     // 根据平台调用相应的分段弹幕获取方法
-    if (platform === "qq") {
-      danmus = await sourceLogContext.run('tencent', () => tencentSource.getSegmentComments(segment));
-    } else if (platform === "qiyi") {
-      danmus = await sourceLogContext.run('iqiyi', () => iqiyiSource.getSegmentComments(segment));
-    } else if (platform === "imgo") {
-      danmus = await sourceLogContext.run('mango', () => mangoSource.getSegmentComments(segment));
-    } else if (platform === "bilibili1") {
-      danmus = await sourceLogContext.run('bilibili', () => bilibiliSource.getSegmentComments(segment));
-    } else if (platform === "youku") {
-      danmus = await sourceLogContext.run('youku', () => youkuSource.getSegmentComments(segment));
-    } else if (platform === "migu") {
-      danmus = await sourceLogContext.run('migu', () => miguSource.getSegmentComments(segment));
-    } else if (platform === "sohu") {
-      danmus = await sourceLogContext.run('sohu', () => sohuSource.getSegmentComments(segment));
-    } else if (platform === "leshi") {
-      danmus = await sourceLogContext.run('leshi', () => leshiSource.getSegmentComments(segment));
-    } else if (platform === "xigua") {
-      danmus = await sourceLogContext.run('xigua', () => xiguaSource.getSegmentComments(segment));
-    } else if (platform === "maiduidui") {
-      danmus = await sourceLogContext.run('maiduidui', () => maiduiduiSource.getSegmentComments(segment));
-    } else if (platform === "aiyifan") {
-      danmus = await sourceLogContext.run('aiyifan', () => aiyifanSource.getSegmentComments(segment));
-    } else if (platform === "hongguo") {
-      danmus = await sourceLogContext.run('hongguo', () => hongguoSource.getSegmentComments(segment));
-    } else if (platform === "hanjutv") {
-      danmus = await sourceLogContext.run('hanjutv', () => hanjutvSource.getSegmentComments(segment));
-    } else if (platform === "bahamut") {
-      danmus = await sourceLogContext.run('bahamut', () => bahamutSource.getSegmentComments(segment));
-    } else if (platform === "renren") {
-      danmus = await sourceLogContext.run('renren', () => renrenSource.getSegmentComments(segment));
-    } else if (platform === "dandan") {
-      danmus = await sourceLogContext.run('dandan', () => dandanSource.getSegmentComments(segment));
-    } else if (platform === "animeko") {
-      danmus = await sourceLogContext.run('animeko', () => animekoSource.getSegmentComments(segment));
-    } else if (platform === "custom") {
-      danmus = await sourceLogContext.run('custom', () => customSource.getSegmentComments(segment));
-    } else if (platform === "other_server") {
-      danmus = await sourceLogContext.run('other', () => otherSource.getSegmentComments(segment));
+    const definition = getSourceDefinitionByPlatform(platform);
+    if (definition && definition.capabilities.segments) {
+      danmus = await runWithSource(definition, source => source.getSegmentComments(segment));
     }
 
     log("info", `[system] [segmentcomment] Successfully fetched ${danmus.length} segment comments from URL`);
+    danmus = await moderateDanmus(danmus, url);
 
     // 缓存弹幕结果
     if (danmus.length > 0) {
@@ -3017,7 +3127,7 @@ export async function getSegmentComment(segment, queryFormat) {
       count: danmus.length,
       comments: danmus
     };
-    return formatDanmuResponse(responseData, queryFormat);
+    return formatDanmuResponse(responseData, queryFormat, formatOptions);
   } catch (error) {
     // 处理异常
     log("error", `[system] [segmentcomment] Failed to process segment comment request: ${error.message}`);
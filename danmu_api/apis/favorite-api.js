@@ -1,5 +1,5 @@
 import { globals } from '../configs/globals.js';
-import { getSearchCache, updateLocalCaches } from '../utils/cache-util.js';
+import { getSearchCache, loadSharedSearchCache, updateLocalCaches } from '../utils/cache-util.js';
 import { jsonResponse } from '../utils/http-util.js';
 import { log } from '../utils/log-util.js';
 import { simplized } from '../utils/zh-util.js';
@@ -12,8 +12,10 @@ import {
   resolveFavoriteForKeyword,
   stripSeasonSuffix
 } from '../utils/favorite-util.js';
-import { extractTitleSeasonEpisode, searchAnime } from './dandan-api.js';
+import { extractTitleSeasonEpisode, getComment, searchAnime } from './dandan-api.js';
 import { createFavoriteSchedule } from '../utils/favorite-schedule-util.js';
+import { runFavoritePrefetch } from '../utils/favorite-prefetch-util.js';
+import { getFavoriteWebhookChannels, listFavoriteWebhookLog } from '../utils/favorite-webhook-util.js';
 
 const favoriteRefreshLocks = new Set();
 
@@ -56,6 +58,17 @@ export async function persistFavorites() {
   }
 }
 
+// 预取待预取收藏的新集弹幕：Node/Docker 由收藏定时器调用，Cloudflare 由 Cron Trigger 调用
+// options 透传给 runFavoritePrefetch（如 wait / intervalMs），默认按限流策略间隔
+export function runFavoritePrefetchJob(options = {}) {
+  return runFavoritePrefetch({
+    favoriteCache: globals.favoriteCache,
+    fetchComment: episodeId => getComment(`/api/v2/comment/${episodeId}`, 'json', false, null),
+    persist: persistFavorites,
+    ...options
+  });
+}
+
 function removeRelatedSearchCaches(keyword) {
   if (!(globals.searchCache instanceof Map)) return;
   const baseTitle = stripSeasonSuffix(keyword);
@@ -66,6 +79,7 @@ function removeRelatedSearchCaches(keyword) {
 
 async function findSearchEntry(cacheKey, title, season, episode, url) {
   const detailsMap = new Map();
+  await loadSharedSearchCache(cacheKey);
   const cachedResults = getSearchCache(cacheKey, detailsMap);
   if (cachedResults !== null) {
     return { results: cachedResults, details: detailsFromMap(detailsMap) };
@@ -142,6 +156,18 @@ export function handleFavoriteList() {
   });
 }
 
+// 定时刷新通知的推送通道与投递记录，通道地址含凭证，只返回通道名
+export function handleFavoriteWebhookLog() {
+  const deliveries = listFavoriteWebhookLog();
+  return jsonResponse({
+    success: true,
+    scheduledRefreshSupported: globals.deployPlatform === 'node',
+    channels: getFavoriteWebhookChannels(),
+    pending: deliveries.filter(record => record.status === 'pending').length,
+    deliveries
+  });
+}
+
 export async function handleFavoriteSchedule(req) {
   if (globals.deployPlatform !== 'node') {
     return jsonResponse({ success: false, message: '定时刷新仅支持 Node/Docker 部署' }, 501);
@@ -282,6 +308,10 @@ export async function handleFavoriteRefresh(req, url) {
         favoriteRefreshLocks.delete(lockKey);
       }
     }
+    // Node/Docker 手动刷新发现新集时立即在后台预取，不等待下一次定时器检查
+    if (globals.deployPlatform === 'node' && resolveFavoriteForKeyword(result.cacheKey)?.entry?.prefetch?.status === 'pending') {
+      runFavoritePrefetchJob().catch(error => log('error', `[favorite] [prefetch] failed: ${error.message}`));
+    }
     return jsonResponse({ success: true, message: `已刷新收藏「${result.animeTitle}」` });
   } catch (error) {
     log('error', `[favorite] refresh failed: ${error.message}`);
@@ -0,0 +1,38 @@
+import { globals } from '../configs/globals.js';
+import { updateLocalCaches } from '../utils/cache-util.js';
+import { updateRedisCaches } from '../utils/redis-util.js';
+import { updateLocalRedisCaches } from '../utils/local-redis-util.js';
+import { jsonResponse } from '../utils/http-util.js';
+import { exportFileHashIndex, importFileHashIndex } from '../utils/file-hash-util.js';
+
+// =====================
+// 文件哈希匹配索引导出 / 导入
+// =====================
+// 导出结果可直接作为导入请求体，团队成员之间共享已确认的文件 → 剧集对应关系。
+
+export function handleFileHashExport() {
+  const entries = exportFileHashIndex();
+  return jsonResponse({
+    success: true,
+    persistent: Boolean(globals.localCacheValid || globals.redisValid || globals.localRedisValid),
+    count: entries.length,
+    entries
+  });
+}
+
+export async function handleFileHashImport(req) {
+  const body = await req.json();
+  const mode = body.mode || 'merge';
+  const { added, updated, skipped } = importFileHashIndex(body.entries, mode);
+  if (globals.localCacheValid) await updateLocalCaches();
+  if (globals.redisValid) await updateRedisCaches();
+  if (globals.localRedisValid) await updateLocalRedisCaches();
+  return jsonResponse({
+    success: true,
+    message: `已导入 ${added} 条记录，更新 ${updated} 条，跳过 ${skipped} 条`,
+    added,
+    updated,
+    skipped,
+    count: Object.keys(globals.fileHashIndex).length
+  });
+}
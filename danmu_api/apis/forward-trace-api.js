@@ -1,5 +1,6 @@
 import { jsonResponse } from '../utils/http-util.js';
 import { globals } from '../configs/globals.js';
+import { getRequestId } from '../utils/log-util.js';
 
 export const FORWARD_TRACE_LIMITS = Object.freeze({
   maxPayloadBytes: 64 * 1024,
@@ -12,7 +13,7 @@ function payloadByteLength(text) {
 function appendForwardRemoteLog(handler, level, message, timestamp = new Date().toISOString()) {
   const normalizedLevel = ['info', 'warn', 'error'].includes(level) ? level : 'info';
   const formattedMessage = `[ForwardRemote][${handler}] ${String(message || '')}`;
-  globals.logBuffer.push({ timestamp, level: normalizedLevel, message: formattedMessage });
+  globals.logBuffer.push({ timestamp, level: normalizedLevel, message: formattedMessage, source: 'ForwardRemote', requestId: getRequestId() });
   if (globals.logBuffer.length > globals.MAX_LOGS) globals.logBuffer.shift();
   console[normalizedLevel](formattedMessage);
 }
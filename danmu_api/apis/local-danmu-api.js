@@ -0,0 +1,136 @@
+import { globals } from '../configs/globals.js';
+import { deleteCacheFile, updateLocalCaches, writeCacheToFile } from '../utils/cache-util.js';
+import { runPipeline, updateRedisCaches } from '../utils/redis-util.js';
+import { jsonResponse } from '../utils/http-util.js';
+import { log } from '../utils/log-util.js';
+import { importDanAnyDdplay, normalizeDanAnyDdplay } from '../utils/dan-any.js';
+import {
+  LOCAL_DANMU_FORMATS,
+  addLocalDanmuEntry,
+  detectLocalDanmuFormat,
+  finalizeLocalDanmuComments,
+  getLocalDanmuStorageKey,
+  listLocalDanmuEntries,
+  parseAssDanmu,
+  removeLocalDanmuEntry
+} from '../utils/local-danmu-util.js';
+
+// 单个文件内容上限，避免超大文件占满内存或超出 Redis 单值限制
+const MAX_CONTENT_LENGTH = 20 * 1024 * 1024;
+
+// 弹幕正文按条目单独存储，索引随 updateLocalCaches / updateRedisCaches 持久化；comments 为 null 时删除正文
+async function persistLocalDanmu(id, comments) {
+  const storageKey = getLocalDanmuStorageKey(id);
+  if (globals.localCacheValid) {
+    if (comments) writeCacheToFile(storageKey, comments);
+    else deleteCacheFile(storageKey);
+    await updateLocalCaches();
+  }
+  if (globals.redisValid) {
+    await runPipeline([comments ? ['SET', storageKey, JSON.stringify(comments)] : ['DEL', storageKey]]);
+    await updateRedisCaches();
+  }
+}
+
+// bilibili XML / 弹弹play JSON 经 dan-any 适配器导入；dan-any 没有 ASS 适配器，ASS 自行解析后经 dan-any 规范化，规范化失败时保留解析结果
+function parseUploadedDanmu(content, format) {
+  if (format !== 'ass') return finalizeLocalDanmuComments(importDanAnyDdplay(content, format)?.comments);
+
+  const comments = parseAssDanmu(content);
+  try {
+    const normalized = normalizeDanAnyDdplay({ count: comments.length, comments });
+    if (Array.isArray(normalized?.comments) && normalized.comments.length > 0) {
+      return finalizeLocalDanmuComments(normalized.comments);
+    }
+  } catch (error) {
+    log('warn', `[local] dan-any normalize failed, using parsed comments: ${error.message}`);
+  }
+  return finalizeLocalDanmuComments(comments);
+}
+
+export async function handleLocalDanmuImport(req) {
+  try {
+    const body = await req.json();
+    const title = String(body?.title || '').trim();
+    const episode = parseInt(body?.episode, 10);
+    const content = typeof body?.content === 'string' ? body.content : '';
+    const fileName = String(body?.fileName || '').trim();
+
+    if (!title) return jsonResponse({ success: false, message: '缺少 title 参数' }, 400);
+    if (!Number.isFinite(episode) || episode < 0) return jsonResponse({ success: false, message: 'episode 参数无效' }, 400);
+    if (!content.trim()) return jsonResponse({ success: false, message: '缺少弹幕文件内容 content' }, 400);
+    if (content.length > MAX_CONTENT_LENGTH) return jsonResponse({ success: false, message: '弹幕文件过大，最大支持 20MB' }, 413);
+
+    const requestedFormat = String(body?.format || '').trim().toLowerCase();
+    if (requestedFormat && !LOCAL_DANMU_FORMATS.includes(requestedFormat)) {
+      return jsonResponse({ success: false, message: `不支持的弹幕格式: ${requestedFormat}，可选 ${LOCAL_DANMU_FORMATS.join('/')}` }, 400);
+    }
+    const format = requestedFormat || detectLocalDanmuFormat(content, fileName);
+    if (!format) return jsonResponse({ success: false, message: '无法识别弹幕文件格式，请指定 format' }, 400);
+
+    let comments;
+    try {
+      comments = parseUploadedDanmu(content, format);
+    } catch (error) {
+      return jsonResponse({ success: false, message: `弹幕文件解析失败: ${error.message}` }, 400);
+    }
+    if (comments.length === 0) return jsonResponse({ success: false, message: '弹幕文件中未解析到有效弹幕' }, 400);
+
+    const entry = addLocalDanmuEntry({
+      title,
+      season: body?.season,
+      episode,
+      episodeTitle: body?.episodeTitle,
+      year: body?.year,
+      format,
+      fileName
+    }, comments);
+
+    // 覆盖导入时清除旧弹幕缓存，保留增量记录使未变化的弹幕沿用原 cid
+    globals.commentCache.delete(`local:${entry.id}`);
+    await persistLocalDanmu(entry.id, comments);
+
+    log('info', `[local] Imported ${comments.length} comments for ${entry.title} E${entry.episode} (${format})`);
+    return jsonResponse({
+      success: true,
+      message: `已导入「${entry.title}」第${entry.episode}集，共 ${comments.length} 条弹幕`,
+      entry
+    });
+  } catch (error) {
+    log('error', `[local] import failed: ${error.message}`);
+    return jsonResponse({ success: false, message: `导入失败: ${error.message}` }, 500);
+  }
+}
+
+export function handleLocalDanmuList() {
+  const persistent = globals.localCacheValid === true || globals.redisValid === true;
+  return jsonResponse({
+    success: true,
+    // 未在 SOURCE_ORDER 中启用 local 源时，导入的弹幕不会出现在搜索/匹配结果中
+    enabled: (globals.sourceOrderArr || []).includes('local'),
+    persistent,
+    persistentMessage: persistent
+      ? ''
+      : '当前部署未配置本地缓存目录或 Redis，导入的弹幕仅保存在实例内存中，重启或实例切换后会丢失。',
+    entries: listLocalDanmuEntries()
+  });
+}
+
+export async function handleLocalDanmuRemove(req) {
+  try {
+    const body = await req.json();
+    const id = String(body?.id || '').trim();
+    if (!id) return jsonResponse({ success: false, message: '缺少 id 参数' }, 400);
+
+    const entry = removeLocalDanmuEntry(id);
+    if (!entry) return jsonResponse({ success: false, message: '未找到该导入弹幕' }, 404);
+
+    globals.commentCache.delete(`local:${entry.id}`);
+    globals.commentHistory.delete(`local:${entry.id}`);
+    await persistLocalDanmu(entry.id, null);
+    return jsonResponse({ success: true, message: '已删除导入弹幕' });
+  } catch (error) {
+    log('error', `[local] remove failed: ${error.message}`);
+    return jsonResponse({ success: false, message: `删除失败: ${error.message}` }, 500);
+  }
+}
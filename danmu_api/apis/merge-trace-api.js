@@ -0,0 +1,64 @@
+import { globals } from '../configs/globals.js';
+import { jsonResponse } from '../utils/http-util.js';
+import { log } from '../utils/log-util.js';
+import { traceMergeDecisions } from '../utils/merge-util.js';
+import { searchAnime } from './dandan-api.js';
+
+// =====================
+// 源合并决策追踪
+// =====================
+// 以强制刷新方式执行一次搜索（跳过搜索缓存与收藏，确保 applyMergeLogic 实际运行；追踪期间的搜索结果不写回搜索缓存），
+// 返回每个主副源配对的相似度、各项检测的通过/否决、对齐偏移与集数映射，用于排查错误的跨季合并。
+
+function summarizeTracePairs(pairs) {
+  const summary = { total: pairs.length, merged: 0, rejected: 0, vetoed: 0, filtered: 0, skipped: 0, candidate: 0 };
+  for (const pair of pairs) {
+    if (summary[pair.verdict] !== undefined) summary[pair.verdict]++;
+  }
+  return summary;
+}
+
+export async function handleMergeTrace(url) {
+  const keyword = (url.searchParams.get('keyword') || '').trim();
+  if (!keyword) {
+    return jsonResponse({ success: false, errorMessage: 'keyword is required' }, 400);
+  }
+
+  const mergeEnabled = (globals.mergeSourcePairs || []).some(group => group.secondaries.length > 0)
+    || (globals.customMergeRules || []).length > 0;
+  if (!mergeEnabled) {
+    return jsonResponse({
+      success: true,
+      keyword,
+      mergeEnabled: false,
+      message: '未配置 MERGE_SOURCE_PAIRS 或 CUSTOM_MERGE_RULES，搜索不会执行源合并',
+      summary: summarizeTracePairs([]),
+      pairs: [],
+      animes: []
+    });
+  }
+
+  const searchUrl = new URL('http://localhost/api/v2/search/anime');
+  searchUrl.searchParams.set('keyword', keyword);
+  const season = url.searchParams.get('season');
+  if (season) searchUrl.searchParams.set('season', season);
+
+  log('info', `[system] [merge-trace] Tracing merge decisions for keyword: ${keyword}`);
+  const { result, pairs } = await traceMergeDecisions(() => searchAnime(searchUrl, null, null, null, null, true));
+  const data = await result.json();
+  const animes = (data.animes || []).map(anime => ({
+    animeId: anime.animeId,
+    animeTitle: anime.animeTitle,
+    source: anime.source,
+    episodeCount: anime.episodeCount
+  }));
+
+  return jsonResponse({
+    success: true,
+    keyword,
+    mergeEnabled: true,
+    summary: summarizeTracePairs(pairs),
+    pairs,
+    animes
+  });
+}
@@ -0,0 +1,118 @@
+import { globals } from '../configs/globals.js';
+import { RULE_TABLE_NAMES } from '../configs/routes.js';
+import { updateLocalCaches } from '../utils/cache-util.js';
+import { updateRedisCaches } from '../utils/redis-util.js';
+import { updateLocalRedisCaches } from '../utils/local-redis-util.js';
+import { jsonResponse } from '../utils/http-util.js';
+import {
+  getEnvRuleText,
+  importRules,
+  listRuleTable,
+  removeRule,
+  resetRuleTable,
+  saveRule,
+  validateRule
+} from '../utils/rule-store-util.js';
+import { dismissRuleSuggestion, listRuleSuggestions, promoteRuleSuggestion } from '../utils/rule-suggestion-util.js';
+
+// 规则库与规则建议证据随 updateLocalCaches / updateRedisCaches / updateLocalRedisCaches 持久化
+async function persistRuleStore() {
+  if (globals.localCacheValid) await updateLocalCaches();
+  if (globals.redisValid) await updateRedisCaches();
+  if (globals.localRedisValid) await updateLocalRedisCaches();
+}
+
+export function handleRulesList(url) {
+  // 未启用本地缓存与 Redis 时规则库只在实例内存中，页面据此提示
+  const persistent = Boolean(globals.localCacheValid || globals.redisValid || globals.localRedisValid);
+  const table = url.searchParams.get('table');
+  if (table) return jsonResponse({ success: true, persistent, ...listRuleTable(table) });
+  return jsonResponse({ success: true, persistent, tables: RULE_TABLE_NAMES.map(listRuleTable) });
+}
+
+export async function handleRuleSave(req) {
+  const body = await req.json();
+  const { table, id } = body;
+  if (!id && body.rule === undefined) return jsonResponse({ success: false, message: '缺少 rule 参数' }, 400);
+
+  if (body.rule !== undefined) {
+    const { errors, warnings } = validateRule(table, body.rule);
+    if (errors.length > 0) return jsonResponse({ success: false, message: `规则校验失败: ${errors.join('；')}`, errors, warnings }, 400);
+  }
+
+  const entry = saveRule(table, { id, rule: body.rule, enabled: body.enabled, note: body.note });
+  if (!entry) return jsonResponse({ success: false, message: `规则不存在: ${id}` }, 404);
+  await persistRuleStore();
+
+  const result = listRuleTable(table);
+  return jsonResponse({
+    success: true,
+    message: id ? '规则已更新' : '规则已添加',
+    rule: result.rules.find(rule => rule.id === entry.id),
+    ...result
+  });
+}
+
+export async function handleRuleRemove(req) {
+  const { table, id } = await req.json();
+  const entry = removeRule(table, id);
+  if (!entry) return jsonResponse({ success: false, message: `规则不存在: ${id}` }, 404);
+  await persistRuleStore();
+  return jsonResponse({ success: true, message: `已删除规则: ${entry.rule}`, ...listRuleTable(table) });
+}
+
+export async function handleRulesImport(req) {
+  const body = await req.json();
+  const table = body.table;
+  const text = typeof body.text === 'string' ? body.text : getEnvRuleText(table);
+  if (!text.trim()) return jsonResponse({ success: false, message: '没有可导入的规则' }, 400);
+
+  const { added, skipped, invalid } = importRules(table, text, body.mode || 'append');
+  await persistRuleStore();
+  const invalidNote = invalid > 0 ? `，其中 ${invalid} 条校验未通过，修正前不会生效` : '';
+  return jsonResponse({
+    success: true,
+    message: `已导入 ${added} 条规则，跳过 ${skipped} 条重复规则${invalidNote}`,
+    added,
+    skipped,
+    invalid,
+    ...listRuleTable(table)
+  });
+}
+
+export async function handleRulesReset(req) {
+  const { table } = await req.json();
+  const wasManaged = resetRuleTable(table);
+  if (wasManaged) await persistRuleStore();
+  return jsonResponse({
+    success: true,
+    message: wasManaged ? `${table} 已恢复使用环境变量` : `${table} 未由规则库接管，仍使用环境变量`,
+    ...listRuleTable(table)
+  });
+}
+
+export function handleRuleSuggestions() {
+  return jsonResponse({ success: true, rememberLastSelect: Boolean(globals.rememberLastSelect), ...listRuleSuggestions() });
+}
+
+export async function handleRuleSuggestionPromote(req) {
+  const { key } = await req.json();
+  const promoted = promoteRuleSuggestion(key);
+  if (!promoted) return jsonResponse({ success: false, message: `规则建议不存在或证据不足: ${key}` }, 404);
+  await persistRuleStore();
+  return jsonResponse({
+    success: true,
+    message: `已添加规则到 ${promoted.suggestion.table}: ${promoted.suggestion.rule}`,
+    table: promoted.suggestion.table,
+    rule: promoted.rule,
+    ...listRuleSuggestions()
+  });
+}
+
+export async function handleRuleSuggestionDismiss(req) {
+  const { key } = await req.json();
+  const entry = dismissRuleSuggestion(key);
+  if (!entry) return jsonResponse({ success: false, message: `规则建议不存在: ${key}` }, 404);
+  await persistRuleStore();
+  return jsonResponse({ success: true, message: '已忽略规则建议', ...listRuleSuggestions() });
+}
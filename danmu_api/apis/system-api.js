@@ -4,6 +4,11 @@ import { HTML_TEMPLATE } from "../ui/template.js";
 import { formatLogMessage, log } from "../utils/log-util.js";
 import { HandlerFactory } from "../configs/handlers/handler-factory.js";
 import { clearBangumiDataCache, initBangumiData } from "../utils/bangumi-data-util.js";
+import { getSourceHealthSnapshot, resetSourceHealth } from "../utils/source-health-util.js";
+import { buildOpenApiSpec } from "../utils/openapi-util.js";
+import { renderMetrics } from "../utils/metrics-util.js";
+import { getApiKeyUsageSnapshot, isAdminRequest } from "../utils/api-key-util.js";
+import { getAiModerationSnapshot } from "../utils/ai-moderation-util.js";
 
 const UI_THEMES = new Set([
   'lavender', 'shinyo', 'sakura', 'tianyi', 'hatsune', 'sakuragi', 'violet', 'amber'
@@ -47,6 +52,7 @@ export function handleConfig(hasPermission = false) {
     localCacheValid: globals.localCacheValid,
     redisValid: globals.redisValid,
     localRedisValid: globals.localRedisValid,
+    sqliteValid: globals.sqliteValid,
     aiValid: globals.aiValid,
     deployPlatform: globals.deployPlatform
   };
@@ -71,7 +77,7 @@ export function handleConfig(hasPermission = false) {
   
   // 准备原始环境变量，无权限时也需要脱敏
   let originalEnvVars = { ...globals.originalEnvVars };
-  if (!hasPermission || globals.currentToken !== globals.adminToken) {
+  if (!hasPermission || !isAdminRequest()) {
     Object.keys(originalEnvVars).forEach(key => {
       if (globals.currentToken !== globals.token || key !== "TOKEN") {
         if (key in previewEnvVars && /^\*+$/.test(previewEnvVars[key])) {
@@ -134,28 +140,39 @@ export async function handleDeploy() {
 
 /**
  * 处理获取日志的请求
- * @returns {Response} 包含日志文本的响应
+ * @param {URL} url 请求地址，requestId 参数按请求 ID 筛选，format=json 时返回结构化日志记录
+ * @returns {Response} 包含日志文本或日志记录的响应
  */
-export function handleLogs() {
-  const logText = globals.logBuffer
+export function handleLogs(url) {
+  const requestId = url?.searchParams.get('requestId') || '';
+  const records = requestId
+    ? globals.logBuffer.filter(record => record.requestId === requestId)
+    : globals.logBuffer;
+
+  // 检查当前请求是否具有管理员权限（ADMIN_TOKEN 或 admin 权限的 API 密钥）
+  const isAdmin = isAdminRequest();
+  // 隐藏 client ip 地址，将 "client ip: 127.0.0.1" 中的 IP 地址部分替换为相同长度的 *，但保留 .
+  const maskClientIp = text => isAdmin ? text : text.replace(/(client\s+ip:\s*)([^\n\r]*)/gi, (match, prefix, ipPart) => {
+    // 将 IP 地址中的每个字符（除了 . 和空格）替换为 *
+    const maskedIp = ipPart.replace(/[^.\s\n\r]/g, '*');
+    return prefix + maskedIp;
+  });
+
+  if (url?.searchParams.get('format') === 'json') {
+    return jsonResponse({
+      success: true,
+      logs: records.map(record => ({ ...record, message: maskClientIp(record.message) }))
+    });
+  }
+
+  const logText = records
     .map(
       (log) =>
         `[${log.timestamp}] ${log.level}: ${formatLogMessage(log.message)}`
     )
     .join("\n");
-    
-  // 检查当前 token 是否为 admin_token
-  let processedLogText = logText;
-  if (globals.currentToken !== globals.adminToken) {
-    // 隐藏 client ip 地址，将 "client ip: 127.0.0.1" 中的 IP 地址部分替换为相同长度的 *，但保留 .
-    processedLogText = logText.replace(/(client\s+ip:\s*)([^\n\r]*)/gi, (match, prefix, ipPart) => {
-      // 将 IP 地址中的每个字符（除了 . 和空格）替换为 *
-      const maskedIp = ipPart.replace(/[^.\s\n\r]/g, '*');
-      return prefix + maskedIp;
-    });
-  }
-  
-  return new Response(processedLogText, { headers: { "Content-Type": "text/plain; charset=utf-8" } });
+
+  return new Response(maskClientIp(logText), { headers: { "Content-Type": "text/plain; charset=utf-8" } });
 }
 
 /**
@@ -179,9 +196,17 @@ export async function handleClearCache(req) {
     episodeIds: () => { globals.episodeIds = []; },
     episodeNum: () => { globals.episodeNum = 10001; }, // 重置为初始值
     lastSelectMap: () => { globals.lastSelectMap = new Map(); }, // 重新创建 Map 对象
+    aiMatchCache: () => { globals.aiMatchCache = {}; }, // 清空后同一文件会重新请求 AI 匹配
+    aiModerationCache: () => {
+      globals.aiModerationCache = {}; // 清空后弹幕会重新请求 AI 审核
+      globals.aiModerationReports = [];
+    },
     // 清理搜索和弹幕缓存
     searchCache: () => { globals.searchCache = new Map(); },
-    commentCache: () => { globals.commentCache = new Map(); },
+    commentCache: () => {
+      globals.commentCache = new Map();
+      globals.commentHistory = new Map();
+    },
     requestHistory: () => {
       globals.requestHistory = new Map();
       globals.reqRecords = []; // 清空请求记录
@@ -259,6 +284,27 @@ export async function handleClearCache(req) {
       log("warn", `[system] [server] LocalRedis may not be available: ${redisError.message}`);
     }
 
+    try {
+      // 开启 REDIS_SHARED_CACHE 时一并删除 Redis 中按条保存的搜索 / 弹幕缓存，避免清理后又从 Redis 恢复
+      const { clearSharedCache } = await import("../utils/shared-cache-util.js");
+      if (effectiveItems.includes("searchCache")) await clearSharedCache("search");
+      if (effectiveItems.includes("commentCache")) await clearSharedCache("comment");
+    } catch (sharedError) {
+      log("warn", `[system] [server] Shared Redis cache may not be available: ${sharedError.message}`);
+    }
+
+    try {
+      // 如果SQLite有效，更新SQLite存储，清理弹幕缓存时一并清空保存的弹幕
+      if (globals.sqliteValid) {
+        const { updateSqliteCaches, clearSqliteComments } = await import("../utils/sqlite-util.js");
+        await updateSqliteCaches();
+        if (effectiveItems.includes("commentCache")) clearSqliteComments();
+        log("info", `[system] [server] SQLite cache cleared successfully`);
+      }
+    } catch (sqliteError) {
+      log("warn", `[system] [server] SQLite may not be available: ${sqliteError.message}`);
+    }
+
     const clearedItems = {};
     for (const key of effectiveItems) {
       if (key === "requestHistory") {
@@ -305,15 +351,16 @@ function maskParamValues(value) {
 
 /**
  * 处理获取请求记录的请求
- * @returns {Response} 包含请求记录的响应
+ * @returns {Response} 包含请求记录、今日请求数与各 API 密钥用量的响应
  */
 export function handleReqRecords() {
   // 返回请求记录，按时间倒序排列（最新的在前）
   let records = [...globals.reqRecords].reverse();
   const todayReqNum = globals.todayReqNum || 0;
+  const isAdmin = isAdminRequest();
   
-  // 非 admin token 时，对请求记录脱敏：IP / 接口查询值 / 请求体值
-  if (globals.currentToken !== globals.adminToken) {
+  // 非管理员请求时，对请求记录脱敏：IP / 接口查询值 / 请求体值
+  if (!isAdmin) {
     records = records.map(record => {
       const masked = { ...record };
       if (masked.clientIp) {
@@ -332,7 +379,76 @@ export function handleReqRecords() {
     });
   }
   
-  return jsonResponse({ records, todayReqNum }, 200);
+  // API 密钥的名称、权限、配额与用量仅返回给管理员
+  return jsonResponse({ records, todayReqNum, ...(isAdmin ? { apiKeys: getApiKeyUsageSnapshot() } : {}) }, 200);
+}
+
+/**
+ * 处理获取 OpenAPI 文档的请求
+ * @param {URL} url 请求地址，用于生成 servers
+ * @returns {Response} OpenAPI 3 文档
+ */
+export function handleOpenApiSpec(url) {
+  return jsonResponse(buildOpenApiSpec(url.origin), 200);
+}
+
+/**
+ * 处理 Prometheus 指标抓取请求
+ * @returns {Response} Prometheus 文本格式的指标
+ */
+export function handleMetrics() {
+  const metrics = renderMetrics({
+    cacheEntries: {
+      search: globals.searchCache?.size || 0,
+      comment: globals.commentCache?.size || 0
+    }
+  });
+  return new Response(metrics, {
+    headers: {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
+
+/**
+ * 处理获取弹幕源健康状态的请求
+ * @returns {Response} 包含各源熔断状态、失败率与耗时的响应
+ */
+export function handleSourceHealth() {
+  return jsonResponse({
+    success: true,
+    threshold: globals.sourceBreakerThreshold,
+    cooldown: globals.sourceBreakerCooldown,
+    sources: getSourceHealthSnapshot()
+  }, 200);
+}
+
+/**
+ * 处理获取 AI 弹幕审核状态的请求
+ * @returns {Response} 包含审核配置、判定缓存数量与最近审核记录的响应
+ */
+export function handleAiModeration() {
+  return jsonResponse({ success: true, ...getAiModerationSnapshot() }, 200);
+}
+
+/**
+ * 处理重置弹幕源健康状态的请求
+ * @param {Request} [req] 可选请求体 { source: string }，未提供时重置全部源
+ * @returns {Response} 表示操作结果的响应
+ */
+export async function handleResetSourceHealth(req) {
+  let source = null;
+  try {
+    const body = await req.json();
+    source = typeof body?.source === 'string' && body.source.trim() ? body.source.trim() : null;
+  } catch (e) {
+    // 无请求体时重置全部
+  }
+
+  resetSourceHealth(source);
+  log("info", `[system] [source-health] 已重置源健康状态: ${source || '全部'}`);
+  return jsonResponse({ success: true, message: source ? `Source ${source} health reset` : "All source health reset" }, 200);
 }
 
 /**
@@ -5,6 +5,8 @@
 import { danAnyFormats } from '../utils/dan-any.js';
 import { parseOffsetRules } from '../utils/offset-util.js';
 import { parseAutoMatchMappingRules } from '../utils/auto-match-mapping-util.js';
+import { API_KEY_SCOPES, RATE_LIMIT_ALGORITHMS, RATE_LIMIT_POLICY_NAMES } from './routes.js';
+import { getAllowedSources, getAllowedPlatforms, getVodAllowedPlatforms, getMergeAllowedSources, getDefaultSourceOrder } from '../sources/registry.js';
 
 export class Envs {
   static env;
@@ -17,13 +19,18 @@ export class Envs {
   static systemEnvBackup = null;
   static rawEnvValues = null;
 
-  // 允许在值中写入 # 等 dotenv 视为注释字符的文本类变量；读取时绕过 dotenv 截断以保留完整内容。仅纳入 encrypt=false 变量（带令牌/密码 URL 若入此集合会绕过加密返回明文，故禁止纳入）。
-  static RAW_ENV_KEYS = new Set(['AI_MATCH_PROMPT', 'ANIME_TITLE_FILTER', 'AUTO_MATCH_MAPPING_TABLE', 'BLOCKED_WORDS', 'COLOR_POOL', 'CUSTOM_MERGE_RULES', 'DANMU_OFFSET', 'DANMU_PUSH_URL', 'EPISODE_TITLE_FILTER', 'IP_BLACKLIST', 'OTHER_SERVER', 'TITLE_MAPPING_TABLE', 'TITLE_NOISE_FILTER', 'VOD_SERVERS']);
+  // 规则库（utils/rule-store-util.js）接管的规则类变量：键为变量名，值为启用规则拼接后的文本，存在时代替环境变量
+  static ruleOverrides = new Map();
 
-  static VOD_ALLOWED_PLATFORMS = ['qiyi', 'bilibili1', 'imgo', 'youku', 'qq', 'migu', 'sohu', 'leshi', 'xigua', 'maiduidui', 'aiyifan']; // vod允许的播放平台
-  static ALLOWED_PLATFORMS = ['qiyi', 'bilibili1', 'imgo', 'youku', 'qq', 'migu', 'renren', 'hanjutv', 'sohu', 'leshi', 'xigua', 'maiduidui', 'aiyifan', 'hongguo', 'dandan', 'bahamut', 'animeko', 'custom']; // 全部源允许的播放平台
-  static ALLOWED_SOURCES = ['360', 'vod', 'tmdb', 'douban', 'tencent', 'youku', 'iqiyi', 'imgo', 'bilibili', 'migu', 'renren', 'hanjutv', 'sohu', 'leshi', 'xigua', 'maiduidui', 'aiyifan', 'hongguo', 'dandan', 'bahamut', 'animeko', 'custom']; // 允许的源
-  static MERGE_ALLOWED_SOURCES = ['tencent', 'youku', 'iqiyi', 'imgo', 'bilibili', 'migu', 'renren', 'hanjutv', 'sohu', 'leshi', 'xigua', 'maiduidui', 'aiyifan', 'hongguo', 'dandan', 'bahamut', 'animeko']; // 允许的源合并
+  // 允许在值中写入 # 等 dotenv 视为注释字符的文本类变量；读取时绕过 dotenv 截断以保留完整内容。仅纳入 encrypt=false 变量（带令牌/密码 URL 若入此集合会绕过加密返回明文，故禁止纳入）。
+  static RAW_ENV_KEYS = new Set(['AI_MATCH_PROMPT', 'ANIME_TITLE_FILTER', 'AUTO_MATCH_MAPPING_TABLE', 'BLOCKED_WORDS', 'COLOR_POOL', 'CUSTOM_MERGE_RULES', 'DANMU_OFFSET', 'DANMU_PUSH_URL', 'EPISODE_TITLE_FILTER', 'IP_BLACKLIST', 'OTHER_SERVER', 'RATE_LIMIT_ALLOWLIST', 'TITLE_MAPPING_TABLE', 'TITLE_NOISE_FILTER', 'VOD_SERVERS']);
+
+  // 源/平台可选项由源注册表（sources/registry.js）按各源 meta 汇总，新增源无需在此维护
+  static get VOD_ALLOWED_PLATFORMS() { return getVodAllowedPlatforms(); } // vod允许的播放平台
+  static get ALLOWED_PLATFORMS() { return getAllowedPlatforms(); } // 全部源允许的播放平台
+  static get ALLOWED_SOURCES() { return getAllowedSources(); } // 允许的源
+  static get MERGE_ALLOWED_SOURCES() { return getMergeAllowedSources(); } // 允许的源合并
+  static AI_MODERATION_CATEGORIES = ['spoiler', 'abuse', 'ad']; // AI 弹幕审核类别：剧透、辱骂引战、广告刷屏
   static DEFAULT_AI_MATCH_PROMPT = `你是一个专业的影视匹配专家，你的的任务是根据用户提供的 JSON 数据，从候选动漫列表中匹配最符合条件的动漫及集数。
 
 输入字段说明：
@@ -38,9 +45,11 @@ export class Envs {
     animeTitle: 动漫标题，(年份)前面才是真实的标题
 	aliases: 动漫标题的别名，视情况可以作为(动漫标题)看待
     type: 类型
-    startDate: 发布日期，有年份
+    typeDescription: 类型描述，如 TV动画、剧场版、电视剧、电影
+    year: 发布年份
     episodeCount: 总集数
     source: 弹幕来源
+    episodes: 剧集列表（episodeId、episodeNumber 序号、episodeTitle 集标题），集数较多时只包含目标集附近的部分
 
 匹配规则 (按优先级排序):
 1. 如果preferAnimeId非空，且animes存在该animeId，则返回该id对应的anime和episode
@@ -51,16 +60,24 @@ export class Envs {
 6. 平台匹配：如果有多个高度相似的结果且dynamicPlatformOrder非空，则从前往后选择相对应的平台
 7. 集数完整: 如果有多个高度相似的结果,选择集数最完整的
 
-请分析哪个动漫最符合查询条件，如果指定了季数和集数，请也返回对应的集信息。
+请分析哪个动漫最符合查询条件，如果指定了集数，请根据集标题从该动漫的 episodes 中选出对应的集。
 请严格按照以下 JSON 格式返回结果，不要包含任何其他内容：
 {
-  "animeIndex": 匹配的动漫在列表中的索引(从0开始) 或 null
+  "animeIndex": 匹配的动漫在列表中的索引(从0开始) 或 null,
+  "episodeId": 所选动漫 episodes 中对应集的 episodeId，未指定集数时为 null,
+  "confidence": 0 到 1 之间的置信度,
+  "reason": 简短的匹配理由
 }
 
 如果没有找到合适的匹配，返回：
 {
-  "animeIndex": null
-}`;
+  "animeIndex": null,
+  "episodeId": null,
+  "confidence": 0,
+  "reason": "未找到匹配的理由"
+}
+
+episodeId 必须来自所选动漫的 episodes 列表。如果回答不符合要求，用户会指出问题，请修正后重新回答。`;
 
   /**
    * 获取环境变量
@@ -109,6 +126,16 @@ export class Envs {
     return parsedValue;
   }
 
+  /**
+   * 获取规则类变量的生效文本：规则库接管时返回规则库中的启用规则，否则返回环境变量
+   * @param {string} key 环境变量的键
+   * @returns {string}
+   */
+  static getRuleSource(key) {
+    const envValue = this.get(key, '', 'string');
+    return this.ruleOverrides.has(key) ? this.ruleOverrides.get(key) : envValue;
+  }
+
   /**
    * 设置环境变量
    * @param {string} key 环境变量的键
@@ -219,16 +246,18 @@ export class Envs {
    * @returns {Array} 源排序数组
    */
   static resolveSourceOrder() {
-    let sourceOrder = this.get('SOURCE_ORDER', 'douban,360,renren,hanjutv', 'string');
+    const defaultOrder = getDefaultSourceOrder();
+    let sourceOrder = this.get('SOURCE_ORDER', defaultOrder.join(','), 'string');
 
+    const allowedSources = this.ALLOWED_SOURCES;
     const orderArr = sourceOrder
       .split(',')
       .map(s => s.trim())
-      .filter(s => this.ALLOWED_SOURCES.includes(s));
+      .filter(s => allowedSources.includes(s));
 
     this.accessedEnvVars.set('SOURCE_ORDER', orderArr);
 
-    return orderArr.length > 0 ? orderArr : ['douban', '360', 'renren', 'hanjutv'];
+    return orderArr.length > 0 ? orderArr : defaultOrder;
   }
 
   /**
@@ -309,7 +338,7 @@ export class Envs {
    * @returns {Array} 解析后的规则对象列表
    */
   static resolveCustomMergeRules() {
-    const raw = this.get('CUSTOM_MERGE_RULES', '', 'string').trim();
+    const raw = this.getRuleSource('CUSTOM_MERGE_RULES').trim();
     if (!raw) return [];
     
     const rules = [];
@@ -318,80 +347,101 @@ export class Envs {
     for (const rStr of ruleStrs) {
       if (!rStr.trim()) continue;
       try {
-        const parts = rStr.split('|');
-        const entities = parts[0];
-        const routesStr = parts[1] || '';
-
-        let secStr, primStr;
-        let action = 'merge';
-
-        if (entities.includes('->')) {
-          [secStr, primStr] = entities.split('->').map(s => s.trim());
-        } else if (entities.includes('×')) {
-          [secStr, primStr] = entities.split('×').map(s => s.trim());
-          action = 'block';
-        } else {
-          continue;
-        }
+        const { rule } = this.parseCustomMergeRule(rStr);
+        if (rule) rules.push(rule);
+      } catch (e) {
+        console.warn(`[Envs] 解析合并映射表规则失败: ${rStr}`, e);
+      }
+    }
 
-        if (!secStr || !primStr) continue;
+    return rules;
+  }
 
-        // 解析实体信息：提取标题、季数、来源平台
-        const parseEntity = (str) => {
-          const match = str.match(/^(.+?)(?:\/S(\d+))?@([a-zA-Z0-9_&]+)$/i);
+  /**
+   * 解析单条合并映射规则
+   * @param {string} rStr 单条规则文本
+   * @returns {{rule: Object|null, error: string|null, warnings: string[]}} 无效规则返回 error，被忽略的路由段等返回 warnings
+   */
+  static parseCustomMergeRule(rStr) {
+    const warnings = [];
+    const parts = rStr.split('|');
+    const entities = parts[0];
+    const routesStr = parts[1] || '';
+
+    let secStr, primStr;
+    let action = 'merge';
+
+    if (entities.includes('->')) {
+      [secStr, primStr] = entities.split('->').map(s => s.trim());
+    } else if (entities.includes('×')) {
+      [secStr, primStr] = entities.split('×').map(s => s.trim());
+      action = 'block';
+    } else {
+      return { rule: null, error: '缺少 -> (合并) 或 × (阻断) 操作符', warnings };
+    }
+
+    if (!secStr || !primStr) return { rule: null, error: '副源或主源实体为空', warnings };
+
+    // 解析实体信息：提取标题、季数、来源平台
+    const parseEntity = (str) => {
+      const match = str.match(/^(.+?)(?:\/S(\d+))?@([a-zA-Z0-9_&]+)$/i);
+      if (match) {
+        return {
+          title: match[1].trim(),
+          season: match[2] ? parseInt(match[2], 10) : null,
+          source: match[3].toLowerCase()
+        };
+      }
+      return null;
+    };
+
+    const secEntity = parseEntity(secStr);
+    const primEntity = parseEntity(primStr);
+    if (!secEntity) return { rule: null, error: `副源实体格式无效，应为 剧名[/S季数]@来源: ${secStr}`, warnings };
+    if (!primEntity) return { rule: null, error: `主源实体格式无效，应为 剧名[/S季数]@来源: ${primStr}`, warnings };
+
+    for (const entity of [secEntity, primEntity]) {
+      const unknown = entity.source.split('&').filter(source => source && !this.MERGE_ALLOWED_SOURCES.includes(source));
+      if (unknown.length > 0) warnings.push(`来源 ${unknown.join('&')} 不在可合并的源列表中`);
+    }
+
+    // 解析路由规则：提取对应的单集或区间映射
+    const routes = [];
+    let hasRoutes = false;
+
+    if (action === 'block' && routesStr.trim()) {
+      warnings.push('阻断规则不支持路由，| 之后的内容将被忽略');
+    }
+    if (action === 'merge' && routesStr.trim()) {
+      hasRoutes = true;
+      const routeParts = routesStr.split(',');
+      for (const rp of routeParts) {
+        if (!rp.trim()) continue;
+        const [sPart, pPart] = rp.split('>').map(s => s.trim());
+
+        const parseRange = (r) => {
+          const match = r.match(/^E(\d+)(?:~E(\d+))?$/i);
           if (match) {
             return {
-              title: match[1].trim(),
-              season: match[2] ? parseInt(match[2], 10) : null,
-              source: match[3].toLowerCase()
+              start: parseInt(match[1], 10),
+              end: match[2] ? parseInt(match[2], 10) : parseInt(match[1], 10)
             };
           }
           return null;
         };
 
-        const secEntity = parseEntity(secStr);
-        const primEntity = parseEntity(primStr);
-        if (!secEntity || !primEntity) continue;
+        const sRange = sPart && pPart ? parseRange(sPart) : null;
+        const pRange = sPart && pPart ? parseRange(pPart) : null;
 
-        // 解析路由规则：提取对应的单集或区间映射
-        const routes = [];
-        let hasRoutes = false;
-        
-        if (action === 'merge' && routesStr.trim()) {
-          hasRoutes = true;
-          const routeParts = routesStr.split(',');
-          for (const rp of routeParts) {
-            if (!rp.trim()) continue;
-            const [sPart, pPart] = rp.split('>').map(s => s.trim());
-            if (!sPart || !pPart) continue;
-
-            const parseRange = (r) => {
-              const match = r.match(/^E(\d+)(?:~E(\d+))?$/i);
-              if (match) {
-                return {
-                  start: parseInt(match[1], 10),
-                  end: match[2] ? parseInt(match[2], 10) : parseInt(match[1], 10)
-                };
-              }
-              return null;
-            };
-            
-            const sRange = parseRange(sPart);
-            const pRange = parseRange(pPart);
-            
-            if (sRange && pRange) {
-              routes.push({ sec: sRange, prim: pRange });
-            }
-          }
+        if (sRange && pRange) {
+          routes.push({ sec: sRange, prim: pRange });
+        } else {
+          warnings.push(`路由段格式无效，已忽略: ${rp.trim()}`);
         }
-        
-        rules.push({ action, secondary: secEntity, primary: primEntity, routes, hasRoutes });
-      } catch (e) {
-        console.warn(`[Envs] 解析合并映射表规则失败: ${rStr}`, e);
       }
     }
 
-    return rules;
+    return { rule: { action, secondary: secEntity, primary: primEntity, routes, hasRoutes }, error: null, warnings };
   }
 
   /**
@@ -458,15 +508,109 @@ export class Envs {
   }
 
   /**
-   * 解析 IP 黑名单列表
+   * 解析多 API 密钥配置
+   * @description 多个密钥使用分号或换行分隔，每个密钥格式：名称:密钥:权限:每分钟请求上限:每日配额，
+   * 权限为 read / favorite / admin 中的一个或多个（逗号分隔，默认 read），上限与配额为 0 或省略时不限制。
+   * 密钥作为路径前缀使用，只允许字母、数字、下划线和短横线，长度 8~64。
+   * @returns {Array<{name: string, key: string, scopes: string[], rateLimit: number, dailyQuota: number}>} 密钥列表
+   */
+  static resolveApiKeys() {
+    const rawList = this.get('API_KEYS', '', 'string', true).trim();
+    if (!rawList) return [];
+
+    const apiKeys = [];
+    for (const entry of rawList.split(/[\n;]+/).map(item => item.trim()).filter(Boolean)) {
+      const [name, key, scopeText = '', rateLimit = '', dailyQuota = ''] = entry.split(':').map(part => part.trim());
+      const scopes = scopeText
+        ? [...new Set(scopeText.split(',').map(scope => scope.trim().toLowerCase()).filter(Boolean))]
+        : ['read'];
+
+      if (!name || !/^[A-Za-z0-9_-]{8,64}$/.test(key || '')) {
+        console.warn(`Invalid API_KEYS entry for "${name || ''}": key must be 8-64 letters, digits, _ or -, skipped.`);
+        continue;
+      }
+      if (scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        console.warn(`Invalid API_KEYS scopes for "${name}": ${scopeText}, skipped.`);
+        continue;
+      }
+      if (apiKeys.some(item => item.name === name || item.key === key)) {
+        console.warn(`Duplicate API_KEYS entry for "${name}", skipped.`);
+        continue;
+      }
+
+      apiKeys.push({
+        name,
+        key,
+        scopes,
+        rateLimit: Math.max(0, parseInt(rateLimit, 10) || 0),
+        dailyQuota: Math.max(0, parseInt(dailyQuota, 10) || 0)
+      });
+    }
+    return apiKeys;
+  }
+
+  /**
+   * 解析限流策略
+   * @description 多条策略用分号或换行分隔，格式：策略名:算法:次数/窗口秒数，例如 search:sliding-window:30/60;match:token-bucket:10/60。
+   * 策略名为 configs/routes.js 中 RATE_LIMIT_POLICY_NAMES 之一，算法为 sliding-window（滑动窗口）或 token-bucket（令牌桶），次数为 0 表示该策略不限流
+   * @returns {Object} 策略名 -> { algorithm, limit, windowMs }
+   */
+  static resolveRateLimitPolicies() {
+    const rawList = this.get('RATE_LIMIT_POLICIES', '', 'string').trim();
+    if (!rawList) return {};
+
+    const policies = {};
+    for (const entry of rawList.split(/[\n;]+/).map(item => item.trim()).filter(Boolean)) {
+      const [name, algorithm, quota = ''] = entry.split(':').map(part => part.trim().toLowerCase());
+      const match = quota.match(/^(\d+)\/(\d+)$/);
+
+      if (!RATE_LIMIT_POLICY_NAMES.includes(name)) {
+        console.warn(`Invalid RATE_LIMIT_POLICIES entry: unknown policy "${name}", skipped.`);
+        continue;
+      }
+      if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+        console.warn(`Invalid RATE_LIMIT_POLICIES entry for "${name}": unknown algorithm "${algorithm}", skipped.`);
+        continue;
+      }
+      if (!match || Number(match[2]) <= 0) {
+        console.warn(`Invalid RATE_LIMIT_POLICIES entry for "${name}": expected limit/windowSeconds, got "${quota}", skipped.`);
+        continue;
+      }
+
+      policies[name] = { algorithm, limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+    }
+    return policies;
+  }
+
+  /**
+   * 解析 AI 弹幕审核需要丢弃的类别
+   * @description 逗号分隔，可选 spoiler（剧透）、abuse（辱骂引战）、ad（广告刷屏），未配置时不启用 AI 审核
+   * @returns {Array<string>} 类别列表
+   */
+  static resolveAiModerationCategories() {
+    const categories = this.get('AI_MODERATION_CATEGORIES', '', 'string')
+      .split(/[,，]/)
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean);
+
+    const invalid = categories.filter(item => !this.AI_MODERATION_CATEGORIES.includes(item));
+    if (invalid.length > 0) {
+      console.warn(`Invalid AI_MODERATION_CATEGORIES entries skipped: ${invalid.join(', ')}`);
+    }
+    return [...new Set(categories.filter(item => this.AI_MODERATION_CATEGORIES.includes(item)))];
+  }
+
+  /**
+   * 解析 IP 规则列表（IP_BLACKLIST、RATE_LIMIT_ALLOWLIST）
    * @description 支持逗号/分号/换行分隔，支持 /regex/ 或 /regex/i 的正则格式，支持 IPv4/IPv6 CIDR（如 127.0.0.0/24、2001:db8::/64）
-   * @returns {Array} IP 黑名单规则列表
+   * @param {string} envKey 环境变量名
+   * @returns {Array} IP 规则列表
    */
-  static resolveIpBlacklist() {
-    const rawList = this.get('IP_BLACKLIST', '', 'string', false).trim();
+  static resolveIpRules(envKey) {
+    const rawList = this.get(envKey, '', 'string', false).trim();
 
     if (!rawList) {
-      this.accessedEnvVars.set('IP_BLACKLIST', []);
+      this.accessedEnvVars.set(envKey, []);
       return [];
     }
 
@@ -512,11 +656,11 @@ export class Envs {
         const escaped = entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         rules.push({ type: 'regex', value: new RegExp(`^${escaped}$`) });
       } catch (error) {
-        console.warn(`Invalid IP_BLACKLIST entry: ${entry}, skipped.`);
+        console.warn(`Invalid ${envKey} entry: ${entry}, skipped.`);
       }
     }
 
-    this.accessedEnvVars.set('IP_BLACKLIST', entries);
+    this.accessedEnvVars.set(envKey, entries);
 
     return rules;
   }
@@ -640,7 +784,7 @@ export class Envs {
    * @returns {Map} 剧名映射表
    */
   static resolveTitleMappingTable() {
-    const mappingStr = this.get('TITLE_MAPPING_TABLE', '', 'string').trim();
+    const mappingStr = this.getRuleSource('TITLE_MAPPING_TABLE').trim();
     const mappingTable = new Map();
 
     if (!mappingStr) {
@@ -662,7 +806,7 @@ export class Envs {
   }
 
   static resolveAutoMatchMappingTable() {
-    const mappingStr = this.get('AUTO_MATCH_MAPPING_TABLE', '', 'string').trim();
+    const mappingStr = this.getRuleSource('AUTO_MATCH_MAPPING_TABLE').trim();
     const { rules, warnings } = parseAutoMatchMappingRules(mappingStr, this.ALLOWED_PLATFORMS);
     warnings.forEach(message => console.warn(`[auto-match-mapping] ${message}`));
     return rules;
@@ -690,11 +834,19 @@ export class Envs {
       // API配置
       'TOKEN': { category: 'api', type: 'text', description: 'API访问令牌' },
       'ADMIN_TOKEN': { category: 'api', type: 'text', description: '系统管理访问令牌' },
+      'API_KEYS': { category: 'api', type: 'text', description: '多 API 密钥，分享给他人时按密钥分配权限与额度。多个密钥用分号或换行分隔，格式：名称:密钥:权限:每分钟请求上限:每日配额，权限为 read（搜索/匹配/弹幕）、favorite（收藏写入）、admin（系统管理）逗号组合，上限与配额填 0 表示不限。例如：friend:Kx8sP2mQ9vLr:read:30:1000' },
       'FAVORITE_REQUIRE_ADMIN': { category: 'api', type: 'boolean', description: '收藏写入和管理接口是否必须使用 ADMIN_TOKEN，默认关闭；收藏列表始终可公开读取' },
+      'FAVORITE_PREFETCH_EPISODES': { category: 'api', type: 'number', description: '收藏刷新发现新集时，预取每个搜索结果最新 N 集弹幕写入缓存，默认0关闭；Cloudflare 需配置 Cron Trigger 与 Upstash Redis', min: 0, max: 10 },
+      'FAVORITE_WEBHOOK_URL': { category: 'api', type: 'text', description: '收藏定时刷新通知的 Webhook 地址，发现新集数或刷新失败时 POST JSON，只支持本地部署和docker部署' },
+      'FAVORITE_TELEGRAM_BOT_TOKEN': { category: 'api', type: 'text', description: '收藏定时刷新通知的 Telegram Bot Token，需同时配置 FAVORITE_TELEGRAM_CHAT_ID' },
+      'FAVORITE_TELEGRAM_CHAT_ID': { category: 'api', type: 'text', description: '收藏定时刷新通知的 Telegram Chat ID' },
+      'FAVORITE_BARK_URL': { category: 'api', type: 'text', description: '收藏定时刷新通知的 Bark 推送地址，示例：https://api.day.app/你的key' },
       'RATE_LIMIT_MAX_REQUESTS': { category: 'api', type: 'number', description: '限流配置：1分钟内最大请求次数，0表示不限流，默认3', min: 0, max: 50 },
+      'RATE_LIMIT_POLICIES': { category: 'api', type: 'text', description: '按接口分组的限流策略，多条用分号或换行分隔，格式：策略名:算法:次数/窗口秒数。策略名为 search（搜索）、match（匹配）、comment（弹幕）、segmentcomment（分片弹幕），算法为 sliding-window 或 token-bucket，次数填 0 表示不限流。未配置 comment 时沿用 RATE_LIMIT_MAX_REQUESTS。配置了 Redis 时限流计数在多个实例间共享。例如：search:sliding-window:30/60;match:token-bucket:10/60' },
+      'RATE_LIMIT_ALLOWLIST': { category: 'api', type: 'text', description: '限流白名单，命中的 IP 不受 RATE_LIMIT_MAX_REQUESTS / RATE_LIMIT_POLICIES 限制，格式同 IP_BLACKLIST，支持精确 IP、/regex/ 正则与 IPv4/IPv6 CIDR' },
 
       // 源配置
-      'SOURCE_ORDER': { category: 'source', type: 'multi-select', options: this.ALLOWED_SOURCES, description: '源排序配置，默认douban,360,renren,hanjutv' },
+      'SOURCE_ORDER': { category: 'source', type: 'multi-select', options: this.ALLOWED_SOURCES, description: `源排序配置，默认${getDefaultSourceOrder().join(',')}` },
       'MERGE_SOURCE_PAIRS': { category: 'source', type: 'multi-select', options: this.MERGE_ALLOWED_SOURCES, description: '源合并配置，配置后将对应源合并同时一起获取弹幕返回，允许多组，允许多源，允许填单源表示保留原结果，一组中第一个为主源其余为副源，副源往主源合并，主源如果没有结果会轮替下一个作为主源。\n格式：源1&源2&源3 ，多组用逗号分隔。\n示例：dandan&animeko&bahamut,bilibili&animeko,dandan' },
       'CUSTOM_MERGE_RULES': { category: 'source', type: 'text', sources: this.MERGE_ALLOWED_SOURCES, description: '合并映射表，用于自定义源合并行为。\n格式1(合并)：副源剧名/S季数@来源 -> 主源剧名/S季数@来源 | E副源集数>E主源集数\n格式2(阻断)：副源剧名/S季数@来源 × 主源剧名/S季数@来源\n说明：[/S季数] 与 [|路由规则] 为可选项，留空则交由程序判断。多个规则用分号隔开，多段路由用逗号分隔。\n示例：\n1. 常规合并：天气之子@bilibili -> 天气之子@dandan\n2. 多集路由：我推的孩子/S01@bahamut -> 我推的孩子/S03@dandan | E25~E35>E25~E35\n3. 阻断合并：辉夜大小姐想让我告白？～天才们的恋爱头脑战～(2020)@bilibili × 辉夜大小姐想让我告白～天才们的恋爱头脑战～ OVA(2021)【OVA】@dandan' },
       'OTHER_SERVER': { category: 'source', type: 'text', description: '第三方弹幕服务器，默认https://api.danmu.icu' },
@@ -705,6 +857,8 @@ export class Envs {
       'BILIBILI_COOKIE': { category: 'source', type: 'text', description: 'B站Cookie' },
       'DOUBAN_COOKIE': { category: 'source', type: 'text', description: '豆瓣Cookie' },
       'YOUKU_CONCURRENCY': { category: 'source', type: 'number', description: '优酷并发配置，默认8', min: 1, max: 16 },
+      'SOURCE_BREAKER_THRESHOLD': { category: 'source', type: 'number', description: '源熔断阈值：单个源连续失败达到该次数后暂时跳过该源，0表示不熔断，默认5', min: 0, max: 50 },
+      'SOURCE_BREAKER_COOLDOWN': { category: 'source', type: 'number', description: '源熔断冷却时间（秒），冷却结束后放行一次探测请求，成功则恢复，默认60', min: 10, max: 3600 },
       'NIPAPLAY_REPLACE_DANDAN': { category: 'source', type: 'boolean', description: 'NipaPlay 弹弹302关联弹幕替代开关（用于 dandan 源）。\n默认为 false（关闭，使用弹弹原生弹幕），可选值：true、false。\n开启后 dandan 源以 nipaplay 弹弹302关联弹幕替代弹弹原生弹幕，因使用的是项目链路获取弹幕所以：\n1.会丢失弹弹平台弹幕\n2.无法获取下架视频\n3.如果关联中有巴哈姆特平台需要确保能够连通巴哈' },
       
       // 匹配配置
@@ -727,12 +881,24 @@ export class Envs {
       // 弹幕配置
       'BLOCKED_WORDS': { category: 'danmu', type: 'text', description: '屏蔽词列表' },
       'GROUP_MINUTE': { category: 'danmu', type: 'number', description: '分钟内合并去重（0表示不去重），默认1', min: 0, max: 30 },
+      'DANMU_DENSITY_LIMIT': { category: 'danmu', type: 'text', description: '弹幕密度限制，格式：条数/秒数，如 30/10 表示每 10 秒最多 30 条，超出时优先保留多源确认、点赞多的弹幕，默认为空表示不限制，可通过请求参数 density 覆盖' },
+      'DANMU_NEAR_DUPLICATE_WINDOW': { category: 'danmu', type: 'number', description: '近似重复刷屏检测窗口（秒），窗口内与更早弹幕高度相似（只改了几个字或标点）的弹幕会被移除，0表示不检测，默认0', min: 0, max: 60 },
+      'DANMU_NEAR_DUPLICATE_SIMILARITY': { category: 'danmu', type: 'number', description: '近似重复判定的相似度阈值（百分比），按去除标点、表情并压缩重复字后的文本计算，默认80', min: 50, max: 100 },
+      'DANMU_REPEAT_CHAR_LIMIT': { category: 'danmu', type: 'number', description: '重复字符刷屏上限，同一字符或两字组合连续重复超过该长度的弹幕（如「哈哈哈哈哈哈哈哈」）会被移除，0表示不检测，默认0', min: 0, max: 50 },
+      'DANMU_FILTER_EMOJI_ONLY': { category: 'danmu', type: 'boolean', description: '是否移除只包含表情（emoji 或 [doge] 等表情代码）的弹幕，默认关闭' },
+      'DANMU_USER_FLOOD_LIMIT': { category: 'danmu', type: 'number', description: '单用户刷屏上限，同一用户 60 秒内超过该条数的弹幕会被移除，仅对提供用户哈希的来源（如 bilibili、芒果TV）生效，0表示不检测，默认0', min: 0, max: 100 },
       'DANMU_LIMIT': { category: 'danmu', type: 'number', description: '弹幕数量限制，单位为k，即千：默认 0，表示不限制弹幕数', min: 0, max: 100 },
+      'AI_MODERATION_CATEGORIES': { category: 'danmu', type: 'multi-select', options: this.AI_MODERATION_CATEGORIES, description: 'AI 弹幕审核丢弃的类别，需配置 AI_API_KEY：spoiler（剧透）、abuse（辱骂引战）、ad（广告刷屏），逗号分隔，默认为空表示不启用。同一文本的判定结果按哈希缓存，不同剧集中重复的弹幕只请求一次 AI' },
+      'AI_MODERATION_DRY_RUN': { category: 'danmu', type: 'boolean', description: 'AI 弹幕审核试运行模式，开启后只记录会被丢弃的弹幕而不实际删除，结果可在日志与 /api/ai/moderation 中查看，默认关闭' },
       'DANMU_SIMPLIFIED_TRADITIONAL': { category: 'danmu', type: 'select', options: ['default', 'simplified', 'traditional'], description: '弹幕简繁体转换设置：default（默认不转换）、simplified（繁转简）、traditional（简转繁）' },
       'CONVERT_TOP_BOTTOM_TO_SCROLL': { category: 'danmu', type: 'boolean', description: '顶部/底部弹幕转换为浮动弹幕' },
       'CONVERT_COLOR': { category: 'danmu', type: 'select', options: ['default', 'white', 'color'], description: '弹幕转换颜色配置' },
       'COLOR_POOL': { category: 'danmu', type: 'text', description: '自定义颜色池（CONVERT_COLOR为color时生效），不配置使用默认颜色池，格式：十进制颜色值逗号分隔' },
-      'DANMU_OUTPUT_FORMAT': { category: 'danmu', type: 'select', options: ['json', 'xml', ...danAnyFormats], description: '弹幕输出格式，默认json' },
+      'DANMU_OUTPUT_FORMAT': { category: 'danmu', type: 'select', options: ['json', 'xml', 'ass', ...danAnyFormats], description: '弹幕输出格式，默认json' },
+      'ASS_FONT_SIZE': { category: 'danmu', type: 'number', description: 'ASS字幕输出的弹幕字号（按ASS_RESOLUTION分辨率计算），默认48，可通过请求参数fontsize覆盖', min: 12, max: 128 },
+      'ASS_OPACITY': { category: 'danmu', type: 'number', description: 'ASS字幕输出的弹幕不透明度（百分比），默认80，可通过请求参数opacity覆盖', min: 10, max: 100 },
+      'ASS_DURATION': { category: 'danmu', type: 'number', description: 'ASS字幕输出的滚动弹幕显示时长（秒），顶部/底部弹幕停留其一半时长，默认10，可通过请求参数scrolltime覆盖', min: 3, max: 30 },
+      'ASS_RESOLUTION': { category: 'danmu', type: 'text', description: 'ASS字幕输出的画布分辨率，格式：宽x高，默认1920x1080，可通过请求参数resolution覆盖' },
       'DANMU_PUSH_URL': { category: 'danmu', type: 'text', description: '弹幕推送地址，示例 http://127.0.0.1:9978/action?do=refresh&type=danmaku&path= ' },
       'LIKE_SWITCH': { category: 'danmu', type: 'boolean', description: '弹幕点赞数显示开关，默认开启' },
       'HONGGUO_MERGE_ALL_EPISODES': { category: 'danmu', type: 'boolean', description: '红果短剧合并全集弹幕，默认关闭' },
@@ -742,12 +908,17 @@ export class Envs {
       'SEARCH_CACHE_MINUTES': { category: 'cache', type: 'number', description: '搜索结果缓存时间(分钟)，默认3', min: 1, max: 120 },
       'COMMENT_CACHE_MINUTES': { category: 'cache', type: 'number', description: '弹幕缓存时间(分钟)，默认3', min: 1, max: 120 },
       'COMMENT_CACHE_MIN_COUNT': { category: 'cache', type: 'number', description: '弹幕缓存最少条数，低于该值时重新获取，默认100，设置0关闭', min: 0, max: 10000 },
+      'COMMENT_STALE_MINUTES': { category: 'cache', type: 'number', description: '弹幕缓存过期后的宽限时间(分钟)，宽限期内先返回旧弹幕并在后台刷新，默认0关闭', min: 0, max: 1440 },
       'REMEMBER_LAST_SELECT': { category: 'cache', type: 'boolean', description: '记住明确手动选择的结果；自动匹配后直接获取其返回结果不会写入偏好' },
       'MAX_LAST_SELECT_MAP': { category: 'cache', type: 'number', description: '记住上次选择映射缓存大小限制，默认100', min: 10, max: 1000 },
       'MAX_ANIMES': { category: 'cache', type: 'number', description: '动漫标题缓存最大数量，默认100', min: 100, max: 1000 },
       'UPSTASH_REDIS_REST_URL': { category: 'cache', type: 'text', description: 'Upstash Redis请求链接' },
       'UPSTASH_REDIS_REST_TOKEN': { category: 'cache', type: 'text', description: 'Upstash Redis访问令牌' },
+      'REDIS_SHARED_CACHE': { category: 'cache', type: 'boolean', description: '搜索结果与弹幕缓存按条写入 Upstash / 本地 Redis（带过期时间），多实例共享，默认关闭' },
+      'REDIS_CACHE_MAX_KB': { category: 'cache', type: 'number', description: '写入 Redis 的单条搜索 / 弹幕缓存压缩后的大小上限(KB)，超过时不写入，默认512', min: 16, max: 4096 },
       'LOCAL_REDIS_URL': { category: 'cache', type: 'text', description: '本地 Redis 连接URL，示例：redis://:password@127.0.0.1:6379/0，只支持本地部署和docker部署' },
+      'SQLITE_DB_PATH': { category: 'cache', type: 'text', description: 'SQLite 数据库文件路径，配置后持久化番剧、剧集、弹幕和最后选择记录，相对路径基于项目根目录，示例：.cache/danmu.db，只支持本地部署和docker部署（需 Node 22.13+）' },
+      'SQLITE_RETENTION_DAYS': { category: 'cache', type: 'number', description: 'SQLite 中弹幕的保留天数，超过后自动清理，默认30，设置0永久保留', min: 0, max: 3650 },
       'BANGUMI_DATA_CACHE_DAYS': { category: 'cache', type: 'number', description: 'Bangumi Data 缓存有效期(天)，设置0则每次请求时强制异步更新，默认7天', min: 0, max: 30 },
 
       // 系统配置
@@ -755,6 +926,7 @@ export class Envs {
       'PROXY_URL': { category: 'system', type: 'text', description: '代理/反代地址' },
       'TMDB_API_KEY': { category: 'system', type: 'text', description: 'TMDB API密钥' },
       'LOG_LEVEL': { category: 'system', type: 'select', options: ['debug', 'info', 'warn', 'error'], description: '日志级别配置' },
+      'LOG_FORMAT': { category: 'system', type: 'select', options: ['text', 'json'], description: '控制台日志格式：text（默认）或 json（每行一条带 requestId 的结构化日志）' },
       'DEPLOY_PLATFROM_ACCOUNT': { category: 'system', type: 'text', description: '部署平台账号ID' },
       'DEPLOY_PLATFROM_PROJECT': { category: 'system', type: 'text', description: '部署平台项目名称' },
       'DEPLOY_PLATFROM_TOKEN': { category: 'system', type: 'text', description: '部署平台访问令牌' },
@@ -767,7 +939,13 @@ export class Envs {
       allowedPlatforms: this.ALLOWED_PLATFORMS,
       token: this.get('TOKEN', '87654321', 'string', true), // token，默认为87654321
       adminToken: this.get('ADMIN_TOKEN', '', 'string', true), // admin token，用于系统管理访问控制
+      apiKeys: this.resolveApiKeys(), // 多 API 密钥（权限、每分钟请求上限与每日配额）
       favoriteRequireAdmin: this.get('FAVORITE_REQUIRE_ADMIN', false, 'boolean'), // 收藏写入和管理接口是否必须使用 admin token；列表始终公开
+      favoritePrefetchEpisodes: this.get('FAVORITE_PREFETCH_EPISODES', 0, 'number'), // 收藏发现新集时预取的最新集数（默认 0，表示关闭）
+      favoriteWebhookUrl: this.get('FAVORITE_WEBHOOK_URL', '', 'string', true), // 收藏定时刷新通知 Webhook 地址（通用 JSON POST）
+      favoriteTelegramBotToken: this.get('FAVORITE_TELEGRAM_BOT_TOKEN', '', 'string', true), // 收藏定时刷新通知 Telegram Bot Token
+      favoriteTelegramChatId: this.get('FAVORITE_TELEGRAM_CHAT_ID', '', 'string'), // 收藏定时刷新通知 Telegram Chat ID
+      favoriteBarkUrl: this.get('FAVORITE_BARK_URL', '', 'string', true), // 收藏定时刷新通知 Bark 推送地址
       sourceOrderArr: this.resolveSourceOrder(), // 源排序
       mergeSourcePairs: this.resolveMergeSourcePairs(), // 源合并配置，用于将源合并获取
       customMergeRules: this.resolveCustomMergeRules(), // 合并映射表，用于自定义源合并行为。
@@ -779,42 +957,64 @@ export class Envs {
       bilibliCookie: this.get('BILIBILI_COOKIE', '', 'string', true), // b站cookie
       doubanCookie: this.get('DOUBAN_COOKIE', '', 'string', true), // 豆瓣cookie
       youkuConcurrency: Math.min(this.get('YOUKU_CONCURRENCY', 8, 'number'), 16), // 优酷并发配置
+      sourceBreakerThreshold: Math.max(this.get('SOURCE_BREAKER_THRESHOLD', 5, 'number'), 0), // 源熔断阈值（连续失败次数，0表示不熔断）
+      sourceBreakerCooldown: Math.max(this.get('SOURCE_BREAKER_COOLDOWN', 60, 'number'), 10), // 源熔断冷却时间（秒）
       platformOrderArr: this.resolvePlatformOrder(), // 自动匹配优选平台
       animeTitleFilter: this.resolveAnimeTitleFilter(), // 剧名正则过滤
       episodeTitleFilter: this.resolveEpisodeTitleFilter(), // 剧集标题正则过滤
       titleNoiseFilter: this.resolveTitleNoiseFilter(), // 剧名杂音清理规则
       blockedWords: this.get('BLOCKED_WORDS', '', 'string'), // 屏蔽词列表
       groupMinute: Math.min(this.get('GROUP_MINUTE', 1, 'number'), 30), // 分钟内合并去重（默认 1，最大值30，0表示不去重）
+      danmuDensityLimit: this.get('DANMU_DENSITY_LIMIT', '', 'string'), // 弹幕密度限制，条数/秒数（默认空，不限制），可通过请求参数 density 覆盖
+      danmuNearDuplicateWindow: this.get('DANMU_NEAR_DUPLICATE_WINDOW', 0, 'number'), // 近似重复刷屏检测窗口（秒，默认 0，表示不检测）
+      danmuNearDuplicateSimilarity: Math.min(Math.max(this.get('DANMU_NEAR_DUPLICATE_SIMILARITY', 80, 'number'), 50), 100), // 近似重复判定的相似度阈值（百分比，默认 80）
+      danmuRepeatCharLimit: this.get('DANMU_REPEAT_CHAR_LIMIT', 0, 'number'), // 重复字符刷屏上限（默认 0，表示不检测）
+      danmuFilterEmojiOnly: this.get('DANMU_FILTER_EMOJI_ONLY', false, 'boolean'), // 是否移除纯表情弹幕（默认 false）
+      danmuUserFloodLimit: this.get('DANMU_USER_FLOOD_LIMIT', 0, 'number'), // 单用户 60 秒内最多保留的弹幕条数（默认 0，表示不检测）
       danmuLimit: this.get('DANMU_LIMIT', 0, 'number'), // 等间隔采样限制弹幕总数，单位为k，即千：默认 0，表示不限制弹幕数，若改为5，弹幕总数在超过5000的情况下会将弹幕数控制在5000
+      aiModerationCategories: this.resolveAiModerationCategories(), // AI 弹幕审核丢弃的类别（默认空，不启用）
+      aiModerationDryRun: this.get('AI_MODERATION_DRY_RUN', false, 'boolean'), // AI 弹幕审核试运行，只记录不删除（默认 false）
       uiTheme: this.get('UI_THEME', 'lavender', 'string').toLowerCase(), // 管理界面主题
       proxyUrl: this.get('PROXY_URL', '', 'string', true), // 代理/反代地址
       danmuSimplifiedTraditional: this.get('DANMU_SIMPLIFIED_TRADITIONAL', 'default', 'string'), // 弹幕简繁体转换设置：default（默认不转换）、simplified（繁转简）、traditional（简转繁）
       danmuPushUrl: this.get('DANMU_PUSH_URL', '', 'string'), // 代理/反代地址
       likeSwitch: this.get('LIKE_SWITCH', true, 'boolean'), // 弹幕点赞数显示开关，默认开启
-      danmuOffset: this.get('DANMU_OFFSET', '', 'string'), // 弹幕时间偏移配置
-      danmuOffsetRules: parseOffsetRules(this.get('DANMU_OFFSET', '', 'string')), // 解析后的偏移规则（缓存）
+      danmuOffset: this.getRuleSource('DANMU_OFFSET'), // 弹幕时间偏移配置
+      danmuOffsetRules: parseOffsetRules(this.getRuleSource('DANMU_OFFSET')), // 解析后的偏移规则（缓存）
       tmdbApiKey: this.get('TMDB_API_KEY', '', 'string', true), // TMDB API KEY
       redisUrl: this.get('UPSTASH_REDIS_REST_URL', '', 'string', true), // upstash redis url
       redisToken: this.get('UPSTASH_REDIS_REST_TOKEN', '', 'string', true), // upstash redis url
+      redisSharedCache: this.get('REDIS_SHARED_CACHE', false, 'boolean'), // 搜索结果与弹幕缓存按条写入 Redis 共享（默认 false）
+      redisCacheMaxKb: this.get('REDIS_CACHE_MAX_KB', 512, 'number'), // 写入 Redis 的单条缓存压缩后大小上限（KB，默认 512）
       localRedisUrl: this.get('LOCAL_REDIS_URL', '', 'string', true), // 本地 Redis 连接URL，示例：redis://:password@127.0.0.1:6379/0，只支持本地部署和docker部署
+      sqliteDbPath: this.get('SQLITE_DB_PATH', '', 'string'), // SQLite 数据库文件路径（默认空，不启用），只支持本地部署和docker部署
+      sqliteRetentionDays: this.get('SQLITE_RETENTION_DAYS', 30, 'number'), // SQLite 弹幕保留天数（默认 30，0 表示永久保留）
       rateLimitMaxRequests: this.get('RATE_LIMIT_MAX_REQUESTS', 3, 'number'), // 限流配置：时间窗口内最大请求次数（默认 3，0表示不限流）
+      rateLimitPolicies: this.resolveRateLimitPolicies(), // 按接口分组的限流策略（未配置 comment 时沿用 rateLimitMaxRequests）
+      rateLimitAllowlist: this.resolveIpRules('RATE_LIMIT_ALLOWLIST'), // 限流白名单
       enableAnimeEpisodeFilter: this.get('ENABLE_ANIME_EPISODE_FILTER', false, 'boolean'), // 控制手动搜索的时候是否根据ANIME_TITLE_FILTER进行剧名过滤以及根据EPISODE_TITLE_FILTER进行集标题过滤（默认 false，禁用过滤）
       logLevel: this.get('LOG_LEVEL', 'info', 'string'), // 日志级别配置（默认 info，可选值：error, warn, info）
+      logFormat: this.get('LOG_FORMAT', 'text', 'string'), // 控制台日志格式（默认 text，可选值：text, json）
       searchCacheMinutes: this.get('SEARCH_CACHE_MINUTES', 3, 'number'), // 搜索结果缓存时间配置（分钟，默认 3）
       commentCacheMinutes: this.get('COMMENT_CACHE_MINUTES', 3, 'number'), // 弹幕缓存时间配置（分钟，默认 3）
       commentCacheMinCount: this.get('COMMENT_CACHE_MIN_COUNT', 100, 'number'), // 弹幕缓存最少条数，低于该值时忽略缓存（默认 100，0 表示关闭）
+      commentStaleMinutes: this.get('COMMENT_STALE_MINUTES', 0, 'number'), // 弹幕缓存过期后的 stale-while-revalidate 宽限时间（分钟，默认 0，表示关闭）
       hongguoMergeAllEpisodes: this.get('HONGGUO_MERGE_ALL_EPISODES', false, 'boolean'), // 红果短剧是否合并全集弹幕（默认 false）
       nipaplayReplaceDandan: this.get('NIPAPLAY_REPLACE_DANDAN', false, 'boolean'), // NipaPlay 弹弹302关联弹幕替代开关，开启后 dandan 源以 nipaplay 弹弹302关联弹幕替代弹弹原生弹幕
       convertTopBottomToScroll: this.get('CONVERT_TOP_BOTTOM_TO_SCROLL', false, 'boolean'), // 顶部/底部弹幕转换为浮动弹幕配置（默认 false，禁用转换）
       convertColor: this.get('CONVERT_COLOR', 'default', 'string'), // 弹幕转换颜色配置，支持 default、white、color（默认 default，禁用转换）
       colorPool: this.get('COLOR_POOL', '16777215,16777215,16777215,16777215,16777215,16777215,16777215,16777215,16744319,16752762,16774799,9498256,8388564,8900346,14204888,16758465', 'string'), // 自定义颜色池，CONVERT_COLOR为color时生效
-      danmuOutputFormat: this.get('DANMU_OUTPUT_FORMAT', 'json', 'string'), // 弹幕输出格式配置（默认 json，可选值：json, xml, ...danAnyFormats）
+      danmuOutputFormat: this.get('DANMU_OUTPUT_FORMAT', 'json', 'string'), // 弹幕输出格式配置（默认 json，可选值：json, xml, ass, ...danAnyFormats）
+      assFontSize: this.get('ASS_FONT_SIZE', 48, 'number'), // ASS 字幕弹幕字号
+      assOpacity: this.get('ASS_OPACITY', 80, 'number'), // ASS 字幕弹幕不透明度（百分比）
+      assDuration: this.get('ASS_DURATION', 10, 'number'), // ASS 字幕滚动弹幕显示时长（秒）
+      assResolution: this.get('ASS_RESOLUTION', '1920x1080', 'string'), // ASS 字幕画布分辨率
       strictTitleMatch: this.get('STRICT_TITLE_MATCH', false, 'boolean'), // 严格标题匹配模式配置（默认 false，宽松模糊匹配）
       titleToChinese: this.get('TITLE_TO_CHINESE', false, 'boolean'), // 外语标题转换中文开关
       animeTitleSimplified: this.get('ANIME_TITLE_SIMPLIFIED', false, 'boolean'), // 搜索的剧名标题自动繁转简
       titleMappingTable: this.resolveTitleMappingTable(), // 剧名映射表，用于自动匹配时替换标题进行搜索
       autoMatchMappingTable: this.resolveAutoMatchMappingTable(), // 自动匹配标题/季度/集数映射规则
-      ipBlacklist: this.resolveIpBlacklist(), // IP 黑名单（支持正则）
+      ipBlacklist: this.resolveIpRules('IP_BLACKLIST'), // IP 黑名单（支持正则）
       aiBaseUrl: this.get('AI_BASE_URL', 'https://api.openai.com/v1', 'string'), // AI服务基础URL
       aiModel: this.get('AI_MODEL', 'gpt-4o', 'string'), // AI模型名称
       aiApiKey: this.get('AI_API_KEY', '', 'string', true), // AI服务API密钥
@@ -22,16 +22,23 @@ export const Globals = {
   episodeIds: [],
   episodeNum: 10001, // 全局变量，用于自增 ID
   logBuffer: [],
-  requestHistory: new Map(), // 记录每个 IP 地址的请求历史
+  requestHistory: new Map(), // 限流记录（未使用 Redis 时），键为 "策略名:IP"，值为滑动窗口时间戳或令牌桶状态
   localCacheValid: false, // 本地缓存是否生效
   localCacheInitialized: false, // 本地缓存是否已初始化
   redisValid: false, // redis是否生效
   localRedisValid: false, // 本地redis是否生效
+  sqliteValid: false, // SQLite 存储是否生效
+  sqliteCacheInitialized: false, // SQLite 缓存是否已初始化
   aiValid: false, // AI配置是否生效
   redisCacheInitialized: false, // redis 缓存是否已初始化
   lastSelectMap: new Map(), // 存储查询关键字上次选择的animeId，用于下次match自动匹配时优先选择该anime
   reqRecords: [], // 记录请求历史，包括接口/参数/请求时间
   todayReqNum: 0, // 今日请求数量统计
+  apiKeyUsage: {}, // API 密钥用量统计，存储格式：{ name: { date, todayCount, totalCount, rejectedCount, lastUsedAt } }，随缓存持久化
+  apiKeyRequestHistory: new Map(), // API 密钥最近 1 分钟的请求时间戳，用于按密钥限流
+  aiMatchCache: {}, // AI 匹配结果缓存，存储格式：{ '剧名|S季|E集': { animeId, source, episodeId, confidence, decidedAt } }，同一文件只请求一次 AI，随缓存持久化
+  aiModerationCache: {}, // AI 弹幕审核判定缓存，存储格式：{ 文本哈希: 'ok' | 'spoiler' | 'abuse' | 'ad' }，相同文本只请求一次 AI，随缓存持久化
+  aiModerationReports: [], // 最近的 AI 弹幕审核记录（新的在前，最多 20 条），存储格式：[{ time, label, dryRun, total, classified, removed, samples }]
   lastHashes: { // 存储上一次各变量哈希值
     animes: null,
     episodeIds: null,
@@ -39,13 +46,29 @@ export const Globals = {
     lastSelectMap: null,
     reqRecords: null,
     todayReqNum: null,
-    favoriteCache: null
+    apiKeyUsage: null,
+    aiMatchCache: null,
+    aiModerationCache: null,
+    favoriteCache: null,
+    localDanmuIndex: null,
+    ruleStore: null,
+    ruleSuggestions: null,
+    fileHashIndex: null
   },
   searchCache: new Map(), // 搜索结果缓存，存储格式：{ keyword: { results, timestamp } }
   commentCache: new Map(), // 弹幕缓存，存储格式：{ videoUrl: { comments, timestamp } }
+  commentHistory: new Map(), // 弹幕增量记录，存储格式：{ videoUrl: { cids: Map(弹幕签名 -> cid 列表), maxCid } }，比弹幕缓存保留更久，重新获取时沿用已有弹幕的 cid，新弹幕的 cid 递增，供 since 增量请求
   favoriteCache: new Map(), // 收藏剧集永久缓存，存储格式：{ keyword: { results, details, timestamp } }，无 TTL、无数量上限
+  favoriteWebhookLog: [], // 收藏定时刷新通知的投递记录（新的在前，最多 50 条），存储格式：[{ id, channel, event, keyword, status, attempts, lastError, ... }]
+  localDanmuIndex: new Map(), // 本地导入弹幕索引，存储格式：{ id: { title, season, episode, episodeTitle, format, count, ... } }，随缓存持久化
+  ruleStore: {}, // 规则库，存储格式：{ 变量名: [{ id, rule, enabled, note, createdAt, updatedAt }] }，有记录的变量由规则库代替环境变量，随缓存持久化
+  ruleSuggestions: {}, // 手动改选证据，存储格式：{ key: { queryTitle, querySeason, targetTitle, targetSeason, episodeDelta, count, episodes, ... } }，次数足够时生成规则建议，随缓存持久化
+  fileHashIndex: {}, // 文件哈希匹配索引，存储格式：{ fileHash: { url, episodeTitle, animeId, animeTitle, source, fileSize, manual, updatedAt } }，命中时 match 直接返回，随缓存持久化
+  localDanmuComments: new Map(), // 本地导入弹幕正文（实例内存），存储格式：{ id: comments }，缺失时从本地缓存文件 / Redis 读取
+  sourceHealth: new Map(), // 弹幕源健康度与熔断状态，存储格式：{ sourceKey: { state, consecutiveFailures, avgLatencyMs, ... } }
   deployPlatform: '', // 部署平台配置
   currentToken: '', // 标识当前可用token
+  currentApiKey: null, // 当前请求使用的 API 密钥（API_KEYS 中的一项），未使用密钥时为 null
 
   /**
    * 初始化全局变量，加载环境变量依赖
@@ -0,0 +1,780 @@
+// =====================
+// 接口路由表
+// =====================
+// 每条路由声明路径、方法、鉴权级别、查询/路径参数、请求体与响应结构：
+// worker.js 按此表分发请求，接口调试页面据此生成参数表单，/api/openapi.json 据此生成 OpenAPI 3 文档。
+// 本文件只包含纯数据，不引用处理函数，可直接打包进前端页面。
+//
+// 路由字段：
+// - id：路由标识，同时作为 OpenAPI operationId 与 worker.js 中处理函数的键
+// - method：请求方法，支持多个方法时为数组
+// - path：路径，:name 为路径参数
+// - aliases：兼容的旧路径，只参与分发，不出现在文档中
+// - auth：public（无需 token）/ token（TOKEN 或 ADMIN_TOKEN）/ admin（配置了 ADMIN_TOKEN 时只允许 ADMIN_TOKEN）
+// - explicitToken：是否必须在路径中显式携带 token（默认 TOKEN 也不能省略）
+// - scope：使用 API_KEYS 中的密钥访问时所需的权限（read / favorite / admin），省略时取所在分组的 scope，public 接口不检查
+// - rateLimit：按客户端 IP 限流时使用的策略名（RATE_LIMIT_POLICY_NAMES），策略由 RATE_LIMIT_POLICIES 配置，见 utils/rate-limit-util.js
+// - params：查询 / 路径参数 { name, in, type, required, enum, minimum, maximum, pattern, format, description, example }，label / placeholder / options 仅用于接口调试表单
+// - body：请求体 JSON Schema；response：响应 JSON Schema 或 components 中的 schema 名称
+//   params 与 body 同时用于请求校验（utils/validation-util.js），format 取值见该文件的 SCHEMA_FORMATS
+// - apiTest：是否出现在接口调试页面，{ rawBody: true } 表示由用户直接输入 JSON 请求体
+// - hidden：不出现在 OpenAPI 文档中
+
+export const ROUTE_AUTH_LEVELS = ['public', 'token', 'admin'];
+
+// API 密钥权限：read 读取弹幕，favorite 写入收藏，admin 系统管理（包含全部权限）
+export const API_KEY_SCOPES = ['read', 'favorite', 'admin'];
+
+// 限流策略名与算法：sliding-window 滑动窗口，token-bucket 令牌桶
+export const RATE_LIMIT_POLICY_NAMES = ['search', 'match', 'comment', 'segmentcomment'];
+export const RATE_LIMIT_ALGORITHMS = ['sliding-window', 'token-bucket'];
+
+// 规则库可接管的规则类环境变量，见 utils/rule-store-util.js
+export const RULE_TABLE_NAMES = ['CUSTOM_MERGE_RULES', 'TITLE_MAPPING_TABLE', 'AUTO_MATCH_MAPPING_TABLE', 'DANMU_OFFSET'];
+
+// 接口分组；apiName 用于 admin / explicitToken 接口的鉴权错误信息，scope 为分组内接口默认所需的密钥权限
+export const ROUTE_TAGS = {
+  dandan: { description: '弹弹play 兼容接口：搜索、匹配、番剧详情与弹幕', scope: 'read' },
+  fongmi: { description: 'FongMi / TVBox 弹幕接口', scope: 'read' },
+  favorite: { description: '永久收藏与定时刷新，自定义 TOKEN 时必须在路径中显式携带 token', scope: 'favorite' },
+  system: { description: '配置、日志、环境变量与缓存管理', scope: 'admin' },
+  sources: { description: '弹幕源健康状态与熔断', apiName: 'Source health API', scope: 'admin' },
+  local: { description: '本地导入弹幕', apiName: 'Local danmu API', scope: 'admin' },
+  rules: { description: '规则库：合并映射表、剧名映射表、自动匹配映射表与弹幕偏移规则', apiName: 'Rules API', scope: 'admin' },
+  hash: { description: '文件哈希匹配索引的导出与导入', apiName: 'File hash API', scope: 'admin' },
+  cookie: { description: 'Bilibili Cookie 管理', scope: 'admin' },
+  debug: { description: '调试接口：Forward 插件调用链与源合并决策追踪', apiName: 'Debug API', scope: 'admin' }
+};
+
+const FORMAT_PARAM = {
+  name: 'format', in: 'query', type: 'string', format: 'danmu-format', label: '格式',
+  description: '弹幕输出格式，默认取 DANMU_OUTPUT_FORMAT，支持 json / xml / ass 及 dan-any 格式',
+  options: ['json', 'xml'], placeholder: '可选: json或xml'
+};
+
+const DENSITY_PARAM = {
+  name: 'density', in: 'query', type: 'string', pattern: '^\\s*(0|\\d+\\s*/\\s*\\d+)\\s*$', label: '密度限制',
+  description: '弹幕密度限制，格式：条数/秒数，如 30/10 表示每 10 秒最多 30 条，超出时优先保留多源确认、点赞多的弹幕；覆盖 DANMU_DENSITY_LIMIT，0 表示本次不限制',
+  placeholder: '可选: 如30/10，0表示不限制'
+};
+
+const COMMENT_QUERY_PARAMS = [
+  FORMAT_PARAM,
+  DENSITY_PARAM,
+  { name: 'duration', in: 'query', type: 'boolean', label: '附带时长', description: 'JSON 格式时是否附带视频时长 duration 字段', options: ['true', 'false'], placeholder: '可选: true或false' },
+  { name: 'since', in: 'query', type: 'integer', minimum: 0, label: '增量游标', description: '增量游标，传入上次响应中的 cursor 只返回之后新增的弹幕，0 表示全部', placeholder: '可选: 上次返回的cursor，0表示全部' },
+  { name: 'segmentflag', in: 'query', type: 'boolean', label: '分片标志', description: '是否只返回分片列表而不拉取弹幕', options: ['true', 'false'], placeholder: '可选: true或false' },
+  { name: 'fontsize', in: 'query', type: 'integer', minimum: 12, maximum: 128, description: 'ASS 输出字号，覆盖 ASS_FONT_SIZE' },
+  { name: 'opacity', in: 'query', type: 'integer', minimum: 10, maximum: 100, description: 'ASS 输出不透明度（10-100），覆盖 ASS_OPACITY' },
+  { name: 'scrolltime', in: 'query', type: 'number', minimum: 3, maximum: 30, description: 'ASS 滚动弹幕时长（秒），覆盖 ASS_DURATION' },
+  { name: 'resolution', in: 'query', type: 'string', pattern: '^\\s*\\d{3,4}\\s*[xX×*]\\s*\\d{3,4}\\s*$', description: 'ASS 画布分辨率，如 1920x1080，覆盖 ASS_RESOLUTION' },
+  // 弹弹play 客户端默认携带的参数，仅做校验；简繁转换由 DANMU_SIMPLIFIED_TRADITIONAL 控制
+  { name: 'chConvert', in: 'query', type: 'integer', enum: [0, 1, 2], description: '弹弹play 兼容参数（0 不转换 / 1 转简体 / 2 转繁体），实际转换由 DANMU_SIMPLIFIED_TRADITIONAL 控制' },
+  { name: 'withRelated', in: 'query', type: 'boolean', description: '弹弹play 兼容参数，始终返回所有源的合并弹幕' }
+];
+
+// 删除收藏兼容按剧名或文件名删除
+const FAVORITE_REMOVE_BODY = {
+  type: 'object',
+  properties: {
+    keyword: { type: 'string', description: '收藏关键词' },
+    title: { type: 'string', description: '剧名，未传 keyword 时使用' },
+    fileName: { type: 'string', description: '文件名，未传 keyword / title 时解析剧名' }
+  }
+};
+
+const RULE_TABLE_PROPERTY = { type: 'string', enum: RULE_TABLE_NAMES, description: '规则类变量名' };
+
+const ENV_KEY_VALUE_BODY = {
+  type: 'object',
+  required: ['key'],
+  properties: {
+    key: { type: 'string', description: '环境变量名' },
+    value: { type: 'string', description: '环境变量值' }
+  }
+};
+
+export const apiRoutes = [
+  // ---------- 页面 ----------
+  { id: 'ui', method: 'GET', path: '/', auth: 'public', tag: 'system', summary: '管理页面', hidden: true },
+
+  // ---------- 弹弹play 兼容接口 ----------
+  {
+    id: 'searchAnime', method: 'GET', path: '/api/v2/search/anime', auth: 'token', tag: 'dandan', summary: '搜索动漫', apiTest: true, rateLimit: 'search',
+    params: [
+      { name: 'keyword', in: 'query', type: 'string', required: true, label: '关键词 或 播放链接URL', description: '搜索关键词，或视频平台播放链接', placeholder: '示例: 生万物 或 http://v.qq.com/x/cover/rjae621myqca41h/j0032ubhl9s.html' },
+      { name: 'season', in: 'query', type: 'integer', minimum: 0, description: '季数，传入后按季过滤并缓存' },
+      { name: 'episode', in: 'query', type: 'string', description: '集数' }
+    ],
+    response: 'SearchAnimeResponse'
+  },
+  {
+    id: 'searchEpisodes', method: 'GET', path: '/api/v2/search/episodes', auth: 'token', tag: 'dandan', summary: '搜索剧集', apiTest: true, rateLimit: 'search',
+    params: [
+      { name: 'anime', in: 'query', type: 'string', required: true, label: '动漫名称', description: '动漫名称', placeholder: '示例: 生万物' },
+      { name: 'episode', in: 'query', type: 'string', label: '集', description: '集数，movie 表示剧场版', placeholder: '示例: 1, movie' }
+    ],
+    response: 'SearchEpisodesResponse'
+  },
+  {
+    id: 'matchAnime', method: 'POST', path: '/api/v2/match', auth: 'token', tag: 'dandan', summary: '匹配动漫', apiTest: true, rateLimit: 'match',
+    body: {
+      type: 'object',
+      required: ['fileName'],
+      properties: {
+        fileName: { type: 'string', minLength: 1, description: '文件名', label: '文件名', placeholder: '示例: 生万物 S02E08, 无忧渡.S02E08.2160p.WEB-DL.H265.DDP.5.1, 爱情公寓.ipartment.2009.S02E08.H.265.25fps.mkv, 亲爱的X S02E08, 宇宙Marry Me? S02E08' },
+        fileHash: { type: 'string', description: '文件前 16MB 的 MD5，已记录的哈希直接返回对应剧集' },
+        fileSize: { type: 'integer', minimum: 0, description: '文件大小（字节），与记录不一致时不使用哈希匹配' }
+      }
+    },
+    response: 'MatchResponse'
+  },
+  {
+    id: 'matchAnimeBatch', method: 'POST', path: '/api/v2/match/batch', auth: 'token', tag: 'dandan', summary: '批量匹配动漫，同标题/季的文件只搜索一次', rateLimit: 'match',
+    body: {
+      type: 'object',
+      required: ['requests'],
+      properties: {
+        requests: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['fileName'],
+            properties: {
+              fileName: { type: 'string', minLength: 1, description: '文件名' },
+              fileHash: { type: 'string', description: '文件前 16MB 的 MD5，原样返回；已记录的哈希直接返回对应剧集' },
+              fileSize: { type: 'integer', minimum: 0, description: '文件大小（字节）' },
+              videoDuration: { type: 'number', minimum: 0, description: '视频时长（秒），用于校验匹配类型：不足 40 分钟却命中电影、超过 150 分钟却命中剧集时标记 durationMismatch 且不记录文件哈希' }
+            }
+          }
+        }
+      }
+    },
+    response: 'BatchMatchResponse'
+  },
+  {
+    id: 'getBangumi', method: 'GET', path: '/api/v2/bangumi/:animeId', auth: 'token', tag: 'dandan', summary: '获取番剧详情', apiTest: true,
+    params: [
+      { name: 'animeId', in: 'path', type: 'string', required: true, label: '动漫ID', description: '动漫ID', placeholder: '示例: 236379' }
+    ],
+    response: 'BangumiResponse'
+  },
+  {
+    id: 'getComment', method: 'GET', path: '/api/v2/comment/:commentId', auth: 'token', tag: 'dandan', summary: '获取弹幕', apiTest: true, rateLimit: 'comment',
+    params: [
+      { name: 'commentId', in: 'path', type: 'integer', required: true, label: '弹幕ID', description: '弹幕ID（剧集 episodeId）', placeholder: '示例: 10009' },
+      ...COMMENT_QUERY_PARAMS
+    ],
+    response: 'CommentResponse'
+  },
+  {
+    id: 'getCommentByUrl', method: 'GET', path: '/api/v2/comment', auth: 'token', tag: 'dandan', summary: '通过播放链接获取弹幕', rateLimit: 'comment',
+    params: [
+      { name: 'url', in: 'query', type: 'string', required: true, description: '视频平台播放链接' },
+      ...COMMENT_QUERY_PARAMS
+    ],
+    response: 'CommentResponse'
+  },
+  {
+    id: 'getExtComment', method: 'GET', path: '/api/v2/extcomment', auth: 'token', tag: 'dandan', summary: '通过播放链接获取弹幕（弹弹play 第三方弹幕兼容路径）', rateLimit: 'comment',
+    params: [
+      { name: 'url', in: 'query', type: 'string', required: true, description: '视频平台播放链接' },
+      ...COMMENT_QUERY_PARAMS
+    ],
+    response: 'CommentResponse'
+  },
+  {
+    id: 'getSegmentComment', method: 'POST', path: '/api/v2/segmentcomment', auth: 'token', tag: 'dandan', summary: '获取分片弹幕', apiTest: { rawBody: true }, rateLimit: 'segmentcomment',
+    params: [FORMAT_PARAM, DENSITY_PARAM],
+    body: 'Segment',
+    response: 'CommentResponse'
+  },
+
+  // ---------- FongMi ----------
+  {
+    id: 'fongmiDanmaku', method: ['GET', 'POST'], path: '/api/v2/fongmi/danmaku', auth: 'token', tag: 'fongmi', summary: 'FongMi 弹幕',
+    params: [
+      { name: 'name', in: 'query', type: 'string', description: '剧名（GET）' },
+      { name: 'episode', in: 'query', type: 'string', description: '集数（GET）' }
+    ],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: '剧名' },
+        episode: { type: 'string', description: '集数' }
+      }
+    }
+  },
+  {
+    id: 'danmaku', method: ['GET', 'POST'], path: '/danmaku', auth: 'token', tag: 'fongmi', summary: 'FongMi 弹幕短地址',
+    params: [
+      { name: 'name', in: 'query', type: 'string', description: '剧名（GET）' },
+      { name: 'episode', in: 'query', type: 'string', description: '集数（GET）' }
+    ],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: '剧名' },
+        episode: { type: 'string', description: '集数' }
+      }
+    }
+  },
+
+  // ---------- 收藏 ----------
+  {
+    id: 'favoriteAdd', method: 'POST', path: '/api/v2/favorite/add', aliases: ['/api/favorite/add'], auth: 'token', tag: 'favorite', summary: '收藏剧集（永久缓存）',
+    body: {
+      type: 'object',
+      properties: {
+        keyword: { type: 'string', description: '搜索关键词' },
+        fileName: { type: 'string', description: '文件名，未传 keyword 时解析剧名' }
+      }
+    },
+    response: 'FavoriteMutationResponse'
+  },
+  {
+    id: 'favoriteRefresh', method: 'POST', path: '/api/v2/favorite/refresh', aliases: ['/api/favorite/refresh'], auth: 'token', tag: 'favorite', summary: '刷新收藏缓存',
+    body: {
+      type: 'object',
+      properties: {
+        keyword: { type: 'string', description: '收藏关键词' },
+        fileName: { type: 'string', description: '文件名' }
+      }
+    },
+    response: 'MessageResponse'
+  },
+  {
+    id: 'favoriteSchedule', method: 'POST', path: '/api/v2/favorite/schedule', aliases: ['/api/favorite/schedule'], auth: 'token', tag: 'favorite', summary: '设置或关闭定时刷新（仅 Node/Docker）',
+    body: {
+      type: 'object',
+      required: ['keyword', 'schedule'],
+      properties: {
+        keyword: { type: 'string', description: '收藏关键词' },
+        schedule: {
+          type: 'object',
+          nullable: true,
+          description: '定时刷新配置，null 表示关闭',
+          required: ['frequency', 'time'],
+          properties: {
+            frequency: { type: 'string', enum: ['daily', 'weekly'] },
+            time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: '北京时间 HH:mm' },
+            weekday: { type: 'integer', minimum: 1, maximum: 7, description: 'weekly 模式的星期（1-7 对应周一至周日）' }
+          }
+        }
+      }
+    },
+    response: 'MessageResponse'
+  },
+  {
+    id: 'favoriteRemove', method: 'POST', path: '/api/v2/favorite/remove', aliases: ['/api/favorite/remove'], auth: 'token', tag: 'favorite', summary: '删除收藏',
+    body: FAVORITE_REMOVE_BODY,
+    response: 'MessageResponse'
+  },
+  {
+    id: 'favoriteWebhookLog', method: 'GET', path: '/api/v2/favorite/webhook/log', aliases: ['/api/favorite/webhook/log'], auth: 'token', tag: 'favorite', summary: '定时刷新通知投递记录',
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        scheduledRefreshSupported: { type: 'boolean' },
+        channels: { type: 'array', items: { type: 'string', enum: ['webhook', 'telegram', 'bark'] } },
+        pending: { type: 'integer' },
+        deliveries: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  },
+  {
+    id: 'favoriteList', method: 'GET', path: '/api/v2/favorite/list', aliases: ['/api/favorite/list'], auth: 'public', tag: 'favorite', summary: '收藏列表',
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        favoriteSupported: { type: 'boolean' },
+        favoriteSupportMessage: { type: 'string' },
+        scheduledRefreshSupported: { type: 'boolean' },
+        favorites: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  },
+
+  // ---------- 系统管理 ----------
+  { id: 'config', method: 'GET', path: '/api/config', auth: 'public', tag: 'system', summary: '获取配置信息（无 token 时只返回有限信息）', response: { type: 'object' } },
+  { id: 'openapi', method: 'GET', path: '/api/openapi.json', auth: 'token', tag: 'system', scope: 'read', summary: 'OpenAPI 3 接口文档', response: { type: 'object' } },
+  {
+    id: 'metrics', method: 'GET', path: '/metrics', auth: 'token', tag: 'system', summary: 'Prometheus 指标（请求量与耗时、上游请求、缓存命中、Redis 错误、限流拒绝）',
+    responseType: 'text/plain',
+    response: { type: 'string' }
+  },
+  { id: 'reqRecords', method: 'GET', path: '/api/reqrecords', auth: 'token', tag: 'system', summary: '请求记录（非 ADMIN_TOKEN 时脱敏）', response: { type: 'object' } },
+  {
+    id: 'logs', method: 'GET', path: '/api/logs', auth: 'token', tag: 'system', summary: '获取日志',
+    params: [
+      { name: 'requestId', in: 'query', type: 'string', description: '只返回指定请求 ID 的日志（响应头 X-Request-Id）' },
+      { name: 'format', in: 'query', type: 'string', enum: ['text', 'json'], description: '默认 text；json 返回 { success, logs } 结构化日志记录' }
+    ],
+    responseType: 'text/plain',
+    response: { type: 'string' }
+  },
+  { id: 'logsClear', method: 'POST', path: '/api/logs/clear', auth: 'token', tag: 'system', summary: '清空日志', response: 'MessageResponse' },
+  { id: 'envSet', method: 'POST', path: '/api/env/set', auth: 'token', tag: 'system', summary: '设置环境变量', body: ENV_KEY_VALUE_BODY, response: 'MessageResponse' },
+  { id: 'envAdd', method: 'POST', path: '/api/env/add', auth: 'token', tag: 'system', summary: '添加环境变量', body: ENV_KEY_VALUE_BODY, response: 'MessageResponse' },
+  {
+    id: 'envDel', method: 'POST', path: '/api/env/del', auth: 'token', tag: 'system', summary: '删除环境变量',
+    body: { type: 'object', required: ['key'], properties: { key: { type: 'string', description: '环境变量名' } } },
+    response: 'MessageResponse'
+  },
+  { id: 'deploy', method: 'POST', path: '/api/deploy', auth: 'token', tag: 'system', summary: '重新部署', response: 'MessageResponse' },
+  { id: 'cacheAnimes', method: 'GET', path: '/api/cache/animes', auth: 'token', tag: 'system', summary: '最近的番剧缓存', response: { type: 'object' } },
+  {
+    id: 'cacheClear', method: 'POST', path: '/api/cache/clear', auth: 'token', tag: 'system', summary: '清理缓存',
+    body: {
+      type: 'object',
+      properties: { items: { type: 'array', items: { type: 'string' }, description: '要清理的缓存项，省略时全部清理' } }
+    },
+    response: 'MessageResponse'
+  },
+  {
+    id: 'aiVerify', method: 'POST', path: '/api/ai/verify', auth: 'token', tag: 'system', summary: '验证 AI 连通性',
+    body: {
+      type: 'object',
+      properties: {
+        aiBaseUrl: { type: 'string' },
+        aiModel: { type: 'string' },
+        aiApiKey: { type: 'string' }
+      }
+    },
+    response: 'MessageResponse'
+  },
+  { id: 'aiModeration', method: 'GET', path: '/api/ai/moderation', auth: 'token', tag: 'system', summary: 'AI 弹幕审核配置与最近的审核记录（含试运行结果）', response: { type: 'object' } },
+
+  // ---------- 弹幕源健康状态 ----------
+  { id: 'sourceHealth', method: 'GET', path: '/api/sources/health', auth: 'admin', tag: 'sources', summary: '各源熔断状态与健康度', response: { type: 'object' } },
+  {
+    id: 'sourceHealthReset', method: 'POST', path: '/api/sources/health/reset', auth: 'admin', tag: 'sources', summary: '重置源熔断状态',
+    body: { type: 'object', properties: { source: { type: 'string', description: '源名称，省略时重置全部' } } },
+    response: 'MessageResponse'
+  },
+
+  // ---------- 本地导入弹幕 ----------
+  {
+    id: 'localImport', method: 'POST', path: '/api/local/import', auth: 'admin', tag: 'local', summary: '导入 XML/JSON/ASS 弹幕文件',
+    body: {
+      type: 'object',
+      required: ['title', 'episode', 'content'],
+      properties: {
+        title: { type: 'string', description: '剧名' },
+        season: { type: 'integer', nullable: true, minimum: 0, description: '季数' },
+        episode: { type: 'integer', minimum: 0, description: '集数' },
+        episodeTitle: { type: 'string', description: '集标题' },
+        year: { anyOf: [{ type: 'string' }, { type: 'integer' }], description: '年份' },
+        fileName: { type: 'string', description: '文件名，用于识别格式' },
+        format: { type: 'string', enum: ['xml', 'json', 'ass'], description: '文件格式，省略时自动识别' },
+        content: { type: 'string', description: '弹幕文件内容' }
+      }
+    },
+    response: 'MessageResponse'
+  },
+  { id: 'localList', method: 'GET', path: '/api/local/list', auth: 'admin', tag: 'local', summary: '导入弹幕列表', response: { type: 'object' } },
+  {
+    id: 'localRemove', method: 'POST', path: '/api/local/remove', auth: 'admin', tag: 'local', summary: '删除导入弹幕',
+    body: { type: 'object', required: ['id'], properties: { id: { type: 'string', description: '条目ID' } } },
+    response: 'MessageResponse'
+  },
+
+  // ---------- 规则库 ----------
+  {
+    id: 'rulesList', method: 'GET', path: '/api/rules/list', auth: 'admin', tag: 'rules', summary: '规则列表（含每条规则的校验错误与警告）',
+    params: [{ name: 'table', in: 'query', type: 'string', enum: RULE_TABLE_NAMES, description: '规则类变量名，省略时返回全部' }],
+    response: { type: 'object' }
+  },
+  {
+    id: 'rulesSave', method: 'POST', path: '/api/rules/save', auth: 'admin', tag: 'rules', summary: '新增、修改或启用/停用规则',
+    body: {
+      type: 'object',
+      required: ['table'],
+      properties: {
+        table: RULE_TABLE_PROPERTY,
+        id: { type: 'string', description: '规则ID，省略时新增' },
+        rule: { type: 'string', description: '规则文本，格式与对应环境变量中的单条规则相同' },
+        enabled: { type: 'boolean', description: '是否启用' },
+        note: { type: 'string', description: '备注' }
+      }
+    },
+    response: { type: 'object' }
+  },
+  {
+    id: 'rulesRemove', method: 'POST', path: '/api/rules/remove', auth: 'admin', tag: 'rules', summary: '删除规则',
+    body: { type: 'object', required: ['table', 'id'], properties: { table: RULE_TABLE_PROPERTY, id: { type: 'string', description: '规则ID' } } },
+    response: { type: 'object' }
+  },
+  {
+    id: 'rulesImport', method: 'POST', path: '/api/rules/import', auth: 'admin', tag: 'rules', summary: '从环境变量格式的文本导入规则',
+    body: {
+      type: 'object',
+      required: ['table'],
+      properties: {
+        table: RULE_TABLE_PROPERTY,
+        text: { type: 'string', description: '规则文本，多条规则按变量原本的分隔符拼接；省略时导入当前环境变量' },
+        mode: { type: 'string', enum: ['append', 'replace'], description: 'append 追加（默认，跳过相同规则）/ replace 替换全部规则' }
+      }
+    },
+    response: { type: 'object' }
+  },
+  {
+    id: 'rulesReset', method: 'POST', path: '/api/rules/reset', auth: 'admin', tag: 'rules', summary: '取消规则库接管，恢复使用环境变量',
+    body: { type: 'object', required: ['table'], properties: { table: RULE_TABLE_PROPERTY } },
+    response: { type: 'object' }
+  },
+  { id: 'rulesSuggestions', method: 'GET', path: '/api/rules/suggestions', auth: 'admin', tag: 'rules', summary: '由手动选择记录生成的规则建议及证据次数', response: { type: 'object' } },
+  {
+    id: 'rulesSuggestionPromote', method: 'POST', path: '/api/rules/suggestions/promote', auth: 'admin', tag: 'rules', summary: '将规则建议写入规则库',
+    body: { type: 'object', required: ['key'], properties: { key: { type: 'string', description: '规则建议的 key' } } },
+    response: { type: 'object' }
+  },
+  {
+    id: 'rulesSuggestionDismiss', method: 'POST', path: '/api/rules/suggestions/dismiss', auth: 'admin', tag: 'rules', summary: '忽略规则建议',
+    body: { type: 'object', required: ['key'], properties: { key: { type: 'string', description: '规则建议的 key' } } },
+    response: { type: 'object' }
+  },
+
+  // ---------- 文件哈希索引 ----------
+  { id: 'fileHashExport', method: 'GET', path: '/api/hash/export', auth: 'admin', tag: 'hash', summary: '导出文件哈希匹配索引', response: { type: 'object' } },
+  {
+    id: 'fileHashImport', method: 'POST', path: '/api/hash/import', auth: 'admin', tag: 'hash', summary: '导入其他实例导出的文件哈希匹配索引',
+    body: {
+      type: 'object',
+      required: ['entries'],
+      properties: {
+        entries: {
+          type: 'array',
+          description: '导出结果中的 entries',
+          items: {
+            type: 'object',
+            required: ['fileHash', 'url'],
+            properties: {
+              fileHash: { type: 'string', description: '文件前 16MB 的 MD5' },
+              url: { type: 'string', description: '剧集链接' },
+              episodeTitle: { type: 'string', description: '剧集链接标题' },
+              fileSize: { type: 'integer', nullable: true, minimum: 0, description: '文件大小（字节）' },
+              manual: { type: 'boolean', description: '是否为手动改选的结果' }
+            }
+          }
+        },
+        mode: { type: 'string', enum: ['merge', 'replace'], description: 'merge 合并（默认，同一哈希优先保留手动改选，其次保留较新的记录）/ replace 替换全部记录' }
+      }
+    },
+    response: { type: 'object' }
+  },
+
+  // ---------- Cookie 管理 ----------
+  { id: 'cookieStatus', method: 'GET', path: '/api/cookie/status', auth: 'token', tag: 'cookie', summary: '获取 Cookie 状态', response: { type: 'object' } },
+  { id: 'cookieQrGenerate', method: 'POST', path: '/api/cookie/qr/generate', auth: 'token', tag: 'cookie', summary: '生成登录二维码', response: { type: 'object' } },
+  {
+    id: 'cookieQrCheck', method: 'POST', path: '/api/cookie/qr/check', auth: 'token', tag: 'cookie', summary: '检查二维码扫描状态',
+    body: {
+      type: 'object',
+      properties: { qrcodeKey: { type: 'string' }, qrcode_key: { type: 'string', description: 'qrcodeKey 的兼容写法' } }
+    },
+    response: { type: 'object' }
+  },
+  {
+    id: 'cookieVerify', method: 'POST', path: '/api/cookie/verify', auth: 'token', tag: 'cookie', summary: '校验 Cookie',
+    body: { type: 'object', properties: { cookie: { type: 'string', description: '待校验的 Cookie，省略时校验已保存的 Cookie' } } },
+    response: { type: 'object' }
+  },
+  {
+    id: 'cookieSave', method: 'POST', path: '/api/cookie/save', auth: 'token', tag: 'cookie', summary: '保存 Cookie',
+    body: { type: 'object', required: ['cookie'], properties: { cookie: { type: 'string' } } },
+    response: 'MessageResponse'
+  },
+
+  // ---------- 调试 ----------
+  {
+    id: 'forwardTrace', method: 'POST', path: '/api/debug/forward-trace', auth: 'token', explicitToken: true, tag: 'debug', summary: '上报 Forward 插件调用链',
+    body: { type: 'object' },
+    response: { type: 'object' }
+  },
+  {
+    id: 'mergeTrace', method: 'GET', path: '/api/debug/merge', auth: 'admin', tag: 'debug',
+    summary: '源合并决策追踪：强制刷新搜索并返回每个主副源配对的检测结果、对齐偏移与集数映射',
+    params: [
+      { name: 'keyword', in: 'query', type: 'string', required: true, description: '搜索关键词' },
+      { name: 'season', in: 'query', type: 'integer', minimum: 0, description: '季数' }
+    ],
+    response: { type: 'object' }
+  }
+];
+
+// 响应与请求体共用的 schema
+export const ROUTE_SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      errors: {
+        type: 'array',
+        description: '参数校验失败时的字段级错误',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: '字段路径，如 schedule.weekday' },
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  MessageResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' }
+    }
+  },
+  FavoriteMutationResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      keyword: { type: 'string' },
+      animeTitle: { type: 'string' },
+      imageUrl: { type: 'string' },
+      isFavorite: { type: 'boolean' }
+    }
+  },
+  Anime: {
+    type: 'object',
+    properties: {
+      animeId: { type: 'integer' },
+      bangumiId: { type: 'string' },
+      animeTitle: { type: 'string' },
+      type: { type: 'string' },
+      typeDescription: { type: 'string' },
+      imageUrl: { type: 'string' },
+      startDate: { type: 'string' },
+      episodeCount: { type: 'integer' },
+      rating: { type: 'number' },
+      isFavorited: { type: 'boolean' },
+      source: { type: 'string' }
+    }
+  },
+  Episode: {
+    type: 'object',
+    properties: {
+      seasonId: { type: 'string' },
+      episodeId: { type: 'integer' },
+      episodeTitle: { type: 'string' },
+      episodeNumber: { type: 'string' },
+      airDate: { type: 'string' }
+    }
+  },
+  SearchAnimeResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      animes: { type: 'array', items: { $ref: '#/components/schemas/Anime' } }
+    }
+  },
+  SearchEpisodesResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      hasMore: { type: 'boolean' },
+      animes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            animeId: { type: 'integer' },
+            animeTitle: { type: 'string' },
+            type: { type: 'string' },
+            typeDescription: { type: 'string' },
+            episodes: { type: 'array', items: { $ref: '#/components/schemas/Episode' } }
+          }
+        }
+      }
+    }
+  },
+  MatchResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      isMatched: { type: 'boolean' },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            episodeId: { type: 'integer' },
+            animeId: { type: 'integer' },
+            animeTitle: { type: 'string' },
+            episodeTitle: { type: 'string' },
+            type: { type: 'string' },
+            typeDescription: { type: 'string' },
+            shift: { type: 'number' },
+            imageUrl: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  BatchMatchResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      searchCount: { type: 'integer', description: '实际执行的搜索次数' },
+      results: {
+        type: 'array',
+        description: '与 requests 顺序一致的逐个文件匹配结果，字段同 MatchResponse，另含 fileName、fileHash、videoDuration（原样返回，未提供时为 null）与 durationMismatch（时长与匹配类型不符）',
+        items: { $ref: '#/components/schemas/MatchResponse' }
+      }
+    }
+  },
+  BangumiResponse: {
+    type: 'object',
+    properties: {
+      errorCode: { type: 'integer' },
+      success: { type: 'boolean' },
+      errorMessage: { type: 'string' },
+      bangumi: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          animeId: { type: 'integer' },
+          bangumiId: { type: 'string' },
+          animeTitle: { type: 'string' },
+          imageUrl: { type: 'string' },
+          type: { type: 'string' },
+          typeDescription: { type: 'string' },
+          episodes: { type: 'array', items: { $ref: '#/components/schemas/Episode' } }
+        }
+      }
+    }
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      cid: { type: 'integer' },
+      p: { type: 'string', description: '时间,类型,颜色,来源' },
+      m: { type: 'string', description: '弹幕内容' }
+    }
+  },
+  CommentResponse: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      comments: { type: 'array', items: { $ref: '#/components/schemas/Comment' } },
+      cursor: { type: 'integer', description: '增量游标，携带 since 参数请求时返回' },
+      reset: { type: 'boolean', description: '游标已失效，本次返回全部弹幕，客户端应替换已有弹幕' },
+      duration: { type: 'number', description: '视频时长（秒），携带 duration=true 时返回' }
+    }
+  },
+  Segment: {
+    type: 'object',
+    required: ['type', 'segment_start', 'segment_end', 'url'],
+    properties: {
+      type: { type: 'string', description: '平台类型' },
+      segment_start: { type: 'number' },
+      segment_end: { type: 'number' },
+      url: { type: 'string' },
+      data: { type: 'string' },
+      _m_h5_tk: { type: 'string' },
+      _m_h5_tk_enc: { type: 'string' }
+    }
+  }
+};
+
+export function getRouteMethods(route) {
+  return Array.isArray(route.method) ? route.method : [route.method];
+}
+
+// 使用 API 密钥访问时所需的权限，public 接口返回 null
+export function getRouteScope(route) {
+  if (route.auth === 'public') return null;
+  return route.scope || ROUTE_TAGS[route.tag]?.scope || 'admin';
+}
+
+// 路由路径（含 :name 参数）与请求路径逐段匹配，返回路径参数
+function matchRoutePath(routePath, path) {
+  const routeParts = routePath.split('/');
+  const pathParts = path.split('/');
+  if (routeParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < routeParts.length; i++) {
+    if (routeParts[i].startsWith(':')) {
+      if (!pathParts[i]) return null;
+      try {
+        params[routeParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null;
+      }
+    } else if (routeParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * 按路径查找路由（不区分方法），依次匹配主路径与兼容旧路径
+ * @param {string} path 请求路径（已去除 token）
+ * @returns {{route: Object, params: Object}|null}
+ */
+export function findRoute(path) {
+  for (const route of apiRoutes) {
+    for (const candidate of [route.path, ...(route.aliases || [])]) {
+      const params = matchRoutePath(candidate, path);
+      if (params) return { route, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成接口调试页面的接口配置
+ * @returns {Object} { [routeId]: { name, method, path, params, hasBody, bodyType } }
+ */
+export function buildApiTestConfigs() {
+  const configs = {};
+  for (const route of apiRoutes.filter(item => item.apiTest)) {
+    const method = getRouteMethods(route)[0];
+    const rawBody = route.apiTest.rawBody === true;
+    // 非原始 JSON 请求体的 POST 接口，把请求体字段也作为表单参数
+    const bodyFields = !rawBody && route.body && typeof route.body === 'object'
+      ? Object.entries(route.body.properties || {}).map(([name, schema]) => ({
+        name, ...schema, required: (route.body.required || []).includes(name)
+      }))
+      : [];
+
+    configs[route.id] = {
+      name: route.summary,
+      method,
+      path: route.path,
+      params: [...(route.params || []), ...bodyFields].map(param => {
+        const options = param.enum || param.options;
+        return {
+          name: param.name,
+          label: param.label || param.description || param.name,
+          type: options ? 'select' : 'text',
+          required: param.required === true,
+          placeholder: param.placeholder || '',
+          ...(options ? { options } : {})
+        };
+      }),
+      ...(rawBody ? { hasBody: true, bodyType: 'json' } : {})
+    };
+  }
+  return configs;
+}
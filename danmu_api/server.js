@@ -14,7 +14,7 @@ import { Envs } from './configs/envs.js';
 import { clearBangumiDataCache, initBangumiData, syncBangumiDataLifecycleOnConfigChange } from './utils/bangumi-data-util.js';
 import { getLocalCaches, judgeLocalCacheValid } from './utils/cache-util.js';
 import { getRedisCaches, judgeRedisValid } from './utils/redis-util.js';
-import { persistFavorites, refreshFavoriteByKeyword } from './apis/favorite-api.js';
+import { persistFavorites, refreshFavoriteByKeyword, runFavoritePrefetchJob } from './apis/favorite-api.js';
 import { startFavoriteScheduler, stopFavoriteScheduler } from './utils/favorite-schedule-util.js';
 import { formatHostForUrl, listenOnAllInterfaces } from './utils/server-listen-util.js';
 
@@ -553,7 +553,8 @@ async function initializeFavoriteScheduler(mainPort) {
   const refreshUrl = new URL(`http://127.0.0.1:${mainPort}/api/v2/favorite/refresh`);
   await startFavoriteScheduler({
     refresh: keyword => refreshFavoriteByKeyword(keyword, refreshUrl, { persist: false }),
-    persist: persistFavorites
+    persist: persistFavorites,
+    prefetch: runFavoritePrefetchJob
   });
   console.log('[server] Favorite scheduler started (Node/Docker only, Asia/Shanghai)');
 }
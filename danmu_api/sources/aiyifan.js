@@ -13,6 +13,13 @@ import { AiyifanSigningProvider } from '../utils/aiyifan-util.js';
 // 获取爱壹帆弹幕
 // =====================
 export default class AiyifanSource extends BaseSource {
+  static meta = {
+    key: 'aiyifan',
+    platform: 'aiyifan',
+    urlPatterns: [/\.yfsp\.tv/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   constructor() {
     super();
     this.USER_AGENT = (
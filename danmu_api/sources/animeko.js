@@ -27,6 +27,13 @@ const SUBJECT_CACHE_MAX_SIZE = 100; // 最大缓存条目数
  * 提供深度元数据搜索、结果过滤及条目关系检测功能
  */
 export default class AnimekoSource extends BaseSource {
+  static meta = {
+    key: 'animeko',
+    platform: 'animeko',
+    urlPatterns: [/(?:bgm|bangumi)\.(?:tv|lol)\/ep\/|chii\.in\/ep\//],
+    capabilities: { segments: true, merge: true, duration: false },
+  };
+
 
   /**
    * 获取标准 HTTP 请求头
@@ -686,6 +693,17 @@ export default class AnimekoSource extends BaseSource {
     });
   }
 
+  // bgm.tv/bangumi.tv/bangumi.lol/chii.in/ep/xxx → xxx
+  extractCommentId(url) {
+    const match = String(url).match(/(?:bgm\.tv|bangumi\.tv|bangumi\.lol|chii\.in)\/ep\/(\d+)/);
+    return match ? match[1] : url;
+  }
+
+  // Bangumi 无法直连获取网页标题，使用章节 ID 作为标题
+  async getLinkTitle(url) {
+    return `BGMEp${this.extractCommentId(url)}`;
+  }
+
   /**
    * 获取剧集列表（含多源节点层级降级适配）
    * @param {number} subjectId 条目 ID
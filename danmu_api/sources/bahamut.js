@@ -16,6 +16,13 @@ import { searchBangumiData } from '../utils/bangumi-data-util.js';
 
 // 具体搜索部分
 export default class BahamutSource extends BaseSource {
+  static meta = {
+    key: 'bahamut',
+    platform: 'bahamut',
+    urlPatterns: [/ani\.gamer\.com\.tw/],
+    capabilities: { segments: true, merge: true, duration: false },
+  };
+
   async search(keyword) {
     try {
       let localMatches = [];
@@ -230,6 +237,17 @@ export default class BahamutSource extends BaseSource {
     }
   }
 
+  // ani.gamer.com.tw/animeVideo.php?sn=xxx → xxx
+  extractCommentId(url) {
+    const match = String(url).match(/sn=(\d+)/);
+    return match ? match[1] : url;
+  }
+
+  // 巴哈姆特无法直连获取网页标题，使用 sn 作为标题
+  async getLinkTitle(url) {
+    return `BahaSn${this.extractCommentId(url)}`;
+  }
+
   async getEpisodes(id) {
     try {
       // 构建剧集信息 URL
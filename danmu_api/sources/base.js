@@ -1,6 +1,7 @@
 import { log } from "../utils/log-util.js";
 import { convertToDanmakuJson } from "../utils/danmu-util.js";
 import { extractAnimeTitle, extractYear } from "../utils/common-util.js";
+import { getPageTitle } from "../utils/http-util.js";
 
 // =====================
 // 源基类
@@ -8,6 +9,9 @@ import { extractAnimeTitle, extractYear } from "../utils/common-util.js";
 
 export default class BaseSource {
 
+  // 源元信息（key/platform/能力/默认排序/链接匹配规则），由子类覆盖，经 sources/index.js 注册到源注册表
+  static meta = null;
+
   constructor() {
     // 构造函数，初始化通用配置
   }
@@ -47,6 +51,31 @@ export default class BaseSource {
     throw new Error("Method 'formatComments' must be implemented");
   }
 
+  // 注册表调度入口：执行搜索，context 含 preferAnimeId/preferSource，默认只传关键字
+  async searchAnimes(keyword, context = {}) {
+    return this.search(keyword);
+  }
+
+  // 注册表调度入口：处理搜索结果，默认交给 handleAnimes
+  async handleSearchResults(searchResults, queryTitle, curAnimes, detailStore = null, querySeason = null) {
+    return this.handleAnimes(searchResults, queryTitle, curAnimes, detailStore, querySeason);
+  }
+
+  // 从播放链接中提取弹幕ID，默认直接使用链接
+  extractCommentId(url) {
+    return url;
+  }
+
+  // 请求弹幕前预处理链接（如短链展开），默认原样返回
+  async resolveCommentUrl(url) {
+    return url;
+  }
+
+  // 手动解析链接时展示的标题，默认抓取网页标题
+  async getLinkTitle(url) {
+    return getPageTitle(url);
+  }
+
   // 获取弹幕流水线方法(获取某集弹幕 -> 格式化弹幕 -> 弹幕处理，如去重/屏蔽字等)
   async getComments(id, sourceName, segmentFlag=false, progressCallback=null) {
     if (segmentFlag) {
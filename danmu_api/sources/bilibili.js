@@ -15,6 +15,13 @@ import { searchBangumiData } from '../utils/bangumi-data-util.js';
 // 获取b站弹幕
 // =====================
 export default class BilibiliSource extends BaseSource {
+  static meta = {
+    key: 'bilibili',
+    platform: 'bilibili1',
+    urlPatterns: [/\.bilibili\.com/, /b23\.tv/],
+    capabilities: { segments: true, cookies: true, merge: true, vodPlatform: true },
+  };
+
   // WBI 签名相关常量
   static WBI_MIXIN_KEY_CACHE = { key: null, timestamp: 0 };
   static WBI_MIXIN_KEY_CACHE_TTL = 3600; // 缓存1小时
@@ -29,6 +36,11 @@ export default class BilibiliSource extends BaseSource {
   static APP_KEY = '1d8b6e7d45233436';
   static APP_SEC = '560c52ccd288fed045859ed18bffd973';
 
+  // b23.tv 短链需要先解析为完整 BV URL
+  async resolveCommentUrl(url) {
+    return String(url).includes('b23.tv') ? this.resolveB23Link(url) : url;
+  }
+
   // 解析 b23.tv 短链接
   async resolveB23Link(shortUrl) {
     let timeoutId;
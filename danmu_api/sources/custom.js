@@ -9,6 +9,12 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取自定义源弹幕
 // =====================
 export default class CustomSource extends BaseSource {
+  static meta = {
+    key: 'custom',
+    platform: 'custom',
+    capabilities: { segments: true },
+  };
+
   async search(keyword) {
     try {
       const resp = await httpGet(`${globals.customSourceApiUrl}/api/v2/search/anime?keyword=${keyword}`, {
@@ -45,6 +51,11 @@ export default class CustomSource extends BaseSource {
     }
   }
 
+  // 自定义源结果不写入请求级详情缓存，也不参与季度过滤
+  async handleSearchResults(searchResults, queryTitle, curAnimes) {
+    return this.handleAnimes(searchResults, queryTitle, curAnimes);
+  }
+
   async getEpisodes(id) {
     try {
       const resp = await httpGet(`${globals.customSourceApiUrl}/api/v2/bangumi/${id}`, {
@@ -121,6 +121,12 @@ async function fetchDandanComments(id) {
 // 获取弹弹play弹幕
 // =====================
 export default class DandanSource extends BaseSource {
+  static meta = {
+    key: 'dandan',
+    platform: 'dandan',
+    capabilities: { segments: true, merge: true },
+  };
+
 
   /**
    * 搜索动画条目
@@ -7,6 +7,12 @@ import { titleMatches, getExplicitSeasonNumber, extractSeasonNumberFromAnimeTitl
 // 获取豆瓣源播放链接
 // =====================
 export default class DoubanSource extends BaseSource {
+  static meta = {
+    key: 'douban',
+    capabilities: { cookies: true },
+    defaultOrder: 1,
+  };
+
   constructor(tencentSource, iqiyiSource, youkuSource, bilibiliSource, miguSource) {
     super('BaseSource');
     this.tencentSource = tencentSource;
@@ -27,6 +27,13 @@ const HANJUTV_VARIANTS = Object.freeze({
 
 // 获取韩剧TV弹幕
 export default class HanjutvSource extends BaseSource {
+  static meta = {
+    key: 'hanjutv',
+    platform: 'hanjutv',
+    capabilities: { segments: true, merge: true },
+    defaultOrder: 4,
+  };
+
   constructor() {
     super();
     this.appHost = "https://hxqapi.hiyun.tv";
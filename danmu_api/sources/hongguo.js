@@ -684,6 +684,13 @@ function getFragmentNumber(value, name) {
 }
 
 export default class HongguoSource extends BaseSource {
+  static meta = {
+    key: 'hongguo',
+    platform: 'hongguo',
+    urlPatterns: [value => value.startsWith('hongguo:') || isHongguoPlayerUrl(value)],
+    capabilities: { segments: true, merge: true },
+  };
+
   constructor() {
     super();
     this.preferredApiHost = CLIENT_CONFIG.apiHosts[0];
@@ -854,6 +861,11 @@ export default class HongguoSource extends BaseSource {
     }
   }
 
+  // 红果短剧播放页不抓取网页标题，统一展示平台名
+  async getLinkTitle() {
+    return "红果短剧";
+  }
+
   async getEpisodes(seriesId) {
     try {
       const response = await httpGet(`${WEB_ORIGIN}/detail?series_id=${encodeURIComponent(seriesId)}`, { headers: { accept: "text/html" }, timeout: 30000 });
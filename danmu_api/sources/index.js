@@ -0,0 +1,62 @@
+import { registerSource, getSource } from './registry.js';
+import Kan360Source from './kan360.js';
+import VodSource from './vod.js';
+import TmdbSource from './tmdb.js';
+import DoubanSource from './douban.js';
+import TencentSource from './tencent.js';
+import YoukuSource from './youku.js';
+import IqiyiSource from './iqiyi.js';
+import MangoSource from './mango.js';
+import BilibiliSource from './bilibili.js';
+import MiguSource from './migu.js';
+import RenrenSource from './renren.js';
+import HanjutvSource from './hanjutv.js';
+import SohuSource from './sohu.js';
+import LeshiSource from './leshi.js';
+import XiguaSource from './xigua.js';
+import MaiduiduiSource from './maiduidui.js';
+import AiyifanSource from './aiyifan.js';
+import HongguoSource from './hongguo.js';
+import DandanSource from './dandan.js';
+import BahamutSource from './bahamut.js';
+import AnimekoSource from './animeko.js';
+import CustomSource from './custom.js';
+import LocalSource from './local.js';
+import OtherSource from './other.js';
+
+// =====================
+// 内置弹幕源清单
+// =====================
+// 新增源：在 sources/ 下新建继承 BaseSource 并声明 static meta 的源文件，再在此处 import 并注册即可，
+// SOURCE_ORDER / PLATFORM_ORDER / MERGE_SOURCE_PAIRS 可选项、偏移别名、链接解析与弹幕调度都会自动生效。
+// 注册顺序即各配置可选项的展示顺序，也是链接匹配的优先顺序。
+// 需保持静态 import，forward widget 打包时依赖 esbuild 静态分析。
+
+registerSource(Kan360Source);
+registerSource(VodSource);
+registerSource(TmdbSource, { factory: () => new TmdbSource(getSource('douban')) });
+registerSource(DoubanSource, {
+  factory: () => new DoubanSource(getSource('tencent'), getSource('iqiyi'), getSource('youku'), getSource('bilibili'), getSource('migu'))
+});
+registerSource(TencentSource);
+registerSource(YoukuSource);
+registerSource(IqiyiSource);
+registerSource(MangoSource);
+registerSource(BilibiliSource);
+registerSource(MiguSource);
+registerSource(RenrenSource);
+registerSource(HanjutvSource);
+registerSource(SohuSource);
+registerSource(LeshiSource);
+registerSource(XiguaSource);
+registerSource(MaiduiduiSource);
+registerSource(AiyifanSource);
+registerSource(HongguoSource);
+registerSource(DandanSource);
+registerSource(BahamutSource);
+registerSource(AnimekoSource);
+registerSource(CustomSource);
+registerSource(LocalSource);
+registerSource(OtherSource);
+
+export * from './registry.js';
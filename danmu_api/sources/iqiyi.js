@@ -12,6 +12,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取爱奇艺弹幕
 // =====================
 export default class IqiyiSource extends BaseSource {
+  static meta = {
+    key: 'iqiyi',
+    platform: 'qiyi',
+    urlPatterns: [/\.iqiyi\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   // 爱奇艺 API 签名相关常量
   static XOR_KEY = 0x75706971676c;
   static SECRET_KEY = "howcuteitis";
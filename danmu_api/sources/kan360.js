@@ -10,6 +10,12 @@ import { titleMatches, getExplicitSeasonNumber, extractSeasonNumberFromAnimeTitl
 // 获取360看源播放链接
 // =====================
 export default class Kan360Source extends BaseSource {
+  static meta = {
+    key: '360',
+    logName: '360kan',
+    defaultOrder: 2,
+  };
+
   // 查询360kan综艺详情
   async get360Zongyi(title, entId, site, year) {
     try {
@@ -20,6 +20,13 @@ const typeMap = {
 // 获取乐视网弹幕
 // =====================
 export default class LeshiSource extends BaseSource {
+  static meta = {
+    key: 'leshi',
+    platform: 'leshi',
+    urlPatterns: [/\.le\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   constructor() {
     super();
     
@@ -0,0 +1,148 @@
+import BaseSource from './base.js';
+import { globals } from '../configs/globals.js';
+import { log } from "../utils/log-util.js";
+import { addAnime, removeEarliestAnime, readCacheFromFile } from "../utils/cache-util.js";
+import { runPipeline } from "../utils/redis-util.js";
+import { cacheLocalDanmuComments, getCachedLocalDanmuComments, getLocalDanmuStorageKey, searchLocalDanmuEntries } from "../utils/local-danmu-util.js";
+import { SegmentListResponse } from '../models/dandan-model.js';
+
+// =====================
+// 获取本地导入弹幕
+// =====================
+// 弹幕来自 /api/local/import 上传的 XML/JSON/ASS 文件，不发起任何外部请求。
+// 需在 SOURCE_ORDER 中添加 local 才会参与搜索与匹配。
+export default class LocalSource extends BaseSource {
+  static meta = {
+    key: 'local',
+    platform: 'local',
+    urlPatterns: [/^local:/],
+    capabilities: { segments: true, duration: false },
+  };
+
+  async search(keyword) {
+    const results = searchLocalDanmuEntries(keyword);
+    log("info", `[local] 搜索找到 ${results.length} 个有效结果`);
+    return results;
+  }
+
+  async getEpisodes(id) {
+    return [...globals.localDanmuIndex.values()]
+      .filter(entry => String(entry.id) === String(id));
+  }
+
+  async handleAnimes(sourceAnimes, queryTitle, curAnimes, detailStore = null, querySeason = null) {
+    const tmpAnimes = [];
+
+    if (!sourceAnimes || !Array.isArray(sourceAnimes)) {
+      log("error", "[local] sourceAnimes is not a valid array");
+      return [];
+    }
+
+    for (const anime of sourceAnimes) {
+      // 指定季度时，只保留未标注季度或季度一致的导入
+      if (querySeason !== null && anime.season !== null && anime.season !== querySeason) continue;
+
+      const links = anime.entries.map(entry => {
+        const epTitle = entry.episodeTitle || `第${entry.episode}集`;
+        return {
+          "name": String(entry.episode),
+          "url": `local:${entry.id}`,
+          "title": `【local】 ${epTitle}`
+        };
+      });
+      if (links.length === 0) continue;
+
+      const transformedAnime = {
+        animeId: anime.animeId,
+        bangumiId: String(anime.animeId),
+        animeTitle: `${anime.title}${anime.year ? `(${anime.year})` : ''}【本地导入】from local`,
+        type: "本地导入",
+        typeDescription: "本地导入",
+        imageUrl: "",
+        startDate: anime.year ? `${anime.year}-01-01T00:00:00` : "",
+        episodeCount: links.length,
+        rating: 0,
+        isFavorited: true,
+        source: "local",
+      };
+
+      tmpAnimes.push(transformedAnime);
+      addAnime({ ...transformedAnime, links }, detailStore);
+
+      if (globals.animes.length > globals.MAX_ANIMES) removeEarliestAnime();
+    }
+
+    this.sortAndPushAnimesByYear(tmpAnimes, curAnimes);
+
+    return tmpAnimes;
+  }
+
+  extractCommentId(url) {
+    return String(url || '').replace(/^local:/, '');
+  }
+
+  async getLinkTitle(url) {
+    const entry = globals.localDanmuIndex.get(this.extractCommentId(url));
+    return entry ? `${entry.title} 第${entry.episode}集` : '';
+  }
+
+  // 弹幕正文优先读实例内存，其次本地缓存文件，最后 Redis
+  async getEpisodeDanmu(id) {
+    const commentId = this.extractCommentId(id);
+    const cached = getCachedLocalDanmuComments(commentId);
+    if (cached) return cached;
+    if (!globals.localDanmuIndex.has(commentId)) {
+      log("info", `[local] 导入弹幕不存在: ${commentId}`);
+      return [];
+    }
+
+    const storageKey = getLocalDanmuStorageKey(commentId);
+    let comments = null;
+    try {
+      if (globals.localCacheValid) {
+        const data = readCacheFromFile(storageKey);
+        if (data) comments = typeof data === 'string' ? JSON.parse(data) : data;
+      }
+      if (!comments && globals.redisValid) {
+        const results = await runPipeline([['GET', storageKey]]);
+        if (results?.[0]?.result) comments = JSON.parse(results[0].result);
+      }
+    } catch (error) {
+      log("error", "[local] 读取导入弹幕失败:", {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      });
+    }
+
+    if (!Array.isArray(comments)) {
+      log("warn", `[local] 导入弹幕正文缺失: ${commentId}`);
+      return [];
+    }
+
+    cacheLocalDanmuComments(commentId, comments);
+    return comments;
+  }
+
+  async getEpisodeDanmuSegments(id) {
+    log("info", "[local] 获取本地导入弹幕分段列表...", id);
+
+    return new SegmentListResponse({
+      "type": "local",
+      "segmentList": [{
+        "type": "local",
+        "segment_start": 0,
+        "segment_end": 30000,
+        "url": this.extractCommentId(id)
+      }]
+    });
+  }
+
+  async getEpisodeSegmentDanmu(segment) {
+    return this.getEpisodeDanmu(segment.url);
+  }
+
+  formatComments(comments) {
+    return comments.map(c => ({ cid: c.cid, p: c.p, m: c.m }));
+  }
+}
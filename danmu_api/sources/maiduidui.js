@@ -13,6 +13,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取埋堆堆弹幕
 // =====================
 class MaiduiduiSource extends BaseSource {
+  static meta = {
+    key: 'maiduidui',
+    platform: 'maiduidui',
+    urlPatterns: [/\.mddcloud\.com\.cn/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   constructor() {
     super();
     
@@ -13,6 +13,14 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取芒果TV弹幕
 // =====================
 export default class MangoSource extends BaseSource {
+  static meta = {
+    key: 'imgo',
+    platform: 'imgo',
+    logName: 'mango',
+    urlPatterns: [/\.mgtv\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   // 处理 v2_color 对象的转换逻辑
   transformV2Color(v2_color) {
     // 默认颜色值
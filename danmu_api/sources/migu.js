@@ -14,6 +14,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取咪咕视频弹幕
 // =====================
 class MiguSource extends BaseSource {
+  static meta = {
+    key: 'migu',
+    platform: 'migu',
+    urlPatterns: [/\.miguvideo\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   async search(keyword) {
     try {
       const searchUrl = `https://jadeite.migu.cn/search/v3/open-search`;
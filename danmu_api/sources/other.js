@@ -9,6 +9,12 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取第三方弹幕服务器弹幕
 // =====================
 export default class OtherSource extends BaseSource {
+  static meta = {
+    key: 'other',
+    platform: 'other_server',
+    capabilities: { search: false, segments: true },
+  };
+
   async search(keyword) {}
 
   async getEpisodes(id) {}
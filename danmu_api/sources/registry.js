@@ -0,0 +1,173 @@
+// =====================
+// 弹幕源注册表
+// =====================
+// 各源在类上通过 static meta 声明自身信息（源键名、平台标识、能力、默认排序、链接匹配规则），
+// 由 sources/index.js 统一注册。本模块不导入任何源文件，可被 envs.js / offset-util.js / http-util.js
+// 等底层模块安全引用，避免 globals → envs → 源文件 的循环依赖。
+
+// 默认能力声明，源未声明的字段按此补齐
+const DEFAULT_CAPABILITIES = {
+  search: true,       // 参与 SOURCE_ORDER 搜索
+  segments: false,    // 支持分片弹幕（/api/v2/segmentcomment）
+  cookies: false,     // 依赖用户配置的 Cookie
+  merge: false,       // 允许出现在 MERGE_SOURCE_PAIRS 中
+  vodPlatform: false, // 可作为 VOD/360 返回的播放平台
+  duration: true,     // 可通过分片列表解析视频时长（百分比偏移、videoDuration 使用）
+};
+
+// key → 源定义
+const SOURCE_REGISTRY = new Map();
+
+/**
+ * 注册弹幕源
+ * @param {Function} SourceClass 继承 BaseSource 且声明了 static meta 的源类
+ * @param {Object} options 注册选项
+ * @param {Function} options.factory 自定义实例工厂（源构造需要依赖其他源时使用）
+ * @param {boolean} options.override 是否允许覆盖同名源（用于替换内置源）
+ * @returns {Object} 源定义
+ */
+export function registerSource(SourceClass, { factory = null, override = false } = {}) {
+  const meta = SourceClass?.meta;
+  if (!meta || !meta.key) {
+    throw new Error('[registry] Source class must declare static meta with a key');
+  }
+
+  const key = String(meta.key);
+  if (SOURCE_REGISTRY.has(key) && !override) {
+    throw new Error(`[registry] Source "${key}" is already registered`);
+  }
+
+  const definition = {
+    key,
+    platform: meta.platform || null,
+    logName: meta.logName || key,
+    urlPatterns: Array.isArray(meta.urlPatterns) ? meta.urlPatterns : [],
+    capabilities: { ...DEFAULT_CAPABILITIES, ...(meta.capabilities || {}) },
+    defaultOrder: Number.isFinite(meta.defaultOrder) ? meta.defaultOrder : null,
+    SourceClass,
+    factory: factory || (() => new SourceClass()),
+    instance: null,
+  };
+
+  SOURCE_REGISTRY.set(key, definition);
+  return definition;
+}
+
+/**
+ * 移除已注册的源
+ * @param {string} key 源键名
+ * @returns {boolean} 是否存在并已移除
+ */
+export function unregisterSource(key) {
+  return SOURCE_REGISTRY.delete(String(key));
+}
+
+/**
+ * 获取源定义
+ * @param {string} key 源键名
+ * @returns {Object|null}
+ */
+export function getSourceDefinition(key) {
+  return SOURCE_REGISTRY.get(String(key)) || null;
+}
+
+/**
+ * 获取源实例（首次访问时创建，之后复用同一实例）
+ * @param {string} key 源键名
+ * @returns {Object|null}
+ */
+export function getSource(key) {
+  const definition = getSourceDefinition(key);
+  if (!definition) return null;
+  if (!definition.instance) definition.instance = definition.factory();
+  return definition.instance;
+}
+
+/**
+ * 根据平台标识获取源定义（如 qq → tencent）
+ * @param {string} platform 平台标识
+ * @returns {Object|null}
+ */
+export function getSourceDefinitionByPlatform(platform) {
+  if (!platform) return null;
+  for (const definition of SOURCE_REGISTRY.values()) {
+    if (definition.platform === platform) return definition;
+  }
+  return null;
+}
+
+/**
+ * 根据播放链接查找对应源定义，按注册顺序匹配 urlPatterns
+ * @param {string} url 播放链接
+ * @returns {Object|null}
+ */
+export function findSourceDefinitionByUrl(url) {
+  const value = String(url || '');
+  if (!value) return null;
+  for (const definition of SOURCE_REGISTRY.values()) {
+    const matched = definition.urlPatterns.some(pattern =>
+      typeof pattern === 'function' ? pattern(value) : pattern.test(value)
+    );
+    if (matched) return definition;
+  }
+  return null;
+}
+
+/**
+ * 列出全部源定义（按注册顺序）
+ * @returns {Array}
+ */
+export function listSourceDefinitions() {
+  return [...SOURCE_REGISTRY.values()];
+}
+
+function listKeysByCapability(capability) {
+  return listSourceDefinitions()
+    .filter(definition => definition.capabilities[capability])
+    .map(definition => definition.key);
+}
+
+function listPlatformsByCapability(capability) {
+  return listSourceDefinitions()
+    .filter(definition => definition.platform && definition.capabilities[capability])
+    .map(definition => definition.platform);
+}
+
+// 允许出现在 SOURCE_ORDER 中的源
+export function getAllowedSources() {
+  return listKeysByCapability('search');
+}
+
+// 允许出现在 PLATFORM_ORDER 中的平台
+export function getAllowedPlatforms() {
+  return listPlatformsByCapability('search');
+}
+
+// VOD/360 可返回的播放平台
+export function getVodAllowedPlatforms() {
+  return listPlatformsByCapability('vodPlatform');
+}
+
+// 允许参与源合并的源
+export function getMergeAllowedSources() {
+  return listKeysByCapability('merge');
+}
+
+// 未配置 SOURCE_ORDER 时使用的默认源排序
+export function getDefaultSourceOrder() {
+  return listSourceDefinitions()
+    .filter(definition => definition.defaultOrder !== null)
+    .sort((a, b) => a.defaultOrder - b.defaultOrder)
+    .map(definition => definition.key);
+}
+
+// 源键名与平台标识不一致时的别名映射（如 tencent → qq）
+export function getSourceAliases() {
+  const aliases = {};
+  for (const definition of SOURCE_REGISTRY.values()) {
+    if (definition.platform && definition.platform !== definition.key) {
+      aliases[definition.key] = definition.platform;
+    }
+  }
+  return aliases;
+}
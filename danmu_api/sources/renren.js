@@ -37,6 +37,13 @@ const API_HEALTH = {
  * 兼容处理 SeriesId-EpisodeId 复合主键，确保弹幕与剧集详情的关联正确性。
  */
 export default class RenrenSource extends BaseSource {
+  static meta = {
+    key: 'renren',
+    platform: 'renren',
+    capabilities: { segments: true, merge: true },
+    defaultOrder: 3,
+  };
+
   constructor() {
     super();
     // 实例级标记：当前是否处于批量请求模式
@@ -12,6 +12,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取搜狐视频弹幕
 // =====================
 export default class SohuSource extends BaseSource {
+  static meta = {
+    key: 'sohu',
+    platform: 'sohu',
+    urlPatterns: [/\.sohu\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   constructor() {
     super();
     
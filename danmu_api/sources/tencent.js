@@ -12,6 +12,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取腾讯视频弹幕
 // =====================
 export default class TencentSource extends BaseSource {
+  static meta = {
+    key: 'tencent',
+    platform: 'qq',
+    urlPatterns: [/\.qq\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   extractAliasesFromHintWords(hintWords) {
     if (!hintWords || typeof hintWords !== 'string') return [];
 
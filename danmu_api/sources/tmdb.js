@@ -8,6 +8,10 @@ import { getImdbepisodes, getImdbSeasons } from "../utils/imdb-util.js";
 // 获取TMDB源播放链接
 // =====================
 export default class TmdbSource extends BaseSource {
+  static meta = {
+    key: 'tmdb',
+  };
+
   constructor(doubanSource) {
     super('BaseSource');
     this.doubanSource = doubanSource;
@@ -10,6 +10,10 @@ import { printFirst200Chars, titleMatches, sanitizeSearchKeyword, getExplicitSea
 // 获取vod源播放链接
 // =====================
 export default class VodSource extends BaseSource {
+  static meta = {
+    key: 'vod',
+  };
+
   // 查询vod站点影片信息
   async getVodAnimes(title, server, serverName) {
     try {
@@ -141,6 +145,20 @@ export default class VodSource extends BaseSource {
     }
   }
 
+  async searchAnimes(keyword, { preferAnimeId = null, preferSource = null } = {}) {
+    return this.search(keyword, preferAnimeId, preferSource);
+  }
+
+  // VOD 搜索结果按服务器分组，依次在同一结果池中处理
+  async handleSearchResults(searchResults, queryTitle, curAnimes, detailStore = null, querySeason = null) {
+    if (!Array.isArray(searchResults)) return;
+    for (const vodResult of searchResults) {
+      if (vodResult && vodResult.list && vodResult.list.length > 0) {
+        await this.handleAnimes(vodResult.list, queryTitle, curAnimes, vodResult.serverName, detailStore, querySeason);
+      }
+    }
+  }
+
   async getEpisodes(id) {}
 
   /**
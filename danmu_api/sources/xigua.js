@@ -12,6 +12,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取西瓜视频弹幕
 // =====================
 class XiguaSource extends BaseSource {
+  static meta = {
+    key: 'xigua',
+    platform: 'xigua',
+    urlPatterns: [/\.douyin\.com/, /\.ixigua\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   async search(keyword) {
     try {
       const searchUrl = `https://m.ixigua.com/s/${keyword}`;
@@ -12,6 +12,13 @@ import { SegmentListResponse } from '../models/dandan-model.js';
 // 获取优酷弹幕
 // =====================
 export default class YoukuSource extends BaseSource {
+  static meta = {
+    key: 'youku',
+    platform: 'youku',
+    urlPatterns: [/\.youku\.com/],
+    capabilities: { segments: true, merge: true, vodPlatform: true },
+  };
+
   convertYoukuUrl(url) {
     // 使用正则表达式提取 vid 参数
     const vidMatch = url.match(/vid=([^&]+)/);
@@ -764,6 +764,29 @@ body[data-theme] .favorite-schedule-btn:disabled:hover {
     color: #f0a060;
 }
 
+.log-request-id {
+    color: var(--theme-muted);
+    font-size: 11px;
+    margin-right: 6px;
+    cursor: pointer;
+}
+
+.log-request-id:hover {
+    text-decoration: underline;
+}
+
+.log-request-id-input {
+    width: 140px;
+    margin-left: 8px;
+    padding: 6px 10px;
+    font-size: 13px;
+    vertical-align: middle;
+    background: var(--theme-input-bg);
+    color: var(--theme-text);
+    border: 1px solid var(--theme-border);
+    border-radius: var(--app-radius-card-sm);
+}
+
 /* ============ 表单帮助 ============ */
 .form-help {
     font-size: 11px;
@@ -1718,6 +1741,100 @@ body[data-theme] input[type="checkbox"].app-checkbox:focus-visible {
     font-size: 14px;
 }
 
+/* ============ 源健康状态 ============ */
+.source-health-state {
+    color: #ffffff;
+    padding: 5px 12px;
+    border-radius: 999px;
+    font-size: 12px;
+    font-weight: 700;
+    min-width: 50px;
+    text-align: center;
+}
+
+.source-health-state.closed {
+    background: linear-gradient(135deg, #66bb6a, #4caf50);
+}
+
+.source-health-state.half-open {
+    background: linear-gradient(135deg, #ffb74d, #ff9800);
+}
+
+.source-health-state.open {
+    background: linear-gradient(135deg, #ef5350, #e53935);
+}
+
+.source-health-metrics {
+    color: var(--theme-muted);
+    font-size: 12px;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 14px;
+}
+
+.source-health-error {
+    margin-top: 10px;
+    color: #e53935;
+    font-size: 12px;
+    word-break: break-all;
+}
+
+/* ============ API 密钥用量 ============ */
+.record-api-key {
+    color: #ffffff;
+    background: linear-gradient(135deg, #7e57c2, #5e35b1);
+    padding: 5px 12px;
+    border-radius: 999px;
+    font-size: 12px;
+    font-weight: 700;
+    white-space: nowrap;
+}
+
+.api-key-list {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    margin-top: 8px;
+}
+
+.api-key-item {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 12px;
+    padding: 8px 12px;
+    border: 1px solid var(--theme-border);
+    border-radius: var(--app-radius-card-sm);
+    font-size: 12px;
+    color: var(--theme-muted);
+}
+
+.api-key-item .api-key-name {
+    font-weight: 700;
+    color: var(--theme-text);
+}
+
+.api-key-item .btn {
+    margin-left: auto;
+}
+
+/* ============ 本地弹幕导入 ============ */
+.local-danmu-fields {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+    gap: 12px;
+    margin-bottom: 15px;
+}
+
+.local-danmu-meta {
+    color: var(--theme-muted);
+    font-size: 12px;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 14px;
+    word-break: break-all;
+}
+
 .record-params pre {
     margin: 0;
     padding: 12px;
@@ -1808,6 +1925,89 @@ body[data-theme] input[type="checkbox"].app-checkbox:focus-visible {
     display: block;
 }
 
+/* 源合并诊断 */
+.merge-trace-table-wrap {
+    overflow-x: auto;
+}
+
+.merge-trace-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 12px;
+}
+
+.merge-trace-table th,
+.merge-trace-table td {
+    padding: 8px 10px;
+    border-bottom: 1px solid var(--theme-border);
+    text-align: left;
+    vertical-align: top;
+}
+
+.merge-trace-table th {
+    color: var(--theme-muted);
+    font-weight: 600;
+    white-space: nowrap;
+}
+
+.merge-trace-source {
+    color: var(--theme-accent);
+    font-weight: 700;
+}
+
+.merge-trace-muted {
+    color: var(--theme-muted);
+}
+
+.merge-trace-check.passed {
+    color: #4caf50;
+}
+
+.merge-trace-check.failed {
+    color: #e53935;
+}
+
+.merge-trace-verdict {
+    display: inline-block;
+    color: #ffffff;
+    padding: 2px 10px;
+    border-radius: 999px;
+    font-weight: 700;
+    background: #9e9e9e;
+}
+
+.merge-trace-verdict.merged {
+    background: linear-gradient(135deg, #66bb6a, #4caf50);
+}
+
+.merge-trace-verdict.rejected,
+.merge-trace-verdict.filtered {
+    background: linear-gradient(135deg, #ffb74d, #ff9800);
+}
+
+.merge-trace-verdict.vetoed {
+    background: linear-gradient(135deg, #ef5350, #e53935);
+}
+
+.merge-trace-details {
+    margin-top: 6px;
+}
+
+.merge-trace-details summary {
+    cursor: pointer;
+    color: var(--theme-accent);
+}
+
+.merge-trace-details .merge-trace-table {
+    margin-top: 6px;
+}
+
+.merge-trace-mapping-skipped td,
+.merge-trace-mapping-orphan td,
+.merge-trace-mapping-route_failed td {
+    color: var(--theme-muted);
+}
+
 /* 弹幕统计卡片 */
 .danmu-stats {
     margin-bottom: 14px;
@@ -2697,6 +2897,73 @@ body[data-theme$="-dark"] .heatmap-bar {
     margin-top: 8px;
 }
 
+/* ============ 规则库编辑器（rule-store-*） ============ */
+.modal-content.rule-store-modal-content {
+    max-width: 980px;
+}
+
+.rule-store-add {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+    margin-bottom: 12px;
+}
+
+.rule-store-add .rule-store-note-input {
+    max-width: 180px;
+}
+
+.rule-store-table .rule-store-rule-input {
+    min-width: 260px;
+}
+
+.rule-store-table .rule-store-note-input {
+    min-width: 100px;
+}
+
+.rule-store-table tr.rule-store-disabled td {
+    opacity: 0.55;
+}
+
+.rule-store-warning {
+    color: #f0a060;
+}
+
+.rule-store-row-actions {
+    white-space: nowrap;
+}
+
+.rule-store-row-actions .btn + .btn {
+    margin-left: 6px;
+}
+
+.rule-store-actions {
+    display: flex;
+    gap: 8px;
+    flex-wrap: wrap;
+    margin-top: 12px;
+}
+
+#rule-store-import-text {
+    width: 100%;
+    box-sizing: border-box;
+}
+
+.rule-store-import-mode {
+    width: auto;
+    margin-right: auto;
+}
+
+.rule-store-suggestions {
+    margin-top: 20px;
+    padding-top: 12px;
+    border-top: 1px solid var(--theme-border);
+}
+
+.rule-store-suggestions h4 {
+    margin: 0 0 6px;
+}
+
 /* ============ 最近数据缓存面板（anime-cache-*） ============ */
 .recent-data-panel {
     background: var(--theme-panel-bg);
@@ -1,62 +1,9 @@
+import { buildApiTestConfigs } from '../../configs/routes.js';
+
 // language=JavaScript
 export const apitestJsContent = /* javascript */ `
-// API 配置
-const apiConfigs = {
-    searchAnime: {
-        name: '搜索动漫',
-        method: 'GET',
-        path: '/api/v2/search/anime',
-        params: [
-            { name: 'keyword', label: '关键词 或 播放链接URL', type: 'text', required: true, placeholder: '示例: 生万物 或 http://v.qq.com/x/cover/rjae621myqca41h/j0032ubhl9s.html' }
-        ]
-    },
-    searchEpisodes: {
-        name: '搜索剧集',
-        method: 'GET',
-        path: '/api/v2/search/episodes',
-        params: [
-            { name: 'anime', label: '动漫名称', type: 'text', required: true, placeholder: '示例: 生万物' },
-            { name: 'episode', label: '集', type: 'text', required: false, placeholder: '示例: 1, movie' }
-        ]
-    },
-    matchAnime: {
-        name: '匹配动漫',
-        method: 'POST',
-        path: '/api/v2/match',
-        params: [
-            { name: 'fileName', label: '文件名', type: 'text', required: true, placeholder: '示例: 生万物 S02E08, 无忧渡.S02E08.2160p.WEB-DL.H265.DDP.5.1, 爱情公寓.ipartment.2009.S02E08.H.265.25fps.mkv, 亲爱的X S02E08, 宇宙Marry Me? S02E08' }
-        ]
-    },
-    getBangumi: {
-        name: '获取番剧详情',
-        method: 'GET',
-        path: '/api/v2/bangumi/:animeId',
-        params: [
-            { name: 'animeId', label: '动漫ID', type: 'text', required: true, placeholder: '示例: 236379' }
-        ]
-    },
-    getComment: {
-        name: '获取弹幕',
-        method: 'GET',
-        path: '/api/v2/comment/:commentId',
-        params: [
-            { name: 'commentId', label: '弹幕ID', type: 'text', required: true, placeholder: '示例: 10009' },
-            { name: 'format', label: '格式', type: 'select', required: false, placeholder: '可选: json或xml', options: ['json', 'xml'] },
-            { name: 'duration', label: '附带时长', type: 'select', required: false, placeholder: '可选: true或false', options: ['true', 'false'] },
-            { name: 'segmentflag', label: '分片标志', type: 'select', required: false, placeholder: '可选: true或false', options: ['true', 'false'] }
-        ]
-    },
-    getSegmentComment: {
-        name: '获取分片弹幕',
-        method: 'POST',
-        path: '/api/v2/segmentcomment',
-        params: [
-            { name: 'format', label: '格式', type: 'select', required: false, placeholder: '可选: json或xml', options: ['json', 'xml'] },
-        ],
-        hasBody: true,
-        bodyType: 'json'
-    }
-};
+// API 配置（由 configs/routes.js 路由表生成）
+const apiConfigs = ${JSON.stringify(buildApiTestConfigs(), null, 4)};
 
 // 弹幕测试全局状态
 let danmuTestState = {
@@ -90,6 +37,8 @@ let favoriteState = {
     scheduledRefreshSupported: false, favoriteSupported: false,
     favoriteSupportMessage: ''
 };
+// 收藏新集弹幕预取进行中时定时刷新列表展示进度
+let favoritePrefetchPollTimer = null;
 
 // 初始化接口调试界面
 function initApiTestInterface() {
@@ -433,12 +382,15 @@ function switchDanmuTestTab(tab, event) {
     document.querySelectorAll('.danmu-test-tab').forEach(btn => btn.classList.remove('active'));
     document.querySelectorAll('.danmu-test-panel').forEach(el => el.classList.remove('active'));
     event.target.classList.add('active');
-    const panelId = tab === 'auto' ? 'auto-match-panel' : tab === 'manual' ? 'manual-match-panel' : 'favorite-panel';
-    document.getElementById(panelId).classList.add('active');
+    const panelIds = { auto: 'auto-match-panel', manual: 'manual-match-panel', favorite: 'favorite-panel', merge: 'merge-trace-panel' };
+    document.getElementById(panelIds[tab]).classList.add('active');
     if (tab === 'favorite') {
         document.getElementById('danmu-result-area').style.display = 'none';
         loadFavoriteList();
     }
+    if (tab === 'merge') {
+        document.getElementById('danmu-result-area').style.display = 'none';
+    }
 }
 
 // =====================
@@ -916,6 +868,34 @@ function formatFavoriteLastStatus(schedule) {
     return '';
 }
 
+function formatFavoritePrefetch(prefetch) {
+    if (!prefetch) return '';
+    if (prefetch.status === 'pending') return '等待中（新增 ' + prefetch.newEpisodes + ' 集）';
+    const progress = (prefetch.completed + prefetch.failed + prefetch.skipped) + '/' + prefetch.total;
+    if (prefetch.status === 'running') return '进行中 ' + progress;
+    if (prefetch.status === 'skipped' && !prefetch.total) return '已跳过：没有可预取的剧集'
+        + (prefetch.finishedAt ? ' · ' + formatFavoriteTime(prefetch.finishedAt) : '');
+    const summary = '已缓存 ' + prefetch.completed + '/' + prefetch.total + ' 集'
+        + (prefetch.failed ? '，失败 ' + prefetch.failed + ' 集' : '')
+        + (prefetch.skipped ? '，跳过 ' + prefetch.skipped + ' 集' : '');
+    const label = { failed: '失败：', skipped: '已跳过：' }[prefetch.status] || '已完成：';
+    return label + summary
+        + (prefetch.finishedAt ? ' · ' + formatFavoriteTime(prefetch.finishedAt) : '')
+        + (prefetch.lastError ? ' · ' + prefetch.lastError : '');
+}
+
+function scheduleFavoritePrefetchPoll() {
+    if (favoritePrefetchPollTimer) return;
+    // serverless 平台的待预取条目要等 Cron Trigger 执行，只在预取进行中时轮询
+    const active = favoriteState.items.some(item => item.prefetch?.status === 'running'
+        || (item.prefetch?.status === 'pending' && favoriteState.scheduledRefreshSupported));
+    if (!active) return;
+    favoritePrefetchPollTimer = setTimeout(() => {
+        favoritePrefetchPollTimer = null;
+        loadFavoriteList();
+    }, 5000);
+}
+
 function normalizeFavoriteTime(value) {
     const cleaned = String(value || '').trim();
     if (!cleaned) return '';
@@ -951,6 +931,7 @@ function renderFavoriteItem(item) {
                     <div class="favorite-meta">收藏时间：\${escapeHtml(formatFavoriteTime(item.timestamp))}</div>
                     <div class="favorite-meta">最近刷新时间：\${escapeHtml(formatFavoriteTime(item.lastRefreshAt || item.timestamp))}</div>
                     <div class="favorite-meta">\${scheduleMeta}</div>
+                    \${item.prefetch ? '<div class="favorite-meta">新集预取：' + escapeHtml(formatFavoritePrefetch(item.prefetch)) + '</div>' : ''}
                 </div>
             </div>
             <div class="env-actions">
@@ -1017,6 +998,8 @@ async function loadFavoriteList(shouldRender = true) {
         favoriteState.favoriteSupportMessage = String(data.favoriteSupportMessage || '');
         favoriteState.scheduledRefreshSupported = data.scheduledRefreshSupported === true;
         favoriteState.loaded = true;
+        if (favoriteState.scheduledRefreshSupported) loadFavoriteWebhookLog();
+        scheduleFavoritePrefetchPoll();
     } catch (error) {
         favoriteState.error = error.message;
         addLog('收藏列表加载失败: ' + error.message, 'error');
@@ -1026,6 +1009,52 @@ async function loadFavoriteList(shouldRender = true) {
     }
 }
 
+function formatFavoriteWebhookRecord(record) {
+    const channelNames = { webhook: 'Webhook', telegram: 'Telegram', bark: 'Bark' };
+    const eventNames = { new_episodes: '发现新集数', refresh_failed: '刷新失败' };
+    const statusText = record.status === 'success'
+        ? '推送成功'
+        : record.status === 'failed'
+            ? '推送失败'
+            : (record.attempts ? '等待重试' : '等待推送') + (record.nextAttemptAt ? '（' + formatFavoriteNextRun(record.nextAttemptAt) + '）' : '');
+    return \`
+        <div class="env-item favorite-item">
+            <div class="env-info favorite-copy">
+                <strong>\${escapeHtml(record.animeTitle || record.keyword || '')}</strong>
+                <div class="favorite-meta">\${escapeHtml(eventNames[record.event] || record.event)} · \${escapeHtml(channelNames[record.channel] || record.channel)} · \${escapeHtml(statusText)} · 已尝试 \${record.attempts} 次</div>
+                <div class="favorite-meta">时间：\${escapeHtml(formatFavoriteTime(record.createdAt))}\${record.lastError ? ' · 错误：' + escapeHtml(record.lastError) : ''}</div>
+            </div>
+        </div>
+    \`;
+}
+
+// 加载定时刷新通知的投递记录（仅 Node/Docker 部署）
+async function loadFavoriteWebhookLog() {
+    const section = document.getElementById('favorite-webhook-section');
+    const list = document.getElementById('favorite-webhook-log');
+    const status = document.getElementById('favorite-webhook-status');
+    if (!section || !list) return;
+    section.style.display = '';
+    try {
+        const response = await fetch(buildApiUrl('/api/v2/favorite/webhook/log'));
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message || data.errorMessage || 'HTTP ' + response.status);
+        const channels = Array.isArray(data.channels) ? data.channels : [];
+        if (status) {
+            status.textContent = channels.length
+                ? '通知通道：' + channels.join('、') + (data.pending ? ' · ' + data.pending + ' 条等待重试' : '')
+                : '未配置通知通道，可设置 FAVORITE_WEBHOOK_URL、FAVORITE_TELEGRAM_BOT_TOKEN + FAVORITE_TELEGRAM_CHAT_ID 或 FAVORITE_BARK_URL';
+        }
+        const deliveries = Array.isArray(data.deliveries) ? data.deliveries : [];
+        list.innerHTML = deliveries.length
+            ? deliveries.map(formatFavoriteWebhookRecord).join('')
+            : '<div class="preview-empty"><strong>暂无通知记录</strong><span>定时刷新发现新集数或刷新失败时会推送通知</span></div>';
+    } catch (error) {
+        if (status) status.textContent = '通知记录加载失败';
+        list.innerHTML = '<div class="preview-empty"><strong>通知记录加载失败</strong><span>' + escapeHtml(error.message) + '</span></div>';
+    }
+}
+
 function toggleFavoriteScheduleWeekday() {
     const frequency = document.getElementById('favorite-schedule-frequency');
     const group = document.getElementById('favorite-schedule-weekday-group');
@@ -1440,6 +1469,104 @@ function isCurrentDanmuRequest(requestId) {
     return danmuTestState.activeDanmuRequestId === requestId;
 }
 
+// =====================
+// 源合并诊断
+// =====================
+const MERGE_TRACE_VERDICT_LABELS = {
+    merged: '已合并', rejected: '对齐后取消', vetoed: '检测否决',
+    filtered: '梯度淘汰', skipped: '跳过', candidate: '候选'
+};
+const MERGE_TRACE_MAPPING_LABELS = {
+    matched: '匹配', routed: '规则映射', unrouted: '未路由', route_failed: '路由失败',
+    skipped: '略过', orphan: '落单'
+};
+
+function formatMergeTraceScore(value) {
+    return typeof value === 'number' ? value.toFixed(2) : '-';
+}
+
+function formatMergeTraceAnime(anime) {
+    return '<div class="merge-trace-source">' + escapeHtml(anime.source) + '</div>'
+        + '<div>' + escapeHtml(anime.animeTitle) + '</div>'
+        + '<div class="merge-trace-muted">' + escapeHtml(String(anime.animeId)) + ' · ' + anime.episodeCount + ' 集</div>';
+}
+
+function renderMergeTraceMapping(mapping) {
+    if (!mapping.length) return '';
+    const rows = mapping.map(item =>
+        '<tr class="merge-trace-mapping-' + escapeHtml(item.status) + '">'
+        + '<td>' + escapeHtml(MERGE_TRACE_MAPPING_LABELS[item.status] || item.status) + '</td>'
+        + '<td>' + escapeHtml(item.primary || '-') + '</td>'
+        + '<td>' + escapeHtml(item.secondary || '-') + '</td>'
+        + '<td>' + escapeHtml(item.note || '') + '</td>'
+        + '</tr>').join('');
+    return '<details class="merge-trace-details"><summary>集数映射（' + mapping.length + ' 行）</summary>'
+        + '<div class="merge-trace-table-wrap"><table class="merge-trace-table">'
+        + '<thead><tr><th>状态</th><th>主源剧集</th><th>副源剧集</th><th>说明</th></tr></thead>'
+        + '<tbody>' + rows + '</tbody></table></div></details>';
+}
+
+function renderMergeTracePair(pair) {
+    const checks = pair.checks.map(check =>
+        '<div class="merge-trace-check ' + (check.passed ? 'passed' : 'failed') + '">'
+        + (check.passed ? '✓ ' : '✗ ') + escapeHtml(check.name)
+        + (check.detail ? '<span class="merge-trace-muted">：' + escapeHtml(check.detail) + '</span>' : '')
+        + '</div>').join('');
+    const verdict = '<span class="merge-trace-verdict ' + escapeHtml(pair.verdict) + '">'
+        + escapeHtml(MERGE_TRACE_VERDICT_LABELS[pair.verdict] || pair.verdict) + '</span>'
+        + (pair.reason ? '<div class="merge-trace-muted">' + escapeHtml(pair.reason) + '</div>' : '');
+    const alignment = pair.offset === null ? '-' : 'Offset=' + pair.offset + (pair.mergedCount !== null ? '<div class="merge-trace-muted">合并 ' + pair.mergedCount + ' 集</div>' : '');
+    return '<tr>'
+        + '<td>' + formatMergeTraceAnime(pair.primary) + '</td>'
+        + '<td>' + formatMergeTraceAnime(pair.secondary) + '</td>'
+        + '<td>' + formatMergeTraceScore(pair.similarity) + ' / ' + formatMergeTraceScore(pair.score) + '</td>'
+        + '<td>' + (checks || '-') + '</td>'
+        + '<td>' + alignment + '</td>'
+        + '<td>' + verdict + renderMergeTraceMapping(pair.mapping) + '</td>'
+        + '</tr>';
+}
+
+async function runMergeTrace() {
+    const keyword = document.getElementById('merge-trace-keyword').value.trim();
+    const status = document.getElementById('merge-trace-status');
+    const result = document.getElementById('merge-trace-result');
+    if (!keyword) {
+        customAlert('请输入搜索关键字');
+        return;
+    }
+    const btn = document.getElementById('merge-trace-btn');
+    btn.disabled = true;
+    status.textContent = '正在强制刷新搜索并追踪合并决策…';
+    result.innerHTML = '';
+    try {
+        const response = await fetch(buildApiUrl('/api/debug/merge?keyword=' + encodeURIComponent(keyword), true));
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.errorMessage || data.message || 'HTTP ' + response.status);
+        if (!data.mergeEnabled) {
+            status.textContent = data.message;
+            return;
+        }
+        const summary = data.summary;
+        status.textContent = '共 ' + summary.total + ' 个主副源配对：已合并 ' + summary.merged + '，对齐后取消 ' + summary.rejected
+            + '，检测否决 ' + summary.vetoed + '，梯度淘汰 ' + summary.filtered + '，跳过 ' + summary.skipped
+            + ' · 最终结果 ' + data.animes.length + ' 条';
+        if (data.pairs.length === 0) {
+            result.innerHTML = '<div class="preview-empty"><strong>没有产生主副源配对</strong><span>搜索结果中没有可按 MERGE_SOURCE_PAIRS 配对的来源</span></div>';
+            return;
+        }
+        result.innerHTML = '<div class="merge-trace-table-wrap"><table class="merge-trace-table">'
+            + '<thead><tr><th>主源</th><th>副源</th><th>相似度 / 得分</th><th>检测</th><th>对齐</th><th>结果</th></tr></thead>'
+            + '<tbody>' + data.pairs.map(renderMergeTracePair).join('') + '</tbody></table></div>';
+        addLog('合并诊断完成: ' + keyword + '，' + summary.total + ' 个配对', 'success');
+    } catch (error) {
+        status.textContent = '合并诊断失败';
+        result.innerHTML = '<div class="preview-empty"><strong>合并诊断失败</strong><span>' + escapeHtml(error.message) + '</span></div>';
+        addLog('合并诊断失败: ' + error.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 // =====================
 // 获取弹幕并展示结果
 // =====================
@@ -1535,6 +1662,7 @@ async function fetchDanmuForTest(episodeId, title, source, traceBase, sourceUrl)
                         '<option value="artplayer.json">ArtPlayer JSON</option>' +
                         '<option value="vod.json">VOD JSON</option>' +
                         '<option value="baha.json">巴哈姆特 JSON</option>' +
+                        '<option value="ass">ASS 字幕（mpv/VLC/Infuse）</option>' +
                     '</optgroup>' +
                     '<optgroup label="高级格式">' +
                         '<option value="bili.xml">Bilibili XML（DanUni）</option>' +
@@ -0,0 +1,170 @@
+// language=JavaScript
+export const localDanmuJsContent = /* javascript */ `
+// 本地弹幕导入功能相关
+
+// 选择文件后，若集数为空则尝试从文件名末尾的数字推断
+function handleLocalDanmuFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const episodeInput = document.getElementById('local-danmu-episode');
+    if (episodeInput && !episodeInput.value) {
+        const match = file.name.replace(/\\.[^.]+$/, '').match(/(\\d{1,4})(?!.*\\d)/);
+        if (match) episodeInput.value = parseInt(match[1], 10);
+    }
+}
+
+function escapeLocalDanmuText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// 上传弹幕文件（读取为文本后以 JSON 提交，兼容 Vercel 等仅透传 JSON 请求体的部署）
+async function importLocalDanmu() {
+    const fileInput = document.getElementById('local-danmu-file');
+    const title = document.getElementById('local-danmu-title').value.trim();
+    const season = document.getElementById('local-danmu-season').value.trim();
+    const episode = document.getElementById('local-danmu-episode').value.trim();
+    const episodeTitle = document.getElementById('local-danmu-episode-title').value.trim();
+    const importBtn = document.getElementById('local-danmu-import-btn');
+    const file = fileInput.files && fileInput.files[0];
+
+    if (!file) {
+        customAlert('请选择弹幕文件');
+        return;
+    }
+    if (!title || episode === '') {
+        customAlert('请填写剧名和集数');
+        return;
+    }
+
+    const originalText = importBtn.textContent;
+    importBtn.innerHTML = '<span class="loading-spinner-small"></span>';
+    importBtn.disabled = true;
+
+    try {
+        const content = await file.text();
+        const response = await fetch(buildApiUrl('/api/local/import', true), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title,
+                season: season === '' ? null : Number(season),
+                episode: Number(episode),
+                episodeTitle,
+                fileName: file.name,
+                content
+            })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || result.errorMessage || '导入失败');
+        }
+        addLog(result.message, 'success');
+        customAlert(result.message);
+        fileInput.value = '';
+        document.getElementById('local-danmu-episode').value = '';
+        document.getElementById('local-danmu-episode-title').value = '';
+        loadLocalDanmuList();
+    } catch (error) {
+        console.error('导入弹幕失败:', error);
+        addLog('导入弹幕失败: ' + error.message, 'error');
+        customAlert('导入弹幕失败: ' + error.message);
+    } finally {
+        importBtn.textContent = originalText;
+        importBtn.disabled = false;
+    }
+}
+
+// 加载已导入弹幕列表
+async function loadLocalDanmuList() {
+    const listContainer = document.getElementById('local-danmu-list');
+    const statusElement = document.getElementById('local-danmu-status');
+    if (!listContainer) return;
+
+    try {
+        const response = await fetch(buildApiUrl('/api/local/list', true));
+        if (response.status === 403) {
+            listContainer.innerHTML = '<div class="no-records">导入弹幕需要使用 ADMIN_TOKEN 访问</div>';
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('获取导入列表失败');
+        }
+
+        const data = await response.json();
+        const tips = [];
+        if (!data.enabled) tips.push('未在 SOURCE_ORDER 中添加 local 源，导入的弹幕不会出现在搜索/匹配结果中');
+        if (!data.persistent) tips.push(data.persistentMessage);
+        if (statusElement) statusElement.textContent = tips.join('；');
+
+        const entries = data.entries || [];
+        if (entries.length === 0) {
+            listContainer.innerHTML = '<div class="no-records">暂无导入的弹幕</div>';
+            return;
+        }
+
+        listContainer.innerHTML = entries.map(entry => {
+            const seasonText = entry.season ? \`第\${entry.season}季 \` : '';
+            const episodeText = entry.episodeTitle ? \` \${escapeLocalDanmuText(entry.episodeTitle)}\` : '';
+            return \`
+            <div class="record-item">
+                <div class="record-header">
+                    <div class="record-interface">\${escapeLocalDanmuText(entry.title)} \${seasonText}第\${entry.episode}集\${episodeText}</div>
+                    <button class="btn btn-danger" onclick="removeLocalDanmu('\${entry.id}')">删除</button>
+                </div>
+                <div class="local-danmu-meta">
+                    <span>格式: \${entry.format}</span>
+                    <span>弹幕: \${entry.count} 条</span>
+                    <span>文件: \${escapeLocalDanmuText(entry.fileName || '-')}</span>
+                    <span>导入时间: \${new Date(entry.createdAt).toLocaleString('zh-CN')}</span>
+                </div>
+            </div>\`;
+        }).join('');
+    } catch (error) {
+        console.error('获取导入弹幕列表时出错:', error);
+        listContainer.innerHTML = '<div class="no-records">获取导入弹幕列表失败: ' + error.message + '</div>';
+    }
+}
+
+async function removeLocalDanmu(id) {
+    if (!confirm('确定要删除该导入弹幕吗？')) return;
+    try {
+        const response = await fetch(buildApiUrl('/api/local/remove', true), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || '删除失败');
+        }
+        loadLocalDanmuList();
+    } catch (error) {
+        console.error('删除导入弹幕时出错:', error);
+        customAlert('删除导入弹幕失败: ' + error.message);
+    }
+}
+
+// 初始化本地弹幕导入界面
+function initLocalDanmuInterface() {
+    const originalSwitchSection = window.switchSection;
+    if (originalSwitchSection && typeof originalSwitchSection === 'function') {
+        window.switchSection = function(section, event = null) {
+            originalSwitchSection(section, event);
+
+            // 切换到推送弹幕页面时刷新导入列表
+            if (section === 'push') {
+                setTimeout(loadLocalDanmuList, 100);
+            }
+        };
+    }
+}
+
+// 页面加载完成后初始化
+document.addEventListener('DOMContentLoaded', function() {
+    if (typeof initLocalDanmuInterface === 'function') {
+        initLocalDanmuInterface();
+    }
+});
+`;
@@ -2,6 +2,8 @@
 export const logviewJsContent = /* javascript */ `
 // 日志全局过滤状态
 let currentLogFilter = 'ALL';
+// 按请求 ID 筛选，空字符串表示不筛选
+let currentRequestIdFilter = '';
 
 // 获取日志的严格归属分类
 function getLogCategory(message) {
@@ -97,7 +99,11 @@ function renderLogs() {
             highlightedMessage = coloredPrefix + rest;
         }
         
-        return \`<div class="log-entry \${log.type}" data-category="\${category}">[\${log.timestamp}] \${highlightedMessage}</div>\`;
+        // 服务端日志附带请求 ID，点击可只看同一请求的日志
+        const requestIdTag = log.requestId && !log._continuation
+            ? \`<span class="log-request-id" title="只看该请求的日志" onclick="setLogRequestIdFilter('\${log.requestId}')">#\${log.requestId}</span>\`
+            : '';
+        return \`<div class="log-entry \${log.type}" data-category="\${category}" data-request-id="\${log.requestId || ''}">[\${log.timestamp}] \${requestIdTag}\${highlightedMessage}</div>\`;
     }).join('');
     applyLogFilter();
     container.scrollTop = container.scrollHeight;
@@ -111,7 +117,9 @@ function applyLogFilter() {
     const showAll = currentLogFilter === 'ALL';
     const entries = container.children;
     for (let i = 0; i < entries.length; i++) {
-        entries[i].classList.toggle('log-entry-hidden', !showAll && entries[i].dataset.category !== currentLogFilter);
+        const categoryHidden = !showAll && entries[i].dataset.category !== currentLogFilter;
+        const requestHidden = !!currentRequestIdFilter && entries[i].dataset.requestId !== currentRequestIdFilter;
+        entries[i].classList.toggle('log-entry-hidden', categoryHidden || requestHidden);
     }
 }
 
@@ -169,29 +177,34 @@ window.setLogFilter = function(tag) {
     updateFilterUI();
 };
 
+// 按请求 ID 筛选日志，传空值取消筛选
+window.setLogRequestIdFilter = function(requestId) {
+    currentRequestIdFilter = String(requestId || '').trim().replace(/^#/, '');
+    const input = document.getElementById('log-request-id-filter');
+    if (input) input.value = currentRequestIdFilter;
+    applyLogFilter();
+};
+
 // 从API获取真实日志数据
 async function fetchRealLogs() {
     try {
-        // 日志查看使用普通token访问，不需要admin token
-        const response = await fetch(buildApiUrl('/api/logs')); // 不使用admin token
+        // 日志查看使用普通token访问，不需要admin token；format=json 返回带 requestId 的结构化记录
+        const response = await fetch(buildApiUrl('/api/logs?format=json')); // 不使用admin token
         if (!response.ok) {
             throw new Error(\`HTTP error! status: \${response.status}\`);
         }
-        const logText = await response.text();
-        // 解析日志文本为数组
-        const logLines = logText.split('\\n').filter(line => line.trim() !== '');
-        // 转换为logs数组格式
-        logs = logLines.map(line => {
-            // 解析日志行，提取时间戳、级别和消息
-            const match = line.match(/\\[([^\\]]+)\\] (\\w+): (.*)/);
-            const message = match ? match[3] : line;
-            const entry = {
-                timestamp: match ? match[1] : new Date().toLocaleTimeString(),
-                type: match ? match[2] : 'info',
-                message: message
-            };
-            entry._category = getLogCategory(message);
-            return entry;
+        const result = await response.json();
+        // 多行消息（如格式化的 JSON）拆成续行，续行继承首行的分类与请求 ID
+        logs = (result.logs || []).flatMap(record => {
+            const lines = formatLogRecordMessage(record.message).split('\\n');
+            return lines.map((line, index) => ({
+                timestamp: record.timestamp,
+                type: record.level,
+                message: line,
+                requestId: record.requestId || null,
+                _continuation: index > 0,
+                _category: index === 0 ? getLogCategory(line) : '_inherit_'
+            }));
         });
         renderLogs();
     } catch (error) {
@@ -200,6 +213,15 @@ async function fetchRealLogs() {
     }
 }
 
+// 与服务端文本日志一致：JSON 消息格式化为多行
+function formatLogRecordMessage(message) {
+    try {
+        return JSON.stringify(JSON.parse(message), null, 2).replace(/\\n/g, '\\n    ');
+    } catch {
+        return message;
+    }
+}
+
 function refreshLogs() {
     // 从API获取真实日志数据
     fetchRealLogs();
@@ -14,12 +14,15 @@ const previewCategoryMeta = {
 const previewGroupDefinitions = {
     api: [
         { name: '访问认证', keys: ['TOKEN', 'ADMIN_TOKEN', 'FAVORITE_REQUIRE_ADMIN'] },
-        { name: '请求控制', keys: ['RATE_LIMIT_MAX_REQUESTS'] }
+        { name: '请求控制', keys: ['RATE_LIMIT_MAX_REQUESTS', 'RATE_LIMIT_POLICIES', 'RATE_LIMIT_ALLOWLIST'] },
+        { name: '收藏预取', keys: ['FAVORITE_PREFETCH_EPISODES'] },
+        { name: '收藏通知', keys: ['FAVORITE_WEBHOOK_URL', 'FAVORITE_TELEGRAM_BOT_TOKEN', 'FAVORITE_TELEGRAM_CHAT_ID', 'FAVORITE_BARK_URL'] }
     ],
     source: [
         { name: '源选择与合并', keys: ['SOURCE_ORDER', 'MERGE_SOURCE_PAIRS', 'CUSTOM_MERGE_RULES'] },
         { name: '第三方与 VOD 服务', keys: ['OTHER_SERVER', 'CUSTOM_SOURCE_API_URL', 'VOD_SERVERS', 'VOD_RETURN_MODE', 'VOD_REQUEST_TIMEOUT'] },
-        { name: '平台凭证与并发', keys: ['BILIBILI_COOKIE', 'DOUBAN_COOKIE', 'YOUKU_CONCURRENCY'] }
+        { name: '平台凭证与并发', keys: ['BILIBILI_COOKIE', 'DOUBAN_COOKIE', 'YOUKU_CONCURRENCY'] },
+        { name: '源熔断', keys: ['SOURCE_BREAKER_THRESHOLD', 'SOURCE_BREAKER_COOLDOWN'] }
     ],
     match: [
         { name: '匹配策略', keys: ['PLATFORM_ORDER', 'STRICT_TITLE_MATCH', 'ENABLE_ANIME_EPISODE_FILTER'] },
@@ -28,22 +31,26 @@ const previewGroupDefinitions = {
         { name: '动画元数据', keys: ['USE_BANGUMI_DATA'] }
     ],
     danmu: [
-        { name: '过滤与数量', keys: ['BLOCKED_WORDS', 'GROUP_MINUTE', 'DANMU_LIMIT'] },
+        { name: '过滤与数量', keys: ['BLOCKED_WORDS', 'GROUP_MINUTE', 'DANMU_LIMIT', 'DANMU_DENSITY_LIMIT'] },
+        { name: '刷屏检测', keys: ['DANMU_NEAR_DUPLICATE_WINDOW', 'DANMU_NEAR_DUPLICATE_SIMILARITY', 'DANMU_REPEAT_CHAR_LIMIT', 'DANMU_FILTER_EMOJI_ONLY', 'DANMU_USER_FLOOD_LIMIT'] },
+        { name: 'AI 审核', keys: ['AI_MODERATION_CATEGORIES', 'AI_MODERATION_DRY_RUN'] },
         { name: '显示与转换', keys: ['DANMU_SIMPLIFIED_TRADITIONAL', 'CONVERT_TOP_BOTTOM_TO_SCROLL', 'CONVERT_COLOR', 'COLOR_POOL', 'LIKE_SWITCH'] },
         { name: '输出与推送', keys: ['DANMU_OUTPUT_FORMAT', 'DANMU_PUSH_URL'] },
+        { name: 'ASS 字幕输出', keys: ['ASS_FONT_SIZE', 'ASS_OPACITY', 'ASS_DURATION', 'ASS_RESOLUTION'] },
         { name: '时间与来源适配', keys: ['DANMU_OFFSET', 'HONGGUO_MERGE_ALL_EPISODES'] }
     ],
     cache: [
-        { name: '缓存时效', keys: ['SEARCH_CACHE_MINUTES', 'COMMENT_CACHE_MINUTES', 'COMMENT_CACHE_MIN_COUNT', 'BANGUMI_DATA_CACHE_DAYS'] },
+        { name: '缓存时效', keys: ['SEARCH_CACHE_MINUTES', 'COMMENT_CACHE_MINUTES', 'COMMENT_CACHE_MIN_COUNT', 'COMMENT_STALE_MINUTES', 'BANGUMI_DATA_CACHE_DAYS'] },
         { name: '容量与历史', keys: ['REMEMBER_LAST_SELECT', 'MAX_LAST_SELECT_MAP', 'MAX_ANIMES'] },
-        { name: 'Redis 服务', keys: ['UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'LOCAL_REDIS_URL'] }
+        { name: 'Redis 服务', keys: ['UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'LOCAL_REDIS_URL', 'REDIS_SHARED_CACHE', 'REDIS_CACHE_MAX_KB'] },
+        { name: 'SQLite 存储', keys: ['SQLITE_DB_PATH', 'SQLITE_RETENTION_DAYS'] }
     ],
     system: [
         { name: '界面与运行', keys: ['UI_THEME', 'LOG_LEVEL'] },
         { name: '网络与数据服务', keys: ['PROXY_URL', 'TMDB_API_KEY'] },
         { name: '部署平台', keys: ['DEPLOY_PLATFROM_ACCOUNT', 'DEPLOY_PLATFROM_PROJECT', 'DEPLOY_PLATFROM_TOKEN', 'deployPlatform'] },
         { name: '安全策略', keys: ['NODE_TLS_REJECT_UNAUTHORIZED', 'IP_BLACKLIST'] },
-        { name: '运行状态', keys: ['localCacheValid', 'redisValid', 'localRedisValid', 'aiValid'] }
+        { name: '运行状态', keys: ['localCacheValid', 'redisValid', 'localRedisValid', 'sqliteValid', 'aiValid'] }
     ]
 };
 
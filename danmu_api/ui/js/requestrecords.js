@@ -25,6 +25,8 @@ async function renderRequestRecords() {
             totalRequestsElement.textContent = \`今日请求总数: \${todayReqNum}\`;
         }
 
+        renderApiKeyUsage(data.apiKeys);
+
         if (records.length === 0) {
             recordsContainer.innerHTML = '<div class="no-records">暂无请求记录</div>';
             return;
@@ -37,6 +39,9 @@ async function renderRequestRecords() {
             const timestamp = record.timestamp ? new Date(record.timestamp).toLocaleString('zh-CN') : '未知时间';
             const method = record.method || 'GET';
             const clientIp = record.clientIp || '未知IP';
+            const apiKeyHtml = record.apiKey
+                ? \`<div class="record-api-key">🔑 \${escapeSourceHealthText(record.apiKey)}</div>\`
+                : '';
 
             // 格式化参数显示
             const hasParams = Object.keys(params).length > 0;
@@ -55,6 +60,7 @@ async function renderRequestRecords() {
                 <div class="record-header">
                     <div class="record-method">\${method}</div>
                     <div class="record-interface">\${interfaceName}</div>
+                    \${apiKeyHtml}
                     <div class="record-ip">\${clientIp}</div>
                 </div>
                 <div class="\${timestampClass}">\${timestamp}</div>
@@ -69,6 +75,135 @@ async function renderRequestRecords() {
     }
 }
 
+// API 密钥用量展示
+const API_KEY_SCOPE_LABELS = { read: '读取弹幕', favorite: '收藏写入', admin: '系统管理' };
+
+function renderApiKeyUsage(apiKeys) {
+    const usageContainer = document.getElementById('api-key-usage-list');
+    if (!usageContainer) return;
+
+    // 非管理员请求不返回 apiKeys
+    if (!Array.isArray(apiKeys)) {
+        usageContainer.innerHTML = '<div class="no-records">API 密钥用量仅管理员可见</div>';
+        return;
+    }
+    if (apiKeys.length === 0) {
+        usageContainer.innerHTML = '<div class="no-records">未配置 API 密钥</div>';
+        return;
+    }
+
+    usageContainer.innerHTML = apiKeys.map(apiKey => {
+        const scopes = apiKey.scopes.map(scope => API_KEY_SCOPE_LABELS[scope] || scope).join(' / ');
+        const quotaText = apiKey.dailyQuota > 0 ? \`\${apiKey.todayCount} / \${apiKey.dailyQuota}\` : \`\${apiKey.todayCount}（不限）\`;
+        const rateText = apiKey.rateLimit > 0 ? \`\${apiKey.lastMinuteCount} / \${apiKey.rateLimit}\` : \`\${apiKey.lastMinuteCount}（不限）\`;
+        const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString('zh-CN') : '未使用';
+
+        return \`
+        <div class="record-item">
+            <div class="record-header">
+                <div class="record-api-key">🔑 \${escapeSourceHealthText(apiKey.name)}</div>
+                <div class="record-interface">\${scopes}</div>
+            </div>
+            <div class="source-health-metrics">
+                <span>今日用量: \${quotaText}</span>
+                <span>最近 1 分钟: \${rateText}</span>
+                <span>累计: \${apiKey.totalCount}</span>
+                <span>被拒绝: \${apiKey.rejectedCount}</span>
+                <span>最近使用: \${lastUsed}</span>
+            </div>
+        </div>\`;
+    }).join('');
+}
+
+// 源健康状态展示
+const SOURCE_HEALTH_STATE_LABELS = { closed: '正常', 'half-open': '探测中', open: '熔断' };
+
+async function renderSourceHealth() {
+    const healthContainer = document.getElementById('source-health-list');
+    if (!healthContainer) return;
+
+    try {
+        const response = await fetch(buildApiUrl('/api/sources/health', true));
+        if (response.status === 403) {
+            healthContainer.innerHTML = '<div class="no-records">查看源健康状态需要使用 ADMIN_TOKEN 访问</div>';
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('获取源健康状态失败');
+        }
+
+        const data = await response.json();
+        const sources = data.sources || [];
+
+        const summaryElement = document.getElementById('source-health-summary');
+        if (summaryElement) {
+            summaryElement.textContent = data.threshold > 0
+                ? \`连续失败 \${data.threshold} 次熔断，冷却 \${data.cooldown} 秒\`
+                : '源熔断已关闭（SOURCE_BREAKER_THRESHOLD=0）';
+        }
+
+        if (sources.length === 0) {
+            healthContainer.innerHTML = '<div class="no-records">暂无源调用记录</div>';
+            return;
+        }
+
+        healthContainer.innerHTML = sources.map(source => {
+            const stateLabel = SOURCE_HEALTH_STATE_LABELS[source.state] || source.state;
+            const cooldownText = source.state === 'open'
+                ? \`<span>剩余冷却: \${Math.ceil(source.cooldownRemainingMs / 1000)} 秒</span>\`
+                : '';
+            const lastFailure = source.lastFailureAt ? new Date(source.lastFailureAt).toLocaleString('zh-CN') : '无';
+            const errorHtml = source.lastError && source.state !== 'closed'
+                ? \`<div class="source-health-error">最近错误: \${escapeSourceHealthText(source.lastError)}</div>\`
+                : '';
+
+            return \`
+            <div class="record-item">
+                <div class="record-header">
+                    <div class="source-health-state \${source.state}">\${stateLabel}</div>
+                    <div class="record-interface">\${source.key}\${source.enabled ? '' : '（未启用）'}</div>
+                </div>
+                <div class="source-health-metrics">
+                    <span>调用: \${source.totalCalls}</span>
+                    <span>失败率: \${(source.failureRate * 100).toFixed(1)}%</span>
+                    <span>连续失败: \${source.consecutiveFailures}</span>
+                    <span>平均耗时: \${source.avgLatencyMs} ms</span>
+                    <span>最近失败: \${lastFailure}</span>
+                    \${cooldownText}
+                </div>
+                \${errorHtml}
+            </div>\`;
+        }).join('');
+    } catch (error) {
+        console.error('获取源健康状态时出错:', error);
+        healthContainer.innerHTML = '<div class="no-records">获取源健康状态失败: ' + error.message + '</div>';
+    }
+}
+
+function escapeSourceHealthText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+async function resetSourceHealthState() {
+    if (!confirm('确定要重置所有源的熔断状态吗？')) return;
+    try {
+        const response = await fetch(buildApiUrl('/api/sources/health/reset', true), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        if (!response.ok) {
+            throw new Error('重置失败');
+        }
+        renderSourceHealth();
+    } catch (error) {
+        console.error('重置源健康状态时出错:', error);
+        alert('重置源健康状态失败: ' + error.message);
+    }
+}
+
 // 初始化请求记录界面
 function initRequestRecordsInterface() {
     // 确保在切换到请求记录标签页时也更新记录
@@ -81,6 +216,7 @@ function initRequestRecordsInterface() {
             // 如果切换到请求记录页面，则刷新记录
             if (section === 'request-records') {
                 setTimeout(renderRequestRecords, 100);
+                setTimeout(renderSourceHealth, 100);
             }
         };
     }
@@ -90,6 +226,7 @@ function initRequestRecordsInterface() {
         document.querySelector('.nav-btn[data-section="request-records"]') &&
         document.querySelector('.nav-btn[data-section="request-records"]').classList.contains('active')) {
         renderRequestRecords();
+        renderSourceHealth();
     }
 }
 
@@ -107,5 +244,15 @@ document.addEventListener('DOMContentLoaded', function() {
         };
     }
 
+    const refreshHealthBtn = document.getElementById('refresh-source-health');
+    if (refreshHealthBtn) {
+        refreshHealthBtn.onclick = renderSourceHealth;
+    }
+
+    const resetHealthBtn = document.getElementById('reset-source-health');
+    if (resetHealthBtn) {
+        resetHealthBtn.onclick = resetSourceHealthState;
+    }
+
 });
 `;
\ No newline at end of file
@@ -388,6 +388,254 @@ async function confirmClearCache() {
     }
 }
 
+// ===== 规则库 =====
+
+const RULE_STORE_TABLES = ['CUSTOM_MERGE_RULES', 'TITLE_MAPPING_TABLE', 'AUTO_MATCH_MAPPING_TABLE', 'DANMU_OFFSET'];
+const ruleStoreState = { table: 'CUSTOM_MERGE_RULES', tables: {}, persistent: true };
+
+// 显示规则库模态框
+function showRuleStoreModal() {
+    document.getElementById('rule-store-modal').classList.add('active');
+    fetchRuleStore();
+    fetchRuleSuggestions();
+}
+
+// 隐藏规则库模态框
+function hideRuleStoreModal() {
+    document.getElementById('rule-store-modal').classList.remove('active');
+}
+
+// 调用规则库接口，失败时抛出服务端返回的校验信息
+async function requestRuleStore(path, body) {
+    const options = body
+        ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+        : {};
+    const response = await fetch(buildApiUrl(path, true), options); // 使用admin token
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.message || data.errorMessage || 'HTTP ' + response.status);
+    return data;
+}
+
+async function fetchRuleStore() {
+    document.getElementById('rule-store-status').textContent = '加载中...';
+    try {
+        const data = await requestRuleStore('/api/rules/list');
+        ruleStoreState.persistent = data.persistent;
+        data.tables.forEach(table => {
+            ruleStoreState.tables[table.table] = table;
+        });
+        renderRuleStore();
+    } catch (error) {
+        document.getElementById('rule-store-status').textContent = '规则库加载失败: ' + error.message;
+        addLog('规则库加载失败: ' + error.message, 'error');
+    }
+}
+
+function switchRuleStoreTable(table) {
+    ruleStoreState.table = table;
+    renderRuleStore();
+}
+
+// 接口返回单个变量的最新规则列表，更新后重新渲染
+function applyRuleStoreResult(data) {
+    ruleStoreState.tables[data.table] = data;
+    renderRuleStore();
+}
+
+function renderRuleStore() {
+    document.getElementById('rule-store-tabs').innerHTML = RULE_STORE_TABLES.map(name => {
+        const table = ruleStoreState.tables[name];
+        return '<button type="button" class="danmu-test-tab' + (name === ruleStoreState.table ? ' active' : '') + '" data-table="' + name + '"'
+            + ' onclick="switchRuleStoreTable(this.dataset.table)" title="' + name + '">' + escapeHtml(table ? table.label : name) + '</button>';
+    }).join('');
+
+    const current = ruleStoreState.tables[ruleStoreState.table];
+    if (!current) return;
+
+    document.getElementById('rule-store-status').textContent = current.table
+        + (current.managed ? ' · 已由规则库接管' : ' · 使用环境变量（修改任意规则后由规则库接管）')
+        + ' · 共 ' + current.rules.length + ' 条，生效 ' + current.effectiveCount + ' 条'
+        + (ruleStoreState.persistent ? '' : ' · ⚠️ 未启用本地缓存或 Redis，规则仅保存在内存中，重启后丢失');
+    document.getElementById('rule-store-reset-btn').disabled = !current.managed;
+    document.getElementById('rule-store-new-rule').placeholder = '单条规则，格式与环境变量相同（不含分隔符 ' + current.separator + '）';
+
+    const list = document.getElementById('rule-store-list');
+    if (current.rules.length === 0) {
+        list.innerHTML = '<div class="preview-empty"><strong>暂无规则</strong><span>在上方添加规则，或从环境变量导入</span></div>';
+        return;
+    }
+    list.innerHTML = '<table class="merge-trace-table rule-store-table">'
+        + '<thead><tr><th>启用</th><th>#</th><th>规则</th><th>备注</th><th>校验</th><th>操作</th></tr></thead>'
+        + '<tbody>' + current.rules.map(renderRuleStoreRow).join('') + '</tbody></table>';
+}
+
+function renderRuleStoreRow(rule, index) {
+    const messages = rule.errors.map(message => '<div class="merge-trace-check failed">✗ ' + escapeHtml(message) + '</div>')
+        .concat(rule.warnings.map(message => '<div class="rule-store-warning">⚠ ' + escapeHtml(message) + '</div>'));
+    const validation = messages.length > 0 ? messages.join('') : '<span class="merge-trace-check passed">✓ 通过</span>';
+    return '<tr data-id="' + escapeHtml(rule.id) + '"' + (rule.enabled ? '' : ' class="rule-store-disabled"') + '>'
+        + '<td><input type="checkbox" class="app-checkbox"' + (rule.enabled ? ' checked' : '') + ' onchange="toggleRuleStoreRule(this)"></td>'
+        + '<td class="merge-trace-muted">' + (index + 1) + '</td>'
+        + '<td><input type="text" class="offset-input text-monospace rule-store-rule-input" value="' + escapeHtml(rule.rule) + '"></td>'
+        + '<td><input type="text" class="offset-input rule-store-note-input" value="' + escapeHtml(rule.note) + '" placeholder="备注"></td>'
+        + '<td>' + validation + '</td>'
+        + '<td class="rule-store-row-actions">'
+        + '<button type="button" class="btn btn-primary btn-sm" onclick="saveRuleStoreRow(this)">保存</button>'
+        + '<button type="button" class="btn btn-danger btn-sm" onclick="removeRuleStoreRule(this)">删除</button>'
+        + '</td></tr>';
+}
+
+// 保存规则并刷新列表，校验失败时提示服务端返回的错误
+async function submitRuleStore(path, body, successLog) {
+    try {
+        const data = await requestRuleStore(path, { table: ruleStoreState.table, ...body });
+        applyRuleStoreResult(data);
+        addLog(successLog || data.message, 'success');
+        return true;
+    } catch (error) {
+        addLog('规则库操作失败: ' + error.message, 'error');
+        customAlert(error.message, '规则库');
+        return false;
+    }
+}
+
+async function addRuleStoreRule() {
+    const ruleInput = document.getElementById('rule-store-new-rule');
+    const noteInput = document.getElementById('rule-store-new-note');
+    const rule = ruleInput.value.trim();
+    if (!rule) {
+        customAlert('请输入规则');
+        return;
+    }
+    if (await submitRuleStore('/api/rules/save', { rule, note: noteInput.value.trim() }, '规则已添加: ' + rule)) {
+        ruleInput.value = '';
+        noteInput.value = '';
+    }
+}
+
+async function saveRuleStoreRow(button) {
+    const row = button.closest('tr');
+    await submitRuleStore('/api/rules/save', {
+        id: row.dataset.id,
+        rule: row.querySelector('.rule-store-rule-input').value.trim(),
+        note: row.querySelector('.rule-store-note-input').value.trim()
+    });
+}
+
+async function toggleRuleStoreRule(checkbox) {
+    const row = checkbox.closest('tr');
+    const ok = await submitRuleStore('/api/rules/save', { id: row.dataset.id, enabled: checkbox.checked });
+    if (!ok) checkbox.checked = !checkbox.checked;
+}
+
+async function removeRuleStoreRule(button) {
+    const row = button.closest('tr');
+    const rule = row.querySelector('.rule-store-rule-input').value;
+    const confirmed = await customConfirm('确定删除规则「' + rule + '」吗？');
+    if (!confirmed) return;
+    await submitRuleStore('/api/rules/remove', { id: row.dataset.id });
+}
+
+async function importRuleStoreFromEnv() {
+    const current = ruleStoreState.tables[ruleStoreState.table];
+    if (!current || !current.envValue) {
+        customAlert('环境变量 ' + ruleStoreState.table + ' 未配置规则');
+        return;
+    }
+    await submitRuleStore('/api/rules/import', { mode: 'append' });
+}
+
+function toggleRuleStoreImportPanel() {
+    const panel = document.getElementById('rule-store-import-panel');
+    panel.style.display = getComputedStyle(panel).display === 'none' ? 'block' : 'none';
+}
+
+async function importRuleStoreText() {
+    const textarea = document.getElementById('rule-store-import-text');
+    const mode = document.getElementById('rule-store-import-mode').value;
+    const text = textarea.value.trim();
+    if (!text) {
+        customAlert('请粘贴要导入的规则');
+        return;
+    }
+    if (mode === 'replace' && !(await customConfirm('确定用粘贴的规则替换 ' + ruleStoreState.table + ' 的全部规则吗？'))) return;
+    if (await submitRuleStore('/api/rules/import', { text, mode })) {
+        textarea.value = '';
+        toggleRuleStoreImportPanel();
+    }
+}
+
+async function resetRuleStoreTable() {
+    const confirmed = await customConfirm('确定取消规则库对 ' + ruleStoreState.table + ' 的接管吗？规则库中的规则将被删除，恢复使用环境变量。');
+    if (!confirmed) return;
+    await submitRuleStore('/api/rules/reset', {});
+}
+
+// ===== 规则建议（由重复的手动选择生成） =====
+
+async function fetchRuleSuggestions() {
+    const status = document.getElementById('rule-store-suggestion-status');
+    status.textContent = '加载中...';
+    try {
+        renderRuleSuggestions(await requestRuleStore('/api/rules/suggestions'));
+    } catch (error) {
+        status.textContent = '规则建议加载失败: ' + error.message;
+    }
+}
+
+function renderRuleSuggestions(data) {
+    const pendingNote = data.pending > 0 ? '，另有 ' + data.pending + ' 条证据不足' : '';
+    document.getElementById('rule-store-suggestion-status').textContent = data.rememberLastSelect === false
+        ? '未开启 REMEMBER_LAST_SELECT，不会记录手动选择'
+        : '自动匹配后手动改选同一结果 ' + data.minEvidence + ' 次以上时生成建议' + pendingNote;
+
+    const list = document.getElementById('rule-store-suggestion-list');
+    if (data.suggestions.length === 0) {
+        list.innerHTML = '<div class="preview-empty"><strong>暂无规则建议</strong><span>在播放器中手动改选匹配结果后会在这里出现</span></div>';
+        return;
+    }
+    list.innerHTML = '<table class="merge-trace-table rule-store-table">'
+        + '<thead><tr><th>证据</th><th>手动选择</th><th>建议规则</th><th>操作</th></tr></thead>'
+        + '<tbody>' + data.suggestions.map(suggestion => {
+            const episodes = suggestion.episodes.map(episode => 'E' + episode).join(', ');
+            return '<tr data-key="' + escapeHtml(suggestion.key) + '">'
+                + '<td><strong>' + suggestion.count + ' 次</strong><div class="merge-trace-muted">最近 ' + new Date(suggestion.lastSeenAt).toLocaleString() + '</div></td>'
+                + '<td>' + escapeHtml(suggestion.queryTitle) + ' S' + suggestion.querySeason + ' ' + escapeHtml(episodes)
+                + '<div class="merge-trace-muted">→ ' + escapeHtml(suggestion.selectedAnimeTitle) + '</div></td>'
+                + '<td><div class="merge-trace-muted">' + suggestion.table + '</div><code>' + escapeHtml(suggestion.rule) + '</code></td>'
+                + '<td class="rule-store-row-actions">'
+                + '<button type="button" class="btn btn-primary btn-sm" onclick="acceptRuleSuggestion(this)">转为规则</button>'
+                + '<button type="button" class="btn btn-secondary btn-sm" onclick="ignoreRuleSuggestion(this)">忽略</button>'
+                + '</td></tr>';
+        }).join('') + '</tbody></table>';
+}
+
+async function acceptRuleSuggestion(button) {
+    try {
+        const data = await requestRuleStore('/api/rules/suggestions/promote', { key: button.closest('tr').dataset.key });
+        renderRuleSuggestions(data);
+        addLog(data.message, 'success');
+        ruleStoreState.table = data.table;
+        fetchRuleStore();
+    } catch (error) {
+        addLog('规则建议操作失败: ' + error.message, 'error');
+        customAlert(error.message, '规则建议');
+    }
+}
+
+async function ignoreRuleSuggestion(button) {
+    const confirmed = await customConfirm('忽略后，相同的手动选择不再生成建议，确定忽略吗？');
+    if (!confirmed) return;
+    try {
+        const data = await requestRuleStore('/api/rules/suggestions/dismiss', { key: button.closest('tr').dataset.key });
+        renderRuleSuggestions(data);
+        addLog(data.message, 'success');
+    } catch (error) {
+        addLog('规则建议操作失败: ' + error.message, 'error');
+        customAlert(error.message, '规则建议');
+    }
+}
+
 // 显示重新部署确认模态框
 function showDeploySystemModal() {
     document.getElementById('deploy-system-modal').classList.add('active');
@@ -923,6 +1171,7 @@ function renderValueInput(item) {
         const isColorPool = currentKey === 'COLOR_POOL';
         const isDanmuOffset = currentKey === 'DANMU_OFFSET';
 		const isCustomMergeRules = currentKey === 'CUSTOM_MERGE_RULES';
+        const isApiKeys = currentKey === 'API_KEYS';
         const offsetSources = item && item.sources ? item.sources : [];
 
         if (isColorPool) {
@@ -1136,6 +1385,58 @@ function renderValueInput(item) {
                     </div>
                 </div>
             \`;
+        } else if (isApiKeys) {
+            // API_KEYS 专用编辑界面
+            const rows = value && value.length > 50 ? Math.min(Math.max(Math.ceil(value.length / 50), 3), 10) : 3;
+            container.innerHTML = \`
+                <label>变量值</label>
+                <textarea id="text-value" placeholder="格式：名称:密钥:权限:每分钟请求上限:每日配额，多个密钥用分号分隔" rows="\${rows}" class="text-monospace" oninput="renderApiKeyList()">\${value || ''}</textarea>
+                <div class="form-help">密钥作为路径前缀使用，与 TOKEN 相同：http://域名/密钥/api/v2/...；保存后需重新部署或重启生效</div>
+                <div id="api-key-list" class="api-key-list"></div>
+                <div style="margin-top: 8px; display: flex; gap: 10px;">
+                    <button type="button" class="btn btn-primary btn-sm" id="api-key-toggle" onclick="toggleApiKeyPanel()">
+                        添加密钥
+                    </button>
+                </div>
+                <div id="api-key-panel" class="offset-rule-panel" style="display: none;">
+                    <div class="offset-form-row">
+                        <div style="flex: 1; min-width: 100px;">
+                            <label class="offset-label">名称 *</label>
+                            <input type="text" id="api-key-name" class="offset-input" placeholder="例如: friend">
+                        </div>
+                        <div style="flex: 2; min-width: 160px;">
+                            <label class="offset-label">密钥 *（8~64 位字母、数字、_ 或 -）</label>
+                            <div style="display: flex; gap: 6px;">
+                                <input type="text" id="api-key-value" class="offset-input text-monospace">
+                                <button type="button" class="btn btn-sm" onclick="generateApiKeyValue()">🎲 生成</button>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="offset-form-row">
+                        <div style="width: 130px;">
+                            <label class="offset-label">每分钟请求上限</label>
+                            <input type="number" id="api-key-rate" class="offset-input" placeholder="0 不限" min="0">
+                        </div>
+                        <div style="width: 130px;">
+                            <label class="offset-label">每日配额</label>
+                            <input type="number" id="api-key-quota" class="offset-input" placeholder="0 不限" min="0">
+                        </div>
+                    </div>
+                    <div style="margin-bottom: 10px;">
+                        <label class="offset-label">权限</label>
+                        <div id="api-key-scopes" class="offset-sources">
+                            <div class="offset-source-tag selected" data-value="read" onclick="toggleOffsetSource(this)">read 读取弹幕</div>
+                            <div class="offset-source-tag" data-value="favorite" onclick="toggleOffsetSource(this)">favorite 收藏写入</div>
+                            <div class="offset-source-tag" data-value="admin" onclick="toggleOffsetSource(this)">admin 系统管理</div>
+                        </div>
+                    </div>
+                    <div class="offset-actions">
+                        <button type="button" class="btn btn-sm" onclick="toggleApiKeyPanel()">取消</button>
+                        <button type="button" class="btn btn-primary btn-sm" onclick="appendApiKey()">确认添加</button>
+                    </div>
+                </div>
+            \`;
+            setTimeout(renderApiKeyList, 0);
         } else if (value && value.length > 50) {
             const rows = Math.min(Math.max(Math.ceil(value.length / 50), 3), 10);
             container.innerHTML = \`
@@ -1482,6 +1783,109 @@ function appendOffsetRule() {
     toggleOffsetRulePanel();
 }
 
+// API_KEYS 快速配置 - 解析当前配置
+function parseApiKeyEntries(text) {
+    return (text || '').split(/[\\n;]+/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name = '', key = '', scopes = 'read', rateLimit = '0', dailyQuota = '0'] = entry.split(':').map(part => part.trim());
+        return { name, key, scopes: scopes || 'read', rateLimit: rateLimit || '0', dailyQuota: dailyQuota || '0' };
+    });
+}
+
+function formatApiKeyEntry(entry) {
+    return [entry.name, entry.key, entry.scopes, entry.rateLimit, entry.dailyQuota].join(':');
+}
+
+// API_KEYS 快速配置 - 展示已配置的密钥（密钥只显示首尾字符）
+function renderApiKeyList() {
+    const listEl = document.getElementById('api-key-list');
+    const textarea = document.getElementById('text-value');
+    if (!listEl || !textarea) return;
+
+    const entries = parseApiKeyEntries(textarea.value);
+    listEl.innerHTML = entries.map((entry, index) => {
+        const maskedKey = entry.key.length > 8 ? entry.key.slice(0, 4) + '…' + entry.key.slice(-4) : entry.key;
+        const rateText = entry.rateLimit === '0' ? '不限' : entry.rateLimit + '/分钟';
+        const quotaText = entry.dailyQuota === '0' ? '不限' : entry.dailyQuota + '/天';
+        return \`
+            <div class="api-key-item">
+                <span class="api-key-name">\${escapeHtml(entry.name)}</span>
+                <span class="text-monospace">\${escapeHtml(maskedKey)}</span>
+                <span>\${escapeHtml(entry.scopes)}</span>
+                <span>限流 \${escapeHtml(rateText)}</span>
+                <span>配额 \${escapeHtml(quotaText)}</span>
+                <button type="button" class="btn btn-danger btn-sm" onclick="removeApiKeyEntry(\${index})">删除</button>
+            </div>
+        \`;
+    }).join('');
+}
+
+function removeApiKeyEntry(index) {
+    const textarea = document.getElementById('text-value');
+    const entries = parseApiKeyEntries(textarea.value);
+    entries.splice(index, 1);
+    textarea.value = entries.map(formatApiKeyEntry).join(';');
+    renderApiKeyList();
+}
+
+// API_KEYS 快速配置 - 切换添加面板
+function toggleApiKeyPanel() {
+    const panel = document.getElementById('api-key-panel');
+    if (panel) {
+        const isHidden = getComputedStyle(panel).display === 'none';
+        panel.style.display = isHidden ? 'block' : 'none';
+        const btn = document.getElementById('api-key-toggle');
+        if (btn) btn.textContent = isHidden ? '收起' : '添加密钥';
+        if (isHidden && !document.getElementById('api-key-value').value) generateApiKeyValue();
+    }
+}
+
+// API_KEYS 快速配置 - 生成随机密钥
+function generateApiKeyValue() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    document.getElementById('api-key-value').value = Array.from(bytes, byte => chars[byte % chars.length]).join('');
+}
+
+// API_KEYS 快速配置 - 确认添加密钥
+function appendApiKey() {
+    const name = document.getElementById('api-key-name').value.trim();
+    const key = document.getElementById('api-key-value').value.trim();
+    const rateLimit = document.getElementById('api-key-rate').value.trim() || '0';
+    const dailyQuota = document.getElementById('api-key-quota').value.trim() || '0';
+    const scopes = Array.from(document.querySelectorAll('#api-key-scopes .offset-source-tag.selected'))
+        .map(el => el.dataset.value);
+
+    if (!name || /[:;]/.test(name)) {
+        customAlert('请输入名称（不能包含 : 或 ;）');
+        return;
+    }
+    if (!/^[A-Za-z0-9_-]{8,64}$/.test(key)) {
+        customAlert('密钥需为 8~64 位字母、数字、_ 或 -');
+        return;
+    }
+    if (scopes.length === 0) {
+        customAlert('请至少选择一个权限');
+        return;
+    }
+
+    const textarea = document.getElementById('text-value');
+    const entries = parseApiKeyEntries(textarea.value);
+    if (entries.some(entry => entry.name === name || entry.key === key)) {
+        customAlert('名称或密钥已存在');
+        return;
+    }
+
+    entries.push({ name, key, scopes: scopes.join(','), rateLimit, dailyQuota });
+    textarea.value = entries.map(formatApiKeyEntry).join(';');
+
+    document.getElementById('api-key-name').value = '';
+    document.getElementById('api-key-value').value = '';
+    document.getElementById('api-key-rate').value = '';
+    document.getElementById('api-key-quota').value = '';
+    renderApiKeyList();
+    toggleApiKeyPanel();
+}
+
 // CUSTOM_MERGE_RULES 快速配置 - 焦点状态记录
 let currentMergeFocus = 'sec';
 
@@ -1,4 +1,5 @@
 import { globals } from "../configs/globals.js";
+import { apiRoutes } from "../configs/routes.js";
 import { baseCssContent } from "./css/base.css.js";
 import { componentsCssContent } from "./css/components.css.js";
 import { formsCssContent } from "./css/forms.css.js";
@@ -9,6 +10,7 @@ import { previewJsContent } from "./js/preview.js";
 import { logviewJsContent } from "./js/logview.js";
 import { apitestJsContent } from "./js/apitest.js";
 import { pushDanmuJsContent } from "./js/pushdanmu.js";
+import { localDanmuJsContent } from "./js/localdanmu.js";
 import { requestRecordsJsContent } from "./js/requestrecords.js";
 import { systemSettingsJsContent } from "./js/systemsettings.js";
 
@@ -132,6 +134,7 @@ export const HTML_TEMPLATE = /* html */ `
                     <div>
                         <button class="btn btn-primary" onclick="refreshLogs()">🔄 刷新日志</button>
                         <button class="btn btn-danger" onclick="clearLogs()">🗑️ 清空日志</button>
+                        <input type="text" id="log-request-id-filter" class="log-request-id-input" placeholder="按请求ID筛选" oninput="setLogRequestIdFilter(this.value)">
                     </div>
                     <span style="color: #666;">实时日志监控</span>
                 </div>
@@ -152,12 +155,7 @@ export const HTML_TEMPLATE = /* html */ `
                             <label>选择接口</label>
                             <select id="api-select" onchange="loadApiParams()">
                                 <option value="">-- 请选择接口 --</option>
-                                <option value="searchAnime">搜索动漫 - /api/v2/search/anime</option>
-                                <option value="searchEpisodes">搜索剧集 - /api/v2/search/episodes</option>
-                                <option value="matchAnime">匹配动漫 - /api/v2/match</option>
-                                <option value="getBangumi">获取番剧详情 - /api/v2/bangumi/:animeId</option>
-                                <option value="getComment">获取弹幕 - /api/v2/comment/:commentId</option>
-                                <option value="getSegmentComment">获取分片弹幕 - /api/v2/segmentcomment</option>
+                                ${apiRoutes.filter(route => route.apiTest).map(route => `<option value="${route.id}">${route.summary} - ${route.path}</option>`).join('\n                                ')}
                             </select>
                         </div>
                     </div>
@@ -177,6 +175,7 @@ export const HTML_TEMPLATE = /* html */ `
                         <button class="danmu-test-tab active" onclick="switchDanmuTestTab('auto', event)">自动匹配测试</button>
                         <button class="danmu-test-tab" onclick="switchDanmuTestTab('manual', event)">手动匹配测试</button>
                         <button class="danmu-test-tab" onclick="switchDanmuTestTab('favorite', event)">收藏</button>
+                        <button class="danmu-test-tab" onclick="switchDanmuTestTab('merge', event)">合并诊断</button>
                     </div>
 
                     <div class="danmu-test-panel active" id="auto-match-panel">
@@ -215,6 +214,27 @@ export const HTML_TEMPLATE = /* html */ `
                         </div>
                         <div class="preview-status" id="favorite-list-status" aria-live="polite"></div>
                         <div class="favorite-list" id="favorite-list"></div>
+                        <div class="form-group" id="favorite-webhook-section" style="display:none;margin-top:20px;">
+                            <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
+                                <label>定时刷新通知记录</label>
+                                <button class="btn btn-primary" onclick="loadFavoriteWebhookLog()">刷新记录</button>
+                            </div>
+                            <div class="preview-status" id="favorite-webhook-status" aria-live="polite"></div>
+                            <div class="favorite-list" id="favorite-webhook-log"></div>
+                        </div>
+                    </div>
+
+                    <div class="danmu-test-panel" id="merge-trace-panel">
+                        <p style="color: #666; margin-bottom: 15px;">跳过缓存重新搜索，逐个列出主副源配对的相似度、季度/媒体类型/日期等检测结果、对齐偏移与集数映射，用于排查合并到错误季度的问题。需要配置 MERGE_SOURCE_PAIRS 或 CUSTOM_MERGE_RULES，并使用 ADMIN_TOKEN 访问。</p>
+                        <div class="form-group" style="margin-bottom: 15px;">
+                            <label>搜索关键字</label>
+                            <div class="search-actions">
+                                <input type="text" id="merge-trace-keyword" placeholder="示例: 葬送的芙莉莲" style="flex:1;">
+                                <button class="btn btn-primary" id="merge-trace-btn" onclick="runMergeTrace()">开始诊断</button>
+                            </div>
+                        </div>
+                        <div class="preview-status" id="merge-trace-status" aria-live="polite"></div>
+                        <div id="merge-trace-result"></div>
                     </div>
 
                     <div class="modal" id="favorite-schedule-modal">
@@ -276,6 +296,37 @@ export const HTML_TEMPLATE = /* html */ `
                 </div>
                 <div id="push-anime-list" class="anime-list" style="display: none;"></div>
                 <div id="push-episode-list" class="episode-list" style="display: none; margin-top: 20px;"></div>
+
+                <h2 style="margin-top: 24px;">导入本地弹幕</h2>
+                <p style="color: #666; margin-bottom: 15px;">上传 bilibili XML、弹弹play JSON 或 ASS 弹幕文件，按剧名和集数存储为 local 源，需在 SOURCE_ORDER 中添加 local 后参与搜索与匹配。同一剧名、季和集重复导入会覆盖旧弹幕。</p>
+                <div class="push-controls" style="margin-bottom: 20px;">
+                    <div class="form-group" style="margin-bottom: 15px;">
+                        <label>弹幕文件</label>
+                        <input type="file" id="local-danmu-file" accept=".xml,.json,.ass,.ssa" onchange="handleLocalDanmuFileChange(event)" style="width: 100%; margin-top: 5px;">
+                    </div>
+                    <div class="local-danmu-fields">
+                        <div class="form-group">
+                            <label>剧名</label>
+                            <input type="text" id="local-danmu-title" placeholder="例如: 葬送的芙莉莲">
+                        </div>
+                        <div class="form-group">
+                            <label>季（可选）</label>
+                            <input type="number" id="local-danmu-season" min="1" placeholder="1">
+                        </div>
+                        <div class="form-group">
+                            <label>集数</label>
+                            <input type="number" id="local-danmu-episode" min="0" placeholder="1">
+                        </div>
+                        <div class="form-group">
+                            <label>分集标题（可选）</label>
+                            <input type="text" id="local-danmu-episode-title" placeholder="例如: 冒险的终点">
+                        </div>
+                    </div>
+                    <button class="btn btn-success" id="local-danmu-import-btn" onclick="importLocalDanmu()">导入</button>
+                    <button class="btn btn-primary" onclick="loadLocalDanmuList()" style="margin-left: 10px;">🔄 刷新列表</button>
+                </div>
+                <div class="preview-status" id="local-danmu-status" aria-live="polite" style="color: #ff9800; margin-bottom: 10px;"></div>
+                <div class="request-records-container" id="local-danmu-list"></div>
             </div>
 
             <!-- 请求记录 -->
@@ -289,6 +340,22 @@ export const HTML_TEMPLATE = /* html */ `
                     <span style="color: #666;">云服务部署需要配置redis</span>
                 </div>
                 <div class="request-records-container" id="request-records-list"></div>
+
+                <h2 style="margin-top: 24px;">API 密钥用量</h2>
+                <div class="log-controls">
+                    <span style="color: #666;">密钥在系统配置的 API_KEYS 中管理，今日用量按服务器日期重置</span>
+                </div>
+                <div class="request-records-container" id="api-key-usage-list"></div>
+
+                <h2 style="margin-top: 24px;">源健康状态</h2>
+                <div class="log-controls">
+                    <div>
+                        <button class="btn btn-primary" id="refresh-source-health">🔄 刷新状态</button>
+                        <button class="btn btn-danger" id="reset-source-health">♻️ 重置熔断</button>
+                    </div>
+                    <span id="source-health-summary" style="color: #666;"></span>
+                </div>
+                <div class="request-records-container" id="source-health-list"></div>
             </div>
 
             <!-- 系统配置 -->
@@ -306,6 +373,9 @@ export const HTML_TEMPLATE = /* html */ `
                         <span class="config-transfer-icon" aria-hidden="true">📥</span> 导入配置
                     </button>
                     <input type="file" id="config-import-file" accept=".json,application/json" style="display: none;" onchange="importSystemConfigFile(this.files[0])">
+                    <button class="btn btn-primary" onclick="showRuleStoreModal()" title="逐条管理合并映射表、剧名映射表、自动匹配映射表与弹幕偏移规则">
+                        📋 规则库
+                    </button>
                     <button class="btn btn-danger" onclick="showClearCacheModal()" title="清理系统缓存">
                         🗑️ 清理缓存
                     </button>
@@ -339,6 +409,8 @@ export const HTML_TEMPLATE = /* html */ `
                                 <label class="cache-clear-item"><input type="checkbox" class="app-checkbox" name="cacheItem" value="episodeIds" checked onchange="updateCacheClearCount()"> 剧集ID缓存 (episodeIds)</label>
                                 <label class="cache-clear-item"><input type="checkbox" class="app-checkbox" name="cacheItem" value="episodeNum" checked onchange="updateCacheClearCount()"> 剧集编号缓存 (episodeNum)</label>
                                 <label class="cache-clear-item"><input type="checkbox" class="app-checkbox" name="cacheItem" value="lastSelectMap" checked onchange="updateCacheClearCount()"> 最后选择映射缓存 (lastSelectMap)</label>
+                                <label class="cache-clear-item"><input type="checkbox" class="app-checkbox" name="cacheItem" value="aiMatchCache" checked onchange="updateCacheClearCount()"> AI 匹配结果缓存 (aiMatchCache)</label>
+                                <label class="cache-clear-item"><input type="checkbox" class="app-checkbox" name="cacheItem" value="aiModerationCache" checked onchange="updateCacheClearCount()"> AI 弹幕审核缓存 (aiModerationCache)</label>
                             </div>
                             <p class="cache-clear-note">清理后可能需要重新登录</p>
                         </div>
@@ -349,6 +421,48 @@ export const HTML_TEMPLATE = /* html */ `
                     </div>
                 </div>
 
+                <!-- 规则库模态框 -->
+                <div class="modal" id="rule-store-modal">
+                    <div class="modal-content rule-store-modal-content">
+                        <div class="modal-header">
+                            <h3>规则库</h3>
+                            <button class="close-btn" onclick="hideRuleStoreModal()">&times;</button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="danmu-test-tabs" id="rule-store-tabs"></div>
+                            <p class="cache-clear-hint" id="rule-store-status"></p>
+                            <div class="rule-store-add">
+                                <input type="text" id="rule-store-new-rule" class="offset-input text-monospace" placeholder="单条规则，格式与环境变量相同">
+                                <input type="text" id="rule-store-new-note" class="offset-input rule-store-note-input" placeholder="备注（可选）">
+                                <button type="button" class="btn btn-primary btn-sm" onclick="addRuleStoreRule()">添加</button>
+                            </div>
+                            <div class="merge-trace-table-wrap" id="rule-store-list"></div>
+                            <div class="rule-store-actions">
+                                <button type="button" class="btn btn-secondary btn-sm" onclick="importRuleStoreFromEnv()">从环境变量导入</button>
+                                <button type="button" class="btn btn-secondary btn-sm" onclick="toggleRuleStoreImportPanel()">批量粘贴导入</button>
+                                <button type="button" class="btn btn-danger btn-sm" id="rule-store-reset-btn" onclick="resetRuleStoreTable()">恢复使用环境变量</button>
+                            </div>
+                            <div class="offset-rule-panel" id="rule-store-import-panel" style="display: none;">
+                                <textarea id="rule-store-import-text" class="text-monospace" rows="4" placeholder="粘贴环境变量格式的规则，多条规则按原分隔符拼接"></textarea>
+                                <div class="offset-actions">
+                                    <select id="rule-store-import-mode" class="offset-input rule-store-import-mode">
+                                        <option value="append">追加（跳过相同规则）</option>
+                                        <option value="replace">替换全部规则</option>
+                                    </select>
+                                    <button type="button" class="btn btn-sm" onclick="toggleRuleStoreImportPanel()">取消</button>
+                                    <button type="button" class="btn btn-primary btn-sm" onclick="importRuleStoreText()">确认导入</button>
+                                </div>
+                            </div>
+                            <div class="rule-store-suggestions">
+                                <h4>规则建议</h4>
+                                <p class="cache-clear-hint" id="rule-store-suggestion-status"></p>
+                                <div class="merge-trace-table-wrap" id="rule-store-suggestion-list"></div>
+                            </div>
+                            <p class="cache-clear-note">规则库接管某个变量后，仅启用且校验通过的规则生效，修改对应环境变量不再起作用；规则保存在本地缓存或 Redis 中，立即生效无需重新部署。</p>
+                        </div>
+                    </div>
+                </div>
+
                 <!-- 重新部署确认模态框 -->
                 <div class="modal" id="deploy-system-modal">
                     <div class="modal-content">
@@ -509,6 +623,7 @@ export const HTML_TEMPLATE = /* html */ `
         ${logviewJsContent}
         ${apitestJsContent}
         ${pushDanmuJsContent}
+        ${localDanmuJsContent}
         ${requestRecordsJsContent}
         ${systemSettingsJsContent}
     </script>
@@ -0,0 +1,255 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import AIClient from './ai-util.js';
+import { simpleHash } from './codec-util.js';
+import { writeCacheToFile } from './cache-util.js';
+import { setRedisKey } from './redis-util.js';
+import { setLocalRedisKey } from './local-redis-util.js';
+
+// =====================
+// AI 弹幕审核
+// =====================
+// BLOCKED_WORDS 只能按字面量 / 正则屏蔽，换个说法的剧透与辱骂无法覆盖。配置 AI_MODERATION_CATEGORIES 后，
+// 上游弹幕在写入弹幕缓存前按批发给 AI 分类（ok / spoiler / abuse / ad），丢弃命中配置类别的弹幕。
+// 请求内只同步判定一批，其余文本在后台判定（边缘运行时由 waitUntil 承接）；弹幕缓存、收藏与 SQLite 中保存的是审核前的这份弹幕，
+// 输出弹幕时（formatDanmuResponse）再按 applyAiModerationVerdicts 应用已缓存的判定，后台判定完成后下次请求即生效。
+// 判定结果按文本哈希缓存在 globals.aiModerationCache 并随缓存持久化，不同剧集中重复的弹幕只请求一次 AI；
+// 判定与配置的类别无关，修改 AI_MODERATION_CATEGORIES 后无需重新请求。
+// AI_MODERATION_DRY_RUN 开启时只记录会被丢弃的弹幕，结果写入日志与 globals.aiModerationReports。
+
+const AI_MODERATION_VERDICTS = ['ok', 'spoiler', 'abuse', 'ad'];
+// 每批发送的弹幕条数
+const AI_MODERATION_BATCH_SIZE = 100;
+// 单次审核最多请求 AI 判定的新文本数（含后台判定），超出部分本次放行，在之后刷新弹幕缓存时继续判定
+const AI_MODERATION_MAX_TEXTS = 1000;
+// 判定缓存两次持久化的最小间隔，期间的新判定在下次持久化时一并写入
+const AI_MODERATION_PERSIST_INTERVAL_MS = 60 * 1000;
+// 判定缓存上限，超过时删除最早的记录
+const AI_MODERATION_CACHE_SIZE = 20000;
+const AI_MODERATION_REPORT_SIZE = 20;
+const AI_MODERATION_SAMPLE_SIZE = 20;
+
+// 后台判定中的文本，避免不同请求重复提交同一文本
+const pendingModerationTexts = new Set();
+// 后台判定任务，供 extendAiModerationLifecycle 延长生命周期
+const pendingModerationTasks = new Set();
+let lastPersistAt = 0;
+let persistPending = false;
+
+const AI_MODERATION_PROMPT = `你是弹幕内容审核助手。用户会提供一个 JSON 数组，每项为 {"id": 编号, "text": 弹幕内容}，请逐条判断弹幕类别：
+- spoiler：剧透，透露后续剧情走向、角色生死或结局、真凶身份等观众尚未看到的内容
+- abuse：辱骂、人身攻击、歧视或恶意引战
+- ad：广告、引流、推广链接或联系方式
+- ok：正常弹幕，包括吐槽、玩梗、对当前画面的讨论
+只有明确属于前三类时才判定，拿不准时返回 ok。
+只返回 JSON 数组，不要输出其他内容，格式：[{"id": 0, "category": "ok"}]`;
+
+// 文本哈希加上长度，降低 32 位哈希的碰撞概率
+function getModerationKey(text) {
+  return `${simpleHash(text)}:${text.length}`;
+}
+
+function parseModerationAnswer(reply) {
+  const jsonMatch = reply.match(/```json\s*([\s\S]*?)\s*```|```([\s\S]*?)\s*```|(\[[\s\S]*\])/);
+  const jsonString = jsonMatch ? (jsonMatch[1] || jsonMatch[2] || jsonMatch[3]) : reply;
+  const answer = JSON.parse(jsonString.trim());
+  if (!Array.isArray(answer)) throw new Error('回答不是 JSON 数组');
+  return answer;
+}
+
+function setModerationVerdict(key, verdict) {
+  if (!globals.aiModerationCache || typeof globals.aiModerationCache !== 'object') globals.aiModerationCache = {};
+  globals.aiModerationCache[key] = verdict;
+
+  const keys = Object.keys(globals.aiModerationCache);
+  if (keys.length > AI_MODERATION_CACHE_SIZE) {
+    for (const staleKey of keys.slice(0, keys.length - AI_MODERATION_CACHE_SIZE)) {
+      delete globals.aiModerationCache[staleKey];
+    }
+  }
+}
+
+// 判定缓存最多 2 万条，每次判定都整体写入开销过大：按最小间隔节流，间隔内的新判定记为待写入，
+// 在下次审核时写入（updateLocalCaches / updateRedisCaches 也会按哈希变化一并写入）
+function persistAiModerationCache() {
+  persistPending = true;
+  const now = Date.now();
+  if (now - lastPersistAt < AI_MODERATION_PERSIST_INTERVAL_MS) return;
+  lastPersistAt = now;
+  persistPending = false;
+
+  if (globals.localCacheValid) {
+    writeCacheToFile('aiModerationCache', JSON.stringify(globals.aiModerationCache));
+  }
+  if (globals.redisValid) {
+    setRedisKey('aiModerationCache', globals.aiModerationCache).catch(e => log("error", "[system] [ai-moderation] Redis set error", e));
+  }
+  if (globals.localRedisValid) {
+    setLocalRedisKey('aiModerationCache', globals.aiModerationCache);
+  }
+}
+
+/**
+ * 请求 AI 判定未缓存的文本，结果写入判定缓存
+ * @param {Array<string>} texts 去重后的文本
+ * @returns {Promise<number>} 成功判定的文本数
+ */
+async function classifyTexts(texts) {
+  const aiClient = new AIClient({
+    apiKey: globals.aiApiKey,
+    baseURL: globals.aiBaseUrl,
+    model: globals.aiModel,
+    systemPrompt: AI_MODERATION_PROMPT
+  });
+
+  let classified = 0;
+  for (let start = 0; start < texts.length; start += AI_MODERATION_BATCH_SIZE) {
+    const batch = texts.slice(start, start + AI_MODERATION_BATCH_SIZE);
+    try {
+      const reply = await aiClient.ask(JSON.stringify(batch.map((text, id) => ({ id, text }))));
+      for (const item of parseModerationAnswer(reply)) {
+        const text = batch[item?.id];
+        const verdict = String(item?.category || '').toLowerCase();
+        if (text === undefined || !AI_MODERATION_VERDICTS.includes(verdict)) continue;
+        setModerationVerdict(getModerationKey(text), verdict);
+        classified++;
+      }
+    } catch (error) {
+      // AI 不可用时放行剩余弹幕，不影响弹幕返回
+      log("warn", `[system] [ai-moderation] AI classification failed, skipping remaining ${texts.length - start} texts: ${error.message}`);
+      break;
+    }
+  }
+  return classified;
+}
+
+function recordModerationReport(report) {
+  if (!Array.isArray(globals.aiModerationReports)) globals.aiModerationReports = [];
+  globals.aiModerationReports.unshift(report);
+  globals.aiModerationReports.length = Math.min(globals.aiModerationReports.length, AI_MODERATION_REPORT_SIZE);
+}
+
+// 在后台判定剩余文本，不阻塞当前请求
+function scheduleBackgroundClassification(texts) {
+  if (texts.length === 0) return;
+  texts.forEach(text => pendingModerationTexts.add(text));
+
+  const task = classifyTexts(texts)
+    .then(classified => {
+      log("info", `[system] [ai-moderation] Background classification completed: ${classified}/${texts.length} texts`);
+      if (classified > 0) persistAiModerationCache();
+    })
+    .finally(() => {
+      texts.forEach(text => pendingModerationTexts.delete(text));
+      pendingModerationTasks.delete(task);
+    });
+  pendingModerationTasks.add(task);
+}
+
+// 边缘运行时在响应返回后延长生命周期：仅在存在后台判定且运行时提供 waitUntil 时注册
+export function extendAiModerationLifecycle(ctx) {
+  if (ctx && typeof ctx.waitUntil === 'function' && pendingModerationTasks.size > 0) {
+    ctx.waitUntil(Promise.all(pendingModerationTasks.values()));
+  }
+}
+
+// 按判定缓存过滤命中配置类别的弹幕，未判定的弹幕放行
+function filterByVerdicts(danmus, categories) {
+  const removed = Object.fromEntries(categories.map(category => [category, 0]));
+  const samples = [];
+  const keptDanmus = danmus.filter(danmu => {
+    const text = String(danmu.m ?? '').trim();
+    const verdict = text ? globals.aiModerationCache?.[getModerationKey(text)] : null;
+    if (!verdict || !categories.includes(verdict)) return true;
+    removed[verdict]++;
+    if (samples.length < AI_MODERATION_SAMPLE_SIZE) samples.push({ text, category: verdict, time: parseFloat(String(danmu.p).split(',')[0]) });
+    return false;
+  });
+  return { keptDanmus, removed, samples };
+}
+
+/**
+ * 输出弹幕时应用已缓存的判定，不请求 AI、不记录审核报告
+ * 写入弹幕缓存时仍在后台判定的弹幕，判定完成后在此生效；收藏与 SQLite 中未重新审核的弹幕副本同样在输出时过滤
+ * @param {Array} danmus 弹幕列表
+ * @returns {Array} 过滤后的弹幕列表，未启用、试运行或没有命中时返回原数组
+ */
+export function applyAiModerationVerdicts(danmus) {
+  const categories = globals.aiModerationCategories || [];
+  if (categories.length === 0 || globals.aiModerationDryRun || !Array.isArray(danmus) || danmus.length === 0) return danmus;
+  if (!globals.aiModerationCache || Object.keys(globals.aiModerationCache).length === 0) return danmus;
+
+  const { keptDanmus } = filterByVerdicts(danmus, categories);
+  if (keptDanmus.length === danmus.length) return danmus;
+  log("info", `[system] [ai-moderation] Applied cached verdicts on output, removed ${danmus.length - keptDanmus.length}/${danmus.length} danmus`);
+  return keptDanmus;
+}
+
+/**
+ * 按 AI_MODERATION_CATEGORIES 审核弹幕
+ * @param {Array} danmus convertToDanmakuJson 输出的弹幕列表
+ * @param {string} label 审核记录中的弹幕来源（弹幕链接等）
+ * @returns {Promise<Array>} 审核后的弹幕列表，试运行或未启用时原样返回；后台判定中的弹幕本次放行
+ */
+export async function moderateDanmus(danmus, label = '') {
+  const categories = globals.aiModerationCategories || [];
+  if (categories.length === 0 || !Array.isArray(danmus) || danmus.length === 0) return danmus;
+  if (!globals.aiValid) {
+    log("warn", "[system] [ai-moderation] AI_MODERATION_CATEGORIES is set but AI is not configured or unreachable, skipping moderation");
+    return danmus;
+  }
+
+  if (persistPending) persistAiModerationCache();
+
+  const texts = [...new Set(danmus.map(danmu => String(danmu.m ?? '').trim()).filter(Boolean))];
+  const pendingTexts = texts.filter(text => !globals.aiModerationCache?.[getModerationKey(text)] && !pendingModerationTexts.has(text));
+  if (pendingTexts.length > AI_MODERATION_MAX_TEXTS) {
+    log("info", `[system] [ai-moderation] ${pendingTexts.length} texts need classification, only the first ${AI_MODERATION_MAX_TEXTS} are sent this time`);
+  }
+
+  const toClassify = pendingTexts.slice(0, AI_MODERATION_MAX_TEXTS);
+  const inlineTexts = toClassify.slice(0, AI_MODERATION_BATCH_SIZE);
+  const classified = inlineTexts.length > 0 ? await classifyTexts(inlineTexts) : 0;
+  if (classified > 0) persistAiModerationCache();
+  // 首批判定失败（AI 不可用）时不再提交后台判定
+  const backgroundTexts = classified > 0 ? toClassify.slice(AI_MODERATION_BATCH_SIZE) : [];
+  scheduleBackgroundClassification(backgroundTexts);
+
+  const { keptDanmus, removed, samples } = filterByVerdicts(danmus, categories);
+
+  const dryRun = globals.aiModerationDryRun;
+  const removedCount = danmus.length - keptDanmus.length;
+  const summary = Object.entries(removed).map(([category, count]) => `${category} ×${count}`).join(', ');
+  log("info", `[system] [ai-moderation] ${dryRun ? '[dry-run] would remove' : 'removed'} ${removedCount}/${danmus.length} danmus (${summary}), ${texts.length - pendingTexts.length} texts from cache or in progress, ${classified} classified by AI, ${backgroundTexts.length} queued for background classification`);
+  if (samples.length > 0) {
+    log("info", `[system] [ai-moderation] samples: ${samples.slice(0, 5).map(s => `「${s.text.slice(0, 30)}」← ${s.category}`).join(' | ')}`);
+  }
+
+  recordModerationReport({
+    time: new Date().toISOString(),
+    label,
+    dryRun,
+    total: danmus.length,
+    classified,
+    queued: backgroundTexts.length,
+    removed,
+    samples
+  });
+
+  return dryRun ? danmus : keptDanmus;
+}
+
+/**
+ * AI 审核配置与最近的审核记录
+ * @returns {Object}
+ */
+export function getAiModerationSnapshot() {
+  return {
+    enabled: (globals.aiModerationCategories || []).length > 0,
+    aiValid: globals.aiValid,
+    categories: globals.aiModerationCategories || [],
+    dryRun: globals.aiModerationDryRun,
+    cacheSize: Object.keys(globals.aiModerationCache || {}).length,
+    reports: globals.aiModerationReports || []
+  };
+}
@@ -0,0 +1,107 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+
+// =====================
+// 多 API 密钥：权限、限流与每日配额
+// =====================
+// 密钥在 API_KEYS 中配置，与 TOKEN 一样作为路径前缀使用，按 configs/routes.js 中路由的 scope 检查权限。
+// 每分钟请求数只保存在实例内存中；每日用量与累计用量按密钥名记录在 globals.apiKeyUsage，随缓存持久化，
+// 因此不会记录密钥本身。每日用量按服务器本地日期重置，与今日请求数统计一致。
+
+const ONE_MINUTE = 60 * 1000;
+
+/**
+ * 按路径中的 token 查找 API 密钥
+ * @param {string} token 路径第一段
+ * @returns {Object|null} API_KEYS 中的一项
+ */
+export function findApiKey(token) {
+  if (!token || !Array.isArray(globals.apiKeys)) return null;
+  return globals.apiKeys.find(apiKey => apiKey.key === token) || null;
+}
+
+// admin 权限包含全部权限；scope 为空（public 接口）时直接放行
+export function apiKeyHasScope(apiKey, scope) {
+  if (!scope) return true;
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+// 当前请求是否具有管理员权限：使用 ADMIN_TOKEN，或使用具有 admin 权限的 API 密钥
+export function isAdminRequest() {
+  if (globals.currentApiKey) return apiKeyHasScope(globals.currentApiKey, 'admin');
+  return globals.currentToken === globals.adminToken;
+}
+
+function getUsageEntry(name, today) {
+  if (!globals.apiKeyUsage || typeof globals.apiKeyUsage !== 'object') globals.apiKeyUsage = {};
+  let usage = globals.apiKeyUsage[name];
+  if (!usage) {
+    usage = { date: today, todayCount: 0, totalCount: 0, rejectedCount: 0, lastUsedAt: null };
+    globals.apiKeyUsage[name] = usage;
+  }
+  if (usage.date !== today) {
+    usage.date = today;
+    usage.todayCount = 0;
+  }
+  return usage;
+}
+
+function getRecentRequests(name, now) {
+  return (globals.apiKeyRequestHistory.get(name) || []).filter(timestamp => now - timestamp < ONE_MINUTE);
+}
+
+/**
+ * 检查密钥的每日配额与每分钟请求上限，通过时计入一次用量
+ * @param {Object} apiKey API_KEYS 中的一项
+ * @returns {{allowed: boolean, errorMessage?: string}}
+ */
+export function consumeApiKeyRequest(apiKey, now = Date.now()) {
+  const usage = getUsageEntry(apiKey.name, new Date(now).toDateString());
+
+  if (apiKey.dailyQuota > 0 && usage.todayCount >= apiKey.dailyQuota) {
+    usage.rejectedCount++;
+    log("warn", `[system] [api-key] "${apiKey.name}" exceeded daily quota (${usage.todayCount}/${apiKey.dailyQuota})`);
+    return { allowed: false, errorMessage: "API key daily quota exceeded" };
+  }
+
+  const recentRequests = getRecentRequests(apiKey.name, now);
+  globals.apiKeyRequestHistory.set(apiKey.name, recentRequests);
+  if (apiKey.rateLimit > 0 && recentRequests.length >= apiKey.rateLimit) {
+    usage.rejectedCount++;
+    log("warn", `[system] [api-key] "${apiKey.name}" exceeded rate limit (${recentRequests.length}/${apiKey.rateLimit} requests in 1 minute)`);
+    return { allowed: false, errorMessage: "API key rate limit exceeded, please try again later" };
+  }
+
+  recentRequests.push(now);
+  usage.todayCount++;
+  usage.totalCount++;
+  usage.lastUsedAt = new Date(now).toISOString();
+  return { allowed: true };
+}
+
+/**
+ * 各密钥的配置与用量，不包含密钥本身
+ * @param {string} [name] 只返回指定密钥
+ * @returns {Array<Object>}
+ */
+export function getApiKeyUsageSnapshot(name = null, now = Date.now()) {
+  const today = new Date(now).toDateString();
+  return (globals.apiKeys || [])
+    .filter(apiKey => !name || apiKey.name === name)
+    .map(apiKey => {
+      const usage = globals.apiKeyUsage?.[apiKey.name];
+      const todayCount = usage?.date === today ? usage.todayCount : 0;
+      return {
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        rateLimit: apiKey.rateLimit,
+        dailyQuota: apiKey.dailyQuota,
+        todayCount,
+        remainingToday: apiKey.dailyQuota > 0 ? Math.max(0, apiKey.dailyQuota - todayCount) : null,
+        lastMinuteCount: getRecentRequests(apiKey.name, now).length,
+        totalCount: usage?.totalCount || 0,
+        rejectedCount: usage?.rejectedCount || 0,
+        lastUsedAt: usage?.lastUsedAt || null
+      };
+    });
+}
@@ -0,0 +1,247 @@
+import { globals } from '../configs/globals.js';
+
+// =====================
+// ASS 字幕输出相关函数
+// =====================
+// 将 convertToDanmakuJson 产出的弹幕（p: 时间,类型,颜色,[来源]）渲染为 Advanced SubStation Alpha 字幕，
+// 供 mpv / VLC / Infuse 等只能加载字幕的播放器使用。
+// 类型沿用弹弹play约定：1/2/3/6 滚动，4 底部，5 顶部。
+
+const DEFAULT_RESOLUTION = { width: 1920, height: 1080 };
+const WHITE = 16777215;
+
+/**
+ * 解析分辨率字符串，如 1920x1080 / 1280*720
+ * @param {string} value 分辨率字符串
+ * @returns {{width: number, height: number}|null}
+ */
+export function parseAssResolution(value) {
+  const match = /^\s*(\d{3,4})\s*[x×*]\s*(\d{3,4})\s*$/i.exec(String(value || ''));
+  if (!match) return null;
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(num)) return fallback;
+  return Math.min(Math.max(num, min), max);
+}
+
+/**
+ * 从查询参数中提取 ASS 渲染参数
+ * @param {URLSearchParams} searchParams 请求查询参数
+ * @returns {Object} 原始参数（未做范围校验，交由 resolveAssOptions 处理）
+ */
+export function parseAssQueryOptions(searchParams) {
+  return {
+    fontSize: searchParams.get('fontsize'),
+    opacity: searchParams.get('opacity'),
+    duration: searchParams.get('scrolltime'),
+    resolution: searchParams.get('resolution'),
+  };
+}
+
+/**
+ * 合并 ASS 渲染参数：查询参数 > 环境变量 > 默认值
+ * @param {Object} options 查询参数中的渲染参数
+ * @returns {{width: number, height: number, fontSize: number, opacity: number, scrollDuration: number, fixedDuration: number}}
+ */
+export function resolveAssOptions(options = {}) {
+  const resolution = parseAssResolution(options.resolution)
+    || parseAssResolution(globals.assResolution)
+    || DEFAULT_RESOLUTION;
+  const fontSize = Math.round(clampNumber(options.fontSize, 12, 128, clampNumber(globals.assFontSize, 12, 128, 48)));
+  const opacity = clampNumber(options.opacity, 10, 100, clampNumber(globals.assOpacity, 10, 100, 80));
+  const scrollDuration = clampNumber(options.duration, 3, 30, clampNumber(globals.assDuration, 3, 30, 10));
+
+  return {
+    ...resolution,
+    fontSize,
+    opacity,
+    scrollDuration,
+    // 顶部/底部弹幕静止显示，停留时间取滚动时长的一半
+    fixedDuration: scrollDuration / 2,
+  };
+}
+
+// 估算文本渲染宽度：全角字符按一个字号宽，半角按半个字号宽
+function estimateTextWidth(text, fontSize) {
+  let width = 0;
+  for (const char of text) {
+    width += char.codePointAt(0) > 0xff ? fontSize : fontSize / 2;
+  }
+  return width;
+}
+
+// ASS 时间格式 H:MM:SS.cc
+function formatAssTime(seconds) {
+  const totalCentiseconds = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(totalCentiseconds / 360000);
+  const m = Math.floor((totalCentiseconds % 360000) / 6000);
+  const s = Math.floor((totalCentiseconds % 6000) / 100);
+  const cs = totalCentiseconds % 100;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+// 十进制 RGB 转 ASS 颜色（&HBBGGRR&）
+function toAssColor(color) {
+  const r = (color >> 16) & 0xff;
+  const g = (color >> 8) & 0xff;
+  const b = color & 0xff;
+  return `&H${[b, g, r].map(v => v.toString(16).padStart(2, '0').toUpperCase()).join('')}&`;
+}
+
+// 深色弹幕使用白色描边，避免在暗色画面中不可见
+function isDarkColor(color) {
+  const r = (color >> 16) & 0xff;
+  const g = (color >> 8) & 0xff;
+  const b = color & 0xff;
+  return r * 0.299 + g * 0.587 + b * 0.114 < 48;
+}
+
+// 转义 ASS 控制字符：花括号会开启样式覆盖块，反斜杠会触发 \N 等转义，统一替换为全角字符
+function escapeAssText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '＼')
+    .replace(/\{/g, '｛')
+    .replace(/\}/g, '｝')
+    .replace(/\r?\n/g, ' ');
+}
+
+function parseComment(comment) {
+  const pValues = String(comment?.p || '').split(',');
+  const time = parseFloat(pValues[0]);
+  if (!Number.isFinite(time) || time < 0) return null;
+  const text = escapeAssText(comment.m).trim();
+  if (!text) return null;
+  const mode = parseInt(pValues[1], 10);
+  const color = parseInt(pValues[2], 10);
+  return {
+    time,
+    type: mode === 4 ? 'bottom' : mode === 5 ? 'top' : 'scroll',
+    color: Number.isFinite(color) && color >= 0 && color <= WHITE ? color : WHITE,
+    text,
+  };
+}
+
+/**
+ * 滚动弹幕轨道分配
+ * 同一轨道上两条弹幕互不碰撞需同时满足：
+ * 1. 新弹幕出现时，前一条的尾部已完全进入屏幕（留出一个字号的间距）
+ * 2. 新弹幕的头部到达屏幕左边缘时，前一条已完全离开屏幕（速度更快的新弹幕不会追尾）
+ * 全部轨道都冲突时，选择最早空出的轨道，保证弹幕不丢失
+ */
+function allocateScrollTrack(tracks, item, width, duration, gap) {
+  let fallbackIndex = 0;
+  let fallbackDelay = Infinity;
+
+  for (let i = 0; i < tracks.length; i++) {
+    const last = tracks[i];
+    if (!last) return i;
+
+    const elapsed = item.time - last.time;
+    const enterDelay = (last.width + gap) / last.speed - elapsed;
+    const catchDelay = (last.time + duration) - (item.time + width / item.speed);
+    const delay = Math.max(enterDelay, catchDelay);
+    if (delay <= 0) return i;
+    if (delay < fallbackDelay) {
+      fallbackDelay = delay;
+      fallbackIndex = i;
+    }
+  }
+  return fallbackIndex;
+}
+
+// 顶部/底部弹幕轨道分配：前一条显示结束即空出
+function allocateFixedTrack(tracks, item) {
+  let fallbackIndex = 0;
+  let earliestEnd = Infinity;
+
+  for (let i = 0; i < tracks.length; i++) {
+    const endTime = tracks[i];
+    if (endTime === undefined || endTime <= item.time) return i;
+    if (endTime < earliestEnd) {
+      earliestEnd = endTime;
+      fallbackIndex = i;
+    }
+  }
+  return fallbackIndex;
+}
+
+/**
+ * 将弹幕 JSON 数据转换为 ASS 字幕
+ * @param {Object} danmuData 弹幕数据 { count, comments }
+ * @param {Object} options 渲染参数（查询参数），未指定的项使用环境变量
+ * @returns {string} ASS 字幕文本
+ */
+export function convertDanmuToAss(danmuData, options = {}) {
+  const { width, height, fontSize, opacity, scrollDuration, fixedDuration } = resolveAssOptions(options);
+  const alpha = Math.round((1 - opacity / 100) * 255).toString(16).padStart(2, '0').toUpperCase();
+  const lineHeight = Math.ceil(fontSize * 1.2);
+  const trackCount = Math.max(1, Math.floor(height / lineHeight));
+  const gap = fontSize;
+
+  const items = (Array.isArray(danmuData?.comments) ? danmuData.comments : [])
+    .map(parseComment)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+  const scrollTracks = new Array(trackCount);
+  const topTracks = new Array(trackCount);
+  const bottomTracks = new Array(trackCount);
+  const events = [];
+
+  for (const item of items) {
+    const textWidth = estimateTextWidth(item.text, fontSize);
+    const colorTags = item.color === WHITE
+      ? ''
+      : `\\c${toAssColor(item.color)}${isDarkColor(item.color) ? '\\3c&HFFFFFF&' : ''}`;
+
+    if (item.type === 'scroll') {
+      item.width = textWidth;
+      item.speed = (width + textWidth) / scrollDuration;
+      const track = allocateScrollTrack(scrollTracks, item, width, scrollDuration, gap);
+      scrollTracks[track] = item;
+      const y = track * lineHeight;
+      events.push({
+        start: item.time,
+        end: item.time + scrollDuration,
+        text: `{\\an7\\move(${width},${y},${-Math.ceil(textWidth)},${y})${colorTags}}${item.text}`,
+      });
+      continue;
+    }
+
+    const isTop = item.type === 'top';
+    const tracks = isTop ? topTracks : bottomTracks;
+    const track = allocateFixedTrack(tracks, item);
+    tracks[track] = item.time + fixedDuration;
+    const x = Math.round(width / 2);
+    const y = isTop ? track * lineHeight : height - track * lineHeight;
+    events.push({
+      start: item.time,
+      end: item.time + fixedDuration,
+      text: `{\\an${isTop ? 8 : 2}\\pos(${x},${y})${colorTags}}${item.text}`,
+    });
+  }
+
+  const lines = [
+    '[Script Info]',
+    '; Generated by LogVar弹幕API',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'Collisions: Normal',
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Danmaku,sans-serif,${fontSize},&H${alpha}FFFFFF,&H${alpha}FFFFFF,&H${alpha}000000,&H${alpha}000000,0,0,0,0,100,100,0,0,1,${Math.max(1, Math.round(fontSize / 25))},0,7,0,0,0,1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events.map(event => `Dialogue: 0,${formatAssTime(event.start)},${formatAssTime(event.end)},Danmaku,,0,0,0,,${event.text}`),
+  ];
+
+  return lines.join('\n') + '\n';
+}
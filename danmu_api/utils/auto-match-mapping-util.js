@@ -57,52 +57,41 @@ function parseTargetTitle(value) {
 }
 
 /**
- * Parse AUTO_MATCH_MAPPING_TABLE into validated, declaration-ordered rules.
+ * Parse a single AUTO_MATCH_MAPPING_TABLE rule. Returns the rule without its
+ * declaration order, or the reason it was rejected.
  */
-export function parseAutoMatchMappingRules(value, allowedPlatforms = []) {
-  const rules = [];
-  const warnings = [];
+export function parseAutoMatchMappingRule(text, allowedPlatforms = []) {
   const allowed = new Set((allowedPlatforms || []).map(item => String(item).toLowerCase()));
 
-  for (const [index, rawRule] of String(value || '').split(';').entries()) {
-    const text = rawRule.trim();
-    if (!text) continue;
-
-    const arrowIndex = text.indexOf('->');
-    if (arrowIndex === -1 || text.indexOf('->', arrowIndex + 2) !== -1) {
-      warnings.push(`规则 ${index + 1} 缺少唯一的 -> 分隔符: ${text}`);
-      continue;
-    }
+  const arrowIndex = text.indexOf('->');
+  if (arrowIndex === -1 || text.indexOf('->', arrowIndex + 2) !== -1) {
+    return { rule: null, error: '缺少唯一的 -> 分隔符' };
+  }
 
-    const source = parseEpisodeSide(text.slice(0, arrowIndex));
-    const targetSide = parseEpisodeSide(text.slice(arrowIndex + 2), { allowPlatform: true });
-    if (!source || !targetSide) {
-      warnings.push(`规则 ${index + 1} 的季集格式无效: ${text}`);
-      continue;
-    }
+  const source = parseEpisodeSide(text.slice(0, arrowIndex));
+  const targetSide = parseEpisodeSide(text.slice(arrowIndex + 2), { allowPlatform: true });
+  if (!source || !targetSide) {
+    return { rule: null, error: '季集格式无效' };
+  }
 
-    const bounded = source.endEpisode !== null;
-    if (bounded !== (targetSide.endEpisode !== null)) {
-      warnings.push(`规则 ${index + 1} 的源和目标必须同时声明范围: ${text}`);
-      continue;
-    }
-    if (bounded && source.endEpisode - source.startEpisode !== targetSide.endEpisode - targetSide.startEpisode) {
-      warnings.push(`规则 ${index + 1} 的源和目标范围长度不一致: ${text}`);
-      continue;
-    }
-    if (targetSide.platform && allowed.size > 0 && !allowed.has(targetSide.platform)) {
-      warnings.push(`规则 ${index + 1} 使用了不支持的平台 ${targetSide.platform}: ${text}`);
-      continue;
-    }
+  const bounded = source.endEpisode !== null;
+  if (bounded !== (targetSide.endEpisode !== null)) {
+    return { rule: null, error: '源和目标必须同时声明范围' };
+  }
+  if (bounded && source.endEpisode - source.startEpisode !== targetSide.endEpisode - targetSide.startEpisode) {
+    return { rule: null, error: '源和目标范围长度不一致' };
+  }
+  if (targetSide.platform && allowed.size > 0 && !allowed.has(targetSide.platform)) {
+    return { rule: null, error: `使用了不支持的平台 ${targetSide.platform}` };
+  }
 
-    const targetTitle = parseTargetTitle(targetSide.title);
-    if (!targetTitle.title) {
-      warnings.push(`规则 ${index + 1} 的目标标题为空: ${text}`);
-      continue;
-    }
+  const targetTitle = parseTargetTitle(targetSide.title);
+  if (!targetTitle.title) {
+    return { rule: null, error: '目标标题为空' };
+  }
 
-    rules.push({
-      order: index,
+  return {
+    rule: {
       raw: text,
       bounded,
       sourceTitle: source.title,
@@ -118,7 +107,28 @@ export function parseAutoMatchMappingRules(value, allowedPlatforms = []) {
       targetStartEpisode: targetSide.startEpisode,
       targetEndEpisode: targetSide.endEpisode,
       targetPlatform: targetSide.platform
-    });
+    },
+    error: null
+  };
+}
+
+/**
+ * Parse AUTO_MATCH_MAPPING_TABLE into validated, declaration-ordered rules.
+ */
+export function parseAutoMatchMappingRules(value, allowedPlatforms = []) {
+  const rules = [];
+  const warnings = [];
+
+  for (const [index, rawRule] of String(value || '').split(';').entries()) {
+    const text = rawRule.trim();
+    if (!text) continue;
+
+    const { rule, error } = parseAutoMatchMappingRule(text, allowedPlatforms);
+    if (error) {
+      warnings.push(`规则 ${index + 1} ${error}: ${text}`);
+      continue;
+    }
+    rules.push({ order: index, ...rule });
   }
 
   return { rules, warnings };
@@ -3,6 +3,13 @@ import { log } from './log-util.js'
 import { Anime } from "../models/dandan-model.js";
 import { simpleHash } from "./codec-util.js";
 import { loadFavorites, resolveFavoriteForSearchKeyword, saveFavorites } from "./favorite-util.js";
+import { loadLocalDanmuIndex, saveLocalDanmuIndex } from "./local-danmu-util.js";
+import { loadRuleStore } from "./rule-store-util.js";
+import { loadRuleSuggestions } from "./rule-suggestion-util.js";
+import { loadFileHashIndex } from "./file-hash-util.js";
+import { getSqliteComments, setSqliteComments } from "./sqlite-util.js";
+import { recordCacheLookup } from "./metrics-util.js";
+import { isSharedCacheEnabled, readSharedCache, writeSharedCache } from "./shared-cache-util.js";
 let fs, path;
 
 // =====================
@@ -312,6 +319,7 @@ export function getSearchCache(keyword, detailsMap = null) {
     if (favorite) {
         const favoriteEntry = favorite.entry;
         log("info", `[cache] Using favorite cache for "${keyword}"`);
+        recordCacheLookup('search', true);
         if (detailsMap instanceof Map && Array.isArray(favoriteEntry.details)) {
             favoriteEntry.details.forEach(anime => {
                 storeAnimeDetail(detailsMap, anime);
@@ -322,6 +330,7 @@ export function getSearchCache(keyword, detailsMap = null) {
 
     if (isSearchCacheValid(keyword)) {
         log("info", `[cache] Using search cache for "${keyword}"`);
+        recordCacheLookup('search', true);
         const cached = globals.searchCache.get(keyword);
 
         if (detailsMap instanceof Map && Array.isArray(cached.details)) {
@@ -332,6 +341,7 @@ export function getSearchCache(keyword, detailsMap = null) {
 
         return cached.results;
     }
+    recordCacheLookup('search', false);
     return null;
 }
 
@@ -355,9 +365,24 @@ export function setSearchCache(keyword, results, detailsMap = null) {
         log("info", `[cache] searchCache TTL清理后仍达上限，已移除最早条目: ${oldestKey}`);
     }
 
+    writeSharedCache('search', keyword, { results, details, timestamp: globals.searchCache.get(keyword).timestamp }, globals.searchCacheMinutes * 60);
+
     log("info", `[cache] Cached search results for "${keyword}" (${results.length} animes)`);
 }
 
+// 内存未命中时从 Redis 共享缓存恢复搜索结果（其他实例写入，或本实例重启前写入），需在 getSearchCache 前调用
+export async function loadSharedSearchCache(keyword) {
+    if (!isSharedCacheEnabled() || globals.searchCache.has(keyword) || resolveFavoriteForSearchKeyword(keyword)) {
+        return false;
+    }
+    const entry = await readSharedCache('search', keyword);
+    if (!Array.isArray(entry?.results)) {
+        return false;
+    }
+    globals.searchCache.set(keyword, { results: entry.results, details: entry.details || [], timestamp: entry.timestamp });
+    return true;
+}
+
 // 检查弹幕缓存是否有效（未过期）
 export function isCommentCacheValid(videoUrl) {
     if (!globals.commentCache.has(videoUrl)) {
@@ -378,8 +403,10 @@ export function isCommentCacheValid(videoUrl) {
     const cacheAgeMinutes = (now - cached.timestamp) / (1000 * 60);
 
     if (cacheAgeMinutes > globals.commentCacheMinutes) {
-        // 缓存已过期，删除它
-        globals.commentCache.delete(videoUrl);
+        // 缓存已过期，超出宽限期时删除它，宽限期内保留供 getStaleCommentCache 使用
+        if (cacheAgeMinutes > getCommentCacheRetainMinutes()) {
+            globals.commentCache.delete(videoUrl);
+        }
         log("info", `[cache] Comment cache for "${videoUrl}" expired after ${cacheAgeMinutes.toFixed(2)} minutes`);
         return false;
     }
@@ -387,19 +414,219 @@ export function isCommentCacheValid(videoUrl) {
     return true;
 }
 
-// 获取弹幕缓存
-export function getCommentCache(videoUrl) {
+// 弹幕缓存在内存中的最长保留时间：缓存时间 + stale-while-revalidate 宽限期
+function getCommentCacheRetainMinutes() {
+    return globals.commentCacheMinutes + Math.max(0, globals.commentStaleMinutes || 0);
+}
+
+// 获取已过期但仍在宽限期（COMMENT_STALE_MINUTES）内的弹幕缓存，调用方返回旧弹幕的同时应通过 scheduleCommentRefresh 后台刷新
+export function getStaleCommentCache(videoUrl) {
+    const cached = globals.commentCache.get(videoUrl);
+    if (!cached || !(globals.commentStaleMinutes > 0)) {
+        return null;
+    }
+
+    const cacheAgeMinutes = (Date.now() - cached.timestamp) / (1000 * 60);
+    if (cacheAgeMinutes > getCommentCacheRetainMinutes()) {
+        globals.commentCache.delete(videoUrl);
+        return null;
+    }
+
+    log("info", `[cache] Serving stale comment cache for "${videoUrl}" (${cacheAgeMinutes.toFixed(2)} minutes old)`);
+    return cached.comments;
+}
+
+// 弹幕增量记录数量上限：与弹幕缓存上限一致，弹幕缓存过期后仍保留，重新获取时沿用原 cid
+const MAX_COMMENT_HISTORY = 500;
+
+// 后台刷新中的弹幕缓存，存储格式：{ videoUrl: Promise }，同一弹幕同时只发起一次刷新
+const pendingCommentRefreshes = new Map();
+
+/**
+ * 后台刷新弹幕缓存，不阻塞当前请求
+ * @param {string} videoUrl 弹幕缓存键
+ * @param {Function} loader 获取最新弹幕的异步函数，返回弹幕数组或 { comments }
+ * @returns {Promise<void>} 刷新任务
+ */
+export function scheduleCommentRefresh(videoUrl, loader) {
+    if (pendingCommentRefreshes.has(videoUrl)) {
+        return pendingCommentRefreshes.get(videoUrl);
+    }
+
+    const task = (async () => {
+        const result = await loader();
+        const comments = Array.isArray(result) ? result : result?.comments;
+        if (Array.isArray(comments) && comments.length > 0) {
+            setCommentCache(videoUrl, comments);
+            log("info", `[cache] Background refresh completed for "${videoUrl}" (${comments.length} comments)`);
+        } else {
+            log("warn", `[cache] Background refresh returned no comments for "${videoUrl}", keeping stale cache`);
+        }
+    })().catch(error => {
+        log("error", `[cache] Background refresh failed for "${videoUrl}": ${error.message}`);
+    }).finally(() => {
+        pendingCommentRefreshes.delete(videoUrl);
+    });
+
+    pendingCommentRefreshes.set(videoUrl, task);
+    return task;
+}
+
+// 边缘运行时在响应返回后延长生命周期：仅在存在后台弹幕刷新且运行时提供 waitUntil 时注册
+export function extendCommentRefreshLifecycle(ctx) {
+    if (ctx && typeof ctx.waitUntil === 'function' && pendingCommentRefreshes.size > 0) {
+        ctx.waitUntil(Promise.all(pendingCommentRefreshes.values()));
+    }
+}
+
+/**
+ * 获取弹幕缓存
+ * @param {string} videoUrl 弹幕缓存键
+ * @param {boolean} [recordLookup] 是否计入缓存命中率指标；同一请求内的预检查与重复检查传 false，每个请求只记录一次
+ * @returns {Array|null} 缓存未命中或已过期时返回 null
+ */
+export function getCommentCache(videoUrl, recordLookup = true) {
+    // 内存未命中时（如实例重启后），从 SQLite 恢复仍在缓存时间内的弹幕
+    if (globals.sqliteValid && !globals.commentCache.has(videoUrl)) {
+        const stored = getSqliteComments(videoUrl);
+        if (stored) {
+            globals.commentCache.set(videoUrl, stored);
+            seedCommentHistory(videoUrl, stored.comments);
+        }
+    }
+
     if (isCommentCacheValid(videoUrl)) {
         log("info", `[cache] Using comment cache for "${videoUrl}"`);
+        if (recordLookup) recordCacheLookup('comment', true);
         return globals.commentCache.get(videoUrl).comments;
     }
+    if (recordLookup) recordCacheLookup('comment', false);
     return null;
 }
 
-// 设置弹幕缓存
+// 内存未命中时从 Redis 共享缓存恢复弹幕，需在 getCommentCache / getStaleCommentCache 前调用
+export async function loadSharedCommentCache(videoUrl) {
+    if (!isSharedCacheEnabled() || globals.commentCache.has(videoUrl)) {
+        return false;
+    }
+    const entry = await readSharedCache('comment', videoUrl);
+    if (!Array.isArray(entry?.comments)) {
+        return false;
+    }
+    globals.commentCache.set(videoUrl, { comments: entry.comments, timestamp: entry.timestamp });
+    seedCommentHistory(videoUrl, entry.comments);
+    return true;
+}
+
+// 获取 SQLite 中保存的弹幕（忽略弹幕缓存时间），用于上游未返回弹幕时兜底
+export function getStoredCommentCache(videoUrl) {
+    if (!globals.sqliteValid) {
+        return null;
+    }
+    const stored = getSqliteComments(videoUrl);
+    if (!stored || stored.comments.length === 0) {
+        return null;
+    }
+    const ageHours = (Date.now() - stored.timestamp) / (1000 * 60 * 60);
+    log("warn", `[cache] Upstream returned no comments for "${videoUrl}", using SQLite copy saved ${ageHours.toFixed(1)} hours ago (${stored.comments.length} comments)`);
+    return stored.comments;
+}
+
+// 弹幕时间、类型与内容一致视为同一条弹幕
+// 不比较颜色（CONVERT_COLOR=color 时白色弹幕每次随机换色），内容去掉 \u200A 之后的合并计数与点赞后缀（重新获取时数值会变化）
+function getCommentSignature(comment) {
+    const [time, mode] = String(comment.p).split(',');
+    return `${time},${mode}|${String(comment.m ?? '').split('\u200A')[0]}`;
+}
+
+function getMaxCommentCid(comments) {
+    return comments.reduce((max, comment) => Math.max(max, Number(comment.cid) || 0), 0);
+}
+
+// 弹幕签名 -> cid 列表，同一签名可能出现多次，按出现顺序依次沿用
+function buildCommentCidIndex(comments) {
+    const cids = new Map();
+    for (const comment of comments) {
+        const signature = getCommentSignature(comment);
+        if (!cids.has(signature)) cids.set(signature, []);
+        cids.get(signature).push(comment.cid);
+    }
+    return cids;
+}
+
+// 写入增量记录，按最近更新排序，超出上限时优先移除最久未更新的记录
+function saveCommentHistory(videoUrl, comments, maxCid) {
+    globals.commentHistory.delete(videoUrl);
+    globals.commentHistory.set(videoUrl, { cids: buildCommentCidIndex(comments), maxCid });
+    if (globals.commentHistory.size > MAX_COMMENT_HISTORY) {
+        globals.commentHistory.delete(globals.commentHistory.keys().next().value);
+    }
+}
+
+// 以缓存中的弹幕建立增量记录（实例重启或从共享缓存恢复时），沿用其中的 cid
+function seedCommentHistory(videoUrl, comments) {
+    if (!globals.commentHistory.has(videoUrl)) {
+        saveCommentHistory(videoUrl, comments, getMaxCommentCid(comments));
+    }
+}
+
+// 以新获取的弹幕为准与增量记录合并，返回带稳定 cid 的完整弹幕列表
+// 已记录过的弹幕沿用原 cid，新弹幕的 cid 在已分配的最大 cid 之后递增；上游已删除的弹幕随之移除，列表长度与新获取的一致（已受 DANMU_LIMIT 限制）
+function mergeCommentHistory(videoUrl, comments) {
+    // 增量记录已被移除但弹幕缓存仍在时，以缓存中的弹幕为准，避免 cid 从 1 重新编号
+    const cached = globals.commentCache.get(videoUrl)?.comments;
+    if (Array.isArray(cached)) seedCommentHistory(videoUrl, cached);
+
+    const history = globals.commentHistory.get(videoUrl);
+    if (!history) {
+        saveCommentHistory(videoUrl, comments, getMaxCommentCid(comments));
+        return comments;
+    }
+
+    let added = 0;
+    let maxCid = history.maxCid;
+    const merged = comments.map(comment => {
+        const cid = history.cids.get(getCommentSignature(comment))?.shift();
+        if (cid !== undefined) return { ...comment, cid };
+        added++;
+        return { ...comment, cid: ++maxCid };
+    });
+    const removed = [...history.cids.values()].reduce((sum, cids) => sum + cids.length, 0);
+
+    saveCommentHistory(videoUrl, merged, maxCid);
+    if (added > 0 || removed > 0) {
+        log("info", `[cache] Merged comments for "${videoUrl}": ${added} added, ${removed} removed (${merged.length} total)`);
+    }
+    return merged;
+}
+
+/**
+ * 获取游标之后新增的弹幕，用于 since 增量请求
+ * @param {string} videoUrl 弹幕缓存键
+ * @param {number} since 上次请求返回的游标（已返回弹幕的最大 cid），0 表示获取全部
+ * @param {Array} comments 当前完整弹幕列表（已由 setCommentCache 分配稳定 cid）
+ * @returns {{comments: Array, cursor: number, reset?: boolean}} 新增弹幕与最新游标；
+ *   游标大于已分配的最大 cid（增量记录丢失后重新编号）时无法计算增量，返回全部弹幕并标记 reset，客户端应替换已有弹幕
+ */
+export function getCommentsSince(videoUrl, since, comments) {
+    const history = globals.commentHistory.get(videoUrl);
+    const cursor = history ? history.maxCid : getMaxCommentCid(comments);
+    if (since > cursor) {
+        log("info", `[cache] Cursor ${since} is ahead of "${videoUrl}" (max cid ${cursor}), returning all comments with reset`);
+        return { comments, cursor, reset: true };
+    }
+    return {
+        comments: comments.filter(comment => Number(comment.cid) > since),
+        cursor
+    };
+}
+
+// 设置弹幕缓存，新获取的弹幕合并进已有弹幕而非直接替换，返回合并后的完整弹幕列表
 export function setCommentCache(videoUrl, comments) {
+    comments = mergeCommentHistory(videoUrl, comments);
+
     // 写入前先清理所有过期条目
-    sweepExpiredCache(globals.commentCache, globals.commentCacheMinutes, 'commentCache');
+    sweepExpiredCache(globals.commentCache, getCommentCacheRetainMinutes(), 'commentCache');
 
     globals.commentCache.set(videoUrl, {
         comments: comments,
@@ -413,7 +640,14 @@ export function setCommentCache(videoUrl, comments) {
         log("info", `[cache] commentCache TTL清理后仍达上限，已移除最早条目: ${oldestKey}`);
     }
 
+    if (globals.sqliteValid) {
+        setSqliteComments(videoUrl, comments);
+    }
+
+    writeSharedCache('comment', videoUrl, globals.commentCache.get(videoUrl), getCommentCacheRetainMinutes() * 60);
+
     log("info", `[cache] Cached comments for "${videoUrl}" (${comments.length} comments)`);
+    return comments;
 }
 
 // 添加元素到 episodeIds：检查 url 是否存在，若不存在则以自增 id 添加
@@ -758,24 +992,25 @@ export function getPreferAnimeId(title, season = null) {
   return [prefer, source, offsets];
 }
 
-// 清理所有过期的 IP 记录（超过 1 分钟没有请求的 IP）
-export function cleanupExpiredIPs(currentTime) {
-  const oneMinute = 60 * 1000;
-  let cleanedCount = 0;
+// AI 匹配结果缓存键：同一文件（剧名 + 季 + 集）只请求一次 AI
+export function getAiMatchCacheKey(title, season, episode) {
+  return `${String(title || '').trim()}|S${season ?? ''}|E${episode ?? ''}`;
+}
+
+export function getAiMatchDecision(key) {
+  return globals.aiMatchCache?.[key] || null;
+}
 
-  for (const [ip, timestamps] of globals.requestHistory.entries()) {
-    const validTimestamps = timestamps.filter(ts => currentTime - ts <= oneMinute);
-    if (validTimestamps.length === 0) {
-      globals.requestHistory.delete(ip);
-      cleanedCount++;
-      log("info", `[system] [Rate Limit] Cleaned up expired IP record: ${ip}`);
-    } else if (validTimestamps.length < timestamps.length) {
-      globals.requestHistory.set(ip, validTimestamps);
-    }
-  }
+// 写入 AI 匹配结果，超过 MAX_LAST_SELECT_MAP 时删除最早的记录
+export function setAiMatchDecision(key, decision) {
+  if (!globals.aiMatchCache || typeof globals.aiMatchCache !== 'object') globals.aiMatchCache = {};
+  delete globals.aiMatchCache[key];
+  globals.aiMatchCache[key] = { ...decision, decidedAt: new Date().toISOString() };
 
-  if (cleanedCount > 0) {
-    log("info", `[system] [Rate Limit] Cleanup completed: removed ${cleanedCount} expired IP records`);
+  const keys = Object.keys(globals.aiMatchCache);
+  if (keys.length > globals.MAX_LAST_SELECT_MAP) {
+    delete globals.aiMatchCache[keys[0]];
+    log("info", `[cache] Removed earliest entry from aiMatchCache: ${keys[0]}`);
   }
 }
 
@@ -806,6 +1041,12 @@ export function writeCacheToFile(key, value) {
   fs.writeFileSync(cacheFilePath, JSON.stringify(value), 'utf8');
 }
 
+// 删除本地缓存文件
+export function deleteCacheFile(key) {
+  const cacheFilePath = path.join(getDirname(), '..', '..', '.cache', `${key}`);
+  if (fs.existsSync(cacheFilePath)) fs.unlinkSync(cacheFilePath);
+}
+
 // 从本地获取缓存
 export async function getLocalCaches() {
   if (!globals.localCacheInitialized) {
@@ -817,12 +1058,27 @@ export async function getLocalCaches() {
       globals.episodeNum = JSON.parse(readCacheFromFile('episodeNum')) || globals.episodeNum;
       globals.reqRecords = JSON.parse(readCacheFromFile('reqRecords')) || globals.reqRecords;
       globals.todayReqNum = JSON.parse(readCacheFromFile('todayReqNum')) || globals.todayReqNum;
+      globals.apiKeyUsage = JSON.parse(readCacheFromFile('apiKeyUsage')) || globals.apiKeyUsage;
+      globals.aiMatchCache = JSON.parse(readCacheFromFile('aiMatchCache')) || globals.aiMatchCache;
+      globals.aiModerationCache = JSON.parse(readCacheFromFile('aiModerationCache')) || globals.aiModerationCache;
 
       const favoriteCacheData = readCacheFromFile('favoritesCache');
       if (favoriteCacheData) {
         loadFavorites(typeof favoriteCacheData === 'string' ? JSON.parse(favoriteCacheData) : favoriteCacheData);
       }
 
+      const localDanmuIndexData = readCacheFromFile('localDanmuIndex');
+      if (localDanmuIndexData) loadLocalDanmuIndex(localDanmuIndexData);
+
+      const ruleStoreData = readCacheFromFile('ruleStore');
+      if (ruleStoreData) loadRuleStore(ruleStoreData);
+
+      const ruleSuggestionsData = readCacheFromFile('ruleSuggestions');
+      if (ruleSuggestionsData) loadRuleSuggestions(ruleSuggestionsData);
+
+      const fileHashIndexData = readCacheFromFile('fileHashIndex');
+      if (fileHashIndexData) loadFileHashIndex(fileHashIndexData);
+
       // 恢复 lastSelectMap 并转换为 Map 对象
       const lastSelectMapData = readCacheFromFile('lastSelectMap');
       if (lastSelectMapData) {
@@ -836,8 +1092,15 @@ export async function getLocalCaches() {
       globals.lastHashes.episodeNum = simpleHash(JSON.stringify(globals.episodeNum));
       globals.lastHashes.reqRecords = simpleHash(JSON.stringify(globals.reqRecords));
       globals.lastHashes.todayReqNum = simpleHash(JSON.stringify(globals.todayReqNum));
+      globals.lastHashes.apiKeyUsage = simpleHash(JSON.stringify(globals.apiKeyUsage));
+      globals.lastHashes.aiMatchCache = simpleHash(JSON.stringify(globals.aiMatchCache));
+      globals.lastHashes.aiModerationCache = simpleHash(JSON.stringify(globals.aiModerationCache));
       globals.lastHashes.lastSelectMap = simpleHash(JSON.stringify(Object.fromEntries(globals.lastSelectMap)));
       globals.lastHashes.favoriteCache = simpleHash(JSON.stringify(saveFavorites()));
+      globals.lastHashes.localDanmuIndex = simpleHash(JSON.stringify(saveLocalDanmuIndex()));
+      globals.lastHashes.ruleStore = simpleHash(JSON.stringify(globals.ruleStore));
+      globals.lastHashes.ruleSuggestions = simpleHash(JSON.stringify(globals.ruleSuggestions));
+      globals.lastHashes.fileHashIndex = simpleHash(JSON.stringify(globals.fileHashIndex));
 
       globals.localCacheInitialized = true;
       log("info", '[cache] getLocalCaches completed successfully.');
@@ -862,7 +1125,14 @@ export async function updateLocalCaches() {
       { key: 'reqRecords', value: globals.reqRecords },
       { key: 'lastSelectMap', value: globals.lastSelectMap },
       { key: 'todayReqNum', value: globals.todayReqNum },
-      { key: 'favoritesCache', value: globals.favoriteCache }
+      { key: 'favoritesCache', value: globals.favoriteCache },
+      { key: 'localDanmuIndex', value: globals.localDanmuIndex },
+      { key: 'ruleStore', value: globals.ruleStore },
+      { key: 'ruleSuggestions', value: globals.ruleSuggestions },
+      { key: 'fileHashIndex', value: globals.fileHashIndex },
+      { key: 'apiKeyUsage', value: globals.apiKeyUsage },
+      { key: 'aiMatchCache', value: globals.aiMatchCache },
+      { key: 'aiModerationCache', value: globals.aiModerationCache }
     ];
 
     for (const { key, value } of variables) {
@@ -871,7 +1141,9 @@ export async function updateLocalCaches() {
         ? JSON.stringify(Object.fromEntries(value))
         : key === 'favoritesCache'
           ? JSON.stringify(saveFavorites())
-          : JSON.stringify(value);
+          : key === 'localDanmuIndex'
+            ? JSON.stringify(saveLocalDanmuIndex())
+            : JSON.stringify(value);
       const currentHash = simpleHash(serializedValue);
       const hashKey = key === 'favoritesCache' ? 'favoriteCache' : key;
       if (currentHash !== globals.lastHashes[hashKey]) {
@@ -4,6 +4,7 @@ import {
   ArtplayerTransformer,
   BahaMetadata,
   BahaTransformer,
+  BiliXmlAdapter,
   BiliXmlMetadata,
   BiliXmlTransformerConfigurator,
   DanuniJsonMetadata,
@@ -48,3 +49,34 @@ export function convertDanAny(danmuData, format) {
 
   return null;
 }
+
+/**
+ * 经 dan-any 的弹弹play适配器往返转换一次，统一导入弹幕的字段与取值范围
+ * @param {Object} danmuData 弹弹play格式弹幕 { count, comments }
+ * @returns {Object} 规范化后的弹弹play格式弹幕
+ */
+export function normalizeDanAnyDdplay(danmuData) {
+  const chunk = danAnyUdb.makeChunk({ tmp: true });
+  chunk.import(DdplayAdapter(danmuData));
+  return chunk.export(DdplayTransformer);
+}
+
+/**
+ * 经 dan-any 适配器导入上传的弹幕文件，导出为弹弹play格式
+ * @param {string} content 文件内容
+ * @param {string} format xml（bilibili XML）/ json（弹弹play JSON，{ count, comments } 或弹幕数组）
+ * @returns {Object} 弹弹play格式弹幕 { count, comments }
+ */
+export function importDanAnyDdplay(content, format) {
+  const chunk = danAnyUdb.makeChunk({ tmp: true });
+  if (format === 'xml') {
+    chunk.import(BiliXmlAdapter(String(content).replace(/^\uFEFF/, '')));
+  } else if (format === 'json') {
+    const data = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+    const comments = Array.isArray(data) ? data : (Array.isArray(data?.comments) ? data.comments : []);
+    chunk.import(DdplayAdapter({ count: comments.length, comments }));
+  } else {
+    throw new Error(`Unsupported danmu format: ${format}`);
+  }
+  return chunk.export(DdplayTransformer);
+}
@@ -1,8 +1,10 @@
 import { globals } from '../configs/globals.js';
 import { log } from './log-util.js'
-import { binResponse, jsonResponse, xmlResponse } from "./http-util.js";
+import { assResponse, binResponse, jsonResponse, xmlResponse } from "./http-util.js";
 import { simplized, traditionalized } from './zh-util.js';
 import { convertDanAny } from './dan-any.js';
+import { convertDanmuToAss } from './ass-util.js';
+import { applyAiModerationVerdicts } from './ai-moderation-util.js';
 
 // =====================
 // danmu处理相关函数
@@ -192,6 +194,215 @@ export function limitDanmusByCount(filteredDanmus, danmuLimit) {
   return result;
 }
 
+/**
+ * 解析弹幕密度上限，格式：条数/秒数，如 30/10 表示每 10 秒最多 30 条
+ * @param {string} value DANMU_DENSITY_LIMIT 或 density 查询参数
+ * @returns {{max: number, windowSeconds: number}|null} 未配置、为 0 或格式无效时返回 null
+ */
+export function parseDensityLimit(value) {
+  const match = String(value ?? '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) return null;
+  const max = Number(match[1]);
+  const windowSeconds = Number(match[2]);
+  return max > 0 && windowSeconds > 0 ? { max, windowSeconds } : null;
+}
+
+// 超出密度上限时的保留优先级：来源平台数 > 点赞数 > 合并条数
+// 点赞数在 LIKE_SWITCH 开启时已写入弹幕文本（♡12 / 🔥1.2k），这里按文本还原
+function getDanmuDensityWeight(danmu) {
+  const sourceLabel = String(danmu.p || '').match(/\[([^\]]*)\]$/)?.[1] || '';
+  const sourceCount = sourceLabel.split(/[&＆]/).filter(s => s.trim()).length;
+
+  let like = typeof danmu.like === 'number' ? danmu.like : 0;
+  const likeMatch = String(danmu.m || '').match(/\u200A(?:🔥|\uFE0F?♡)([\d.]+)([wk]?)$/);
+  if (likeMatch) {
+    like = parseFloat(likeMatch[1]) * (likeMatch[2] === 'w' ? 10000 : likeMatch[2] === 'k' ? 1000 : 1);
+  }
+
+  const repeatCount = Number(String(danmu.m || '').match(/\u200Ax\u200A(\d+)/)?.[1] || 1);
+  return [sourceCount, like, repeatCount];
+}
+
+/**
+ * 按时间窗口限制弹幕密度：每个窗口最多保留 max 条，超出时优先保留多源确认、点赞多、合并条数多的弹幕
+ * 与 limitDanmusByCount 的全局等间隔采样不同，弹幕较少的片段不受影响
+ * @param {Array} danmus 弹幕列表
+ * @param {{max: number, windowSeconds: number}|null} limit 密度上限
+ * @returns {Array} 保持原有顺序的弹幕列表
+ */
+export function limitDanmusByDensity(danmus, limit) {
+  if (!limit || !Array.isArray(danmus) || danmus.length <= limit.max) return danmus;
+
+  const windows = new Map();
+  for (const danmu of danmus) {
+    const time = parseFloat(String(danmu.p).split(',')[0]) || 0;
+    const key = Math.floor(time / limit.windowSeconds);
+    if (!windows.has(key)) windows.set(key, []);
+    windows.get(key).push({ danmu, time, weight: getDanmuDensityWeight(danmu) });
+  }
+
+  const dropped = new Set();
+  for (const entries of windows.values()) {
+    if (entries.length <= limit.max) continue;
+    entries.sort((a, b) => {
+      for (let i = 0; i < a.weight.length; i++) {
+        if (a.weight[i] !== b.weight[i]) return b.weight[i] - a.weight[i];
+      }
+      return a.time - b.time;
+    });
+    entries.slice(limit.max).forEach(entry => dropped.add(entry.danmu));
+  }
+
+  if (dropped.size > 0) {
+    log("info", `[system] [danmu] [density] 按每 ${limit.windowSeconds} 秒最多 ${limit.max} 条限制密度，移除 ${dropped.size}/${danmus.length} 条弹幕`);
+  }
+  return dropped.size > 0 ? danmus.filter(danmu => !dropped.has(danmu)) : danmus;
+}
+
+// 近似重复比较时忽略的字符：空白、标点、符号与 emoji
+const QUALITY_NOISE_CHARS = /[\s\p{P}\p{S}\u200D\uFE0F]/gu;
+// bilibili 等平台的表情代码，如 [doge]、[笑哭]
+const EMOTE_CODE_PATTERN = /\[[^\[\]\s]{1,12}\]/g;
+const EMOJI_ONLY_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|[\s\u200D\uFE0F])+$/u;
+const USER_FLOOD_WINDOW = 60;
+// 近似重复检测时每条弹幕最多比较的窗口内文本数（只保留最近的不同文本），密集剧集（上万条弹幕）下限制 CPU 开销
+const NEAR_DUPLICATE_MAX_CANDIDATES = 100;
+
+// 归一化弹幕文本：去除标点、符号与空白，转小写，并将连续重复的字符压缩为一个
+function normalizeQualityText(text) {
+  return String(text).replace(QUALITY_NOISE_CHARS, '').toLowerCase().replace(/(.)\1+/gu, '$1');
+}
+
+// 归一化文本的字符二元组计数，每条文本只计算一次，供 bigramSimilarity 反复比较
+function buildBigrams(text) {
+  const chars = [...text];
+  const bigrams = new Map();
+  for (let i = 0; i < chars.length - 1; i++) {
+    const bigram = chars[i] + chars[i + 1];
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return { bigrams, total: Math.max(0, chars.length - 1) };
+}
+
+// 字符二元组相似度（Dice 系数），取值 0-1
+function bigramSimilarity(a, b) {
+  if (a.total === 0 || b.total === 0) return 0;
+  const [small, large] = a.bigrams.size <= b.bigrams.size ? [a, b] : [b, a];
+  let overlap = 0;
+  for (const [bigram, count] of small.bigrams) {
+    overlap += Math.min(count, large.bigrams.get(bigram) || 0);
+  }
+  return (2 * overlap) / (a.total + b.total);
+}
+
+// 二元组数量相差过大时相似度不可能达到阈值，无需逐个比较
+function canReachSimilarity(a, b, similarity) {
+  return (2 * Math.min(a.total, b.total)) / (a.total + b.total) >= similarity;
+}
+
+// 文本中 1-2 个字符为单位连续重复的最大长度，如「哈哈哈哈哈」为 5，「awslawslawsl」按 2 字符单位不计
+function maxRepeatRunLength(text) {
+  let maxLength = 0;
+  for (const match of String(text).matchAll(/(.{1,2}?)\1+/gu)) {
+    maxLength = Math.max(maxLength, [...match[0]].length);
+  }
+  return maxLength;
+}
+
+function isEmojiOnly(text) {
+  const rest = String(text).replace(EMOTE_CODE_PATTERN, '').trim();
+  if (!rest) return String(text).trim() !== '';
+  return EMOJI_ONLY_PATTERN.test(rest);
+}
+
+/**
+ * 弹幕质量过滤：近似重复刷屏、重复字符刷屏、纯表情弹幕与单用户刷屏
+ * 各项检测由对应环境变量控制，均未开启时原样返回
+ * @param {Array} danmus 已过滤屏蔽词的弹幕列表
+ * @param {Map} userHashes 弹幕 cid -> 发送用户哈希，仅部分来源提供
+ * @returns {{danmus: Array, summary: Object}} summary 为各检测项移除的条数
+ */
+export function filterDanmuQuality(danmus, userHashes = new Map()) {
+  const summary = { nearDuplicate: 0, repeatedChar: 0, emojiOnly: 0, userFlood: 0 };
+  const nearDuplicateWindow = globals.danmuNearDuplicateWindow;
+  const similarity = globals.danmuNearDuplicateSimilarity / 100;
+  const repeatCharLimit = globals.danmuRepeatCharLimit;
+  const userFloodLimit = globals.danmuUserFloodLimit;
+  if (!nearDuplicateWindow && !repeatCharLimit && !globals.danmuFilterEmojiOnly && !(userFloodLimit && userHashes.size)) {
+    return { danmus, summary };
+  }
+
+  const removed = new Set();
+  // 按时间顺序检测，窗口内只与更早保留的弹幕比较
+  const ordered = danmus
+    .map(danmu => ({ danmu, time: parseFloat(String(danmu.p).split(',')[0]) || 0 }))
+    .sort((a, b) => a.time - b.time);
+  // 近似重复窗口内保留的弹幕（最多 NEAR_DUPLICATE_MAX_CANDIDATES 条）：归一化文本 -> { text, time, bigrams, total }
+  const recentTexts = new Map();
+  const userTimes = new Map();
+
+  for (const { danmu, time } of ordered) {
+    const text = String(danmu.m ?? '');
+
+    if (globals.danmuFilterEmojiOnly && isEmojiOnly(text)) {
+      summary.emojiOnly++;
+      removed.add(danmu);
+      continue;
+    }
+
+    if (repeatCharLimit > 0 && maxRepeatRunLength(text) > repeatCharLimit) {
+      summary.repeatedChar++;
+      removed.add(danmu);
+      continue;
+    }
+
+    const userHash = userHashes.get(danmu.cid);
+    if (userFloodLimit > 0 && userHash) {
+      const times = (userTimes.get(userHash) || []).filter(t => time - t < USER_FLOOD_WINDOW);
+      if (times.length >= userFloodLimit) {
+        userTimes.set(userHash, times);
+        summary.userFlood++;
+        removed.add(danmu);
+        continue;
+      }
+      times.push(time);
+      userTimes.set(userHash, times);
+    }
+
+    if (nearDuplicateWindow > 0) {
+      const normalized = normalizeQualityText(text);
+      for (const [key, recent] of recentTexts) {
+        if (time - recent.time <= nearDuplicateWindow) break;
+        recentTexts.delete(key);
+      }
+      // 完全相同的文本交给 GROUP_MINUTE 合并计数，这里只处理改了几个字的刷屏
+      const current = buildBigrams(normalized);
+      let isNearDuplicate = false;
+      if (normalized.length >= 2) {
+        const sameText = recentTexts.get(normalized);
+        isNearDuplicate = Boolean(sameText && sameText.text !== text);
+        for (const [key, recent] of recentTexts) {
+          if (isNearDuplicate) break;
+          if (key === normalized || !canReachSimilarity(recent, current, similarity)) continue;
+          isNearDuplicate = bigramSimilarity(recent, current) >= similarity;
+        }
+      }
+      if (isNearDuplicate) {
+        summary.nearDuplicate++;
+        removed.add(danmu);
+        continue;
+      }
+      recentTexts.delete(normalized);
+      recentTexts.set(normalized, { text, time, ...current });
+      if (recentTexts.size > NEAR_DUPLICATE_MAX_CANDIDATES) {
+        recentTexts.delete(recentTexts.keys().next().value);
+      }
+    }
+  }
+
+  return { danmus: danmus.filter(danmu => !removed.has(danmu)), summary };
+}
+
 /**
  * 转义正则特殊字符，用于将纯文本屏蔽词转为字面量匹配
  */
@@ -281,6 +492,7 @@ export function convertToDanmakuJson(contents, platform) {
   let danmus = [];
   let cidCounter = 1;
   let isMultiSource = false; // 用于记录当前弹幕集合是否为多源组合
+  const userHashes = new Map(); // 弹幕 cid -> 发送用户哈希，用于单用户刷屏检测
 
   // 统一处理输入为数组
   let items = [];
@@ -313,7 +525,7 @@ export function convertToDanmakuJson(contents, platform) {
 
   for (const item of items) {
     let attributes, m;
-    let time, mode, color;
+    let time, mode, color, userHash;
 
     // 新增：处理新格式的弹幕数据
     if ("progress" in item && "mode" in item && "content" in item) {
@@ -322,12 +534,14 @@ export function convertToDanmakuJson(contents, platform) {
       mode = item.mode || 1;
       color = item.color || 16777215;
       m = item.content;
+      userHash = item.midHash;
     } else if ("timepoint" in item) {
       // 处理对象数组输入
       time = parseFloat(item.timepoint).toFixed(2);
       mode = item.ct || 0;
       color = item.color || 16777215;
       m = item.content;
+      userHash = item.uid;
     } else {
       if (!("p" in item)) {
         continue;
@@ -347,6 +561,7 @@ export function convertToDanmakuJson(contents, platform) {
       } else if (pValues.length >= 8) {
         // 新标准格式（8字段或9字段）
         color = pValues[3] || 16777215;
+        userHash = pValues[6];
       } else {
         // 其他格式，尝试从第3或第4位获取颜色
         color = pValues[3] || pValues[2] || 16777215;
@@ -374,6 +589,8 @@ export function convertToDanmakuJson(contents, platform) {
       `[${currentPlatform}]`
     ].join(",");
 
+    // 未提供用户信息的来源以 0 占位
+    if (userHash && String(userHash) !== '0') userHashes.set(cidCounter, String(userHash));
     danmus.push({ p: attributes, m, cid: cidCounter++, like: item?.like });
   }
 
@@ -445,9 +662,13 @@ export function convertToDanmakuJson(contents, platform) {
     }
   }
 
+  // 弹幕质量过滤（近似重复、重复字符、纯表情、单用户刷屏）
+  const { danmus: qualityDanmus, summary: qualitySummary } = filterDanmuQuality(filteredDanmus, userHashes);
+  const qualityDetails = `near-duplicate ×${qualitySummary.nearDuplicate}, repeated-char ×${qualitySummary.repeatedChar}, emoji-only ×${qualitySummary.emojiOnly}, user-flood ×${qualitySummary.userFlood}`;
+
   // 按n分钟内去重
   log("info", `[system] [danmu] 去重分钟数: ${globals.groupMinute}`);
-  const groupedDanmus = groupDanmusByMinute(filteredDanmus, globals.groupMinute, isMultiSource);
+  const groupedDanmus = groupDanmusByMinute(qualityDanmus, globals.groupMinute, isMultiSource);
 
   // 处理点赞数
   const likeDanmus = handleDanmusLike(groupedDanmus);
@@ -507,6 +728,7 @@ export function convertToDanmakuJson(contents, platform) {
 
   log("info", `[system] [danmu] danmus_original: ${danmus.length}`);
   log("info", `[system] [danmu] danmus_filter: ${filteredDanmus.length}`);
+  log("info", `[system] [danmu] danmus_quality: ${qualityDanmus.length} (${qualityDetails})`);
   log("info", `[system] [danmu] danmus_group: ${groupedDanmus.length}`);
   log("info", `[system] [danmu] danmus_limit: ${convertedDanmus.length}`);
   // 输出前五条弹幕
@@ -609,13 +831,33 @@ function escapeXmlText(str) {
 }
 
 // 根据格式参数返回弹幕数据
-export function formatDanmuResponse(danmuData, queryFormat) {
+// formatOptions 为格式相关的渲染参数（目前仅 ass 使用：字号、不透明度、滚动时长、分辨率）
+export function formatDanmuResponse(danmuData, queryFormat, formatOptions = {}) {
   // 确定最终使用的格式：查询参数 > 环境变量 > 默认值
   let format = queryFormat || globals.danmuOutputFormat;
   format = format.toLowerCase();
 
   log("info", `[system] [danmu] [format] Using format: ${format}`);
 
+  // AI 审核：应用已缓存的判定，写入弹幕缓存后才完成的后台判定在此生效
+  if (Array.isArray(danmuData?.comments)) {
+    const comments = applyAiModerationVerdicts(danmuData.comments);
+    if (comments !== danmuData.comments) {
+      danmuData = { ...danmuData, count: comments.length, comments };
+    }
+  }
+
+  // 弹幕密度限制：查询参数 density > 环境变量 DANMU_DENSITY_LIMIT，density=0 表示本次不限制
+  const densityLimit = formatOptions.density !== undefined && formatOptions.density !== null && formatOptions.density !== ''
+    ? parseDensityLimit(formatOptions.density)
+    : parseDensityLimit(globals.danmuDensityLimit);
+  if (densityLimit && Array.isArray(danmuData?.comments)) {
+    const comments = limitDanmusByDensity(danmuData.comments, densityLimit);
+    if (comments !== danmuData.comments) {
+      danmuData = { ...danmuData, count: comments.length, comments };
+    }
+  }
+
   // 兼容旧格式转换
   if (format === 'xml') {
     try {
@@ -626,6 +868,13 @@ export function formatDanmuResponse(danmuData, queryFormat) {
       // 转换失败时回退到 JSON
       return jsonResponse(danmuData);
     }
+  } else if (format === 'ass') {
+    try {
+      return assResponse(convertDanmuToAss(danmuData, formatOptions));
+    } catch (error) {
+      log("error", `[system] [danmu] Failed to convert to ASS: ${error.message}`);
+      return jsonResponse(danmuData);
+    }
   } else if (format === 'json') return jsonResponse(danmuData);
 
   const converted = convertDanAny(danmuData, format);
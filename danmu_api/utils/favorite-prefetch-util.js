@@ -0,0 +1,171 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { getRateLimitPolicy } from './rate-limit-util.js';
+import { isSourceCircuitOpen } from './source-health-util.js';
+
+// =====================
+// 收藏新集弹幕预取
+// =====================
+// 收藏刷新（手动或定时）发现集数增加时，refreshFavorite 将收藏标记为待预取（prefetch.status = pending），
+// 预取任务随后通过 getComment 依次获取每个搜索结果最新 FAVORITE_PREFETCH_EPISODES 集的弹幕并写入弹幕缓存，
+// 新集的第一位观众无需等待多源拉取。Node/Docker 由收藏定时器触发，Cloudflare 由 Cron Trigger 触发。
+// 预取状态保存在收藏条目中随收藏持久化，收藏面板据此展示进度。
+// 结束状态：done（至少一集已缓存）、failed（全部失败）、skipped（没有可预取的剧集，或全部因熔断跳过）。
+
+const PREFETCH_STATUSES = ['pending', 'running', 'done', 'failed', 'skipped'];
+// 每集之间的最小间隔，comment 限流策略更严格时按策略的平均间隔放慢
+const PREFETCH_MIN_INTERVAL_MS = 2000;
+
+let prefetchRunning = false;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function normalizeFavoritePrefetch(value) {
+  if (!value || typeof value !== 'object' || !PREFETCH_STATUSES.includes(value.status)) return null;
+  const count = candidate => Math.max(0, Number(candidate) || 0);
+  const timestampOrNull = candidate => {
+    const number = Number(candidate);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  };
+  return {
+    status: value.status,
+    newEpisodes: count(value.newEpisodes),
+    requestedAt: timestampOrNull(value.requestedAt),
+    startedAt: timestampOrNull(value.startedAt),
+    finishedAt: timestampOrNull(value.finishedAt),
+    total: count(value.total),
+    completed: count(value.completed),
+    failed: count(value.failed),
+    skipped: count(value.skipped),
+    lastError: typeof value.lastError === 'string' ? value.lastError : ''
+  };
+}
+
+/**
+ * 收藏刷新后计算新的预取状态
+ * @param {Object|null} previous 刷新前的预取状态
+ * @param {number} newEpisodes 本次刷新新增的集数
+ * @returns {Object|null} 未开启预取或没有新集时沿用原状态
+ */
+export function createFavoritePrefetch(previous, newEpisodes, now = Date.now()) {
+  if (!(globals.favoritePrefetchEpisodes > 0) || !(newEpisodes > 0)) return normalizeFavoritePrefetch(previous);
+  return normalizeFavoritePrefetch({ status: 'pending', newEpisodes, requestedAt: now });
+}
+
+/**
+ * 收藏中每个搜索结果最新 limit 集的剧集
+ * @param {Object} entry 收藏条目
+ * @param {number} limit 每个搜索结果的预取集数
+ * @returns {Array<{episodeId: number, episodeTitle: string, animeTitle: string, source: string}>}
+ */
+export function collectFavoritePrefetchEpisodes(entry, limit) {
+  const details = Array.isArray(entry?.details) ? entry.details : [];
+  const episodes = [];
+  const seen = new Set();
+
+  for (const result of Array.isArray(entry?.results) ? entry.results : []) {
+    const anime = details.find(detail => String(detail?.animeId) === String(result?.animeId) && (!result.source || detail.source === result.source))
+      || globals.animes.find(detail => String(detail?.animeId) === String(result?.animeId));
+    const links = Array.isArray(anime?.links) ? anime.links.filter(link => link?.id) : [];
+
+    for (const link of links.slice(-limit)) {
+      if (seen.has(link.id)) continue;
+      seen.add(link.id);
+      episodes.push({
+        episodeId: link.id,
+        episodeTitle: link.title || '',
+        animeTitle: anime.animeTitle || result.animeTitle || '',
+        source: anime.source || result.source || ''
+      });
+    }
+  }
+  return episodes;
+}
+
+function getPrefetchIntervalMs() {
+  const policy = getRateLimitPolicy('comment');
+  const policyInterval = policy ? Math.ceil(policy.windowMs / policy.limit) : 0;
+  return Math.max(PREFETCH_MIN_INTERVAL_MS, policyInterval);
+}
+
+// 合并源（如 tencent&iqiyi）中任一源处于熔断时跳过该集，等待下次预取
+function isPrefetchSourceBlocked(source) {
+  return String(source || '').split('&').filter(Boolean).some(key => isSourceCircuitOpen(key));
+}
+
+/**
+ * 执行待预取收藏的弹幕预取
+ * @param {Object} options
+ * @param {Map} options.favoriteCache 收藏缓存
+ * @param {Function} options.fetchComment 按剧集 ID 获取弹幕的函数，返回 getComment 的响应
+ * @param {Function} [options.persist] 持久化收藏的函数，开始与结束时调用
+ * @param {Function} [options.wait] 两集之间的等待函数
+ * @param {number} [options.intervalMs] 两集之间的间隔，默认按 comment 限流策略计算（至少 2 秒）
+ * @returns {Promise<Array>} 每个收藏的预取结果
+ */
+export async function runFavoritePrefetch({ favoriteCache, fetchComment, persist, wait = sleep, intervalMs = getPrefetchIntervalMs() }) {
+  const limit = globals.favoritePrefetchEpisodes;
+  if (prefetchRunning || !(limit > 0) || !(favoriteCache instanceof Map) || typeof fetchComment !== 'function') return [];
+
+  // 上次预取中断（实例重启、超时）时仍为 running，重新执行
+  const queue = [...favoriteCache.entries()].filter(([, entry]) => ['pending', 'running'].includes(entry?.prefetch?.status));
+  if (queue.length === 0) return [];
+
+  prefetchRunning = true;
+  const results = [];
+  try {
+    for (const [keyword, entry] of queue) {
+      const episodes = collectFavoritePrefetchEpisodes(entry, limit);
+      const prefetch = {
+        ...normalizeFavoritePrefetch(entry.prefetch),
+        status: 'running',
+        startedAt: Date.now(),
+        finishedAt: null,
+        total: episodes.length,
+        completed: 0,
+        failed: 0,
+        skipped: 0,
+        lastError: ''
+      };
+      entry.prefetch = prefetch;
+      if (typeof persist === 'function') await persist();
+      log('info', `[favorite] [prefetch] Prefetching ${episodes.length} episodes for "${keyword}" (latest ${limit} per result)`);
+
+      for (const episode of episodes) {
+        if (isPrefetchSourceBlocked(episode.source)) {
+          prefetch.skipped++;
+          log('warn', `[favorite] [prefetch] Source ${episode.source} circuit is open, skipping ${episode.animeTitle} ${episode.episodeTitle}`);
+          continue;
+        }
+        if (prefetch.completed + prefetch.failed > 0) await wait(intervalMs);
+
+        try {
+          const response = await fetchComment(episode.episodeId);
+          const data = await response.json();
+          if (!response.ok) throw new Error(data?.errorMessage || `HTTP ${response.status}`);
+          // getComment 在上游失败时返回空弹幕而不是错误状态，此时没有写入弹幕缓存，记为失败
+          if (!(data?.count > 0)) throw new Error('上游未返回弹幕');
+          prefetch.completed++;
+          log('info', `[favorite] [prefetch] Cached ${data?.count ?? 0} comments for ${episode.animeTitle} ${episode.episodeTitle} (${episode.episodeId})`);
+        } catch (error) {
+          prefetch.failed++;
+          prefetch.lastError = error?.message || String(error);
+          log('warn', `[favorite] [prefetch] Failed to prefetch ${episode.animeTitle} ${episode.episodeTitle} (${episode.episodeId}): ${prefetch.lastError}`);
+        }
+      }
+
+      if (prefetch.completed > 0) prefetch.status = 'done';
+      else prefetch.status = prefetch.failed > 0 ? 'failed' : 'skipped';
+      prefetch.finishedAt = Date.now();
+      results.push({ keyword, ...prefetch });
+      log('info', `[favorite] [prefetch] Finished "${keyword}": ${prefetch.completed}/${prefetch.total} cached, ${prefetch.failed} failed, ${prefetch.skipped} skipped`);
+    }
+  } finally {
+    prefetchRunning = false;
+  }
+
+  if (results.length > 0 && typeof persist === 'function') await persist();
+  return results;
+}
@@ -1,4 +1,5 @@
 import { globals } from '../configs/globals.js';
+import { enqueueFavoriteWebhook, flushFavoriteWebhookQueue } from './favorite-webhook-util.js';
 
 const SHANGHAI_OFFSET_MS = 8 * 60 * 60 * 1000;
 const DAY_MS = 24 * 60 * 60 * 1000;
@@ -14,6 +15,16 @@ function parseTime(time) {
   return { hour, minute, value: `${match[1]}:${match[2]}` };
 }
 
+/**
+ * 收藏各搜索结果的集数之和，即 listFavorites 的 episodeCount
+ * @param {Object} entry 收藏记录
+ * @returns {number}
+ */
+export function countFavoriteEpisodes(entry) {
+  const results = Array.isArray(entry?.results) ? entry.results : [];
+  return results.reduce((sum, anime) => sum + (Number(anime?.episodeCount) || 0), 0);
+}
+
 function shanghaiDateParts(timestamp) {
   const shifted = new Date(timestamp + SHANGHAI_OFFSET_MS);
   const sundayBasedDay = shifted.getUTCDay();
@@ -131,18 +142,39 @@ export async function runDueFavoriteSchedules({
     schedule.lastRunAt = now;
     changed = true;
 
+    const previousEpisodeCount = countFavoriteEpisodes(entry);
     try {
-      await refresh(keyword);
+      const refreshed = await refresh(keyword);
       const currentEntry = favoriteCache.get(keyword);
       if (currentEntry) currentEntry.refreshSchedule = schedule;
       schedule.retryAt = null;
       schedule.lastStatus = 'success';
       schedule.lastError = '';
-      results.push({ keyword, success: true, retry: isRetry });
+      const episodeCount = countFavoriteEpisodes(currentEntry);
+      const newEpisodes = episodeCount - previousEpisodeCount;
+      if (newEpisodes > 0) {
+        enqueueFavoriteWebhook({
+          type: 'new_episodes',
+          keyword,
+          animeTitle: refreshed?.animeTitle || keyword,
+          previousEpisodeCount,
+          episodeCount,
+          newEpisodes
+        }, now);
+      }
+      results.push({ keyword, success: true, retry: isRetry, newEpisodes: Math.max(newEpisodes, 0) });
     } catch (error) {
       schedule.lastStatus = 'failed';
       schedule.lastError = error?.message || String(error);
       schedule.retryAt = isRetry ? null : now + 10 * 60 * 1000;
+      enqueueFavoriteWebhook({
+        type: 'refresh_failed',
+        keyword,
+        animeTitle: keyword,
+        error: schedule.lastError,
+        retry: isRetry,
+        retryAt: schedule.retryAt
+      }, now);
       results.push({ keyword, success: false, retry: isRetry, error: schedule.lastError });
     }
   }
@@ -151,7 +183,7 @@ export async function runDueFavoriteSchedules({
   return results;
 }
 
-export async function startFavoriteScheduler({ refresh, persist, intervalMs = 60 * 1000 }) {
+export async function startFavoriteScheduler({ refresh, persist, prefetch, intervalMs = 60 * 1000 }) {
   if (schedulerTimer || typeof refresh !== 'function') return false;
 
   const tick = async () => {
@@ -163,6 +195,10 @@ export async function startFavoriteScheduler({ refresh, persist, intervalMs = 60
         refresh,
         persist
       });
+      // 推送本轮产生的通知，并重试之前失败且已到重试时间的通知
+      await flushFavoriteWebhookQueue();
+      // 预取本轮及手动刷新中发现新集的收藏弹幕
+      if (typeof prefetch === 'function') await prefetch();
     } finally {
       schedulerRunning = false;
     }
@@ -1,6 +1,7 @@
 import { globals } from '../configs/globals.js';
 import { log } from './log-util.js';
-import { normalizeFavoriteSchedule } from './favorite-schedule-util.js';
+import { countFavoriteEpisodes, normalizeFavoriteSchedule } from './favorite-schedule-util.js';
+import { createFavoritePrefetch, normalizeFavoritePrefetch } from './favorite-prefetch-util.js';
 
 function normalizeEntry(entry) {
   if (!entry || typeof entry !== 'object') return null;
@@ -11,7 +12,8 @@ function normalizeEntry(entry) {
     timestamp,
     // 旧缓存只有 timestamp；将其作为最近一次生成收藏快照的时间兼容恢复。
     lastRefreshAt: Number(entry.lastRefreshAt) || timestamp,
-    refreshSchedule: normalizeFavoriteSchedule(entry.refreshSchedule)
+    refreshSchedule: normalizeFavoriteSchedule(entry.refreshSchedule),
+    prefetch: normalizeFavoritePrefetch(entry.prefetch)
   };
 }
 
@@ -128,18 +130,21 @@ export function removeFavorite(keyword) {
 }
 
 // 用强制搜索得到的新快照覆盖收藏，保留原收藏键以避免刷新时产生重复项。
+// 集数增加且开启了 FAVORITE_PREFETCH_EPISODES 时标记为待预取新集弹幕。
 export function refreshFavorite(keyword, results, details = []) {
   const resolved = resolveFavoriteForKeyword(keyword);
   const key = resolved?.keyword || stripSeasonSuffix(keyword);
   if (!key) return null;
 
   const now = Date.now();
+  const newEpisodes = resolved ? countFavoriteEpisodes({ results }) - countFavoriteEpisodes(resolved.entry) : 0;
   const entry = normalizeEntry({
     results,
     details,
     timestamp: Number(resolved?.entry?.timestamp) || now,
     lastRefreshAt: now,
-    refreshSchedule: resolved?.entry?.refreshSchedule || null
+    refreshSchedule: resolved?.entry?.refreshSchedule || null,
+    prefetch: createFavoritePrefetch(resolved?.entry?.prefetch, newEpisodes, now)
   });
   if (!(globals.favoriteCache instanceof Map)) globals.favoriteCache = new Map();
   globals.favoriteCache.set(key, entry);
@@ -155,7 +160,7 @@ export function listFavorites() {
     const results = Array.isArray(entry?.results) ? entry.results : [];
     const primary = results[0] || {};
     const sources = [...new Set(results.map(anime => anime?.source).filter(Boolean))];
-    const episodeCount = results.reduce((sum, anime) => sum + (Number(anime?.episodeCount) || 0), 0);
+    const episodeCount = countFavoriteEpisodes(entry);
 
     items.push({
       keyword,
@@ -167,7 +172,8 @@ export function listFavorites() {
       resultsCount: results.length,
       timestamp: Number(entry?.timestamp) || 0,
       lastRefreshAt: Number(entry?.lastRefreshAt) || Number(entry?.timestamp) || 0,
-      refreshSchedule: normalizeFavoriteSchedule(entry?.refreshSchedule)
+      refreshSchedule: normalizeFavoriteSchedule(entry?.refreshSchedule),
+      prefetch: normalizeFavoritePrefetch(entry?.prefetch)
     });
   }
 
@@ -0,0 +1,171 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+
+// =====================
+// 收藏定时刷新通知（Webhook / Telegram / Bark）
+// =====================
+// 定时刷新发现新集数或刷新失败时，向已配置的通道推送通知。推送失败的通知进入重试队列，
+// 由收藏定时器每次检查时按退避时间重发；每条通知的投递结果记录在 globals.favoriteWebhookLog，
+// 供收藏面板查看。Telegram / Bark 地址中包含凭证，日志与投递记录中只记录通道名，不记录地址。
+
+// 单条通知的最大投递次数（含首次）
+const MAX_DELIVERY_ATTEMPTS = 5;
+// 重试退避基数，第 n 次失败后等待 BASE * 2^(n-1)
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+// 投递记录保留条数
+const MAX_WEBHOOK_LOG = 50;
+// 单次推送超时
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// 待投递队列：{ record, request }
+let pendingDeliveries = [];
+let deliverySeq = 0;
+
+// 已配置的推送通道
+export function getFavoriteWebhookChannels() {
+  const channels = [];
+  if (globals.favoriteWebhookUrl) channels.push('webhook');
+  if (globals.favoriteTelegramBotToken && globals.favoriteTelegramChatId) channels.push('telegram');
+  if (globals.favoriteBarkUrl) channels.push('bark');
+  return channels;
+}
+
+function buildNotificationText(event) {
+  const title = event.animeTitle || event.keyword;
+  if (event.type === 'new_episodes') {
+    return {
+      title: `收藏更新：${title}`,
+      body: `「${title}」新增 ${event.newEpisodes} 集，当前共 ${event.episodeCount} 集`
+    };
+  }
+  return {
+    title: `收藏刷新失败：${title}`,
+    body: `「${title}」定时刷新失败：${event.error || '未知错误'}${event.retryAt ? '，10 分钟后重试' : ''}`
+  };
+}
+
+function buildDeliveryRequest(channel, event) {
+  const { title, body } = buildNotificationText(event);
+  if (channel === 'telegram') {
+    return {
+      url: `https://api.telegram.org/bot${globals.favoriteTelegramBotToken}/sendMessage`,
+      body: { chat_id: globals.favoriteTelegramChatId, text: `${title}\n${body}`, disable_web_page_preview: true }
+    };
+  }
+  if (channel === 'bark') {
+    return {
+      url: globals.favoriteBarkUrl.replace(/\/+$/, ''),
+      body: { title, body, group: 'danmu_api' }
+    };
+  }
+  return {
+    url: globals.favoriteWebhookUrl,
+    body: { ...event, title, message: body }
+  };
+}
+
+function appendWebhookLog(record) {
+  if (!Array.isArray(globals.favoriteWebhookLog)) globals.favoriteWebhookLog = [];
+  globals.favoriteWebhookLog.unshift(record);
+  if (globals.favoriteWebhookLog.length > MAX_WEBHOOK_LOG) {
+    globals.favoriteWebhookLog.length = MAX_WEBHOOK_LOG;
+  }
+}
+
+/**
+ * 将收藏刷新事件加入推送队列，每个已配置的通道各生成一条投递记录
+ * @param {Object} event 刷新事件
+ * @param {string} event.type new_episodes（发现新集数）/ refresh_failed（刷新失败）
+ * @param {string} event.keyword 收藏关键词
+ * @returns {number} 入队的投递数量，未配置通道时为 0
+ */
+export function enqueueFavoriteWebhook(event, now = Date.now()) {
+  const channels = getFavoriteWebhookChannels();
+  if (channels.length === 0) return 0;
+
+  const payload = { ...event, animeTitle: event.animeTitle || event.keyword, timestamp: now };
+  for (const channel of channels) {
+    const record = {
+      id: `${now}-${++deliverySeq}`,
+      channel,
+      event: payload.type,
+      keyword: payload.keyword,
+      animeTitle: payload.animeTitle,
+      status: 'pending',
+      attempts: 0,
+      lastError: '',
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now
+    };
+    appendWebhookLog(record);
+    pendingDeliveries.push({ record, request: buildDeliveryRequest(channel, payload) });
+  }
+  log('info', `[favorite] Queued ${channels.length} webhook deliveries for "${payload.keyword}" (${payload.type})`);
+  return channels.length;
+}
+
+async function sendDelivery(request) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+  try {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request.body),
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 投递队列中已到期的通知，失败时按指数退避重新排队，超过最大次数后标记为 failed
+ * @returns {Promise<{sent: number, failed: number, pending: number}>}
+ */
+export async function flushFavoriteWebhookQueue(now = Date.now()) {
+  const due = pendingDeliveries.filter(item => item.record.nextAttemptAt <= now);
+  if (due.length === 0) return { sent: 0, failed: 0, pending: pendingDeliveries.length };
+
+  let sent = 0;
+  let failed = 0;
+  for (const item of due) {
+    const { record } = item;
+    record.attempts++;
+    record.updatedAt = Date.now();
+    try {
+      await sendDelivery(item.request);
+      record.status = 'success';
+      record.lastError = '';
+      record.nextAttemptAt = null;
+      sent++;
+    } catch (error) {
+      record.lastError = error?.name === 'AbortError' ? '请求超时' : (error?.message || String(error));
+      if (record.attempts >= MAX_DELIVERY_ATTEMPTS) {
+        record.status = 'failed';
+        record.nextAttemptAt = null;
+        failed++;
+        log('warn', `[favorite] Webhook ${record.channel} delivery for "${record.keyword}" failed after ${record.attempts} attempts: ${record.lastError}`);
+      } else {
+        record.nextAttemptAt = now + RETRY_BASE_DELAY_MS * Math.pow(2, record.attempts - 1);
+        log('warn', `[favorite] Webhook ${record.channel} delivery for "${record.keyword}" failed, will retry: ${record.lastError}`);
+      }
+    }
+  }
+
+  pendingDeliveries = pendingDeliveries.filter(item => item.record.status === 'pending');
+  return { sent, failed, pending: pendingDeliveries.length };
+}
+
+// 投递记录（新的在前）
+export function listFavoriteWebhookLog() {
+  return Array.isArray(globals.favoriteWebhookLog) ? globals.favoriteWebhookLog.map(record => ({ ...record })) : [];
+}
+
+// 清空队列与投递记录
+export function resetFavoriteWebhookQueue() {
+  pendingDeliveries = [];
+  globals.favoriteWebhookLog = [];
+}
@@ -0,0 +1,226 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+
+// =====================
+// 文件哈希匹配索引
+// =====================
+// 弹弹play 客户端在 match 请求中附带 fileHash（视频文件前 16MB 的 MD5）与 fileSize。
+// 匹配成功（自动匹配或用户随后搜索并手动改选的剧集）后记录 fileHash → 剧集，同一文件再次匹配时直接返回，无需解析文件名与搜索。
+// 索引保存剧集的 url 与链接标题而不是 episodeId：episodeId 只在单个实例内自增，url 可在实例重启、多实例及团队共享时重新换算为 episodeId。
+
+const MAX_FILE_HASH_INDEX = 10000;
+// match 返回后在该时间内先搜索、再请求的其他剧集弹幕视为用户对该文件的手动改选，与 lastSearch 的 TTL 一致
+const PENDING_FILE_HASH_TTL_MS = 3 * 60 * 1000;
+
+// 最近一次带 fileHash 的匹配上下文 (IP -> Context)
+const pendingFileHashMap = new Map();
+
+/**
+ * 规范化弹弹play fileHash（32 位十六进制 MD5）
+ * @param {*} value
+ * @returns {string|null} 小写哈希，格式不正确时返回 null
+ */
+export function normalizeFileHash(value) {
+  const hash = String(value ?? '').trim().toLowerCase();
+  return /^[0-9a-f]{32}$/.test(hash) ? hash : null;
+}
+
+function normalizeFileSize(value) {
+  const size = Number(value);
+  return Number.isInteger(size) && size > 0 ? size : null;
+}
+
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !entry.url || typeof entry.url !== 'string') return null;
+  const text = value => (typeof value === 'string' ? value : '');
+  const animeId = Number(entry.animeId);
+  return {
+    url: entry.url,
+    episodeTitle: text(entry.episodeTitle),
+    animeId: Number.isFinite(animeId) ? animeId : 0,
+    animeTitle: text(entry.animeTitle),
+    type: text(entry.type),
+    typeDescription: text(entry.typeDescription),
+    imageUrl: text(entry.imageUrl),
+    source: text(entry.source),
+    fileName: text(entry.fileName),
+    fileSize: normalizeFileSize(entry.fileSize),
+    manual: Boolean(entry.manual),
+    updatedAt: Number(entry.updatedAt) || 0
+  };
+}
+
+// 超出容量时删除最久未更新的记录
+function trimFileHashIndex() {
+  const entries = Object.entries(globals.fileHashIndex);
+  if (entries.length <= MAX_FILE_HASH_INDEX) return;
+  entries
+    .sort(([, left], [, right]) => left.updatedAt - right.updatedAt)
+    .slice(0, entries.length - MAX_FILE_HASH_INDEX)
+    .forEach(([hash]) => delete globals.fileHashIndex[hash]);
+}
+
+/**
+ * 记录文件哈希对应的剧集
+ * @param {string} fileHash 弹弹play fileHash
+ * @param {Object} match
+ * @param {string} match.url 剧集链接（episodeIds 中的 url）
+ * @param {string} match.episodeTitle 剧集链接标题（episodeIds 中的 title），与 url 一起用于重新换算 episodeId
+ * @param {Object} match.anime 剧集所属番剧
+ * @param {string} [match.fileName] 匹配时的文件名，便于导出后排查
+ * @param {number} [match.fileSize] 文件大小
+ * @param {boolean} [match.manual] 是否为用户手动改选的结果
+ * @returns {Object|null} 记录有变化时返回新记录；自动匹配结果不覆盖同一文件的手动改选
+ */
+export function rememberFileHash(fileHash, { url, episodeTitle, anime, fileName, fileSize, manual = false }, now = Date.now()) {
+  const hash = normalizeFileHash(fileHash);
+  if (!hash || !url) return null;
+  if (!globals.fileHashIndex || typeof globals.fileHashIndex !== 'object') globals.fileHashIndex = {};
+
+  const size = normalizeFileSize(fileSize);
+  const existing = globals.fileHashIndex[hash];
+  const sameFile = existing && (!existing.fileSize || !size || existing.fileSize === size);
+  if (sameFile && existing.manual && !manual) return null;
+  if (sameFile && existing.url === url && existing.manual === Boolean(manual)) return null;
+
+  const entry = normalizeEntry({
+    url,
+    episodeTitle,
+    animeId: anime?.animeId,
+    animeTitle: anime?.animeTitle,
+    type: anime?.type,
+    typeDescription: anime?.typeDescription,
+    imageUrl: anime?.imageUrl,
+    source: anime?.source,
+    fileName,
+    fileSize: size,
+    manual,
+    updatedAt: now
+  });
+  globals.fileHashIndex[hash] = entry;
+  trimFileHashIndex();
+
+  log('info', `[match] [file-hash] Remembered ${hash} -> ${entry.animeTitle} ${entry.episodeTitle}${manual ? ' (manual)' : ''}`);
+  return entry;
+}
+
+/**
+ * 按文件哈希查找剧集
+ * @param {string} fileHash 弹弹play fileHash
+ * @param {number} [fileSize] 文件大小，双方都有时必须一致（fileHash 只覆盖文件前 16MB）
+ * @returns {Object|null}
+ */
+export function lookupFileHash(fileHash, fileSize) {
+  const hash = normalizeFileHash(fileHash);
+  const entry = hash ? globals.fileHashIndex?.[hash] : null;
+  if (!entry) return null;
+  const size = normalizeFileSize(fileSize);
+  if (entry.fileSize && size && entry.fileSize !== size) {
+    log('info', `[match] [file-hash] ${hash} is known but file size differs (${entry.fileSize} != ${size}), ignoring`);
+    return null;
+  }
+  return entry;
+}
+
+export function setPendingFileHash(ip, data) {
+  if (!ip) return;
+  pendingFileHashMap.set(ip, { ...data, timestamp: Date.now() });
+  if (pendingFileHashMap.size > 200) {
+    for (const [key, value] of pendingFileHashMap) {
+      if (Date.now() - value.timestamp > PENDING_FILE_HASH_TTL_MS) pendingFileHashMap.delete(key);
+    }
+  }
+}
+
+/**
+ * IP 最近一次带 fileHash 的匹配上下文
+ * @param {string} ip
+ * @returns {Object|null} 超过 PENDING_FILE_HASH_TTL_MS 时返回 null
+ */
+export function getPendingFileHash(ip) {
+  const pending = ip ? pendingFileHashMap.get(ip) : null;
+  if (!pending || Date.now() - pending.timestamp >= PENDING_FILE_HASH_TTL_MS) return null;
+  return pending;
+}
+
+/**
+ * 标记 IP 在带 fileHash 的匹配之后执行了搜索
+ * 只有经过搜索选中的其他剧集才记为手动改选，顺播下一集等直接请求不改变记录
+ * @param {string} ip
+ */
+export function markPendingFileHashSearched(ip) {
+  const pending = getPendingFileHash(ip);
+  if (pending) pending.searched = true;
+}
+
+export function clearPendingFileHash(ip) {
+  pendingFileHashMap.delete(ip);
+}
+
+// 从持久化快照恢复文件哈希索引，格式：{ fileHash: { url, episodeTitle, animeId, ..., manual, updatedAt } }
+export function loadFileHashIndex(value = {}) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = {};
+    }
+  }
+
+  const index = {};
+  for (const [fileHash, entry] of Object.entries(parsed && typeof parsed === 'object' ? parsed : {})) {
+    const hash = normalizeFileHash(fileHash);
+    const normalized = normalizeEntry(entry);
+    if (hash && normalized) index[hash] = normalized;
+  }
+  globals.fileHashIndex = index;
+  trimFileHashIndex();
+  return globals.fileHashIndex;
+}
+
+/**
+ * 导出文件哈希索引，按更新时间倒序
+ * @returns {Array<Object>} [{ fileHash, url, episodeTitle, animeTitle, ... }]
+ */
+export function exportFileHashIndex() {
+  return Object.entries(globals.fileHashIndex || {})
+    .map(([fileHash, entry]) => ({ fileHash, ...entry }))
+    .sort((left, right) => right.updatedAt - left.updatedAt);
+}
+
+/**
+ * 导入其他实例导出的文件哈希索引
+ * @param {Array<Object>} entries exportFileHashIndex 的结果
+ * @param {'merge'|'replace'} [mode] merge 时同一哈希优先保留手动改选，其次保留较新的记录；replace 先清空现有索引
+ * @returns {{added: number, updated: number, skipped: number}}
+ */
+export function importFileHashIndex(entries, mode = 'merge') {
+  if (mode === 'replace') globals.fileHashIndex = {};
+  if (!globals.fileHashIndex || typeof globals.fileHashIndex !== 'object') globals.fileHashIndex = {};
+
+  const result = { added: 0, updated: 0, skipped: 0 };
+  for (const item of Array.isArray(entries) ? entries : []) {
+    const hash = normalizeFileHash(item?.fileHash);
+    const entry = normalizeEntry(item);
+    if (!hash || !entry) {
+      result.skipped++;
+      continue;
+    }
+
+    const existing = globals.fileHashIndex[hash];
+    if (!existing) {
+      result.added++;
+    } else if (existing.manual !== entry.manual ? entry.manual : entry.updatedAt > existing.updatedAt) {
+      result.updated++;
+    } else {
+      result.skipped++;
+      continue;
+    }
+    globals.fileHashIndex[hash] = entry;
+  }
+  trimFileHashIndex();
+
+  log('info', `[match] [file-hash] Imported file hash index (${mode}): ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+  return result;
+}
@@ -1,11 +1,14 @@
 import { globals } from '../configs/globals.js';
-import { log } from './log-util.js'
+import { log, getLogSource, sourceLogContext } from './log-util.js'
+import { getSourceDefinition } from '../sources/registry.js';
+import { noteSourceHttpResult } from './source-health-util.js';
+import { recordUpstreamRequest } from './metrics-util.js';
 import { AsyncLocalStorage } from 'node:async_hooks';
 import https from 'node:https';
 import http from 'node:http';
 
-// 跨异步生命周期链路的日志上下文追踪器
-export const sourceLogContext = new AsyncLocalStorage();
+// 跨异步生命周期链路的日志上下文追踪器（定义在 log-util.js，store 为 { requestId, source }）
+export { sourceLogContext };
 
 // 单次搜索请求内的 HTTP 响应复用缓存: 相同 URL 的重复 GET 直接复用, 借助 AsyncLocalStorage 实现请求级隔离
 export const httpCacheContext = new AsyncLocalStorage();
@@ -14,21 +17,15 @@ export function runWithHttpCache(fn) {
   return httpCacheContext.run(new Map(), fn);
 }
 
-// 源调度键名（sourceOrderArr）到日志标签规范名称的映射
-// sourceOrderArr 中部分键名与对应源文件的标签命名不一致（如 360→360kan, imgo→mango）
-// 此映射表统一转换，确保 HTTP 日志标签与源文件内部标签一致
-const SOURCE_KEY_TO_LOG_NAME = {
-  '360': '360kan',
-  'imgo': 'mango',
-};
-
 /**
  * 将 sourceOrderArr 中的调度键名转换为日志标签规范名称
+ * 部分键名与对应源文件的标签命名不一致（如 360→360kan, imgo→mango），由各源在 meta.logName 中声明，
+ * 确保 HTTP 日志标签与源文件内部标签一致
  * @param {string} sourceKey - sourceOrderArr 中的键名
  * @returns {string} 对应的日志标签名称，如无映射则返回原值
  */
 export function toLogSourceName(sourceKey) {
-  return SOURCE_KEY_TO_LOG_NAME[sourceKey] || sourceKey;
+  return getSourceDefinition(sourceKey)?.logName || sourceKey;
 }
 
 // =====================
@@ -97,10 +94,11 @@ export async function httpGet(url, options = {}) {
   const bypassCache = options.bypassCache === true;
   if (requestHttpCache && !bypassCache && requestHttpCache.has(url)) {
     const cached = requestHttpCache.get(url);
-    log("info", `[${sourceLogContext.getStore() || 'system'}] [请求复用] 复用请求内已缓存的 HTTP 响应, 跳过重复请求: ${url}`);
+    log("info", `[${getLogSource()}] [请求复用] 复用请求内已缓存的 HTTP 响应, 跳过重复请求: ${url}`);
     return { data: structuredClone(cached.data), status: cached.status, headers: { ...cached.headers } };
   }
 
+  const startTime = Date.now();
   // 从 options 中获取重试次数，默认为 0
   const maxRetries = parseInt(options.retries || '0', 10) || 0;
   // GET 与 POST 行为保持一致：默认跟随重定向，allow_redirects 为 false 时禁止（用于截获 302 Location）
@@ -112,7 +110,7 @@ export async function httpGet(url, options = {}) {
   // 执行请求，包含重试逻辑
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     // 获取当前异步生命周期的源标识
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
 
     if (attempt > 0) {
       log("info", `[${currentSource}] [请求模拟] 第 ${attempt} 次重试: ${url}`);
@@ -262,6 +260,9 @@ export async function httpGet(url, options = {}) {
         requestHttpCache.set(url, { data: structuredClone(parsedData), status: response.status, headers });
       }
 
+      noteSourceHttpResult(true);
+      recordUpstreamRequest(currentSource, 'GET', true, Date.now() - startTime);
+
       // 模拟 iOS 环境：返回 { data: ... } 结构
       return {
         data: parsedData,
@@ -272,7 +273,7 @@ export async function httpGet(url, options = {}) {
     } catch (error) {
       clearTimeout(timeoutId);
       lastError = error;
-      const currentSource = sourceLogContext.getStore() || "system";
+      const currentSource = getLogSource();
 
       // 如果是外部信号导致的中断，停止重试并直接抛出
       if (options.signal?.aborted) {
@@ -311,12 +312,15 @@ export async function httpGet(url, options = {}) {
   }
 
   // 所有重试都失败，抛出最后一个错误
-  const finalSource = sourceLogContext.getStore() || "system";
+  const finalSource = getLogSource();
   log("error", `[${finalSource}] [请求模拟] 所有重试均失败 (${maxRetries + 1} 次尝试)`);
+  noteSourceHttpResult(false, lastError);
+  recordUpstreamRequest(finalSource, 'GET', false, Date.now() - startTime);
   throw lastError;
 }
 
 export async function httpPost(url, body, options = {}) {
+  const startTime = Date.now();
   // 从 options 中获取重试次数，默认为 0
   const maxRetries = parseInt(options.retries || '0', 10) || 0;
   const validStatusCodes = Array.isArray(options.validStatusCodes) ? options.validStatusCodes : [];
@@ -324,7 +328,7 @@ export async function httpPost(url, body, options = {}) {
 
   // 执行请求，包含重试逻辑
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
 
     if (attempt > 0) {
       log("info", `[${currentSource}] [请求模拟] 第 ${attempt} 次重试: ${url}`);
@@ -394,6 +398,9 @@ export async function httpPost(url, body, options = {}) {
         log("info", `[${currentSource}] [请求模拟] 重试成功`);
       }
 
+      noteSourceHttpResult(true);
+      recordUpstreamRequest(currentSource, 'POST', true, Date.now() - startTime);
+
       // 模拟 iOS 环境：返回 { data: ... } 结构
       return {
         data: parsedData,
@@ -404,7 +411,7 @@ export async function httpPost(url, body, options = {}) {
     } catch (error) {
       clearTimeout(timeoutId);
       lastError = error;
-      const currentSource = sourceLogContext.getStore() || "system";
+      const currentSource = getLogSource();
 
       // 如果是外部信号导致的中断，停止重试并直接抛出
       if (options.signal?.aborted) {
@@ -443,8 +450,10 @@ export async function httpPost(url, body, options = {}) {
   }
 
   // 所有重试都失败，抛出最后一个错误
-  const finalSource = sourceLogContext.getStore() || "system";
+  const finalSource = getLogSource();
   log("error", `[${finalSource}] [请求模拟] 所有重试均失败 (${maxRetries + 1} 次尝试)`);
+  noteSourceHttpResult(false, lastError);
+  recordUpstreamRequest(finalSource, 'POST', false, Date.now() - startTime);
   throw lastError;
 }
 
@@ -460,7 +469,7 @@ export async function httpPost(url, body, options = {}) {
  * @returns {Promise<{data: any, status: number, headers: Record<string, string>}>}
  */
 async function httpRequestMethod(method, url, body, options = {}) {
-  const currentSource = sourceLogContext.getStore() || "system";
+  const currentSource = getLogSource();
   log("info", `[${currentSource}] [请求模拟] HTTP ${method}: ${url}`);
 
   const { headers = {} } = options;
@@ -514,7 +523,7 @@ async function httpRequestMethod(method, url, body, options = {}) {
       headers: Object.fromEntries(response.headers.entries())
     };
   } catch (error) {
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
     log("error", `[${currentSource}] [请求模拟] 请求失败:`, error.message);
     log("error", '详细诊断:');
     log("error", '- URL:', url);
@@ -572,7 +581,7 @@ export async function getPageTitle(url) {
     return url;
 
   } catch (error) {
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
     log("error", `[${currentSource}] 获取标题失败: ${error.message}`);
     return url;
   }
@@ -604,6 +613,17 @@ export function xmlResponse(data, status = 200) {
   });
 }
 
+export function assResponse(data, status = 200) {
+  return new Response(data, {
+    status,
+    headers: {
+      "Content-Type": "text/x-ssa; charset=utf-8",
+      "Content-Disposition": 'inline; filename="danmaku.ass"',
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
+
 export function binResponse(data, filename = "data.bin", status = 200) {
   return new Response(data, {
     status,
@@ -750,7 +770,7 @@ export async function httpGetWithStreamCheck(url, options = {}, checkCallback) {
   const cleanupSignal = linkSignal(options.signal, controller);
 
   try {
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
     log("info", `[${currentSource}] [流式请求] HTTP GET: ${url}`);
 
     // 兼容iOS巨魔或旧版Node：使用node-fetch替代内置fetch
@@ -779,7 +799,7 @@ export async function httpGetWithStreamCheck(url, options = {}, checkCallback) {
 
     // 环境兼容性回退
     if (!reader) {
-      const currentSource = sourceLogContext.getStore() || "system";
+      const currentSource = getLogSource();
       log("warn", `[${currentSource}] [流式请求] 环境不支持流式读取,回退到普通请求`);
       const text = await response.text();
       clearTimeout(timeoutId);
@@ -815,7 +835,7 @@ export async function httpGetWithStreamCheck(url, options = {}, checkCallback) {
 
         // 执行回调检查
         if (!checkCallback(checkBuffer)) {
-          const currentSource = sourceLogContext.getStore() || "system";
+          const currentSource = getLogSource();
           log("info", `[${currentSource}] [流式请求] 嗅探到无效特征(已读${receivedLength}字节),立即熔断`);
           controller.abort();
           isAborted = true;
@@ -852,7 +872,7 @@ export async function httpGetWithStreamCheck(url, options = {}, checkCallback) {
     }
 
   } catch (error) {
-    const currentSource = sourceLogContext.getStore() || "system";
+    const currentSource = getLogSource();
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
       return null;
@@ -0,0 +1,256 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { simpleHash, convertToAsciiSum } from './codec-util.js';
+import { titleMatches } from './common-util.js';
+
+// =====================
+// 本地导入弹幕（local 源）
+// =====================
+// 管理员上传的 bilibili XML / 弹弹play JSON / ASS 弹幕文件，解析为弹弹play格式后按「剧名 + 季 + 集」存储。
+// XML / JSON 由 local-danmu-api 经 dan-any 适配器导入（本模块会打包进 Forward 组件，不直接依赖 dan-any），ASS 由 parseAssDanmu 解析。
+// 索引（不含弹幕正文）随 animes 等变量一起持久化；弹幕正文体积较大，按条目单独写入
+// 本地缓存文件 / Redis 键（见 getLocalDanmuStorageKey），由 local 源在获取弹幕时按需读取。
+
+export const LOCAL_DANMU_FORMATS = ['xml', 'json', 'ass'];
+
+const WHITE = 16777215;
+// 实例内存中缓存的弹幕正文条数上限，超出时淘汰最久未读取的（仅淘汰已持久化、可重新读取的正文）
+const MAX_LOCAL_DANMU_COMMENTS = 50;
+
+/**
+ * 获取导入条目弹幕正文的存储键（本地缓存文件名 / Redis 键）
+ * @param {string} id 条目ID
+ * @returns {string}
+ */
+export function getLocalDanmuStorageKey(id) {
+  return `localDanmu_${id}`;
+}
+
+/**
+ * 根据文件名与内容判断弹幕文件格式
+ * @param {string} content 文件内容
+ * @param {string} fileName 文件名
+ * @returns {string|null} xml / json / ass，无法识别时返回 null
+ */
+export function detectLocalDanmuFormat(content, fileName = '') {
+  const ext = String(fileName).toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+  if (ext === 'xml' || ext === 'json') return ext;
+  if (ext === 'ass' || ext === 'ssa') return 'ass';
+
+  const text = String(content || '').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('<')) return 'xml';
+  // ASS 以 [Script Info] 开头，需先于 JSON 数组判断
+  if (/^\[Script Info\]/mi.test(text) || /^Dialogue:/m.test(text)) return 'ass';
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  return null;
+}
+
+function toDdplayComment(time, mode, color, text) {
+  const m = String(text ?? '').trim();
+  if (!Number.isFinite(time) || time < 0 || !m) return null;
+  const safeColor = Number.isFinite(color) && color >= 0 && color <= WHITE ? color : WHITE;
+  return { p: `${time.toFixed(2)},${mode},${safeColor}`, m };
+}
+
+function parseAssTime(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const fraction = match[4] ? Number(`0.${match[4]}`) : 0;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + fraction;
+}
+
+/**
+ * 解析 ASS 弹幕字幕：按 Dialogue 行的覆盖标签还原弹幕类型，\move 为滚动，\an7~9 顶部，\an1~3 底部，\c 颜色（&HBBGGRR&）
+ * @param {string} content 文件内容
+ * @returns {Array<{p: string, m: string}>} 弹弹play格式弹幕（未排序）
+ */
+export function parseAssDanmu(content) {
+  const comments = [];
+  for (const line of String(content).split(/\r?\n/)) {
+    if (!line.startsWith('Dialogue:')) continue;
+    // Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text，Text 中可能含逗号
+    const fields = line.slice('Dialogue:'.length).split(',');
+    if (fields.length < 10) continue;
+    const start = parseAssTime(fields[1]);
+    const rawText = fields.slice(9).join(',');
+    const tags = (rawText.match(/\{[^}]*\}/g) || []).join('');
+
+    let mode = 1;
+    if (!/\\move\(/.test(tags)) {
+      const align = parseInt(tags.match(/\\an(\d)/)?.[1], 10);
+      if (align >= 7) mode = 5;
+      else if (align >= 1 && align <= 3) mode = 4;
+    }
+
+    const colorMatch = tags.match(/\\1?c&H([0-9a-fA-F]{1,6})&/);
+    let color = WHITE;
+    if (colorMatch) {
+      const bgr = colorMatch[1].padStart(6, '0');
+      color = parseInt(bgr.slice(4, 6) + bgr.slice(2, 4) + bgr.slice(0, 2), 16);
+    }
+
+    const text = rawText.replace(/\{[^}]*\}/g, '').replace(/\\[Nnh]/g, ' ');
+    const comment = toDdplayComment(start, mode, color, text);
+    if (comment) comments.push(comment);
+  }
+  return comments;
+}
+
+/**
+ * 整理导入的弹弹play格式弹幕：校验时间与颜色、丢弃空弹幕，按时间排序并重新编号
+ * @param {Array<{p: string, m: string}>} comments 弹幕，p 为「时间,类型,颜色[,用户]」
+ * @returns {Array<{cid: number, p: string, m: string}>} 按时间排序的弹幕
+ */
+export function finalizeLocalDanmuComments(comments) {
+  const result = [];
+  for (const item of Array.isArray(comments) ? comments : []) {
+    if (!item || typeof item.p !== 'string') continue;
+    const pValues = item.p.split(',');
+    const mode = parseInt(pValues[1], 10) || 1;
+    // 高级弹幕(7)与代码弹幕(8)无法在弹弹play格式中表达，直接跳过
+    if (mode === 7 || mode === 8) continue;
+    const comment = toDdplayComment(parseFloat(pValues[0]), mode, parseInt(pValues[2], 10), item.m);
+    if (comment) result.push(comment);
+  }
+  return result
+    .sort((a, b) => parseFloat(a.p) - parseFloat(b.p))
+    .map((comment, index) => ({ cid: index + 1, ...comment }));
+}
+
+/**
+ * 缓存导入弹幕正文到实例内存
+ * 已持久化到本地缓存文件或 Redis 时，超出 MAX_LOCAL_DANMU_COMMENTS 淘汰最久未读取的正文，需要时由 local 源重新读取
+ * @param {string} id 条目ID
+ * @param {Array} comments 弹幕正文
+ */
+export function cacheLocalDanmuComments(id, comments) {
+  globals.localDanmuComments.delete(id);
+  globals.localDanmuComments.set(id, comments);
+  if (!globals.localCacheValid && !globals.redisValid) return;
+  while (globals.localDanmuComments.size > MAX_LOCAL_DANMU_COMMENTS) {
+    globals.localDanmuComments.delete(globals.localDanmuComments.keys().next().value);
+  }
+}
+
+// 读取实例内存中的导入弹幕正文，命中时刷新淘汰顺序
+export function getCachedLocalDanmuComments(id) {
+  if (!globals.localDanmuComments.has(id)) return null;
+  const comments = globals.localDanmuComments.get(id);
+  globals.localDanmuComments.delete(id);
+  globals.localDanmuComments.set(id, comments);
+  return comments;
+}
+
+function normalizeIndexEntry(id, entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const title = String(entry.title || '').trim();
+  const episode = parseInt(entry.episode, 10);
+  if (!title || !Number.isFinite(episode)) return null;
+  const season = parseInt(entry.season, 10);
+  return {
+    id: String(id),
+    title,
+    season: Number.isFinite(season) ? season : null,
+    episode,
+    episodeTitle: String(entry.episodeTitle || '').trim(),
+    year: String(entry.year || '').trim(),
+    format: entry.format || '',
+    fileName: entry.fileName || '',
+    count: Number(entry.count) || 0,
+    createdAt: Number(entry.createdAt) || Date.now()
+  };
+}
+
+// 从持久化快照恢复导入索引
+export function loadLocalDanmuIndex(value = {}) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = {};
+    }
+  }
+  const entries = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+    ? Object.entries(parsed).map(([id, entry]) => [String(id), normalizeIndexEntry(id, entry)]).filter(([, entry]) => entry)
+    : [];
+  globals.localDanmuIndex = new Map(entries);
+  log('info', `[local] Restored ${globals.localDanmuIndex.size} imported danmu entries`);
+  return globals.localDanmuIndex;
+}
+
+// 返回可由 cache-util / redis-util 持久化的普通对象快照
+export function saveLocalDanmuIndex() {
+  if (!(globals.localDanmuIndex instanceof Map)) globals.localDanmuIndex = new Map();
+  return Object.fromEntries(globals.localDanmuIndex.entries());
+}
+
+/**
+ * 新增或覆盖导入条目，同一剧名 + 季 + 集重复导入时覆盖旧弹幕
+ * @param {Object} meta 条目信息 { title, season, episode, episodeTitle, year, format, fileName }
+ * @param {Array} comments 弹弹play格式弹幕
+ * @returns {Object} 索引条目
+ */
+export function addLocalDanmuEntry(meta, comments) {
+  const entry = normalizeIndexEntry('', { ...meta, count: comments.length, createdAt: Date.now() });
+  if (!entry) throw new Error('title and episode are required');
+  entry.id = simpleHash(`${entry.title}|${entry.season ?? ''}|${entry.episode}`);
+
+  if (!(globals.localDanmuIndex instanceof Map)) globals.localDanmuIndex = new Map();
+  globals.localDanmuIndex.set(entry.id, entry);
+  cacheLocalDanmuComments(entry.id, comments);
+  return entry;
+}
+
+/**
+ * 删除导入条目
+ * @param {string} id 条目ID
+ * @returns {Object|null} 被删除的条目
+ */
+export function removeLocalDanmuEntry(id) {
+  const key = String(id || '');
+  const entry = globals.localDanmuIndex.get(key) || null;
+  if (!entry) return null;
+  globals.localDanmuIndex.delete(key);
+  globals.localDanmuComments.delete(key);
+  return entry;
+}
+
+// 导入条目列表，按剧名、季、集排序
+export function listLocalDanmuEntries() {
+  return [...globals.localDanmuIndex.values()].sort((a, b) =>
+    a.title.localeCompare(b.title) || (a.season ?? 0) - (b.season ?? 0) || a.episode - b.episode
+  );
+}
+
+// 同一剧名 + 季归为一部番剧展示的标题，如「某剧 第2季」
+export function getLocalDanmuAnimeTitle(entry) {
+  return entry.season && entry.season > 1 ? `${entry.title} 第${entry.season}季` : entry.title;
+}
+
+/**
+ * 按关键字搜索导入条目，按剧名 + 季分组为番剧
+ * @param {string} keyword 搜索关键字
+ * @returns {Array<{animeId: number, title: string, season: number|null, year: string, entries: Array}>}
+ */
+export function searchLocalDanmuEntries(keyword) {
+  const groups = new Map();
+  for (const entry of listLocalDanmuEntries()) {
+    const animeTitle = getLocalDanmuAnimeTitle(entry);
+    if (!titleMatches(animeTitle, keyword)) continue;
+    const groupKey = `${entry.title}|${entry.season ?? ''}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        animeId: convertToAsciiSum(`local:${groupKey}`),
+        title: animeTitle,
+        season: entry.season,
+        year: entry.year,
+        entries: []
+      });
+    }
+    const group = groups.get(groupKey);
+    if (!group.year && entry.year) group.year = entry.year;
+    group.entries.push(entry);
+  }
+  return [...groups.values()];
+}
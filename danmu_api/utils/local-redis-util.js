@@ -1,6 +1,10 @@
 import { globals } from '../configs/globals.js';
 import { log } from './log-util.js';
+import { recordRedisError } from './metrics-util.js';
 import { simpleHash, serializeValue } from "./codec-util.js";
+import { loadRuleStore } from './rule-store-util.js';
+import { loadRuleSuggestions } from './rule-suggestion-util.js';
+import { loadFileHashIndex } from './file-hash-util.js';
 
 // =====================
 // 本地 Redis 读写请求
@@ -90,6 +94,7 @@ export async function getLocalRedisKey(key) {
     const result = await localRedisClient.get(key);
     return result;
   } catch (error) {
+    recordRedisError('local', 'GET');
     log("error", `[system] [Local-Redis] GET 请求失败:`, error.message);
     return null;
   }
@@ -120,6 +125,7 @@ export async function setLocalRedisKey(key, value) {
     log("info", `[system] [Local-Redis] 键 ${key} 更新成功`);
     return { result };
   } catch (error) {
+    recordRedisError('local', 'SET');
     log("error", `[system] [Local-Redis] SET 请求失败:`, error.message);
     return { result: "ERROR" };
   }
@@ -150,11 +156,77 @@ export async function setLocalRedisKeyWithExpiry(key, value, expirySeconds) {
     log("info", `[system] [Local-Redis] 键 ${key} 更新成功（带过期时间 ${expirySeconds}s）`);
     return { result };
   } catch (error) {
+    recordRedisError('local', 'SETEX');
     log("error", `[system] [Local-Redis] SETEX 请求失败:`, error.message);
     return { result: "ERROR" };
   }
 }
 
+// 直接写入字符串值并设置过期时间，不做序列化与变化检测（用于按条写入的共享缓存）
+export async function setLocalRedisValueWithExpiry(key, value, expirySeconds) {
+  try {
+    if (!(await checkLocalRedisConnection())) {
+      await createLocalRedisClient();
+    }
+
+    if (!localRedisClient) {
+      throw new Error('本地 Redis 客户端未初始化');
+    }
+
+    const result = await localRedisClient.setEx(key, expirySeconds, value);
+    return { result };
+  } catch (error) {
+    recordRedisError('local', 'SETEX');
+    log("error", `[system] [Local-Redis] SETEX 请求失败:`, error.message);
+    return { result: "ERROR" };
+  }
+}
+
+// 执行 Lua 脚本（原子操作，如限流计数），失败时返回 null
+export async function evalLocalRedisScript(script, keys, args) {
+  try {
+    if (!(await checkLocalRedisConnection())) {
+      await createLocalRedisClient();
+    }
+
+    if (!localRedisClient) {
+      throw new Error('本地 Redis 客户端未初始化');
+    }
+
+    return await localRedisClient.eval(script, { keys, arguments: args.map(String) });
+  } catch (error) {
+    recordRedisError('local', 'EVAL');
+    log("error", `[system] [Local-Redis] EVAL 请求失败:`, error.message);
+    return null;
+  }
+}
+
+// 按模式分批 SCAN 并逐个删除键，返回删除数量，失败时返回已删除的数量
+export async function deleteLocalRedisKeysByPattern(pattern) {
+  let deleted = 0;
+  try {
+    if (!(await checkLocalRedisConnection())) {
+      await createLocalRedisClient();
+    }
+
+    if (!localRedisClient) {
+      throw new Error('本地 Redis 客户端未初始化');
+    }
+
+    let cursor = '0';
+    do {
+      const reply = await localRedisClient.scan(cursor, { MATCH: pattern, COUNT: 500 });
+      cursor = String(reply.cursor);
+      const results = await Promise.all(reply.keys.map(key => localRedisClient.del(key)));
+      deleted += results.reduce((sum, count) => sum + (Number(count) || 0), 0);
+    } while (cursor !== '0');
+  } catch (error) {
+    recordRedisError('local', 'SCAN');
+    log("error", `[system] [Local-Redis] SCAN 删除失败:`, error.message);
+  }
+  return deleted;
+}
+
 // 优化后的 getLocalRedisCaches，批量获取所有键
 export async function getLocalRedisCaches() {
   if (!globals.localCacheInitialized) {
@@ -169,7 +241,9 @@ export async function getLocalRedisCaches() {
         throw new Error('本地 Redis 客户端未初始化');
       }
 
-      const keys = ['animes', 'episodeIds', 'episodeNum', 'reqRecords', 'lastSelectMap', 'todayReqNum'];
+      const keys = [
+        'animes', 'episodeIds', 'episodeNum', 'reqRecords', 'lastSelectMap', 'todayReqNum', 'apiKeyUsage', 'aiMatchCache', 'aiModerationCache', 'ruleStore', 'ruleSuggestions', 'fileHashIndex'
+      ];
       const results = await Promise.all(keys.map(key => getLocalRedisKey(key)));
 
       // 解析结果，按顺序赋值
@@ -185,6 +259,12 @@ export async function getLocalRedisCaches() {
         log("info", `[system] [Local-Redis] Restored lastSelectMap from Local Redis with ${globals.lastSelectMap.size} entries`);
       }
       globals.todayReqNum = results[5] ? parseInt(results[5], 10) : globals.todayReqNum;
+      globals.apiKeyUsage = results[6] ? JSON.parse(results[6]) : globals.apiKeyUsage;
+      globals.aiMatchCache = results[7] ? JSON.parse(results[7]) : globals.aiMatchCache;
+      globals.aiModerationCache = results[8] ? JSON.parse(results[8]) : globals.aiModerationCache;
+      if (results[9]) loadRuleStore(results[9]);
+      if (results[10]) loadRuleSuggestions(results[10]);
+      if (results[11]) loadFileHashIndex(results[11]);
 
       // 更新哈希值
       globals.lastHashes.animes = simpleHash(JSON.stringify(globals.animes));
@@ -193,6 +273,12 @@ export async function getLocalRedisCaches() {
       globals.lastHashes.reqRecords = simpleHash(JSON.stringify(globals.reqRecords));
       globals.lastHashes.lastSelectMap = simpleHash(JSON.stringify(Object.fromEntries(globals.lastSelectMap)));
       globals.lastHashes.todayReqNum = simpleHash(JSON.stringify(globals.todayReqNum));
+      globals.lastHashes.apiKeyUsage = simpleHash(JSON.stringify(globals.apiKeyUsage));
+      globals.lastHashes.aiMatchCache = simpleHash(JSON.stringify(globals.aiMatchCache));
+      globals.lastHashes.aiModerationCache = simpleHash(JSON.stringify(globals.aiModerationCache));
+      globals.lastHashes.ruleStore = simpleHash(JSON.stringify(globals.ruleStore));
+      globals.lastHashes.ruleSuggestions = simpleHash(JSON.stringify(globals.ruleSuggestions));
+      globals.lastHashes.fileHashIndex = simpleHash(JSON.stringify(globals.fileHashIndex));
 
       globals.localCacheInitialized = true;
       log("info", '[system] [Local-Redis] getLocalRedisCaches completed successfully.');
@@ -225,7 +311,13 @@ export async function updateLocalRedisCaches() {
       { key: 'episodeNum', value: globals.episodeNum },
       { key: 'reqRecords', value: globals.reqRecords },
       { key: 'lastSelectMap', value: globals.lastSelectMap },
-      { key: 'todayReqNum', value: globals.todayReqNum }
+      { key: 'todayReqNum', value: globals.todayReqNum },
+      { key: 'apiKeyUsage', value: globals.apiKeyUsage },
+      { key: 'aiMatchCache', value: globals.aiMatchCache },
+      { key: 'aiModerationCache', value: globals.aiModerationCache },
+      { key: 'ruleStore', value: globals.ruleStore },
+      { key: 'ruleSuggestions', value: globals.ruleSuggestions },
+      { key: 'fileHashIndex', value: globals.fileHashIndex }
     ];
 
     for (const { key, value } of variables) {
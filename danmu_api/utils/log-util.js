@@ -1,10 +1,57 @@
 import { globals } from '../configs/globals.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
 // =====================
 // 日志记录工具
 // =====================
+// 每条日志以结构化记录 { timestamp, level, message, source, requestId, durationMs } 写入 globals.logBuffer。
+// requestId 与 source 来自跨异步链路的日志上下文：handleRequest 为每个请求生成 requestId，
+// 各源调用通过 runWithLogSource 标注来源，并发请求的日志可按 requestId 区分。
+
+// 跨异步生命周期链路的日志上下文追踪器，store 为 { requestId, source }
+export const sourceLogContext = new AsyncLocalStorage();
+
+// 当前异步链路的日志来源，未标注时为 system
+export function getLogSource() {
+  return sourceLogContext.getStore()?.source || 'system';
+}
+
+// 当前异步链路的请求 ID，不在请求内（如定时任务）时为 null
+export function getRequestId() {
+  return sourceLogContext.getStore()?.requestId || null;
+}
+
+// 以指定来源执行 fn，保留当前链路的请求 ID
+export function runWithLogSource(source, fn) {
+  return sourceLogContext.run({ ...sourceLogContext.getStore(), source }, fn);
+}
+
+// 以新的请求 ID 执行 fn
+export function runWithRequestId(requestId, fn) {
+  return sourceLogContext.run({ requestId }, fn);
+}
+
+// 生成请求 ID；客户端通过 X-Request-Id 传入的合法 ID 会被沿用
+export function createRequestId(incomingId) {
+  if (typeof incomingId === 'string' && /^[\w.-]{1,64}$/.test(incomingId)) return incomingId;
+  return globalThis.crypto.randomUUID().replace(/-/g, '').slice(0, 12);
+}
 
 export function log(level, ...args) {
+  writeLog(level, args, {});
+}
+
+/**
+ * 输出带结构化字段的日志，字段写入日志记录（如请求耗时 durationMs）
+ * @param {string} level 日志级别
+ * @param {Object} fields 附加字段
+ * @param {...*} args 日志内容
+ */
+export function logWithFields(level, fields, ...args) {
+  writeLog(level, args, fields || {});
+}
+
+function writeLog(level, args, fields) {
   // 根据日志级别决定是否输出
   const levels = { error: 0, warn: 1, info: 2 };
   const currentLevelValue = levels[globals.logLevel] !== undefined ? levels[globals.logLevel] : 1;
@@ -33,9 +80,28 @@ export function log(level, ...args) {
   const shanghaiTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
   const timestamp = shanghaiTime.toISOString().replace('Z', '+08:00');
 
-  globals.logBuffer.push({ timestamp, level, message });
+  const record = {
+    timestamp,
+    level,
+    message,
+    source: sourceLogContext.getStore()?.source || getMessageSource(message),
+    requestId: getRequestId(),
+    ...fields
+  };
+  globals.logBuffer.push(record);
   if (globals.logBuffer.length > globals.MAX_LOGS) globals.logBuffer.shift();
-  console[level](...processedArgs);
+  if (globals.logFormat === 'json') {
+    // 每条日志输出一行 JSON，便于日志采集系统解析
+    console[level](JSON.stringify(record));
+  } else {
+    console[level](...processedArgs);
+  }
+}
+
+// 未通过上下文标注来源时，取消息行首的第一个标签，如 "[favorite] ..." 的 favorite
+function getMessageSource(message) {
+  const match = /^\[([^\]]+)\]/.exec(message);
+  return match ? match[1] : 'system';
 }
 
 // 隐藏敏感信息的辅助函数
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { globals } from '../configs/globals.js';
 import { log as baseLog } from './log-util.js';
 import { addAnime } from './cache-util.js';
@@ -9,7 +10,7 @@ import { normalizeSpaces, convertChineseNumber } from '../utils/common-util.js';
 //
 //  架构分层（从底层到顶层）：
 //  [L1] 核心配置与常量      —— 权重、阈值、日志开关
-//  [L2] 日志系统            —— 带调试过滤的 log 包装器
+//  [L2] 日志系统            —— 带调试过滤的 log 包装器、合并决策追踪
 //  [L3] 正则仓库与数据字典  —— RegexStore、SEASON_PATTERNS、特殊系列注册表
 //  [L4] 基础文本处理层      —— 清洗、解析、通用工具（含 fastCloneAnime）
 //  [L5] 相似度计算引擎      —— Levenshtein、Dice、综合相似度
@@ -111,6 +112,94 @@ function log(level, ...args) {
     baseLog(level, ...args);
 }
 
+/**
+ * 合并决策追踪上下文
+ * 仅在 traceMergeDecisions 包裹的异步链路内收集主副源配对的决策记录，常规搜索不受影响
+ */
+const mergeTraceContext = new AsyncLocalStorage();
+
+/**
+ * 在追踪上下文中执行 fn，收集期间 applyMergeLogic 产生的所有主副源配对决策
+ * 每个配对记录：相似度分数、各项检测的通过/否决、对齐偏移、覆盖率校验与集数映射
+ * @param {Function} fn - 触发合并的异步函数（通常为一次强制刷新的搜索）
+ * @returns {Promise<{result: any, pairs: Array<Object>}>} fn 的返回值与配对决策列表
+ */
+export async function traceMergeDecisions(fn) {
+    const trace = { pairs: [] };
+    const result = await mergeTraceContext.run(trace, fn);
+    return { result, pairs: trace.pairs };
+}
+
+/**
+ * 当前是否处于合并决策追踪上下文中
+ * 追踪用的强制刷新搜索据此跳过写入搜索缓存，避免调试请求覆盖常规搜索的缓存结果
+ * @returns {boolean}
+ */
+export function isTracingMergeDecisions() {
+    return mergeTraceContext.getStore() !== undefined;
+}
+
+function describeTraceAnime(anime) {
+    return {
+        animeId:      anime.animeId,
+        source:       anime.source,
+        animeTitle:   anime.animeTitle || '',
+        episodeCount: anime.episodeCount || (anime.links ? anime.links.length : 0)
+    };
+}
+
+/**
+ * 开始记录一组主副源配对，不在追踪上下文中时返回 null
+ * verdict 取值：candidate（候选）| vetoed（检测否决）| filtered（梯度筛选淘汰）| skipped（跳过）| rejected（对齐后取消）| merged（合并成功）
+ */
+function startPairTrace(primaryAnime, secAnime) {
+    const trace = mergeTraceContext.getStore();
+    if (!trace) return null;
+    const pair = {
+        primary:     describeTraceAnime(primaryAnime),
+        secondary:   describeTraceAnime(secAnime),
+        similarity:  null,
+        score:       null,
+        checks:      [],
+        verdict:     'candidate',
+        reason:      '',
+        offset:      null,
+        mergedCount: null,
+        mapping:     []
+    };
+    trace.pairs.push(pair);
+    return pair;
+}
+
+/** 查找最近一次记录的同一主副源配对，供 processMergeTask 补充对齐与映射结果 */
+function findPairTrace(primaryAnime, secAnime) {
+    const trace = mergeTraceContext.getStore();
+    if (!trace) return null;
+    for (let i = trace.pairs.length - 1; i >= 0; i--) {
+        const pair = trace.pairs[i];
+        if (String(pair.primary.animeId) === String(primaryAnime.animeId) &&
+            String(pair.secondary.animeId) === String(secAnime.animeId) && pair.secondary.source === secAnime.source) return pair;
+    }
+    return null;
+}
+
+/** 记录一项检测结果；首个未通过的检测决定配对的否决原因 */
+function traceCheck(pair, name, passed, detail = '') {
+    if (!pair) return;
+    pair.checks.push({ name, passed, detail });
+    if (!passed && pair.verdict !== 'vetoed') {
+        pair.verdict = 'vetoed';
+        pair.reason  = detail || name;
+    }
+}
+
+/** 设置配对的最终结论 */
+function tracePairVerdict(pair, verdict, reason = '') {
+    if (!pair) return;
+    pair.verdict = verdict;
+    pair.reason  = reason;
+}
+
 
 // ==============================================================================
 // [L3] 正则仓库与数据字典 (Regex Store & Data Dictionaries)
@@ -1897,9 +1986,10 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
     const primaryBaseTitleFromContext = ambiguousSequelsMap.get(String(primaryAnime.animeId));
     const isPrimaryCollection      = collectionAnimeIds.has(primaryAnime.animeId);
 
-    // 结构化日志辅助函数
-    const logReason = (secTitle, reason) => {
+    // 结构化日志辅助函数；处于追踪上下文时同时记录否决的检测项
+    const logReason = (secTitle, reason, pairTrace = null, check = '') => {
         log("info", `[Merge-Check] 拒绝: [${primaryAnime.source}] ${rawPrimaryTitle} vs [${secTitle}] -> ${reason}`);
+        traceCheck(pairTrace, check, false, reason);
     };
 
     let validCandidates = [];
@@ -1907,12 +1997,13 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
 
     for (const secAnime of secondaryList) {
         const rawSecTitle     = secAnime.animeTitle || '';
+        const pairTrace       = startPairTrace(primaryAnime, secAnime);
         
         // 检查是否命中合并映射表中的强制特权规则
         const customRule = getMatchingCustomRule(primaryAnime, secAnime);
         if (customRule) {
             if (customRule.action === 'block') {
-                logReason(rawSecTitle, `被映射表 [×] 明确禁止与主源合并`);
+                logReason(rawSecTitle, `被映射表 [×] 明确禁止与主源合并`, pairTrace, 'customMergeRule');
                 continue;
             }
 
@@ -1923,15 +2014,18 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
                 score: 1.0, 
                 lang: secLang, 
                 debugTitle: rawSecTitle,
-                isCustomMapped: true 
+                isCustomMapped: true,
+                pairTrace
             });
+            traceCheck(pairTrace, 'customMergeRule', true, '合并映射表特权放行，跳过其余检测');
+            if (pairTrace) pairTrace.score = 1.0;
             log("info", `[Merge-Check] 合并映射表特权放行: [${primaryAnime.source}] ${rawPrimaryTitle} <-> [${secAnime.source}] ${rawSecTitle}`);
             continue; // 命中特权规则直接跳过后续所有的之字结构、剧场版、维度冲突等检测
         }
 
         // 校验配对权限：动态注入的源若未命中特权规则，则阻断，防止跨组污染常规匹配。
         if (!baseSecondaries.includes(secAnime.source)) {
-            logReason(rawSecTitle, `该来源为映射表动态注入，且未命中特权规则，受限于权限沙箱予以阻断`);
+            logReason(rawSecTitle, `该来源为映射表动态注入，且未命中特权规则，受限于权限沙箱予以阻断`, pairTrace, 'baseSecondaries');
             continue;
         }
 
@@ -1951,7 +2045,7 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
             const parts  = secTitleForSim.split('之');
             const prefix = cleanText(parts[0]);
             if (primaryCleanForZhi === prefix) {
-                logReason(rawSecTitle, `结构冲突: 主标题是副标题的前缀父集 (Prefix: "${prefix}")`);
+                logReason(rawSecTitle, `结构冲突: 主标题是副标题的前缀父集 (Prefix: "${prefix}")`, pairTrace, 'zhiStructure');
                 continue;
             }
         }
@@ -1960,9 +2054,10 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
         if (checkMediaTypeMismatch(rawPrimaryTitle, rawSecTitle, primaryAnime.typeDescription, secAnime.typeDescription, primaryCount, secCount, primaryAnime.source, secAnime.source)) {
             const pType = getContentCategory(rawPrimaryTitle, primaryAnime.typeDescription, primaryAnime.source);
             const sType = getContentCategory(rawSecTitle,     secAnime.typeDescription,     secAnime.source);
-            logReason(rawSecTitle, `媒体类型或维数不匹配 (P:${pType}/${getStrictMediaType(rawPrimaryTitle, primaryAnime.typeDescription)} [${primaryAnime.typeDescription}] vs S:${sType}/${getStrictMediaType(rawSecTitle, secAnime.typeDescription)} [${secAnime.typeDescription}])`);
+            logReason(rawSecTitle, `媒体类型或维数不匹配 (P:${pType}/${getStrictMediaType(rawPrimaryTitle, primaryAnime.typeDescription)} [${primaryAnime.typeDescription}] vs S:${sType}/${getStrictMediaType(rawSecTitle, secAnime.typeDescription)} [${secAnime.typeDescription}])`, pairTrace, 'checkMediaTypeMismatch');
             continue;
         }
+        traceCheck(pairTrace, 'checkMediaTypeMismatch', true);
 
         const isDateValid        = (primaryDate.year !== null && secDate.year !== null);
         const hasStructureConflict = checkTitleSubtitleConflict(rawPrimaryTitle, rawSecTitle, isDateValid);
@@ -1976,22 +2071,23 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
                 const primaryHasSuffix = RegexStore.Season.SUFFIX_AMBIGUOUS.test(primaryCleanForZhi) ||
                                          SUFFIX_SPECIFIC_MAP.some(x => x.regex.test(primaryCleanForZhi));
                 if (!primaryHasSuffix) {
-                    logReason(rawSecTitle, `上下文阻断: 主源(S1) vs 副源(S2/S续作) (Base: "${baseTitleOfSec}")`);
+                    logReason(rawSecTitle, `上下文阻断: 主源(S1) vs 副源(S2/S续作) (Base: "${baseTitleOfSec}")`, pairTrace, 'detectPeerContextSequels');
                     continue;
                 }
             }
         }
         if (isPrimaryContextSequel) {
             if (cleanTitleForSimilarity(secTitleForSim) === cleanTitleForSimilarity(primaryBaseTitleFromContext)) {
-                logReason(rawSecTitle, `上下文阻断: 主源(S2/Sequel) vs 副源(Base/S1) (Base: "${primaryBaseTitleFromContext}")`);
+                logReason(rawSecTitle, `上下文阻断: 主源(S2/Sequel) vs 副源(Base/S1) (Base: "${primaryBaseTitleFromContext}")`, pairTrace, 'detectPeerContextSequels');
                 continue;
             }
         }
 
         if (!isDateValid && hasStructureConflict) {
-            logReason(rawSecTitle, `标题结构冲突且日期无效`);
+            logReason(rawSecTitle, `标题结构冲突且日期无效`, pairTrace, 'checkTitleSubtitleConflict');
             continue;
         }
+        traceCheck(pairTrace, 'checkTitleSubtitleConflict', true, hasStructureConflict ? `标题结构冲突，扣分 ${MergeWeights.TITLE_STRUCTURE_CONFLICT}` : '');
 
         const isSeasonExactMatch = hasSameSeasonMarker(primaryTitleForSim, secTitleForSim, primaryAnime.typeDescription, secAnime.typeDescription, primaryAnime.aliases, secAnime.aliases);
         const contentProbe       = probeContentMatch(primaryAnime, secAnime);
@@ -2007,7 +2103,7 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
             const cleanB    = stripMovie(rawSecTitle);
             if (calculateSimilarity(cleanA, cleanB) > 0.9) {
                 if (!markersP.has('SEQUEL') && !markersB.has('SEQUEL')) {
-                    logReason(rawSecTitle, `剧场版标题阻断: [${hasMovieA ? 'Movie' : 'TV'}] vs [${hasMovieB ? 'Movie' : 'TV'}] (无续篇标识)`);
+                    logReason(rawSecTitle, `剧场版标题阻断: [${hasMovieA ? 'Movie' : 'TV'}] vs [${hasMovieB ? 'Movie' : 'TV'}] (无续篇标识)`, pairTrace, 'movieTitle');
                     continue;
                 }
             }
@@ -2025,19 +2121,23 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
                 if (yearDiff > 2 && !contentProbe.isStrongMatch && !isAnyCollection) allowExemption = false;
             }
             if (!allowExemption) {
-                logReason(rawSecTitle, `日期严重不匹配且无豁免 (P:${primaryDate.year} vs S:${secDate.year}, IsDub:${isDubRelation})`);
+                logReason(rawSecTitle, `日期严重不匹配且无豁免 (P:${primaryDate.year} vs S:${secDate.year}, IsDub:${isDubRelation})`, pairTrace, 'checkDateMatch');
                 continue;
             }
         }
+        traceCheck(pairTrace, 'checkDateMatch', true, dateScore === -1 ? `日期不匹配已豁免 (P:${primaryDate.year} vs S:${secDate.year})` : `P:${primaryDate.year ?? '-'} vs S:${secDate.year ?? '-'}`);
 
         // ── 季度标记冲突校验 ─────────────────────────────────────────────
         if (!isAnyCollection && checkSeasonMismatch(primaryTitleForSim, secTitleForSim, primaryAnime.typeDescription, secAnime.typeDescription, primaryAnime.aliases, secAnime.aliases)) {
             if (contentProbe.isStrongMatch) {
                 log("info", `[Merge-Check] 季度冲突豁免: [${rawPrimaryTitle}] vs [${rawSecTitle}] (Probe强匹配)`);
+                traceCheck(pairTrace, 'checkSeasonMismatch', true, '季度标记冲突，集内容探测强匹配豁免');
             } else {
-                logReason(rawSecTitle, `季度标记冲突`);
+                logReason(rawSecTitle, `季度标记冲突`, pairTrace, 'checkSeasonMismatch');
                 continue;
             }
+        } else {
+            traceCheck(pairTrace, 'checkSeasonMismatch', true, isAnyCollection ? '合集跳过季度校验' : '');
         }
 
         // ── 主副别名交叉比对 ─────────────────────────────────────────────
@@ -2071,24 +2171,32 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
             log("info", `[Merge-Check] 集内容探测: 强匹配! 提升分数 (原分: ${score.toFixed(2)}) -> ${Thresholds.SIMILARITY_STRONG}`);
             score = Math.max(score, Thresholds.SIMILARITY_STRONG);
         } else if (contentProbe.isStrongMismatch) {
-            logReason(rawSecTitle, `集内容探测: 强不匹配 (集标题/内容差异巨大)`);
+            logReason(rawSecTitle, `集内容探测: 强不匹配 (集标题/内容差异巨大)`, pairTrace, 'probeContentMatch');
             score = 0;
         }
+        if (pairTrace) {
+            pairTrace.similarity = originalScore;
+            pairTrace.score      = score;
+        }
 
         // ── 阈值过滤 ─────────────────────────────────────────────────────
         if (score < Thresholds.SIMILARITY_MIN) {
             const cleanA = cleanPrimarySim;
             const cleanB = cleanTitleForSimilarity(secTitleForSim);
-            logReason(rawSecTitle, `相似度不足: ${score.toFixed(2)} (Raw:${originalScore.toFixed(2)}, CleanA:"${cleanA}", CleanB:"${cleanB}")`);
+            logReason(rawSecTitle, `相似度不足: ${score.toFixed(2)} (Raw:${originalScore.toFixed(2)}, CleanA:"${cleanA}", CleanB:"${cleanB}")`, pairTrace, 'SIMILARITY_MIN');
         } else {
             if (score > maxScore) maxScore = score;
-            validCandidates.push({ anime: secAnime, score, lang: secLang, debugTitle: rawSecTitle });
+            validCandidates.push({ anime: secAnime, score, lang: secLang, debugTitle: rawSecTitle, pairTrace });
+            traceCheck(pairTrace, 'SIMILARITY_MIN', true, `${score.toFixed(2)} >= ${Thresholds.SIMILARITY_MIN}`);
             log("info", `[Merge-Check] 候选选中: ${rawSecTitle} Score=${score.toFixed(2)} (BestSoFar=${maxScore.toFixed(2)})`);
         }
     }
 
     // 特权通道放行时，不比较 SIMILARITY_MIN
-    if (validCandidates.length === 0 || (maxScore < Thresholds.SIMILARITY_MIN && !validCandidates.some(c => c.isCustomMapped))) return [];
+    if (validCandidates.length === 0 || (maxScore < Thresholds.SIMILARITY_MIN && !validCandidates.some(c => c.isCustomMapped))) {
+        validCandidates.forEach(c => tracePairVerdict(c.pairTrace, 'filtered', `最高分 ${maxScore.toFixed(2)} 低于 ${Thresholds.SIMILARITY_MIN}`));
+        return [];
+    }
 
     // ── Tier 筛选：梯度过滤，保留合理竞争者 ─────────────────────────────
     const finalResults = validCandidates.filter(candidate => {
@@ -2111,6 +2219,11 @@ export function findSecondaryMatches(primaryAnime, secondaryList, collectionAnim
         }
         return false;
     });
+    for (const candidate of validCandidates) {
+        if (!finalResults.includes(candidate)) {
+            tracePairVerdict(candidate.pairTrace, 'filtered', `分数梯度筛选淘汰 (Score=${candidate.score.toFixed(2)}, Best=${maxScore.toFixed(2)})`);
+        }
+    }
 
     // 排序：特权置顶，其余按分数降序
     finalResults.sort((a, b) => {
@@ -2436,8 +2549,10 @@ async function processMergeTask(params) {
             const secSource = match.source;
             // 识别合并映射表中用户自定义的特权路由规则
             const customRule = getMatchingCustomRule(pAnime, match);
+            const pairTrace  = findPairTrace(pAnime, match);
             if (customRule && customRule.action === 'block') {
                 log("info", `${logPrefix} [安全网拦截] 关联取消: [${currentPrimarySource}] ${pAnime.animeTitle} <-> [${secSource}] ${match.animeTitle} 被明确阻断`);
+                tracePairVerdict(pairTrace, 'skipped', '映射表 [×] 规则阻断');
                 continue;
             }
 
@@ -2445,11 +2560,17 @@ async function processMergeTask(params) {
             if (!isPrimaryCollection) {
                 const isReuse = allowReuseIds && allowReuseIds.has(match.animeId);
                 // 特权放行：如果命中映射表规则，即使已消费也放行进入复用组装
-                if (!isReuse && !customRule && groupConsumedIds.has(match.animeId)) continue;
+                if (!isReuse && !customRule && groupConsumedIds.has(match.animeId)) {
+                    tracePairVerdict(pairTrace, 'skipped', '副源已被组内其他条目合并');
+                    continue;
+                }
             }
 
             const globalCachedMatch = globals.animes.find(a => String(a.animeId) === String(match.animeId));
-            if (!globalCachedMatch?.links) continue;
+            if (!globalCachedMatch?.links) {
+                tracePairVerdict(pairTrace, 'skipped', '副源缺少剧集缓存');
+                continue;
+            }
 
             const derivedMatch       = fastCloneAnime(globalCachedMatch);
             const mappingEntries     = [], matchedPIndices = new Set(), pendingMutations = [], orphanedEpisodes = [];
@@ -2595,7 +2716,7 @@ async function processMergeTask(params) {
                     // 路由隔离机制：未在规则内的集数使用推断的 fallbackOffset 以获得合法索引，交由 stitchUnmatchedEpisodes 接管
                     if (sNum === null || !sToPMap.has(sNum)) {
                         orphanItem.relativeIndex = k + fallbackOffset;
-                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [未路由落单] ${sTitleShort} (应用推断偏移位置)` });
+                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [未路由落单] ${sTitleShort} (应用推断偏移位置)`, status: 'unrouted', primary: '', secondary: sTitleShort, note: '未在映射规则内，按推断偏移处理' });
                         orphanedEpisodes.push(orphanItem);
                         continue;
                     }
@@ -2635,14 +2756,14 @@ async function processMergeTask(params) {
                             newMergedTitle = newMergedTitle.replace(/^【([^】]+)】/, (m, content) => `【${content}${DISPLAY_CONNECTOR}${sLabel}】`);
                         }
 
-                        mappingEntries.push({ idx: pIndex, text: `   [已路由映射] ${pTitleShort} <-> ${sTitleShort} (Rule: E${sNum}>E${targetPNum})` });
+                        mappingEntries.push({ idx: pIndex, text: `   [已路由映射] ${pTitleShort} <-> ${sTitleShort} (Rule: E${sNum}>E${targetPNum})`, status: 'routed', primary: pTitleShort, secondary: sTitleShort, note: `E${sNum}>E${targetPNum}` });
                         matchedPIndices.add(pIndex);
                         mergedCount++;
                         pendingMutations.push({ linkIndex: originalPIndex, newUrl: newMergedUrl, newTitle: newMergedTitle });
                     } else {
                         // 目标找不到时，同样应用推断偏移以正常处理落单集数
                         orphanItem.relativeIndex = k + fallbackOffset;
-                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [路由失败] 主源找不到 E${targetPNum} <-> ${sTitleShort}` });
+                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [路由失败] 主源找不到 E${targetPNum} <-> ${sTitleShort}`, status: 'route_failed', primary: '', secondary: sTitleShort, note: `主源找不到 E${targetPNum}` });
                         orphanedEpisodes.push(orphanItem);
                     }
                 }
@@ -2757,13 +2878,13 @@ async function processMergeTask(params) {
 
                         // PV 不匹配正片
                         if (infoS.isPV && !specialP) {
-                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (PV不匹配正片)` });
+                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (PV不匹配正片)`, status: 'skipped', primary: pTitleShort, secondary: sTitleShort, note: 'PV不匹配正片' });
                             orphanedEpisodes.push(orphanItem);
                             continue;
                         }
                         // 特殊集类型不一致
                         if (specialP !== specialS) {
-                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (特殊集类型不匹配)` });
+                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (特殊集类型不匹配)`, status: 'skipped', primary: pTitleShort, secondary: sTitleShort, note: '特殊集类型不匹配' });
                             orphanedEpisodes.push(orphanItem);
                             continue;
                         }
@@ -2773,7 +2894,7 @@ async function processMergeTask(params) {
                         const isRegularP       = !infoP.isSpecial && (infoP.num === null || infoP.num % 1 === 0);
                         const isRegularS       = !infoS.isSpecial && (infoS.num === null || infoS.num % 1 === 0);
                         if ((strictOrDecimalP && isRegularS) || (strictOrDecimalS && isRegularP)) {
-                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (正片与番外阻断)` });
+                            mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [略过] ${pTitleShort} =/= ${sTitleShort} (正片与番外阻断)`, status: 'skipped', primary: pTitleShort, secondary: sTitleShort, note: '正片与番外阻断' });
                             orphanedEpisodes.push(orphanItem);
                             continue;
                         }
@@ -2798,12 +2919,12 @@ async function processMergeTask(params) {
                             newMergedTitle = newMergedTitle.replace(/^【([^】]+)】/, (match, content) => `【${content}${DISPLAY_CONNECTOR}${sLabel}】`);
                         }
 
-                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [匹配] ${pTitleShort} <-> ${sTitleShort}` });
+                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [匹配] ${pTitleShort} <-> ${sTitleShort}`, status: 'matched', primary: pTitleShort, secondary: sTitleShort });
                         matchedPIndices.add(pIndex);
                         mergedCount++;
                         pendingMutations.push({ linkIndex: originalPIndex, newUrl: newMergedUrl, newTitle: newMergedTitle });
                     } else {
-                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [落单] (主源越界) <-> ${sTitleShort}` });
+                        mappingEntries.push({ idx: orphanItem.relativeIndex, text: `   [落单] (主源越界) <-> ${sTitleShort}`, status: 'orphan', primary: '', secondary: sTitleShort, note: '主源越界' });
                         orphanedEpisodes.push(orphanItem);
                     }
                 }
@@ -2815,10 +2936,18 @@ async function processMergeTask(params) {
                     const originalPIndex = filteredPLinksWithIndex[j].originalIndex;
                     const targetLink     = derivedAnime.links[originalPIndex];
                     const pTitleShort    = targetLink.name || targetLink.title || `Index ${originalPIndex}`;
-                    mappingEntries.push({ idx: j, text: `   [落单] ${pTitleShort} <-> (副源缺失或被略过)` });
+                    mappingEntries.push({ idx: j, text: `   [落单] ${pTitleShort} <-> (副源缺失或被略过)`, status: 'orphan', primary: pTitleShort, secondary: '', note: '副源缺失或被略过' });
                 }
             }
 
+            if (pairTrace) {
+                pairTrace.offset      = offset;
+                pairTrace.mergedCount = mergedCount;
+                pairTrace.mapping     = [...mappingEntries].sort((a, b) => a.idx - b.idx)
+                    .map(({ status, primary, secondary, note }) => ({ status, primary, secondary, note: note || '' }));
+                if (mergedCount === 0) tracePairVerdict(pairTrace, 'rejected', '没有可对齐的集数');
+            }
+
             if (mergedCount > 0) {
                 const isAnyCollection = collectionAnimeIds.has(pAnime.animeId) || collectionAnimeIds.has(match.animeId);
                 // ── 覆盖率校验 ────────────────────────────────────────────────
@@ -2826,9 +2955,12 @@ async function processMergeTask(params) {
                 if (customRule) {
                     // 如果是映射表强行指定，跳过基于占比的覆盖率检查，有成功匹配的集数即视为合法
                     isValidMerge = mergedCount > 0;
+                    traceCheck(pairTrace, 'isMergeRatioValid', true, '映射表指定，跳过覆盖率校验');
                 } else {
                     isValidMerge = isMergeRatioValid(mergedCount, filteredPLinksWithIndex.length, filteredMLinksWithIndex.length, currentPrimarySource, secSource, isAnyCollection);
+                    traceCheck(pairTrace, 'isMergeRatioValid', isValidMerge, `${mergedCount}/${Math.max(filteredPLinksWithIndex.length, filteredMLinksWithIndex.length)}`);
                 }
+                tracePairVerdict(pairTrace, isValidMerge ? 'merged' : 'rejected', isValidMerge ? '' : `匹配率过低: ${mergedCount}/${Math.max(filteredPLinksWithIndex.length, filteredMLinksWithIndex.length)}`);
 
                 if (isValidMerge) {
                     // 原子写入：所有 URL/Title 变更一次性提交，保证数据一致性
@@ -0,0 +1,154 @@
+// =====================
+// Prometheus 指标
+// =====================
+// 进程内累计的计数器与直方图，由 /metrics 以 Prometheus 文本格式（0.0.4）输出。
+// 指标保存在模块内，随实例重启清零；边缘运行时（Cloudflare / Vercel 等）的多个实例各自统计，
+// 抓取到的只是当前实例的数据。
+
+// 请求耗时直方图分桶（秒）
+const REQUEST_DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// 上游请求耗时直方图分桶（秒）
+const UPSTREAM_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metricDefinitions = new Map();
+
+function defineMetric(name, type, help, buckets = null) {
+  metricDefinitions.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+defineMetric('danmu_api_requests_total', 'counter', '按路由统计的请求数');
+defineMetric('danmu_api_request_duration_seconds', 'histogram', '按路由统计的请求耗时', REQUEST_DURATION_BUCKETS);
+defineMetric('danmu_api_upstream_requests_total', 'counter', '按弹幕源统计的上游 HTTP 请求数（httpGet / httpPost，含重试后的最终结果）');
+defineMetric('danmu_api_upstream_errors_total', 'counter', '按弹幕源统计的上游 HTTP 请求失败数（所有重试均失败）');
+defineMetric('danmu_api_upstream_request_duration_seconds', 'histogram', '按弹幕源统计的上游 HTTP 请求耗时（含重试）', UPSTREAM_DURATION_BUCKETS);
+defineMetric('danmu_api_cache_requests_total', 'counter', '搜索缓存与弹幕缓存的查询次数，result 为 hit / miss');
+defineMetric('danmu_api_redis_errors_total', 'counter', 'Redis 读写失败次数，backend 为 upstash / local');
+defineMetric('danmu_api_rate_limit_rejections_total', 'counter', '因限流被拒绝的请求数');
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function getSeries(name, labels) {
+  const metric = metricDefinitions.get(name);
+  const key = seriesKey(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incrementCounter(name, labels, value = 1) {
+  getSeries(name, labels).value += value;
+}
+
+function observeHistogram(name, labels, value) {
+  const metric = metricDefinitions.get(name);
+  const series = getSeries(name, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) series.buckets[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * 记录一次 API 请求
+ * @param {string} route 路由 id，未匹配到路由时为 unmatched
+ * @param {string} method 请求方法
+ * @param {number} status 响应状态码
+ * @param {number} durationMs 耗时（毫秒）
+ */
+export function recordRequest(route, method, status, durationMs) {
+  incrementCounter('danmu_api_requests_total', { route, method, status: String(status) });
+  observeHistogram('danmu_api_request_duration_seconds', { route }, durationMs / 1000);
+}
+
+/**
+ * 记录一次上游 HTTP 请求的最终结果
+ * @param {string} source 弹幕源日志标签，不在源调用内时为 system
+ * @param {string} method 请求方法
+ * @param {boolean} success 是否成功
+ * @param {number} durationMs 耗时（毫秒），含重试
+ */
+export function recordUpstreamRequest(source, method, success, durationMs) {
+  incrementCounter('danmu_api_upstream_requests_total', { source, method, result: success ? 'success' : 'error' });
+  if (!success) incrementCounter('danmu_api_upstream_errors_total', { source, method });
+  observeHistogram('danmu_api_upstream_request_duration_seconds', { source }, durationMs / 1000);
+}
+
+// 记录一次缓存查询，cache 为 search / comment
+export function recordCacheLookup(cache, hit) {
+  incrementCounter('danmu_api_cache_requests_total', { cache, result: hit ? 'hit' : 'miss' });
+}
+
+// 记录一次 Redis 读写失败
+export function recordRedisError(backend, command) {
+  incrementCounter('danmu_api_redis_errors_total', { backend, command });
+}
+
+// 记录一次限流拒绝
+export function recordRateLimitRejection(route) {
+  incrementCounter('danmu_api_rate_limit_rejections_total', { route });
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+/**
+ * 以 Prometheus 文本格式输出全部指标
+ * @param {Object} gauges 抓取时计算的瞬时值，如 { searchCacheEntries: 3 }
+ * @returns {string}
+ */
+export function renderMetrics(gauges = {}) {
+  const lines = [];
+  for (const metric of metricDefinitions.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${series.buckets[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  if (gauges.cacheEntries) {
+    lines.push('# HELP danmu_api_cache_entries 当前缓存条目数');
+    lines.push('# TYPE danmu_api_cache_entries gauge');
+    for (const [cache, value] of Object.entries(gauges.cacheEntries)) {
+      lines.push(`danmu_api_cache_entries${formatLabels({ cache })} ${value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// 清空全部指标（测试用）
+export function resetMetrics() {
+  for (const metric of metricDefinitions.values()) {
+    metric.series.clear();
+  }
+}
@@ -1,15 +1,9 @@
 import { normalizeSpaces } from './common-util.js';
+import { getSourceAliases } from '../sources/registry.js';
 
 // 弹幕时间偏移独立模块
 // 职责：解析链接 @偏移 与偏移规则、匹配偏移量、应用偏移到弹幕
 
-// 来源→平台别名映射（source 名和 platform 名不一致时扩展匹配）
-const SOURCE_ALIASES = {
-  tencent: 'qq',
-  iqiyi: 'qiyi',
-  bilibili: 'bilibili1'
-};
-
 // 规范化季/集编号（S1→S01, E3→E03）
 function normalizeSegment(segment) {
   const seasonMatch = segment.match(/^S(\d+)$/i);
@@ -104,14 +98,15 @@ export function resolveOffset(rules, { anime, season, episode, source }) {
 export function resolveOffsetRule(rules, { anime, season, episode, source }) {
   if (!Array.isArray(rules) || rules.length === 0 || !anime) return null;
 
-  // 拆分合并来源，并展开别名
+  // 拆分合并来源，并展开别名（source 名和 platform 名不一致时扩展匹配，如 tencent→qq，由源注册表提供）
   const sourceKeys = new Set();
   if (source) {
+    const sourceAliases = getSourceAliases();
     for (const s of source.split('&')) {
       const trimmed = s.trim().toLowerCase();
       if (trimmed) {
         sourceKeys.add(trimmed);
-        if (SOURCE_ALIASES[trimmed]) sourceKeys.add(SOURCE_ALIASES[trimmed]);
+        if (sourceAliases[trimmed]) sourceKeys.add(sourceAliases[trimmed]);
       }
     }
   }
@@ -0,0 +1,127 @@
+import { globals } from '../configs/globals.js';
+import { apiRoutes, getRouteMethods, getRouteScope, ROUTE_SCHEMAS, ROUTE_TAGS } from '../configs/routes.js';
+
+// =====================
+// OpenAPI 3 文档生成
+// =====================
+// 由 configs/routes.js 的路由表生成，供 /api/openapi.json 返回给客户端代码生成器。
+// token 是路径前缀而非请求头，无法用 securitySchemes 表达，因此放在 servers 的 {token} 变量中，
+// 各接口的鉴权级别通过扩展字段 x-auth 标注（public / token / admin），API_KEYS 密钥所需权限通过 x-scope 标注，
+// 按 IP 限流的接口通过 x-rate-limit 标注所用的限流策略。
+
+// 仅用于接口调试表单的字段，不属于 OpenAPI Schema
+const UI_ONLY_FIELDS = new Set(['label', 'placeholder', 'options']);
+
+// 参数定义中属于 schema 的字段
+const PARAM_SCHEMA_FIELDS = ['enum', 'minimum', 'maximum', 'pattern', 'format'];
+
+function toSchemaRef(schema) {
+  return typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : stripUiFields(schema);
+}
+
+function stripUiFields(schema) {
+  if (Array.isArray(schema)) return schema.map(stripUiFields);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !UI_ONLY_FIELDS.has(key))
+      .map(([key, value]) => [key, key === 'properties' ? stripPropertyMap(value) : stripUiFields(value)])
+  );
+}
+
+// properties 的键是字段名而非 schema 关键字，不做过滤
+function stripPropertyMap(properties) {
+  return Object.fromEntries(Object.entries(properties || {}).map(([name, schema]) => [name, stripUiFields(schema)]));
+}
+
+function toParameter(param) {
+  return {
+    name: param.name,
+    in: param.in,
+    required: param.in === 'path' || param.required === true,
+    ...(param.description ? { description: param.description } : {}),
+    schema: {
+      type: param.type || 'string',
+      ...Object.fromEntries(PARAM_SCHEMA_FIELDS.filter(key => param[key] !== undefined).map(key => [key, param[key]]))
+    },
+    ...(param.example !== undefined ? { example: param.example } : {})
+  };
+}
+
+function toOperation(route, method, multiMethod) {
+  const operation = {
+    operationId: multiMethod ? `${route.id}${method[0]}${method.slice(1).toLowerCase()}` : route.id,
+    summary: route.summary,
+    tags: [route.tag],
+    'x-auth': route.auth,
+    ...(getRouteScope(route) ? { 'x-scope': getRouteScope(route) } : {}),
+    ...(route.rateLimit ? { 'x-rate-limit': route.rateLimit } : {})
+  };
+
+  const params = (route.params || [])
+    // 多方法接口的查询参数只用于 GET，其余方法通过请求体传递
+    .filter(param => !(multiMethod && method !== 'GET' && param.in === 'query'));
+  if (params.length > 0) operation.parameters = params.map(toParameter);
+
+  if (route.body && method !== 'GET') {
+    operation.requestBody = {
+      required: typeof route.body === 'string' || (route.body.required || []).length > 0,
+      content: { 'application/json': { schema: toSchemaRef(route.body) } }
+    };
+  }
+
+  operation.responses = {
+    200: {
+      description: '成功',
+      content: { [route.responseType || 'application/json']: { schema: toSchemaRef(route.response || { type: 'object' }) } }
+    },
+    ...(route.rateLimit ? {
+      429: {
+        description: '超出限流，Retry-After 响应头为建议的重试等待秒数',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+      }
+    } : {}),
+    default: {
+      description: '错误',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    }
+  };
+  return operation;
+}
+
+/**
+ * 生成 OpenAPI 3 文档
+ * @param {string} origin 服务地址，如 https://example.com
+ * @returns {Object} OpenAPI 文档对象
+ */
+export function buildOpenApiSpec(origin) {
+  const paths = {};
+  for (const route of apiRoutes) {
+    if (route.hidden) continue;
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const methods = getRouteMethods(route);
+    paths[openApiPath] = paths[openApiPath] || {};
+    for (const method of methods) {
+      paths[openApiPath][method.toLowerCase()] = toOperation(route, method, methods.length > 1);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'LogVar弹幕API',
+      version: String(globals.version || ''),
+      description: '兼容弹弹play的弹幕聚合 API。请求路径需以 /{token} 开头；x-auth 为 admin 的接口在配置了 ADMIN_TOKEN 时只允许使用 ADMIN_TOKEN；使用 API_KEYS 中的密钥时需具备 x-scope 标注的权限。'
+    },
+    servers: [{
+      url: `${origin}/{token}`,
+      variables: {
+        // 不在文档中暴露自定义 TOKEN
+        token: { default: globals.token === '87654321' ? '87654321' : 'TOKEN', description: 'TOKEN 或 ADMIN_TOKEN' }
+      }
+    }],
+    tags: Object.entries(ROUTE_TAGS).map(([name, tag]) => ({ name, description: tag.description })),
+    paths,
+    components: { schemas: stripPropertyMap(ROUTE_SCHEMAS) }
+  };
+}
@@ -0,0 +1,191 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { matchIpRule } from './ip-util.js';
+import { evalRedisScript } from './redis-util.js';
+import { evalLocalRedisScript } from './local-redis-util.js';
+
+// =====================
+// 按客户端 IP 的接口限流
+// =====================
+// 路由通过 configs/routes.js 的 rateLimit 字段声明所用策略，策略由 RATE_LIMIT_POLICIES 配置，
+// comment 策略未配置时沿用 RATE_LIMIT_MAX_REQUESTS（1 分钟滑动窗口）。
+// 配置了 Upstash / 本地 Redis 时计数通过 Lua 脚本原子地保存在 Redis 中，多个实例共享限流状态；
+// 未配置或 Redis 请求失败时退回实例内存（globals.requestHistory）。
+
+const ONE_MINUTE = 60 * 1000;
+
+// 滑动窗口：有序集合保存窗口内每次请求的时间戳
+// 返回 { 是否放行, 窗口内请求数, 建议重试等待毫秒数 }
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - windowMs)
+local count = redis.call('ZCARD', KEYS[1])
+if count >= limit then
+  local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+  return {0, count, math.ceil(tonumber(oldest[2]) + windowMs - now)}
+end
+redis.call('ZADD', KEYS[1], now, ARGV[4])
+redis.call('PEXPIRE', KEYS[1], windowMs)
+return {1, count + 1, 0}
+`;
+
+// 令牌桶：哈希保存剩余令牌数与上次更新时间，每个窗口匀速补满 limit 个令牌
+// 返回 { 是否放行, 剩余令牌数, 建议重试等待毫秒数 }
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local rate = limit / windowMs
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or limit
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(limit, tokens + math.max(0, now - updatedAt) * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], windowMs)
+if allowed == 1 then
+  return {1, math.floor(tokens), 0}
+end
+return {0, 0, math.ceil((1 - tokens) / rate)}
+`;
+
+/**
+ * 获取限流策略
+ * @param {string} name 策略名（search / match / comment / segmentcomment）
+ * @returns {{algorithm: string, limit: number, windowMs: number}|null} 未配置或次数为 0 时返回 null
+ */
+export function getRateLimitPolicy(name) {
+  const policy = globals.rateLimitPolicies?.[name]
+    || (name === 'comment' ? { algorithm: 'sliding-window', limit: globals.rateLimitMaxRequests, windowMs: ONE_MINUTE } : null);
+  return policy && policy.limit > 0 ? policy : null;
+}
+
+// 客户端 IP 是否在 RATE_LIMIT_ALLOWLIST 中
+export function isRateLimitAllowlisted(clientIp) {
+  return (globals.rateLimitAllowlist || []).some(rule => matchIpRule(rule, clientIp));
+}
+
+// 清理实例内存中已过期的限流记录（滑动窗口内没有请求，或令牌桶已补满）
+function cleanupExpiredRecords(now) {
+  let cleanedCount = 0;
+
+  for (const [key, record] of globals.requestHistory.entries()) {
+    const policy = getRateLimitPolicy(key.slice(0, key.indexOf(':')));
+    if (!policy) {
+      globals.requestHistory.delete(key);
+      cleanedCount++;
+      continue;
+    }
+
+    if (Array.isArray(record)) {
+      const validTimestamps = record.filter(ts => now - ts < policy.windowMs);
+      if (validTimestamps.length === 0) {
+        globals.requestHistory.delete(key);
+        cleanedCount++;
+      } else if (validTimestamps.length < record.length) {
+        globals.requestHistory.set(key, validTimestamps);
+      }
+    } else if (now - record.updatedAt >= policy.windowMs) {
+      globals.requestHistory.delete(key);
+      cleanedCount++;
+    }
+  }
+
+  if (cleanedCount > 0) {
+    log("info", `[system] [Rate Limit] Cleaned up ${cleanedCount} expired rate limit records`);
+  }
+}
+
+function consumeSlidingWindowInMemory(key, policy, now) {
+  const recentRequests = (globals.requestHistory.get(key) || []).filter(ts => now - ts < policy.windowMs);
+  if (recentRequests.length >= policy.limit) {
+    globals.requestHistory.set(key, recentRequests);
+    return { allowed: false, count: recentRequests.length, retryAfterMs: recentRequests[0] + policy.windowMs - now };
+  }
+  recentRequests.push(now);
+  globals.requestHistory.set(key, recentRequests);
+  return { allowed: true, count: recentRequests.length, retryAfterMs: 0 };
+}
+
+function consumeTokenBucketInMemory(key, policy, now) {
+  const rate = policy.limit / policy.windowMs;
+  const bucket = globals.requestHistory.get(key);
+  let tokens = bucket && !Array.isArray(bucket)
+    ? Math.min(policy.limit, bucket.tokens + Math.max(0, now - bucket.updatedAt) * rate)
+    : policy.limit;
+
+  if (tokens < 1) {
+    globals.requestHistory.set(key, { tokens, updatedAt: now });
+    return { allowed: false, count: 0, retryAfterMs: Math.ceil((1 - tokens) / rate) };
+  }
+  tokens -= 1;
+  globals.requestHistory.set(key, { tokens, updatedAt: now });
+  return { allowed: true, count: Math.floor(tokens), retryAfterMs: 0 };
+}
+
+// 优先使用 Upstash，其次本地 Redis；均不可用或请求失败时返回 null
+async function consumeInRedis(key, policy, now) {
+  const script = policy.algorithm === 'token-bucket' ? TOKEN_BUCKET_SCRIPT : SLIDING_WINDOW_SCRIPT;
+  const args = [now, policy.windowMs, policy.limit, `${now}-${Math.random().toString(36).slice(2, 10)}`];
+
+  let result = null;
+  if (globals.redisValid) {
+    result = await evalRedisScript(script, [`ratelimit:${key}`], args);
+  } else if (globals.localRedisValid) {
+    result = await evalLocalRedisScript(script, [`ratelimit:${key}`], args);
+  } else {
+    return null;
+  }
+
+  if (!Array.isArray(result)) {
+    log("warn", `[system] [Rate Limit] Redis unavailable, falling back to in-memory limiter for ${key}`);
+    return null;
+  }
+  const [allowed, count, retryAfterMs] = result.map(Number);
+  return { allowed: allowed === 1, count, retryAfterMs };
+}
+
+/**
+ * 按策略计入一次请求
+ * @param {string} name 策略名
+ * @param {string} clientIp 客户端 IP
+ * @returns {Promise<{allowed: boolean, policy?: Object, retryAfter?: number}>} retryAfter 为建议的重试等待秒数
+ */
+export async function consumeRateLimit(name, clientIp, now = Date.now()) {
+  const policy = getRateLimitPolicy(name);
+  if (!policy) return { allowed: true };
+
+  if (isRateLimitAllowlisted(clientIp)) {
+    log("info", `[system] [Rate Limit] IP ${clientIp} is in RATE_LIMIT_ALLOWLIST, skipping ${name} rate limit`);
+    return { allowed: true, policy };
+  }
+
+  const key = `${name}:${clientIp}`;
+  let result = await consumeInRedis(key, policy, now);
+  if (!result) {
+    cleanupExpiredRecords(now);
+    result = policy.algorithm === 'token-bucket'
+      ? consumeTokenBucketInMemory(key, policy, now)
+      : consumeSlidingWindowInMemory(key, policy, now);
+  }
+
+  const windowSeconds = policy.windowMs / 1000;
+  if (!result.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    log("warn", `[system] [Rate Limit] IP ${clientIp} exceeded ${name} rate limit (${policy.algorithm} ${policy.limit}/${windowSeconds}s), retry after ${retryAfter}s`);
+    return { allowed: false, policy, retryAfter };
+  }
+
+  if (policy.algorithm === 'token-bucket') {
+    log("info", `[system] [Rate Limit] IP ${clientIp} ${name} tokens left: ${result.count}/${policy.limit}`);
+  } else {
+    log("info", `[system] [Rate Limit] IP ${clientIp} ${name} request count: ${result.count}/${policy.limit} in ${windowSeconds}s`);
+  }
+  return { allowed: true, policy };
+}
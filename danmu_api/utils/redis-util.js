@@ -1,7 +1,12 @@
 import { globals } from '../configs/globals.js';
 import { log } from './log-util.js'
+import { recordRedisError } from './metrics-util.js';
 import { simpleHash, serializeValue } from "./codec-util.js";
 import { loadFavorites } from './favorite-util.js';
+import { loadLocalDanmuIndex } from './local-danmu-util.js';
+import { loadRuleStore } from './rule-store-util.js';
+import { loadRuleSuggestions } from './rule-suggestion-util.js';
+import { loadFileHashIndex } from './file-hash-util.js';
 
 // =====================
 // upstash redis 读写请求 （先简单实现，不加锁）
@@ -20,6 +25,7 @@ export async function pingRedis() {
     });
     return await response.json(); // 预期: ["PONG"]
   } catch (error) {
+    recordRedisError('upstash', 'PING');
     log("error", `[system] [redis] 请求失败:`, error.message);
     log("error", '- [system] [redis] 错误类型:', error.name);
     if (error.cause) {
@@ -42,6 +48,7 @@ export async function getRedisKey(key) {
     });
     return await response.json(); // 预期: ["value"] 或 null
   } catch (error) {
+    recordRedisError('upstash', 'GET');
     log("error", `[system] [redis] 请求失败:`, error.message);
     log("error", '- [system] [redis] 错误类型:', error.name);
     if (error.cause) {
@@ -78,6 +85,7 @@ export async function setRedisKey(key, value) {
     log("info", `[system] [redis] 键 ${key} 更新成功`);
     return result; // 预期: ["OK"]
   } catch (error) {
+    recordRedisError('upstash', 'SET');
     log("error", `[system] [redis] SET 请求失败:`, error.message);
     log("error", '- [system] [redis] 错误类型:', error.name);
     if (error.cause) {
@@ -114,6 +122,7 @@ export async function setRedisKeyWithExpiry(key, value, expirySeconds) {
     log("info", `[system] [redis] 键 ${key} 更新成功（带过期时间 ${expirySeconds}s）`);
     return result;
   } catch (error) {
+    recordRedisError('upstash', 'SETEX');
     log("error", `[system] [redis] SETEX 请求失败:`, error.message);
     log("error", '- [system] [redis] 错误类型:', error.name);
     if (error.cause) {
@@ -123,6 +132,50 @@ export async function setRedisKeyWithExpiry(key, value, expirySeconds) {
   }
 }
 
+// 使用 POST 发送 EVAL 命令执行 Lua 脚本（原子操作，如限流计数），失败时返回 null
+export async function evalRedisScript(script, keys, args) {
+  const url = `${globals.redisUrl}`;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${globals.redisToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(['EVAL', script, String(keys.length), ...keys, ...args.map(String)])
+    });
+    const data = await response.json();
+    if (data?.error) throw new Error(data.error);
+    return data?.result ?? null;
+  } catch (error) {
+    recordRedisError('upstash', 'EVAL');
+    log("error", `[system] [redis] EVAL 请求失败:`, error.message);
+    return null;
+  }
+}
+
+// 按模式分批 SCAN 并逐个删除键，返回删除数量
+// 在客户端执行而不是放进 Lua 脚本：脚本中访问未通过 KEYS 声明的键会被 Upstash 与 Redis Cluster 拒绝
+export async function deleteRedisKeysByPattern(pattern) {
+  let cursor = '0';
+  let deleted = 0;
+  do {
+    const results = await runPipeline([['SCAN', cursor, 'MATCH', pattern, 'COUNT', '500']]);
+    const reply = results?.[0]?.result;
+    if (!Array.isArray(reply)) {
+      log("error", `[system] [redis] SCAN 请求失败: ${results?.[0]?.error || '无返回结果'}`);
+      break;
+    }
+    cursor = String(reply[0]);
+    const keys = reply[1] || [];
+    if (keys.length > 0) {
+      const delResults = await runPipeline(keys.map(key => ['DEL', key]));
+      deleted += (delResults || []).reduce((sum, item) => sum + (Number(item?.result) || 0), 0);
+    }
+  } while (cursor !== '0');
+  return deleted;
+}
+
 // 通用的 pipeline 请求函数
 export async function runPipeline(commands) {
   const url = `${globals.redisUrl}/pipeline`;
@@ -139,6 +192,7 @@ export async function runPipeline(commands) {
     const result = await response.json();
     return result; // 返回结果数组，按命令顺序
   } catch (error) {
+    recordRedisError('upstash', 'PIPELINE');
     log("error", `[system] [redis] Pipeline 请求失败:`, error.message);
     log("error", '- [system] [redis] 错误类型:', error.name);
     if (error.cause) {
@@ -154,7 +208,7 @@ export async function getRedisCaches() {
     try {
       log("info", '[system] [redis] getRedisCaches start.');
       const keys = [
-        'animes', 'episodeIds', 'episodeNum', 'reqRecords', 'lastSelectMap', 'todayReqNum', 'favoriteCache'
+        'animes', 'episodeIds', 'episodeNum', 'reqRecords', 'lastSelectMap', 'todayReqNum', 'favoriteCache', 'localDanmuIndex', 'apiKeyUsage', 'aiMatchCache', 'aiModerationCache', 'ruleStore', 'ruleSuggestions', 'fileHashIndex'
       ];
       const commands = keys.map(key => ['GET', key]); // 构造 pipeline 命令
       const results = await runPipeline(commands);
@@ -173,6 +227,13 @@ export async function getRedisCaches() {
       }
       globals.todayReqNum = results[5].result ? parseInt(results[5].result, 10) : globals.todayReqNum;
       if (results[6]?.result) loadFavorites(results[6].result);
+      if (results[7]?.result) loadLocalDanmuIndex(results[7].result);
+      globals.apiKeyUsage = results[8]?.result ? JSON.parse(results[8].result) : globals.apiKeyUsage;
+      globals.aiMatchCache = results[9]?.result ? JSON.parse(results[9].result) : globals.aiMatchCache;
+      globals.aiModerationCache = results[10]?.result ? JSON.parse(results[10].result) : globals.aiModerationCache;
+      if (results[11]?.result) loadRuleStore(results[11].result);
+      if (results[12]?.result) loadRuleSuggestions(results[12].result);
+      if (results[13]?.result) loadFileHashIndex(results[13].result);
 
       // 更新哈希值
       globals.lastHashes.animes = simpleHash(JSON.stringify(globals.animes));
@@ -182,6 +243,13 @@ export async function getRedisCaches() {
       globals.lastHashes.lastSelectMap = simpleHash(JSON.stringify(Object.fromEntries(globals.lastSelectMap)));
       globals.lastHashes.todayReqNum = simpleHash(JSON.stringify(globals.todayReqNum));
       globals.lastHashes.favoriteCache = simpleHash(serializeValue('favoriteCache', globals.favoriteCache));
+      globals.lastHashes.localDanmuIndex = simpleHash(serializeValue('localDanmuIndex', globals.localDanmuIndex));
+      globals.lastHashes.apiKeyUsage = simpleHash(JSON.stringify(globals.apiKeyUsage));
+      globals.lastHashes.aiMatchCache = simpleHash(JSON.stringify(globals.aiMatchCache));
+      globals.lastHashes.aiModerationCache = simpleHash(JSON.stringify(globals.aiModerationCache));
+      globals.lastHashes.ruleStore = simpleHash(JSON.stringify(globals.ruleStore));
+      globals.lastHashes.ruleSuggestions = simpleHash(JSON.stringify(globals.ruleSuggestions));
+      globals.lastHashes.fileHashIndex = simpleHash(JSON.stringify(globals.fileHashIndex));
 
       globals.redisCacheInitialized = true;
       log("info", '[system] [redis] getRedisCaches completed successfully.');
@@ -225,7 +293,14 @@ export async function updateRedisCaches() {
       { key: 'reqRecords', value: globals.reqRecords },
       { key: 'lastSelectMap', value: globals.lastSelectMap },
       { key: 'todayReqNum', value: globals.todayReqNum },
-      { key: 'favoriteCache', value: globals.favoriteCache }
+      { key: 'favoriteCache', value: globals.favoriteCache },
+      { key: 'localDanmuIndex', value: globals.localDanmuIndex },
+      { key: 'ruleStore', value: globals.ruleStore },
+      { key: 'ruleSuggestions', value: globals.ruleSuggestions },
+      { key: 'fileHashIndex', value: globals.fileHashIndex },
+      { key: 'apiKeyUsage', value: globals.apiKeyUsage },
+      { key: 'aiMatchCache', value: globals.aiMatchCache },
+      { key: 'aiModerationCache', value: globals.aiModerationCache }
     ];
 
     for (const { key, value } of variables) {
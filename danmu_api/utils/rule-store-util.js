@@ -0,0 +1,304 @@
+import { globals } from '../configs/globals.js';
+import { Envs } from '../configs/envs.js';
+import { RULE_TABLE_NAMES } from '../configs/routes.js';
+import { log } from './log-util.js';
+import { parseOffsetRules } from './offset-util.js';
+import { parseAutoMatchMappingRule } from './auto-match-mapping-util.js';
+
+// =====================
+// 规则库
+// =====================
+// CUSTOM_MERGE_RULES / TITLE_MAPPING_TABLE / AUTO_MATCH_MAPPING_TABLE / DANMU_OFFSET 原本是单行环境变量，规则一多就难以维护。
+// 规则库按变量逐条保存规则（启用状态、备注），随 animes 等变量一起持久化到本地缓存文件 / Redis。
+// 变量在规则库中有记录（已接管）时，启用且校验通过的规则按原格式拼接，经 Envs.ruleOverrides 代替环境变量参与解析；
+// 未接管的变量仍直接使用环境变量。首次修改某个变量的规则时，会先把环境变量中的规则导入规则库。
+
+const RULE_TABLES = {
+  CUSTOM_MERGE_RULES: { label: '合并映射表', separator: ';', validate: validateCustomMergeRule },
+  TITLE_MAPPING_TABLE: { label: '剧名映射表', separator: ';', validate: validateTitleMappingRule },
+  AUTO_MATCH_MAPPING_TABLE: { label: '自动匹配映射表', separator: ';', validate: validateAutoMatchMappingRule },
+  DANMU_OFFSET: { label: '弹幕时间偏移', separator: ',', validate: validateOffsetRule }
+};
+
+let ruleIdSeq = 0;
+
+// 各校验函数返回 { errors, warnings, target }，target 为规则的作用对象，用于发现相互覆盖的规则
+function validateCustomMergeRule(text) {
+  const { rule, error, warnings } = Envs.parseCustomMergeRule(text);
+  if (!rule) return { errors: [error], warnings, target: null };
+  const entity = item => `${item.title}/${item.season ?? ''}@${item.source}`.toLowerCase();
+  return { errors: [], warnings, target: `${entity(rule.secondary)}|${entity(rule.primary)}` };
+}
+
+function validateTitleMappingRule(text) {
+  if (!text.includes('->')) return { errors: ['缺少 -> 分隔符，格式：原始标题->映射标题'], warnings: [], target: null };
+  const parts = text.split('->').map(s => s.trim());
+  const [original, mapped] = parts;
+  if (!original || !mapped) return { errors: ['原始标题或映射标题为空'], warnings: [], target: null };
+
+  const warnings = [];
+  if (parts.length > 2) warnings.push('包含多个 ->，只使用前两段');
+  if (original === mapped) warnings.push('原始标题与映射标题相同，规则不会生效');
+  return { errors: [], warnings, target: original };
+}
+
+function validateAutoMatchMappingRule(text) {
+  const { rule, error } = parseAutoMatchMappingRule(text, Envs.ALLOWED_PLATFORMS);
+  if (!rule) return { errors: [error], warnings: [], target: null };
+  return { errors: [], warnings: [], target: `${rule.sourceTitleKey}|${rule.sourceSeason}|${rule.sourceStartEpisode}` };
+}
+
+function validateOffsetRule(text) {
+  const [rule] = parseOffsetRules(text);
+  if (!rule) return { errors: ['格式无效，应为 剧名[/S季][/E集][@来源][%]:秒'], warnings: [], target: null };
+
+  const warnings = rule.offset === 0 ? ['偏移为 0，规则不会生效'] : [];
+  const sources = rule.all ? '*' : (rule.sources || []).join('&');
+  return { errors: [], warnings, target: `${rule.anime.toLowerCase()}|${rule.season || ''}|${rule.episode || ''}|${sources}` };
+}
+
+/**
+ * 校验单条规则
+ * @param {string} table 规则所属变量（RULE_TABLE_NAMES）
+ * @param {string} text 规则文本
+ * @returns {{errors: string[], warnings: string[], target: string|null}}
+ */
+export function validateRule(table, text) {
+  const config = RULE_TABLES[table];
+  const rule = String(text ?? '').trim();
+  if (!rule) return { errors: ['规则不能为空'], warnings: [], target: null };
+  if (rule.includes(config.separator)) {
+    return { errors: [`单条规则中不能包含分隔符 ${config.separator}，多条规则请分别添加`], warnings: [], target: null };
+  }
+  return config.validate(rule);
+}
+
+function createRuleId() {
+  ruleIdSeq = (ruleIdSeq + 1) % 1296;
+  return `r${Date.now().toString(36)}${ruleIdSeq.toString(36).padStart(2, '0')}`;
+}
+
+function normalizeRuleEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const rule = String(entry.rule ?? '').trim();
+  if (!rule || !entry.id) return null;
+  const createdAt = Number(entry.createdAt) || Date.now();
+  return {
+    id: String(entry.id),
+    rule,
+    enabled: entry.enabled !== false,
+    note: String(entry.note ?? '').trim(),
+    createdAt,
+    updatedAt: Number(entry.updatedAt) || createdAt
+  };
+}
+
+// 按分隔符拆分环境变量格式的规则文本；idPrefix 为 env 时生成稳定的 env-序号，使未接管变量的规则也能按 ID 编辑
+function splitRuleText(table, text, idPrefix = '') {
+  const now = Date.now();
+  return String(text || '')
+    .split(RULE_TABLES[table].separator)
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .map((rule, index) => normalizeRuleEntry({
+      id: idPrefix ? `${idPrefix}-${index + 1}` : createRuleId(),
+      rule,
+      enabled: true,
+      createdAt: now
+    }));
+}
+
+/**
+ * 规则类变量在环境变量中的原始值
+ * @param {string} table 变量名
+ * @returns {string}
+ */
+export function getEnvRuleText(table) {
+  return Envs.get(table, '', 'string').trim();
+}
+
+export function isRuleTableManaged(table) {
+  return Array.isArray(globals.ruleStore?.[table]);
+}
+
+function getRuleEntries(table) {
+  return isRuleTableManaged(table) ? globals.ruleStore[table] : splitRuleText(table, getEnvRuleText(table), 'env');
+}
+
+// 启用且校验通过的规则按原格式拼接，作为接管后的变量值
+function buildEffectiveRuleText(table, entries) {
+  return entries
+    .filter(entry => entry.enabled && validateRule(table, entry.rule).errors.length === 0)
+    .map(entry => entry.rule)
+    .join(RULE_TABLES[table].separator);
+}
+
+/**
+ * 将规则库应用到全局配置：已接管的变量写入 Envs.ruleOverrides 并重新解析对应的全局规则
+ */
+export function applyRuleStore() {
+  for (const table of RULE_TABLE_NAMES) {
+    if (isRuleTableManaged(table)) {
+      Envs.ruleOverrides.set(table, buildEffectiveRuleText(table, globals.ruleStore[table]));
+    } else {
+      Envs.ruleOverrides.delete(table);
+    }
+  }
+  globals.customMergeRules = Envs.resolveCustomMergeRules();
+  globals.titleMappingTable = Envs.resolveTitleMappingTable();
+  globals.autoMatchMappingTable = Envs.resolveAutoMatchMappingTable();
+  globals.danmuOffset = Envs.getRuleSource('DANMU_OFFSET');
+  globals.danmuOffsetRules = parseOffsetRules(globals.danmuOffset);
+}
+
+// 从持久化快照恢复规则库，格式：{ 变量名: [{ id, rule, enabled, note, createdAt, updatedAt }] }
+export function loadRuleStore(value = {}) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = {};
+    }
+  }
+
+  const store = {};
+  for (const table of RULE_TABLE_NAMES) {
+    if (Array.isArray(parsed?.[table])) store[table] = parsed[table].map(normalizeRuleEntry).filter(Boolean);
+  }
+  globals.ruleStore = store;
+  applyRuleStore();
+
+  const managed = Object.keys(store);
+  if (managed.length > 0) {
+    log('info', `[rules] Restored rule store: ${managed.map(table => `${table}(${store[table].length})`).join(', ')}`);
+  }
+  return globals.ruleStore;
+}
+
+// 首次修改时接管变量，以环境变量中的规则作为初始内容
+function ensureRuleTable(table) {
+  if (!globals.ruleStore || typeof globals.ruleStore !== 'object') globals.ruleStore = {};
+  if (!isRuleTableManaged(table)) {
+    globals.ruleStore[table] = splitRuleText(table, getEnvRuleText(table), 'env');
+    log('info', `[rules] ${table} is now managed by the rule store (${globals.ruleStore[table].length} rules imported from env)`);
+  }
+  return globals.ruleStore[table];
+}
+
+/**
+ * 列出变量的规则及每条规则的校验结果
+ * @param {string} table 变量名
+ * @returns {Object} { table, label, separator, managed, envValue, effectiveCount, rules }
+ */
+export function listRuleTable(table) {
+  const config = RULE_TABLES[table];
+  const entries = getRuleEntries(table);
+  const targets = new Map();
+
+  const rules = entries.map((entry, index) => {
+    const { errors, warnings, target } = validateRule(table, entry.rule);
+    const ruleWarnings = [...warnings];
+    if (entry.enabled && target && errors.length === 0) {
+      if (targets.has(target)) ruleWarnings.push(`与第 ${targets.get(target)} 条规则的作用对象相同，可能相互覆盖`);
+      else targets.set(target, index + 1);
+    }
+    return { ...entry, errors, warnings: ruleWarnings };
+  });
+
+  return {
+    table,
+    label: config.label,
+    separator: config.separator,
+    managed: isRuleTableManaged(table),
+    envValue: getEnvRuleText(table),
+    effectiveCount: rules.filter(rule => rule.enabled && rule.errors.length === 0).length,
+    rules
+  };
+}
+
+/**
+ * 新增或修改规则；rule / enabled / note 省略时保持原值
+ * @param {string} table 变量名
+ * @param {Object} patch { id, rule, enabled, note }，无 id 时新增
+ * @returns {Object|null} 保存后的规则，id 不存在时返回 null
+ */
+export function saveRule(table, { id, rule, enabled, note } = {}) {
+  const entries = ensureRuleTable(table);
+  const now = Date.now();
+  let entry;
+
+  if (id) {
+    entry = entries.find(item => item.id === String(id));
+    if (!entry) return null;
+    if (rule !== undefined) entry.rule = String(rule).trim();
+    if (enabled !== undefined) entry.enabled = enabled !== false;
+    if (note !== undefined) entry.note = String(note ?? '').trim();
+    entry.updatedAt = now;
+  } else {
+    entry = normalizeRuleEntry({ id: createRuleId(), rule, enabled, note, createdAt: now });
+    entries.push(entry);
+  }
+
+  applyRuleStore();
+  return entry;
+}
+
+/**
+ * 删除规则
+ * @param {string} table 变量名
+ * @param {string} id 规则ID
+ * @returns {Object|null} 被删除的规则
+ */
+export function removeRule(table, id) {
+  const entries = ensureRuleTable(table);
+  const index = entries.findIndex(item => item.id === String(id));
+  if (index === -1) return null;
+  const [removed] = entries.splice(index, 1);
+  applyRuleStore();
+  return removed;
+}
+
+/**
+ * 从环境变量格式的文本导入规则
+ * @param {string} table 变量名
+ * @param {string} text 规则文本，多条规则按变量原本的分隔符拼接
+ * @param {'append'|'replace'} mode append 追加并跳过已有的相同规则，replace 替换全部规则
+ * @returns {{added: number, skipped: number, invalid: number}}
+ */
+export function importRules(table, text, mode = 'append') {
+  const incoming = splitRuleText(table, text);
+  const entries = mode === 'replace' ? [] : ensureRuleTable(table);
+  const existing = new Set(entries.map(entry => entry.rule));
+  const result = { added: 0, skipped: 0, invalid: 0 };
+
+  for (const entry of incoming) {
+    if (existing.has(entry.rule)) {
+      result.skipped++;
+      continue;
+    }
+    existing.add(entry.rule);
+    entries.push(entry);
+    result.added++;
+    if (validateRule(table, entry.rule).errors.length > 0) result.invalid++;
+  }
+
+  if (!globals.ruleStore || typeof globals.ruleStore !== 'object') globals.ruleStore = {};
+  globals.ruleStore[table] = entries;
+  applyRuleStore();
+  log('info', `[rules] Imported ${result.added} rules into ${table} (${mode}), ${result.skipped} skipped, ${result.invalid} invalid`);
+  return result;
+}
+
+/**
+ * 取消接管，变量恢复为使用环境变量
+ * @param {string} table 变量名
+ * @returns {boolean} 之前是否已接管
+ */
+export function resetRuleTable(table) {
+  if (!isRuleTableManaged(table)) return false;
+  delete globals.ruleStore[table];
+  applyRuleStore();
+  log('info', `[rules] ${table} reset to the environment variable`);
+  return true;
+}
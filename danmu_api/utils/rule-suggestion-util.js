@@ -0,0 +1,222 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { extractSeasonNumberFromAnimeTitle, extractYear } from './common-util.js';
+import { resolveAutoMatchMapping } from './auto-match-mapping-util.js';
+import { saveRule, validateRule } from './rule-store-util.js';
+
+// =====================
+// 规则建议
+// =====================
+// 用户在自动匹配后手动改选其他剧集时，lastSelectMap 只记下偏好，且受 MAX_LAST_SELECT_MAP 容量限制。
+// 这里把每次手动改选记为证据，按「原始标题/季 → 选中剧集/季/集数差」归组；同一组证据达到 RULE_SUGGESTION_MIN_EVIDENCE 次后，
+// 生成 AUTO_MATCH_MAPPING_TABLE（季或集数不同）或 TITLE_MAPPING_TABLE（仅标题不同）规则建议，管理员确认后写入规则库成为永久规则。
+
+export const RULE_SUGGESTION_MIN_EVIDENCE = 2;
+const MAX_RULE_SUGGESTIONS = 200;
+const MAX_EVIDENCE_EPISODES = 50;
+// 同一集在该时间内重复选择（播放器重载、反复切换）只计一次
+const REPEAT_SELECTION_WINDOW_MS = 30 * 60 * 1000;
+
+function compactTitle(value) {
+  return String(value || '').replace(/\s+/g, '').toLowerCase();
+}
+
+// 从 animeTitle（如 "永生 第二季(2023)【动漫】from tencent"）拆出剧名、年份、类型与季数
+function describeSelectedAnime(animeTitle) {
+  const text = String(animeTitle || '');
+  const { season, baseTitle } = extractSeasonNumberFromAnimeTitle(text);
+  const year = extractYear(text);
+  const typeMatch = text.match(/【([^】]+)】/);
+  const title = String(baseTitle || '').trim();
+  return {
+    title,
+    displayTitle: `${title}${year ? `(${year})` : ''}${typeMatch ? `【${typeMatch[1].trim()}】` : ''}`,
+    season: season || 1
+  };
+}
+
+/**
+ * 记录一次手动改选
+ * @param {Object} correction
+ * @param {string} correction.title 匹配时解析出的标题
+ * @param {number} correction.season 匹配时解析出的季数
+ * @param {number} correction.episode 匹配时解析出的集数
+ * @param {string} correction.animeTitle 用户选中剧集所属番剧的 animeTitle
+ * @param {number} correction.episodeIndex 选中剧集在番剧中的序号（从 1 开始）
+ * @returns {Object|null} 更新后的证据，不构成规则（仅更换了来源或结果）或被去重时返回 null
+ */
+export function recordRuleSuggestionEvidence({ title, season, episode, animeTitle, episodeIndex }, now = Date.now()) {
+  const queryTitle = String(title || '').trim();
+  const querySeason = Number(season);
+  const queryEpisode = Number(episode);
+  const targetEpisode = Number(episodeIndex);
+  if (!queryTitle || !Number.isInteger(querySeason) || !Number.isInteger(queryEpisode) || !Number.isInteger(targetEpisode)) return null;
+  if (querySeason < 1 || queryEpisode < 1 || targetEpisode < 1) return null;
+
+  const target = describeSelectedAnime(animeTitle);
+  if (!target.title) return null;
+  const episodeDelta = targetEpisode - queryEpisode;
+  if (compactTitle(queryTitle) === compactTitle(target.title) && target.season === querySeason && episodeDelta === 0) return null;
+
+  if (!globals.ruleSuggestions || typeof globals.ruleSuggestions !== 'object') globals.ruleSuggestions = {};
+  const key = [compactTitle(queryTitle), querySeason, compactTitle(target.displayTitle), target.season, episodeDelta].join('|');
+  const entry = globals.ruleSuggestions[key] || {
+    key,
+    queryTitle,
+    querySeason,
+    targetTitle: target.title,
+    targetDisplayTitle: target.displayTitle,
+    targetSeason: target.season,
+    episodeDelta,
+    count: 0,
+    episodes: [],
+    lastEpisode: null,
+    selectedAnimeTitle: String(animeTitle || ''),
+    dismissed: false,
+    firstSeenAt: now,
+    lastSeenAt: 0
+  };
+
+  if (entry.lastEpisode === queryEpisode && now - entry.lastSeenAt < REPEAT_SELECTION_WINDOW_MS) return null;
+
+  entry.count++;
+  if (!entry.episodes.includes(queryEpisode)) entry.episodes = [...entry.episodes, queryEpisode].sort((a, b) => a - b).slice(0, MAX_EVIDENCE_EPISODES);
+  entry.lastEpisode = queryEpisode;
+  entry.lastSeenAt = now;
+  globals.ruleSuggestions[key] = entry;
+  trimRuleSuggestions();
+
+  log('info', `[rules] [suggestion] Recorded correction ${queryTitle} S${querySeason}E${queryEpisode} -> ${target.displayTitle} S${target.season}E${targetEpisode} (${entry.count} times)`);
+  return entry;
+}
+
+// 超出容量时删除最久没有新证据的组
+function trimRuleSuggestions() {
+  const entries = Object.values(globals.ruleSuggestions);
+  if (entries.length <= MAX_RULE_SUGGESTIONS) return;
+  entries
+    .sort((left, right) => left.lastSeenAt - right.lastSeenAt)
+    .slice(0, entries.length - MAX_RULE_SUGGESTIONS)
+    .forEach(entry => delete globals.ruleSuggestions[entry.key]);
+}
+
+// 季数与集数都一致时只需替换标题；否则生成从最早出现证据的集开始的开放映射
+function buildSuggestedRule(entry) {
+  if (entry.episodeDelta === 0 && entry.targetSeason === entry.querySeason) {
+    return { table: 'TITLE_MAPPING_TABLE', rule: `${entry.queryTitle}->${entry.targetTitle}`, startEpisode: null };
+  }
+  const startEpisode = Math.min(...entry.episodes);
+  return {
+    table: 'AUTO_MATCH_MAPPING_TABLE',
+    rule: `${entry.queryTitle} S${entry.querySeason}E${startEpisode} -> ${entry.targetDisplayTitle} S${entry.targetSeason}E${startEpisode + entry.episodeDelta}`,
+    startEpisode
+  };
+}
+
+// 当前生效的规则已产生相同结果时不再建议
+function isCoveredByRules(entry, suggested) {
+  if (suggested.table === 'TITLE_MAPPING_TABLE') {
+    return globals.titleMappingTable instanceof Map && globals.titleMappingTable.get(entry.queryTitle) === entry.targetTitle;
+  }
+  const mapping = resolveAutoMatchMapping(globals.autoMatchMappingTable, {
+    title: entry.queryTitle,
+    season: entry.querySeason,
+    episode: suggested.startEpisode
+  });
+  return Boolean(mapping)
+    && compactTitle(mapping.targetTitle) === compactTitle(entry.targetTitle)
+    && mapping.targetSeason === entry.targetSeason
+    && mapping.targetEpisode === suggested.startEpisode + entry.episodeDelta;
+}
+
+function toRuleSuggestion(entry) {
+  if (!entry || entry.dismissed || !Array.isArray(entry.episodes) || entry.episodes.length === 0) return null;
+  const suggested = buildSuggestedRule(entry);
+  if (validateRule(suggested.table, suggested.rule).errors.length > 0 || isCoveredByRules(entry, suggested)) return null;
+  return {
+    key: entry.key,
+    table: suggested.table,
+    rule: suggested.rule,
+    count: entry.count,
+    episodes: entry.episodes,
+    queryTitle: entry.queryTitle,
+    querySeason: entry.querySeason,
+    selectedAnimeTitle: entry.selectedAnimeTitle,
+    targetSeason: entry.targetSeason,
+    episodeDelta: entry.episodeDelta,
+    firstSeenAt: entry.firstSeenAt,
+    lastSeenAt: entry.lastSeenAt
+  };
+}
+
+/**
+ * 列出证据次数已达到阈值的规则建议
+ * @returns {{minEvidence: number, pending: number, suggestions: Array}} pending 为证据尚不足的建议数
+ */
+export function listRuleSuggestions() {
+  const suggestions = [];
+  let pending = 0;
+  for (const entry of Object.values(globals.ruleSuggestions || {})) {
+    const suggestion = toRuleSuggestion(entry);
+    if (!suggestion) continue;
+    if (suggestion.count < RULE_SUGGESTION_MIN_EVIDENCE) {
+      pending++;
+      continue;
+    }
+    suggestions.push(suggestion);
+  }
+  suggestions.sort((left, right) => right.count - left.count || right.lastSeenAt - left.lastSeenAt);
+  return { minEvidence: RULE_SUGGESTION_MIN_EVIDENCE, pending, suggestions };
+}
+
+/**
+ * 将规则建议写入规则库
+ * @param {string} key 建议的 key
+ * @returns {{suggestion: Object, rule: Object}|null} 建议不存在或证据不足时返回 null
+ */
+export function promoteRuleSuggestion(key) {
+  const suggestion = toRuleSuggestion(globals.ruleSuggestions?.[key]);
+  if (!suggestion || suggestion.count < RULE_SUGGESTION_MIN_EVIDENCE) return null;
+
+  const rule = saveRule(suggestion.table, {
+    rule: suggestion.rule,
+    note: `由 ${suggestion.count} 次手动选择生成`
+  });
+  delete globals.ruleSuggestions[key];
+  log('info', `[rules] [suggestion] Promoted "${suggestion.rule}" to ${suggestion.table}`);
+  return { suggestion, rule };
+}
+
+/**
+ * 忽略规则建议，之后相同的手动选择不再生成建议
+ * @param {string} key 建议的 key
+ * @returns {Object|null} 被忽略的证据
+ */
+export function dismissRuleSuggestion(key) {
+  const entry = globals.ruleSuggestions?.[key];
+  if (!entry || entry.dismissed) return null;
+  entry.dismissed = true;
+  log('info', `[rules] [suggestion] Dismissed suggestion ${key}`);
+  return entry;
+}
+
+// 从持久化快照恢复规则建议证据，格式：{ key: { queryTitle, querySeason, targetTitle, ..., count, episodes } }
+export function loadRuleSuggestions(value = {}) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = {};
+    }
+  }
+
+  const store = {};
+  for (const [key, entry] of Object.entries(parsed && typeof parsed === 'object' ? parsed : {})) {
+    if (!entry || typeof entry !== 'object' || !entry.queryTitle || !Array.isArray(entry.episodes)) continue;
+    store[key] = { ...entry, key, count: Number(entry.count) || 0 };
+  }
+  globals.ruleSuggestions = store;
+  trimRuleSuggestions();
+  return globals.ruleSuggestions;
+}
@@ -0,0 +1,147 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { md5, bytesToBase64, base64ToBytes } from './codec-util.js';
+import { runPipeline, deleteRedisKeysByPattern } from './redis-util.js';
+import { getLocalRedisKey, setLocalRedisValueWithExpiry, deleteLocalRedisKeysByPattern } from './local-redis-util.js';
+
+// =====================
+// Redis 共享搜索 / 弹幕缓存
+// =====================
+// redis-util / local-redis-util 只以整体 JSON 持久化 animes、episodeIds、收藏等小体积数据，
+// 搜索结果与弹幕缓存只保存在实例内存中。开启 REDIS_SHARED_CACHE 后每条搜索结果、每个弹幕链接的弹幕
+// 以独立的键写入 Redis（优先 Upstash，其次本地 Redis），过期时间由 Redis 原生 TTL 控制，
+// 多个实例 / 冷启动的 serverless 实例在内存未命中时先从 Redis 读取，不必重新请求上游。
+// 写入内容为 pako 压缩后的 base64 文本，压缩后超过 REDIS_CACHE_MAX_KB 的条目不写入。
+
+const SHARED_CACHE_PREFIX = 'danmuCache';
+const SHARED_CACHE_TYPES = ['search', 'comment'];
+// 压缩格式标记，格式变化时修改，旧格式的键读取时视为未命中
+const SHARED_CACHE_FORMAT = 'z1:';
+
+// 在途的写入任务：写入不阻塞请求，边缘运行时通过 waitUntil 等待其完成
+const pendingSharedWrites = new Set();
+
+// 共享缓存是否可用：需开启 REDIS_SHARED_CACHE 且 Upstash 或本地 Redis 已连接
+export function isSharedCacheEnabled() {
+  return globals.redisSharedCache === true && (globals.redisValid || globals.localRedisValid);
+}
+
+// 原始缓存键（弹幕链接、搜索关键字）可能很长或包含特殊字符，Redis 键使用其 md5
+function getSharedCacheKey(type, key) {
+  return `${SHARED_CACHE_PREFIX}:${type}:${md5(String(key))}`;
+}
+
+async function encodeEntry(key, entry) {
+  const { deflate } = await import('pako');
+  return SHARED_CACHE_FORMAT + bytesToBase64(deflate(JSON.stringify({ key, ...entry })));
+}
+
+async function decodeEntry(key, value) {
+  if (typeof value !== 'string' || !value.startsWith(SHARED_CACHE_FORMAT)) return null;
+  const { inflate } = await import('pako');
+  const entry = JSON.parse(inflate(base64ToBytes(value.slice(SHARED_CACHE_FORMAT.length)), { to: 'string' }));
+  // md5 碰撞或格式异常时视为未命中
+  return entry?.key === key ? entry : null;
+}
+
+/**
+ * 从 Redis 读取共享缓存
+ * @param {string} type 缓存类型（search / comment）
+ * @param {string} key 原始缓存键
+ * @returns {Promise<Object|null>} 写入时的缓存条目（含 timestamp），未命中或读取失败时返回 null
+ */
+export async function readSharedCache(type, key) {
+  if (!isSharedCacheEnabled()) return null;
+
+  const redisKey = getSharedCacheKey(type, key);
+  try {
+    let value = null;
+    if (globals.redisValid) {
+      const results = await runPipeline([['GET', redisKey]]);
+      value = results?.[0]?.result ?? null;
+    } else {
+      value = await getLocalRedisKey(redisKey);
+    }
+    if (!value) return null;
+
+    const entry = await decodeEntry(key, value);
+    if (entry) log("info", `[system] [shared-cache] Loaded ${type} cache for "${key}" from Redis`);
+    return entry;
+  } catch (error) {
+    log("error", `[system] [shared-cache] Failed to read ${type} cache for "${key}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 将缓存条目写入 Redis，过期时间由 Redis 管理
+ * @param {string} type 缓存类型（search / comment）
+ * @param {string} key 原始缓存键
+ * @param {Object} entry 缓存条目，需包含 timestamp
+ * @param {number} ttlSeconds 过期秒数，不大于 0 时不写入
+ * @returns {Promise<boolean>} 是否写入成功
+ */
+export function writeSharedCache(type, key, entry, ttlSeconds) {
+  if (!isSharedCacheEnabled() || !(ttlSeconds > 0)) return Promise.resolve(false);
+
+  const task = storeSharedCache(type, key, entry, ttlSeconds).finally(() => {
+    pendingSharedWrites.delete(task);
+  });
+  pendingSharedWrites.add(task);
+  return task;
+}
+
+async function storeSharedCache(type, key, entry, ttlSeconds) {
+  const redisKey = getSharedCacheKey(type, key);
+  try {
+    const value = await encodeEntry(key, entry);
+    const sizeKb = value.length / 1024;
+    if (sizeKb > globals.redisCacheMaxKb) {
+      log("info", `[system] [shared-cache] Skipped ${type} cache for "${key}": ${sizeKb.toFixed(1)}KB exceeds REDIS_CACHE_MAX_KB (${globals.redisCacheMaxKb}KB)`);
+      return false;
+    }
+
+    const ttl = Math.ceil(ttlSeconds);
+    let ok = false;
+    if (globals.redisValid) {
+      const results = await runPipeline([['SET', redisKey, value, 'EX', String(ttl)]]);
+      ok = results?.[0]?.result === 'OK';
+    } else {
+      const result = await setLocalRedisValueWithExpiry(redisKey, value, ttl);
+      ok = result?.result === 'OK';
+    }
+
+    if (ok) {
+      log("info", `[system] [shared-cache] Stored ${type} cache for "${key}" in Redis (${sizeKb.toFixed(1)}KB, expires in ${ttl}s)`);
+    } else {
+      log("warn", `[system] [shared-cache] Failed to store ${type} cache for "${key}" in Redis`);
+    }
+    return ok;
+  } catch (error) {
+    log("error", `[system] [shared-cache] Failed to write ${type} cache for "${key}": ${error.message}`);
+    return false;
+  }
+}
+
+// 边缘运行时在响应返回后延长生命周期：仅在存在在途写入且运行时提供 waitUntil 时注册
+export function extendSharedCacheWriteLifecycle(ctx) {
+  if (ctx && typeof ctx.waitUntil === 'function' && pendingSharedWrites.size > 0) {
+    ctx.waitUntil(Promise.all(pendingSharedWrites.values()));
+  }
+}
+
+/**
+ * 删除 Redis 中指定类型的全部共享缓存，用于清理缓存
+ * @param {string} type 缓存类型（search / comment）
+ * @returns {Promise<number>} 删除的键数量
+ */
+export async function clearSharedCache(type) {
+  if (!isSharedCacheEnabled() || !SHARED_CACHE_TYPES.includes(type)) return 0;
+
+  const pattern = `${SHARED_CACHE_PREFIX}:${type}:*`;
+  const deleted = globals.redisValid
+    ? await deleteRedisKeysByPattern(pattern)
+    : await deleteLocalRedisKeysByPattern(pattern);
+  log("info", `[system] [shared-cache] Cleared ${deleted} ${type} cache keys from Redis`);
+  return deleted;
+}
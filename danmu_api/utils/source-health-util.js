@@ -0,0 +1,193 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// =====================
+// 弹幕源健康度与熔断
+// =====================
+// 每次源调用（搜索 + handleAnimes）作为一次观测：调用抛错，或调用期间所有 HTTP 请求均失败，记为一次失败。
+// 连续失败达到 SOURCE_BREAKER_THRESHOLD 次后熔断，冷却 SOURCE_BREAKER_COOLDOWN 秒内跳过该源；
+// 冷却结束后进入半开状态，仅放行一次探测调用，成功则恢复，失败则重新熔断。
+
+// 单次源调用内的 HTTP 结果统计，借助 AsyncLocalStorage 与并发的其他源调用隔离
+const sourceCallContext = new AsyncLocalStorage();
+
+const MAX_ERROR_LENGTH = 200;
+
+function createHealthEntry(key) {
+  return {
+    key,
+    state: 'closed', // closed 正常 / open 熔断 / half-open 半开探测
+    consecutiveFailures: 0,
+    totalCalls: 0,
+    totalFailures: 0,
+    avgLatencyMs: 0,
+    lastLatencyMs: null,
+    lastError: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    openedAt: null,
+    openUntil: null,
+    probing: false, // 半开状态下是否已有探测调用在进行
+  };
+}
+
+function getHealthEntry(key) {
+  let entry = globals.sourceHealth.get(key);
+  if (!entry) {
+    entry = createHealthEntry(key);
+    globals.sourceHealth.set(key, entry);
+  }
+  return entry;
+}
+
+function formatError(error) {
+  const message = error?.message || String(error || '');
+  return message.length > MAX_ERROR_LENGTH ? message.slice(0, MAX_ERROR_LENGTH) + '...' : message;
+}
+
+function recordSuccess(entry) {
+  const recovered = entry.state !== 'closed';
+  entry.state = 'closed';
+  entry.consecutiveFailures = 0;
+  entry.lastSuccessAt = Date.now();
+  entry.openedAt = null;
+  entry.openUntil = null;
+  if (recovered) {
+    log("info", `[system] [source-health] 源 ${entry.key} 探测成功，熔断已恢复`);
+  }
+}
+
+function recordFailure(entry, error) {
+  const now = Date.now();
+  entry.totalFailures++;
+  entry.consecutiveFailures++;
+  entry.lastError = formatError(error);
+  entry.lastFailureAt = now;
+
+  const threshold = globals.sourceBreakerThreshold;
+  if (threshold > 0 && (entry.state === 'half-open' || entry.consecutiveFailures >= threshold)) {
+    entry.state = 'open';
+    entry.openedAt = now;
+    entry.openUntil = now + globals.sourceBreakerCooldown * 1000;
+    log("warn", `[system] [source-health] 源 ${entry.key} 连续失败 ${entry.consecutiveFailures} 次，熔断 ${globals.sourceBreakerCooldown} 秒`);
+  }
+}
+
+/**
+ * 判断源是否处于熔断中（应跳过本次调用）
+ * 冷却期结束后转为半开状态，仅放行一个探测调用；探测调用内部的再次检查放行
+ * @param {string} key 源键名
+ * @returns {boolean} true 表示应跳过
+ */
+export function isSourceCircuitOpen(key) {
+  if (!globals.sourceBreakerThreshold) return false;
+  // 已处于该源的调用中（如半开探测管道内的 executeSourceHandlers）：该调用已通过检查，不能把自己跳过
+  if (sourceCallContext.getStore()?.key === key) return false;
+  const entry = globals.sourceHealth.get(key);
+  if (!entry || entry.state === 'closed') return false;
+
+  if (entry.state === 'open') {
+    if (Date.now() < entry.openUntil) return true;
+    entry.state = 'half-open';
+    entry.probing = false;
+  }
+
+  // 半开状态：已有探测在进行时继续跳过
+  return entry.probing;
+}
+
+/**
+ * 在健康统计上下文中执行一次源调用，记录耗时与成败
+ * 同一源的嵌套调用（如 searchAnime 管道内的 executeSourceHandlers）只记一次
+ * @param {string} key 源键名
+ * @param {Function} fn 源调用
+ * @returns {Promise<any>}
+ */
+export async function trackSourceCall(key, fn) {
+  const current = sourceCallContext.getStore();
+  if (current && current.key === key) {
+    return fn();
+  }
+
+  const entry = getHealthEntry(key);
+  const isProbe = entry.state === 'half-open';
+  if (isProbe) entry.probing = true;
+
+  const stats = { key, httpSuccesses: 0, httpFailures: 0, lastHttpError: null };
+  const startTime = Date.now();
+  try {
+    const result = await sourceCallContext.run(stats, fn);
+    updateLatency(entry, Date.now() - startTime);
+    // 源内部普遍会吞掉请求异常并返回空结果，因此「有请求且全部失败」同样视为失败
+    if (stats.httpFailures > 0 && stats.httpSuccesses === 0) {
+      recordFailure(entry, stats.lastHttpError || new Error('all http requests failed'));
+    } else {
+      recordSuccess(entry);
+    }
+    return result;
+  } catch (error) {
+    updateLatency(entry, Date.now() - startTime);
+    recordFailure(entry, error);
+    throw error;
+  } finally {
+    if (isProbe) entry.probing = false;
+  }
+}
+
+function updateLatency(entry, latency) {
+  entry.totalCalls++;
+  entry.lastLatencyMs = latency;
+  // 累计平均，避免保存完整耗时序列
+  entry.avgLatencyMs = Math.round(entry.avgLatencyMs + (latency - entry.avgLatencyMs) / entry.totalCalls);
+}
+
+/**
+ * 记录当前源调用中的一次 HTTP 请求结果（由 httpGet / httpPost 调用）
+ * 不在源调用上下文中时忽略
+ * @param {boolean} ok 请求是否成功
+ * @param {Error} [error] 失败时的错误
+ */
+export function noteSourceHttpResult(ok, error = null) {
+  const stats = sourceCallContext.getStore();
+  if (!stats) return;
+  if (ok) {
+    stats.httpSuccesses++;
+  } else {
+    stats.httpFailures++;
+    stats.lastHttpError = error;
+  }
+}
+
+/**
+ * 获取所有源的健康状态快照，按 SOURCE_ORDER 排列，未调用过的已启用源也会列出
+ * @returns {Array<Object>}
+ */
+export function getSourceHealthSnapshot() {
+  const now = Date.now();
+  const keys = [...new Set([...(globals.sourceOrderArr || []), ...globals.sourceHealth.keys()])];
+  return keys.map(key => {
+    const { probing, ...entry } = globals.sourceHealth.get(key) || createHealthEntry(key);
+    const state = entry.state === 'open' && now >= entry.openUntil ? 'half-open' : entry.state;
+    return {
+      ...entry,
+      state,
+      enabled: (globals.sourceOrderArr || []).includes(key),
+      failureRate: entry.totalCalls ? Number((entry.totalFailures / entry.totalCalls).toFixed(3)) : 0,
+      cooldownRemainingMs: state === 'open' ? entry.openUntil - now : 0,
+    };
+  });
+}
+
+/**
+ * 重置源健康状态
+ * @param {string} [key] 源键名，不传则重置全部
+ * @returns {boolean} 是否存在并已重置
+ */
+export function resetSourceHealth(key = null) {
+  if (!key) {
+    globals.sourceHealth = new Map();
+    return true;
+  }
+  return globals.sourceHealth.delete(key);
+}
@@ -0,0 +1,267 @@
+import { globals } from '../configs/globals.js';
+import { log } from './log-util.js';
+import { simpleHash, serializeValue } from "./codec-util.js";
+
+// =====================
+// SQLite 持久化存储
+// =====================
+// 基于 Node.js 内置 node:sqlite（需 Node 22.13+），只支持本地部署和docker部署。
+// 持久化 animes / episodeIds / episodeNum / lastSelectMap 与弹幕正文，实例重启后无需重新向上游请求，
+// 上游平台不可用时也可回退到已保存的弹幕。弹幕按最后写入时间保留 SQLITE_RETENTION_DAYS 天。
+
+// SQLite 数据库实例（DatabaseSync 为同步 API，打开后可在同步的弹幕缓存读写中直接使用）
+let sqliteDb = null;
+// node:sqlite 不可用或数据库打开失败时不再重复尝试
+let sqliteUnavailable = false;
+// 上次清理过期弹幕的时间
+let lastCleanupAt = 0;
+
+// 持久化到 kv 表的变量
+const SQLITE_KV_KEYS = ['animes', 'episodeIds', 'episodeNum', 'lastSelectMap'];
+// 过期弹幕清理间隔
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// 各变量上一次写入的哈希值，与本地缓存 / Redis 的 globals.lastHashes 相互独立
+const sqliteHashes = {};
+
+// 解析数据库文件路径，相对路径基于进程工作目录（项目根目录）
+async function resolveDbPath() {
+  const path = await import('path');
+  return path.resolve(process.cwd(), globals.sqliteDbPath);
+}
+
+// 打开数据库并初始化表结构
+async function openSqliteDatabase() {
+  if (sqliteDb) {
+    return sqliteDb;
+  }
+
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    const fs = await import('fs');
+    const path = await import('path');
+
+    const dbPath = await resolveDbPath();
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new DatabaseSync(dbPath);
+    db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS comments (
+        url TEXT PRIMARY KEY,
+        comments TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_comments_updated_at ON comments (updated_at);
+    `);
+
+    sqliteDb = db;
+    globals.sqliteValid = true;
+    log("info", `[system] [SQLite] 数据库已打开: ${dbPath}`);
+    cleanupExpiredSqliteComments(true);
+    return sqliteDb;
+  } catch (error) {
+    sqliteUnavailable = true;
+    globals.sqliteValid = false;
+    log("warn", `[system] [SQLite] 初始化失败，已禁用 SQLite 存储（需 Node 22.13+）: ${error.message}`);
+    return null;
+  }
+}
+
+// 判断 SQLite 存储是否可用
+export async function judgeSqliteValid(path) {
+  if (!globals.sqliteValid && !sqliteUnavailable && globals.sqliteDbPath && path !== "/favicon.ico" && path !== "/robots.txt") {
+    await openSqliteDatabase();
+  }
+}
+
+// 从 SQLite 恢复缓存变量
+export async function getSqliteCaches() {
+  if (globals.sqliteCacheInitialized || !sqliteDb) {
+    return;
+  }
+
+  try {
+    log("info", '[system] [SQLite] getSqliteCaches start.');
+    const placeholders = SQLITE_KV_KEYS.map(() => '?').join(', ');
+    const rows = sqliteDb.prepare(`SELECT key, value FROM kv WHERE key IN (${placeholders})`).all(...SQLITE_KV_KEYS);
+    const values = Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+
+    if (Array.isArray(values.animes)) globals.animes = values.animes;
+    if (Array.isArray(values.episodeIds)) globals.episodeIds = values.episodeIds;
+    if (Number.isFinite(values.episodeNum)) globals.episodeNum = values.episodeNum;
+    if (values.lastSelectMap && typeof values.lastSelectMap === 'object') {
+      globals.lastSelectMap = new Map(Object.entries(values.lastSelectMap));
+      log("info", `[system] [SQLite] Restored lastSelectMap from SQLite with ${globals.lastSelectMap.size} entries`);
+    }
+
+    for (const key of SQLITE_KV_KEYS) {
+      sqliteHashes[key] = simpleHash(serializeValue(key, globals[key]));
+    }
+    log("info", `[system] [SQLite] getSqliteCaches completed successfully, restored ${rows.length} keys.`);
+  } catch (error) {
+    log("error", `[system] [SQLite] getSqliteCaches failed: ${error.message}`, error.stack);
+  }
+  globals.sqliteCacheInitialized = true; // 失败时也标记为已初始化，避免重复尝试
+}
+
+// 设置单个变量
+export function setSqliteKey(key, value) {
+  if (!sqliteDb) {
+    return;
+  }
+
+  const serializedValue = serializeValue(key, value);
+  const currentHash = simpleHash(serializedValue);
+  if (sqliteHashes[key] === currentHash) {
+    return;
+  }
+
+  try {
+    sqliteDb.prepare('INSERT OR REPLACE INTO kv (key, value, updated_at) VALUES (?, ?, ?)')
+      .run(key, serializedValue, Date.now());
+    sqliteHashes[key] = currentHash;
+    log("info", `[system] [SQLite] 键 ${key} 更新成功`);
+  } catch (error) {
+    log("error", `[system] [SQLite] 键 ${key} 写入失败: ${error.message}`);
+  }
+}
+
+// 仅更新有变化的变量
+export async function updateSqliteCaches() {
+  if (!sqliteDb) {
+    return;
+  }
+
+  const updates = SQLITE_KV_KEYS
+    .map(key => ({ key, value: serializeValue(key, globals[key]) }))
+    .filter(({ key, value }) => sqliteHashes[key] !== simpleHash(value));
+
+  if (updates.length === 0) {
+    log("info", '[system] [SQLite] No changes detected, skipping SQLite update.');
+    return;
+  }
+
+  try {
+    const statement = sqliteDb.prepare('INSERT OR REPLACE INTO kv (key, value, updated_at) VALUES (?, ?, ?)');
+    const now = Date.now();
+    sqliteDb.exec('BEGIN');
+    try {
+      for (const { key, value } of updates) {
+        statement.run(key, value, now);
+      }
+      sqliteDb.exec('COMMIT');
+    } catch (error) {
+      sqliteDb.exec('ROLLBACK');
+      throw error;
+    }
+    updates.forEach(({ key, value }) => {
+      sqliteHashes[key] = simpleHash(value);
+    });
+    log("info", `[system] [SQLite] Updated ${updates.length} changed keys: ${updates.map(u => u.key).join(', ')}`);
+  } catch (error) {
+    log("error", `[system] [SQLite] updateSqliteCaches failed: ${error.message}`, error.stack);
+  }
+}
+
+/**
+ * 读取已保存的弹幕
+ * @param {string} url 弹幕缓存键
+ * @returns {{comments: Array, timestamp: number}|null} 弹幕及其写入时间，不存在或已超过保留期时返回 null
+ */
+export function getSqliteComments(url) {
+  if (!sqliteDb) {
+    return null;
+  }
+
+  try {
+    const row = sqliteDb.prepare('SELECT comments, updated_at FROM comments WHERE url = ?').get(url);
+    if (!row) {
+      return null;
+    }
+    const retentionMs = getRetentionMs();
+    if (retentionMs > 0 && Date.now() - row.updated_at > retentionMs) {
+      return null;
+    }
+    return { comments: JSON.parse(row.comments), timestamp: row.updated_at };
+  } catch (error) {
+    log("error", `[system] [SQLite] 读取弹幕失败: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 保存弹幕，同一键覆盖旧数据
+ * @param {string} url 弹幕缓存键
+ * @param {Array} comments 弹幕列表
+ */
+export function setSqliteComments(url, comments) {
+  if (!sqliteDb || !Array.isArray(comments) || comments.length === 0) {
+    return;
+  }
+
+  try {
+    sqliteDb.prepare('INSERT OR REPLACE INTO comments (url, comments, count, updated_at) VALUES (?, ?, ?, ?)')
+      .run(url, JSON.stringify(comments), comments.length, Date.now());
+  } catch (error) {
+    log("error", `[system] [SQLite] 保存弹幕失败: ${error.message}`);
+  }
+  cleanupExpiredSqliteComments();
+}
+
+// 清空已保存的弹幕
+export function clearSqliteComments() {
+  if (!sqliteDb) {
+    return;
+  }
+
+  try {
+    sqliteDb.exec('DELETE FROM comments');
+    log("info", '[system] [SQLite] 已清空保存的弹幕');
+  } catch (error) {
+    log("error", `[system] [SQLite] 清空弹幕失败: ${error.message}`);
+  }
+}
+
+function getRetentionMs() {
+  return Math.max(0, globals.sqliteRetentionDays || 0) * 24 * 60 * 60 * 1000;
+}
+
+// 删除超过保留天数的弹幕，未到清理间隔时跳过（force 为 true 时立即清理）
+function cleanupExpiredSqliteComments(force = false) {
+  const retentionMs = getRetentionMs();
+  const now = Date.now();
+  if (!sqliteDb || retentionMs === 0 || (!force && now - lastCleanupAt < CLEANUP_INTERVAL_MS)) {
+    return;
+  }
+
+  lastCleanupAt = now;
+  try {
+    const result = sqliteDb.prepare('DELETE FROM comments WHERE updated_at < ?').run(now - retentionMs);
+    if (result.changes > 0) {
+      log("info", `[system] [SQLite] 已清理 ${result.changes} 条超过 ${globals.sqliteRetentionDays} 天的弹幕`);
+    }
+  } catch (error) {
+    log("error", `[system] [SQLite] 清理过期弹幕失败: ${error.message}`);
+  }
+}
+
+// 关闭数据库
+export function closeSqliteDatabase() {
+  if (sqliteDb) {
+    try {
+      sqliteDb.close();
+      log("info", '[system] [SQLite] 数据库已关闭');
+    } catch (error) {
+      log("error", `[system] [SQLite] 关闭数据库失败: ${error.message}`);
+    }
+    sqliteDb = null;
+    globals.sqliteValid = false;
+    globals.sqliteCacheInitialized = false;
+  }
+}
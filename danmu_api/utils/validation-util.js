@@ -0,0 +1,199 @@
+import { ROUTE_SCHEMAS } from '../configs/routes.js';
+import { danAnyFormats } from './dan-any.js';
+import { jsonResponse } from './http-util.js';
+import { log } from './log-util.js';
+
+// =====================
+// 请求参数校验
+// =====================
+// 按 configs/routes.js 中声明的 params / body 校验请求，在进入处理函数前拦截类型、范围、枚举错误，
+// 返回弹弹play 兼容的 { errorCode, success, errorMessage } 400 响应，并通过 errors 给出字段级错误。
+// 仅支持路由表用到的 JSON Schema 子集：type、nullable、enum、minimum、maximum、minLength、pattern、
+// format、required、properties、items、anyOf 与 components 中的 schema 引用；未声明的字段不做限制。
+
+// 自定义 format 校验
+const SCHEMA_FORMATS = {
+  // 弹幕输出格式，与 DANMU_OUTPUT_FORMAT 可选值一致
+  'danmu-format': value => ['json', 'xml', 'ass', ...danAnyFormats].includes(value.toLowerCase())
+};
+
+function resolveSchema(schema) {
+  if (typeof schema === 'string') return ROUTE_SCHEMAS[schema];
+  if (schema?.$ref) return ROUTE_SCHEMAS[schema.$ref.split('/').pop()];
+  return schema;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// 枚举比较时字符串不区分大小写，与各处理函数的 toLowerCase 保持一致
+function inEnum(value, options) {
+  if (typeof value !== 'string') return options.includes(value);
+  return options.some(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+}
+
+/**
+ * 按 schema 校验单个值，错误追加到 errors
+ * @param {*} value 待校验的值
+ * @param {Object|string} schema JSON Schema 或 components 中的 schema 名称
+ * @param {string} field 字段路径，如 schedule.weekday
+ * @param {string} location 参数位置：path / query / body
+ * @param {Array} errors 错误列表
+ */
+function validateValue(value, schema, field, location, errors) {
+  schema = resolveSchema(schema);
+  if (!schema) return;
+  const fail = message => errors.push({ field, in: location, message: `${field} ${message}` });
+
+  if (value === null) {
+    if (!schema.nullable) fail('must not be null');
+    return;
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateValue(value, option, field, location, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) fail(`must be ${schema.anyOf.map(option => resolveSchema(option)?.type).filter(Boolean).join(' or ')}`);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !inEnum(value, schema.enum)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`has an invalid format: ${value}`);
+    if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format](value)) {
+      fail(`is not a supported ${schema.format}: ${value}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${field}[${index}]`, location, errors));
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: `${field}.${name}`, in: location, message: `${field}.${name} is required` });
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) validateValue(value[name], propertySchema, `${field}.${name}`, location, errors);
+    }
+  }
+}
+
+// 查询 / 路径参数均为字符串，按声明的类型转换后再校验；无法转换时原样返回，由类型检查报错
+function coerceParamValue(raw, type) {
+  if (type === 'integer') return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+  if (type === 'number') return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+  if (type === 'boolean') {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+  }
+  return raw;
+}
+
+async function readJsonBody(req) {
+  const contentType = (req.headers?.get?.('content-type') || '').toLowerCase();
+  // 表单请求体（FongMi POST）不做 JSON 校验
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    return { skipped: true };
+  }
+  let text;
+  try {
+    text = await req.clone().text();
+  } catch {
+    return { skipped: true };
+  }
+  if (!text.trim()) return { value: undefined };
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return { invalid: true };
+  }
+}
+
+/**
+ * 按路由表声明校验请求的路径参数、查询参数与 JSON 请求体
+ * @param {Object} route configs/routes.js 中的路由
+ * @param {Object} request { req, url, method, params }，params 为路径参数
+ * @returns {Promise<Array<{field: string, in: string, message: string}>>} 字段级错误，校验通过时为空数组
+ */
+export async function validateRouteRequest(route, { req, url, method, params = {} }) {
+  const errors = [];
+  const multiMethod = Array.isArray(route.method) && route.method.length > 1;
+
+  for (const param of route.params || []) {
+    // 多方法接口的查询参数只用于 GET，与 OpenAPI 文档一致
+    if (param.in === 'query' && multiMethod && method !== 'GET') continue;
+    const raw = param.in === 'path' ? params[param.name] : url.searchParams.get(param.name);
+    // 非字符串参数传空值视为未传，兼容表单提交的空字段
+    if (raw === null || raw === undefined || (raw === '' && param.type && param.type !== 'string')) {
+      if (param.required || param.in === 'path') {
+        errors.push({ field: param.name, in: param.in, message: `${param.name} is required` });
+      }
+      continue;
+    }
+    validateValue(coerceParamValue(raw, param.type), param, param.name, param.in, errors);
+  }
+
+  const bodySchema = resolveSchema(route.body);
+  if (bodySchema && method !== 'GET') {
+    const body = await readJsonBody(req);
+    if (body.invalid) {
+      errors.push({ field: 'body', in: 'body', message: 'body must be valid JSON' });
+    } else if (!body.skipped) {
+      if (body.value === undefined) {
+        if ((bodySchema.required || []).length > 0) errors.push({ field: 'body', in: 'body', message: 'body is required' });
+      } else {
+        validateValue(body.value, bodySchema, 'body', 'body', errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 生成参数校验失败的 400 响应
+ * @param {Object} route 路由
+ * @param {Array} errors validateRouteRequest 返回的字段级错误
+ * @returns {Response}
+ */
+export function validationErrorResponse(route, errors) {
+  // 请求体字段去掉 body. 前缀，便于阅读
+  const details = errors.map(error => ({
+    ...error,
+    field: error.field.replace(/^body\./, ''),
+    message: error.message.replace(/^body\./, '')
+  }));
+  const errorMessage = `Invalid request: ${details.map(error => error.message).join('; ')}`;
+  log('warn', `[system] [validation] ${route.id} rejected: ${errorMessage}`);
+  return jsonResponse(
+    { errorCode: 400, success: false, errorMessage, message: errorMessage, errors: details },
+    400
+  );
+}
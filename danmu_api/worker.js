@@ -1,18 +1,35 @@
 import { Globals } from './configs/globals.js';
 import { jsonResponse } from './utils/http-util.js';
-import { log, formatLogMessage } from './utils/log-util.js'
+import { log, formatLogMessage, logWithFields, createRequestId, runWithRequestId } from './utils/log-util.js'
 import { getFavoriteCachesFromRedis, getRedisCaches, judgeRedisValid } from "./utils/redis-util.js";
-import { cleanupExpiredIPs, findUrlById, getCommentCache, getLocalCaches, judgeLocalCacheValid } from "./utils/cache-util.js";
+import { extendCommentRefreshLifecycle, findUrlById, getCommentCache, getLocalCaches, judgeLocalCacheValid, loadSharedCommentCache } from "./utils/cache-util.js";
 import { formatDanmuResponse } from "./utils/danmu-util.js";
+import { parseAssQueryOptions } from "./utils/ass-util.js";
 import AIClient from './utils/ai-util.js';
-import { getBangumi, getComment, getCommentByUrl, getSegmentComment, matchAnime, searchAnime, searchEpisodes } from "./apis/dandan-api.js";
-import { handleFavoriteAdd, handleFavoriteList, handleFavoriteRefresh, handleFavoriteRemove, handleFavoriteSchedule } from "./apis/favorite-api.js";
+import { getBangumi, getComment, getCommentByUrl, getSegmentComment, matchAnime, matchAnimeBatch, searchAnime, searchEpisodes } from "./apis/dandan-api.js";
+import { handleFavoriteAdd, handleFavoriteList, handleFavoriteRefresh, handleFavoriteRemove, handleFavoriteSchedule, handleFavoriteWebhookLog, runFavoritePrefetchJob } from "./apis/favorite-api.js";
 import { getFongmiDanmaku } from "./apis/clients/fongmi-api.js";
-import { handleConfig, handleUI, handleLogs, handleClearLogs, handleDeploy, handleClearCache, handleReqRecords, handleCacheAnimes } from "./apis/system-api.js";
+import { handleConfig, handleUI, handleLogs, handleClearLogs, handleDeploy, handleClearCache, handleReqRecords, handleCacheAnimes, handleSourceHealth, handleResetSourceHealth, handleAiModeration, handleOpenApiSpec, handleMetrics } from "./apis/system-api.js";
 import { handleForwardTrace } from "./apis/forward-trace-api.js";
+import { handleMergeTrace } from "./apis/merge-trace-api.js";
+import { handleLocalDanmuImport, handleLocalDanmuList, handleLocalDanmuRemove } from "./apis/local-danmu-api.js";
+import {
+  handleRuleRemove, handleRuleSave, handleRulesImport, handleRulesList, handleRulesReset,
+  handleRuleSuggestionDismiss, handleRuleSuggestionPromote, handleRuleSuggestions
+} from "./apis/rules-api.js";
+import { handleFileHashExport, handleFileHashImport } from "./apis/file-hash-api.js";
+import { markPendingFileHashSearched } from "./utils/file-hash-util.js";
 import { handleSetEnv, handleAddEnv, handleDelEnv, handleAiVerify } from "./apis/env-api.js";
 import { extendBangumiDownloadLifecycle } from "./utils/bangumi-data-util.js";
+import { extendSharedCacheWriteLifecycle } from "./utils/shared-cache-util.js";
+import { extendAiModerationLifecycle } from "./utils/ai-moderation-util.js";
 import { Segment } from "./models/dandan-model.js"
+import { findRoute, getRouteMethods, getRouteScope, ROUTE_TAGS } from "./configs/routes.js";
+import { validateRouteRequest, validationErrorResponse } from "./utils/validation-util.js";
+import { recordRateLimitRejection, recordRequest } from "./utils/metrics-util.js";
+import { apiKeyHasScope, consumeApiKeyRequest, findApiKey } from "./utils/api-key-util.js";
+import { consumeRateLimit } from "./utils/rate-limit-util.js";
+import { matchIpRule } from "./utils/ip-util.js";
 import {
     handleCookieStatus,
     handleCookieVerify,
@@ -23,7 +40,28 @@ import {
 
 let globals;
 
+// 每个请求在独立的日志上下文中处理，日志记录携带 requestId，并通过 X-Request-Id 响应头返回给客户端；
+// 请求量与耗时按匹配到的路由计入 /metrics
 async function handleRequest(req, env, deployPlatform, clientIp) {
+  const requestId = createRequestId(req.headers?.get?.('x-request-id'));
+  const startTime = Date.now();
+  return runWithRequestId(requestId, async () => {
+    const requestInfo = { route: 'unmatched' };
+    const response = await dispatchRequest(req, env, deployPlatform, clientIp, requestInfo);
+    const durationMs = Date.now() - startTime;
+    recordRequest(requestInfo.route, req.method, response.status, durationMs);
+    logWithFields("info", { durationMs, status: response.status },
+      `[system] [server] ${req.method} ${new URL(req.url).pathname} completed with ${response.status} in ${durationMs}ms`);
+    try {
+      response.headers.set('X-Request-Id', requestId);
+    } catch {
+      // 透传的上游响应头不可修改，忽略
+    }
+    return response;
+  });
+}
+
+async function dispatchRequest(req, env, deployPlatform, clientIp, requestInfo = {}) {
   // 加载全局变量和环境变量配置
   globals = Globals.init(env);
 
@@ -36,6 +74,8 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
     await judgeLocalCacheValid(path, deployPlatform);
     const { judgeLocalRedisValid } = await import("./utils/local-redis-util.js");
     await judgeLocalRedisValid(path);
+    const { judgeSqliteValid } = await import("./utils/sqlite-util.js");
+    await judgeSqliteValid(path);
   }
   await judgeRedisValid(path);
   if (!globals.aiValid && globals.aiBaseUrl && globals.aiModel && globals.aiApiKey && path !== "/favicon.ico" && path !== "/robots.txt") {
@@ -58,7 +98,7 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
 
   // --- IP 黑名单拦截 ---
   if (globals.ipBlacklist?.length) {
-    const isBlocked = globals.ipBlacklist.some(rule => matchIpBlacklistRule(rule, clientIp));
+    const isBlocked = globals.ipBlacklist.some(rule => matchIpRule(rule, clientIp));
     if (isBlocked) {
       log("warn", `[system] [IP Blacklist] Blocked request from IP: ${clientIp}`);
       return jsonResponse(
@@ -71,14 +111,17 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
   // --- 校验 token ---
   const parts = path.split("/").filter(Boolean); // 去掉空段
 
-  const knownApiPaths = ["api", "v1", "v2", "search", "match", "favorite", "bangumi", "comment", "danmaku"];
+  const knownApiPaths = ["api", "v1", "v2", "search", "match", "favorite", "bangumi", "comment", "danmaku", "metrics"];
 
   const firstPart = parts[0] || "";
   const isDefaultToken = globals.token === "87654321";
-  const isValidToken = firstPart === globals.token || firstPart === globals.adminToken;
-  const explicitToken = firstPart === globals.token || (globals.adminToken && firstPart === globals.adminToken)
+  // API_KEYS 中的密钥与 TOKEN 一样作为路径前缀，权限与额度在路由匹配后检查
+  const apiKey = firstPart === globals.token || firstPart === globals.adminToken ? null : findApiKey(firstPart);
+  const isValidToken = firstPart === globals.token || firstPart === globals.adminToken || apiKey !== null;
+  const explicitToken = firstPart === globals.token || (globals.adminToken && firstPart === globals.adminToken) || apiKey
     ? firstPart
     : "";
+  globals.currentApiKey = apiKey;
 
   globals.currentToken = 
     isValidToken ? firstPart :
@@ -121,6 +164,10 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
     const { getLocalRedisCaches } = await import("./utils/local-redis-util.js");
     await getLocalRedisCaches();
   }
+  if (deployPlatform === "node" && globals.sqliteValid && path !== "/favicon.ico" && path !== "/robots.txt") {
+    const { getSqliteCaches } = await import("./utils/sqlite-util.js");
+    await getSqliteCaches();
+  }
 
   // 检查路径是否包含指定的接口关键字
   const targetPaths = [
@@ -192,7 +239,8 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
       params: requestBody, // 请求体JSON
       timestamp: new Date().toISOString(), // 请求时间
       method: method, // HTTP方法
-      clientIp: clientIp // 客户端IP
+      clientIp: clientIp, // 客户端IP
+      ...(apiKey ? { apiKey: apiKey.name } : {}) // 使用的 API 密钥名称
     };
 
     globals.reqRecords.push(requestRecord);
@@ -223,7 +271,7 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
   if (globals.token === "87654321") {
     if (parts.length > 0) {
       // 如果第一段是正确的默认 token
-      if (parts[0] === "87654321" || parts[0] === globals.adminToken) {
+      if (parts[0] === "87654321" || parts[0] === globals.adminToken || apiKey) {
         // 移除 token，继续处理
         path = "/" + parts.slice(1).join("/");
       } else if (!knownApiPaths.includes(parts[0])) {
@@ -243,7 +291,7 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
     }
   } else {
     // token 不是默认值，必须严格校验
-    if (parts.length < 1 || (parts[0] !== globals.token && parts[0] !== globals.adminToken)) {
+    if (parts.length < 1 || (parts[0] !== globals.token && parts[0] !== globals.adminToken && !apiKey)) {
       // 对于 /api/config 路径，如果使用默认 token，我们允许无 token 访问，但返回有限信息
       if (path === "/api/config" && method === "GET") {
         return handleConfig(false); // 无权限
@@ -269,24 +317,10 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
     path = "/danmaku";
   }
 
-  // GET /api/config - 获取配置信息 (需要 token)
-  if (path === "/api/config" && method === "GET") {
-    return handleConfig(true); // 有权限
-  }
-
-  // GET /api/reqrecords - 获取请求记录 (需要 token)
-  if (path === "/api/reqrecords" && method === "GET") {
-    return handleReqRecords();
-  }
-
   log("info", `[system] [server] ${path}`);
 
-  // 智能处理API路径前缀，确保最终有一个正确的 /api/v2
-  if (path !== "/" && path !== "/danmaku" && path !== "/api/logs" && !path.startsWith('/api/env') 
-    && !path.startsWith('/api/deploy') && !path.startsWith('/api/cache')
-    && !path.startsWith('/api/cookie') && !path.startsWith('/api/config')
-    && !path.startsWith('/api/favorite')
-    && !path.startsWith('/api/ai') && !path.startsWith('/api/debug')) {
+  // 智能处理API路径前缀，确保最终有一个正确的 /api/v2（路由表中已登记的路径无需处理）
+  if (path !== "/" && !findRoute(path)) {
       log("info", `[system] [path check] Starting path normalization for: "${path}"`);
       const pathBeforeCleanup = path; // 保存清理前的路径检查是否修改
 
@@ -307,11 +341,7 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
 
       // 补全：如果路径缺少前缀（例如请求原始路径为 /search/anime 或 /v2/search/anime），则智能补全
       const pathBeforePrefixCheck = path;
-      if (!path.startsWith('/api/v2') && path !== '/' && !path.startsWith('/api/logs') 
-        && !path.startsWith('/api/env') && !path.startsWith('/api/cache')
-        && !path.startsWith('/api/cookie') && !path.startsWith('/api/config')
-        && !path.startsWith('/api/favorite')
-        && !path.startsWith('/api/ai') && !path.startsWith('/api/debug')) {
+      if (!path.startsWith('/api/v2') && path !== '/' && !findRoute(path)) {
           if (path.startsWith('/v2/') || path === '/v2') {
               log("info", `[system] [path check] Path is missing /api prefix. Adding /api...`);
               path = '/api' + path;
@@ -332,396 +362,244 @@ async function handleRequest(req, env, deployPlatform, clientIp) {
       log("info", `[system] [path check] Final normalized path: "${path}"`);
   }
 
-  // GET /
-  if (path === "/" && method === "GET") {
-    return handleUI();
+  // 按路由表分发，路由定义见 configs/routes.js
+  const matched = findRoute(path);
+  if (!matched) {
+    return jsonResponse({ message: "Not found" }, 404);
   }
+  const { route, params } = matched;
+  requestInfo.route = route.id;
+  const apiName = ROUTE_TAGS[route.tag]?.apiName;
 
-  // GET /api/v2/search/anime
-  if (path === "/api/v2/search/anime" && method === "GET") {
-    return searchAnime(url);
+  // 必须在路径中显式携带 token 的接口（默认 TOKEN 也不能省略）
+  if (route.explicitToken && !isValidToken) {
+    return jsonResponse({ success: false, errorMessage: `Explicit token required for ${apiName}` }, 401);
   }
 
-  // GET /api/v2/search/episodes
-  if (path === "/api/v2/search/episodes" && method === "GET") {
-    return searchEpisodes(url);
+  // 使用 API 密钥时检查该路由所需的权限
+  const routeScope = getRouteScope(route);
+  if (apiKey && !apiKeyHasScope(apiKey, routeScope)) {
+    return jsonResponse(
+      { errorCode: 403, success: false, message: "权限不足", errorMessage: `API key "${apiKey.name}" requires ${routeScope} scope` },
+      403
+    );
   }
 
-  // GET|POST /api/v2/fongmi/danmaku
-  if (path === "/api/v2/fongmi/danmaku" && (method === "GET" || method === "POST")) {
-    return getFongmiDanmaku(url, req);
+  // 配置了 ADMIN_TOKEN 时仅允许使用 ADMIN_TOKEN 或具有 admin 权限的 API 密钥访问
+  if (route.auth === 'admin' && globals.adminToken && globals.currentToken !== globals.adminToken && !apiKey) {
+    return jsonResponse(
+      { errorCode: 403, success: false, message: "权限不足", errorMessage: `${apiName} requires ADMIN_TOKEN` },
+      403
+    );
   }
 
-  // GET|POST /danmaku
-  if (path === "/danmaku" && (method === "GET" || method === "POST")) {
-    return getFongmiDanmaku(url, req);
+  if (!getRouteMethods(route).includes(method)) {
+    return jsonResponse({ message: "Not found" }, 404);
   }
 
-  // GET /api/v2/match
-  if (path === "/api/v2/match" && method === "POST") {
-    return matchAnime(url, req, clientIp);
-  }
-  // POST /api/v2/favorite/add - 收藏剧集（永久缓存）
-  if ((path === "/api/v2/favorite/add" || path === "/api/favorite/add") && method === "POST") {
-    return handleFavoriteAdd(req, url);
-  }
-
-  // POST /api/v2/favorite/refresh - 刷新收藏缓存
-  if ((path === "/api/v2/favorite/refresh" || path === "/api/favorite/refresh") && method === "POST") {
-    return handleFavoriteRefresh(req, url);
-  }
-
-  // POST /api/v2/favorite/schedule - 设置或关闭定时刷新
-  if ((path === "/api/v2/favorite/schedule" || path === "/api/favorite/schedule") && method === "POST") {
-    return handleFavoriteSchedule(req);
-  }
-
-  // POST /api/v2/favorite/remove - 删除收藏
-  if ((path === "/api/v2/favorite/remove" || path === "/api/favorite/remove") && method === "POST") {
-    return handleFavoriteRemove(req);
-  }
-
-  // GET /api/v2/favorite/list - 收藏列表
-  if ((path === "/api/v2/favorite/list" || path === "/api/favorite/list") && method === "GET") {
-    return handleFavoriteList();
-  }
-
-
-  // GET /api/v2/bangumi/:animeId
-  if (path.startsWith("/api/v2/bangumi/") && method === "GET") {
-    return getBangumi(path);
-  }
-
-  // GET /api/v2/comment/:commentId or /api/v2/comment?url=xxx or /api/v2/extcomment?url=xxx
-  if ((path.startsWith("/api/v2/comment") || path.startsWith("/api/v2/extcomment")) && method === "GET") {
-    const queryFormat = url.searchParams.get('format');
-    const videoUrl = url.searchParams.get('url');
-    const segmentFlagParam = url.searchParams.get('segmentflag');
-    const durationParam = url.searchParams.get('duration');
-    const segmentFlag = segmentFlagParam === 'true' || segmentFlagParam === '1';
-    const includeDuration = durationParam === 'true' || durationParam === '1';
-
-    // ⚠️ 限流设计说明：
-    // 1. 先检查缓存，缓存命中时直接返回，不计入限流次数
-    // 2. 只有缓存未命中时才执行限流检查和网络请求
-    // 3. 这样可以避免频繁访问同一弹幕时被限流，提高用户体验
-
-    // 如果有url参数，则通过URL获取弹幕
-    if (videoUrl) {
-      // 先检查缓存
-      const cachedComments = getCommentCache(videoUrl);
-      if (cachedComments !== null) {
-        log("info", `[system] [Rate Limit] Cache hit for URL: ${videoUrl}, skipping rate limit check`);
-        return getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration);
-      }
-
-      // 缓存未命中，执行限流检查（如果 rateLimitMaxRequests > 0 则启用限流）
-      if (globals.rateLimitMaxRequests > 0) {
-        const currentTime = Date.now();
-        const oneMinute = 60 * 1000;
-
-        // 清理所有过期的 IP 记录
-        cleanupExpiredIPs(currentTime);
-
-        // 检查该 IP 地址的历史请求
-        if (!globals.requestHistory.has(clientIp)) {
-          globals.requestHistory.set(clientIp, []);
-        }
-
-        const history = globals.requestHistory.get(clientIp);
-        const recentRequests = history.filter(timestamp => currentTime - timestamp <= oneMinute);
-
-        // 如果最近 1 分钟内的请求次数超过限制，返回 429 错误
-        if (recentRequests.length >= globals.rateLimitMaxRequests) {
-          log("warn", `[system] [Rate Limit] IP ${clientIp} exceeded rate limit (${recentRequests.length}/${globals.rateLimitMaxRequests} requests in 1 minute)`);
-          return jsonResponse(
-            { errorCode: 429, success: false, errorMessage: "Too many requests, please try again later" },
-            429
-          );
-        }
-
-        // 记录本次请求时间戳
-        recentRequests.push(currentTime);
-        globals.requestHistory.set(clientIp, recentRequests);
-        log("info", `[system] [Rate Limit] IP ${clientIp} request count: ${recentRequests.length}/${globals.rateLimitMaxRequests}`);
-      }
-
-      // 通过URL获取弹幕
-      return getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration);
-    }
-
-    // 否则通过commentId获取弹幕
-    if (!path.startsWith("/api/v2/comment/")) {
-      log("error", "[system] [server] Missing commentId or url parameter");
-      return jsonResponse(
-        { errorCode: 400, success: false, errorMessage: "Missing commentId or url parameter" },
-        400
-      );
-    }
-
-    const commentId = parseInt(path.split("/").pop());
-    let urlForComment = findUrlById(commentId);
-
-    if (urlForComment) {
-      // 检查弹幕缓存 - 缓存命中时直接返回，不计入限流
-      const cachedComments = getCommentCache(urlForComment);
-      if (cachedComments !== null) {
-        log("info", `[system] [Rate Limit] Cache hit for URL: ${urlForComment}, skipping rate limit check`);
-        return getComment(path, queryFormat, segmentFlag, clientIp, includeDuration);
-      }
+  // 计入 API 密钥的每分钟请求数与每日配额
+  if (apiKey && routeScope) {
+    const quota = consumeApiKeyRequest(apiKey);
+    if (!quota.allowed) {
+      recordRateLimitRejection(route.id);
+      return jsonResponse({ errorCode: 429, success: false, errorMessage: quota.errorMessage }, 429);
     }
-
-    // 缓存未命中，执行限流检查（如果 rateLimitMaxRequests > 0 则启用限流）
-    if (globals.rateLimitMaxRequests > 0) {
-      // 获取当前时间戳（单位：毫秒）
-      const currentTime = Date.now();
-      const oneMinute = 60 * 1000;  // 1分钟 = 60000 毫秒
-
-      // 清理所有过期的 IP 记录
-      cleanupExpiredIPs(currentTime);
-
-      // 检查该 IP 地址的历史请求
-      if (!globals.requestHistory.has(clientIp)) {
-        // 如果该 IP 地址没有请求历史，初始化一个空队列
-        globals.requestHistory.set(clientIp, []);
-      }
-
-      const history = globals.requestHistory.get(clientIp);
-
-      // 过滤掉已经超出 1 分钟的请求
-      const recentRequests = history.filter(timestamp => currentTime - timestamp <= oneMinute);
-
-      // 如果最近的请求数量大于等于配置的限制次数，则限制请求
-      if (recentRequests.length >= globals.rateLimitMaxRequests) {
-        log("warn", `[system] [Rate Limit] IP ${clientIp} exceeded rate limit (${recentRequests.length}/${globals.rateLimitMaxRequests} requests in 1 minute)`);
-        return jsonResponse(
-          { errorCode: 429, success: false, errorMessage: "Too many requests, please try again later" },
-          429
-        );
-      }
-
-      // 记录本次请求时间戳
-      recentRequests.push(currentTime);
-      globals.requestHistory.set(clientIp, recentRequests);
-      log("info", `[system] [Rate Limit] IP ${clientIp} request count: ${recentRequests.length}/${globals.rateLimitMaxRequests}`);
-    }
-
-    return getComment(path, queryFormat, segmentFlag, clientIp, includeDuration);
   }
 
-  // POST /api/v2/segmentcomment - 接收segment类的JSON请求体
- if (path.startsWith("/api/v2/segmentcomment") && method === "POST") {
-    try {
-      const queryFormat = url.searchParams.get('format');
-      // 从请求体获取segment数据
-      const requestBody = await req.json();
-      let segment;
-
-      // 尝试解析JSON
-      try {
-        segment = Segment.fromJson(requestBody);
-      } catch (e) {
-        log("error", "[system] [server] Invalid JSON in request body for segment");
-        return jsonResponse(
-          { errorCode: 400, success: false, errorMessage: "Invalid JSON in request body" },
-          400
-        );
-      }
-
-      // 通过URL和平台获取分段弹幕
-      return getSegmentComment(segment, queryFormat);
-    } catch (error) {
-      log("error", `[system] [server] Error processing segmentcomment request: ${error.message}`);
-      return jsonResponse(
-        { errorCode: 500, success: false, errorMessage: "Internal server error" },
-        500
-      );
-    }
+  // 按路由表声明校验参数与请求体
+  const validationErrors = await validateRouteRequest(route, { req, url, method, params });
+  if (validationErrors.length > 0) {
+    return validationErrorResponse(route, validationErrors);
   }
 
-  // GET /api/logs
-  if (path === "/api/logs" && method === "GET") {
-    return handleLogs();
-  }
+  return routeHandlers[route.id]({ req, url, path, method, clientIp, params, route });
+}
 
-  if (path === '/api/debug/forward-trace') {
-    if (!isValidToken) {
-      return jsonResponse({ success: false, errorMessage: 'Explicit token required for Forward traces' }, 401);
+// GET /api/v2/comment/:commentId or /api/v2/comment?url=xxx or /api/v2/extcomment?url=xxx
+async function handleCommentRoute({ url, path, clientIp, route }) {
+  const queryFormat = url.searchParams.get('format');
+  const videoUrl = url.searchParams.get('url');
+  const segmentFlagParam = url.searchParams.get('segmentflag');
+  const durationParam = url.searchParams.get('duration');
+  const segmentFlag = segmentFlagParam === 'true' || segmentFlagParam === '1';
+  const includeDuration = durationParam === 'true' || durationParam === '1';
+  const formatOptions = { ...parseAssQueryOptions(url.searchParams), density: url.searchParams.get('density') };
+  // since 增量请求游标（上次响应中的 cursor，即已返回弹幕的最大 cid），分片请求不支持增量
+  const sinceParam = url.searchParams.get('since');
+  const since = sinceParam === null || sinceParam === '' || segmentFlag ? null : Number(sinceParam);
+  if (since !== null && (!Number.isFinite(since) || since < 0)) {
+    return jsonResponse(
+      { errorCode: 400, success: false, errorMessage: "Invalid since parameter" },
+      400
+    );
+  }
+
+  // ⚠️ 限流设计说明：
+  // 1. 先检查缓存，缓存命中时直接返回，不计入限流次数
+  // 2. 只有缓存未命中时才执行限流检查和网络请求
+  // 3. 这样可以避免频繁访问同一弹幕时被限流，提高用户体验
+
+  // 如果有url参数，则通过URL获取弹幕
+  if (videoUrl) {
+    // 先检查缓存（预检查不计入缓存命中率，getCommentByUrl 内的检查才记录）
+    await loadSharedCommentCache(videoUrl);
+    const cachedComments = getCommentCache(videoUrl, false);
+    if (cachedComments !== null) {
+      log("info", `[system] [Rate Limit] Cache hit for URL: ${videoUrl}, skipping rate limit check`);
+      return getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration, formatOptions, since);
     }
-    if (method === 'POST') {
-      return handleForwardTrace(req);
-    }
-  }
-
-  // POST /api/logs/clear
-  if (path === "/api/logs/clear" && method === "POST") {
-    return handleClearLogs();
-  }
-
-  // POST /api/env/set - 设置环境变量
-  if (path === "/api/env/set" && method === "POST") {
-    return handleSetEnv(req);
-  }
-
-  // POST /api/env/add - 添加环境变量
-  if (path === "/api/env/add" && method === "POST") {
-    return handleAddEnv(req);
-  }
 
-  // POST /api/env/del - 删除环境变量
-  if (path === "/api/env/del" && method === "POST") {
-    return handleDelEnv(req);
-  }
-
-  // POST /api/deploy - 重新部署
-  if (path === "/api/deploy" && method === "POST") {
-    return handleDeploy();
-  }
+    // 缓存未命中，执行限流检查
+    const limited = await checkRouteRateLimit(route, clientIp);
+    if (limited) return limited;
 
-  // GET /api/cache/animes - 获取最近 animes 缓存
-  if (path === "/api/cache/animes" && method === "GET") {
-    return handleCacheAnimes();
+    // 通过URL获取弹幕
+    return getCommentByUrl(videoUrl, queryFormat, segmentFlag, includeDuration, formatOptions, since);
   }
 
-  // POST /api/cache/clear - 清理缓存
-  if (path === "/api/cache/clear" && method === "POST") {
-    return handleClearCache(req);
+  // 否则通过commentId获取弹幕
+  if (!path.startsWith("/api/v2/comment/")) {
+    log("error", "[system] [server] Missing commentId or url parameter");
+    return jsonResponse(
+      { errorCode: 400, success: false, errorMessage: "Missing commentId or url parameter" },
+      400
+    );
   }
 
-  // ========== Cookie 管理 API ==========
-
-  // GET /api/cookie/status - 获取Cookie状态
-  if (path === "/api/cookie/status" && method === "GET") {
-    return handleCookieStatus();
-  }
-
-  // POST /api/cookie/qr/generate - 生成登录二维码
-  if (path === "/api/cookie/qr/generate" && method === "POST") {
-    return handleQRGenerate();
-  }
-
-  // POST /api/cookie/qr/check - 检查二维码扫描状态
-  if (path === "/api/cookie/qr/check" && method === "POST") {
-    return handleQRCheck(req);
-  }
+  const commentId = parseInt(path.split("/").pop());
+  let urlForComment = findUrlById(commentId);
 
-  // POST /api/cookie/verify - 校验指定Cookie（用于前端实时检测）
-  if (path === "/api/cookie/verify" && method === "POST") {
-    return handleCookieVerify(req);
-  }
-
-  // POST /api/cookie/save - 保存Cookie
-  if (path === "/api/cookie/save" && method === "POST") {
-    return handleCookieSave(req);
+  if (urlForComment) {
+    // 检查弹幕缓存 - 缓存命中时直接返回，不计入限流（预检查不计入缓存命中率，getComment 内的检查才记录）
+    await loadSharedCommentCache(urlForComment);
+    const cachedComments = getCommentCache(urlForComment, false);
+    if (cachedComments !== null) {
+      log("info", `[system] [Rate Limit] Cache hit for URL: ${urlForComment}, skipping rate limit check`);
+      return getComment(path, queryFormat, segmentFlag, clientIp, includeDuration, formatOptions, since);
+    }
   }
 
-  // POST /api/ai/verify - 验证AI连通性
-  if (path === "/api/ai/verify" && method === "POST") {
-    return handleAiVerify(req);
-  }
+  // 缓存未命中，执行限流检查
+  const limited = await checkRouteRateLimit(route, clientIp);
+  if (limited) return limited;
 
-  return jsonResponse({ message: "Not found" }, 404);
+  return getComment(path, queryFormat, segmentFlag, clientIp, includeDuration, formatOptions, since);
 }
 
-function matchIpBlacklistRule(rule, clientIp) {
-  if (!rule || !clientIp || clientIp === 'unknown') return false;
-
-  if (rule.type === 'exact') {
-    return rule.value === clientIp;
-  }
+// POST /api/v2/segmentcomment - 接收segment类的JSON请求体
+async function handleSegmentCommentRoute({ req, url }) {
+  try {
+    const queryFormat = url.searchParams.get('format');
+    // 从请求体获取segment数据
+    const requestBody = await req.json();
+    let segment;
 
-  if (rule.type === 'regex') {
-    return rule.value.test(clientIp);
-  }
+    // 尝试解析JSON
+    try {
+      segment = Segment.fromJson(requestBody);
+    } catch (e) {
+      log("error", "[system] [server] Invalid JSON in request body for segment");
+      return jsonResponse(
+        { errorCode: 400, success: false, errorMessage: "Invalid JSON in request body" },
+        400
+      );
+    }
 
-  if (rule.type === 'cidr') {
-    return isIpInCidr(clientIp, rule.ip, rule.prefix);
+    // 通过URL和平台获取分段弹幕
+    return getSegmentComment(segment, queryFormat, { ...parseAssQueryOptions(url.searchParams), density: url.searchParams.get('density') });
+  } catch (error) {
+    log("error", `[system] [server] Error processing segmentcomment request: ${error.message}`);
+    return jsonResponse(
+      { errorCode: 500, success: false, errorMessage: "Internal server error" },
+      500
+    );
   }
-
-  return false;
 }
 
-function isIpInCidr(ip, cidrIp, prefix) {
-  const isIpv6 = ip.includes(':') || cidrIp.includes(':');
-  if (isIpv6) {
-    const ipBytes = ipv6ToBytes(ip);
-    const cidrBytes = ipv6ToBytes(cidrIp);
-    if (!ipBytes || !cidrBytes || prefix < 0 || prefix > 128) return false;
-    const fullBytes = Math.floor(prefix / 8);
-    const remainingBits = prefix % 8;
-
-    for (let i = 0; i < fullBytes; i++) {
-      if (ipBytes[i] !== cidrBytes[i]) return false;
-    }
-
-    if (remainingBits > 0) {
-      const mask = (0xff << (8 - remainingBits)) & 0xff;
-      return (ipBytes[fullBytes] & mask) === (cidrBytes[fullBytes] & mask);
-    }
+// 按路由声明的限流策略计入一次请求，超出时返回带 Retry-After 的 429 响应
+async function checkRouteRateLimit(route, clientIp) {
+  if (!route.rateLimit) return null;
+  const result = await consumeRateLimit(route.rateLimit, clientIp);
+  if (result.allowed) return null;
 
-    return true;
-  }
-
-  const ipInt = ipv4ToInt(ip);
-  const cidrInt = ipv4ToInt(cidrIp);
-  if (ipInt === null || cidrInt === null || prefix < 0 || prefix > 32) return false;
-  const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
-  return (ipInt & mask) === (cidrInt & mask);
+  recordRateLimitRejection(route.id);
+  const response = jsonResponse(
+    { errorCode: 429, success: false, errorMessage: "Too many requests, please try again later" },
+    429
+  );
+  response.headers.set('Retry-After', String(result.retryAfter));
+  return response;
 }
 
-function ipv4ToInt(ip) {
-  const parts = ip.split('.');
-  if (parts.length !== 4) return null;
-  const nums = parts.map(part => Number(part));
-  if (nums.some(num => Number.isNaN(num) || num < 0 || num > 255)) return null;
-  return ((nums[0] << 24) >>> 0) + (nums[1] << 16) + (nums[2] << 8) + nums[3];
+// 处理函数执行前先检查限流；弹幕接口需在缓存未命中后才计入，由 handleCommentRoute 自行检查
+function withRateLimit(handler) {
+  return async (args) => (await checkRouteRateLimit(args.route, args.clientIp)) || handler(args);
 }
 
-function ipv6ToBytes(ip) {
-  if (!ip || typeof ip !== 'string' || !ip.includes(':')) return null;
-  const normalized = ip.trim();
-  const segments = normalized.split('::');
-  if (segments.length > 2) return null;
-
-  let leftParts = segments[0] ? segments[0].split(':').filter(Boolean) : [];
-  let rightParts = segments[1] ? segments[1].split(':').filter(Boolean) : [];
-
-  const expandIpv4Part = (parts) => {
-    if (parts.length === 0) return parts;
-    const last = parts[parts.length - 1];
-    if (!last.includes('.')) return parts;
-    const ipv4Int = ipv4ToInt(last);
-    if (ipv4Int === null) return null;
-    const high = ((ipv4Int >>> 16) & 0xffff).toString(16);
-    const low = (ipv4Int & 0xffff).toString(16);
-    return [...parts.slice(0, -1), high, low];
-  };
-
-  leftParts = expandIpv4Part(leftParts);
-  rightParts = expandIpv4Part(rightParts);
-  if (!leftParts || !rightParts) return null;
-
-  if (segments.length === 1) {
-    if (leftParts.length !== 8) return null;
-  } else {
-    const totalParts = leftParts.length + rightParts.length;
-    if (totalParts > 8) return null;
-    const missing = 8 - totalParts;
-    rightParts = new Array(missing).fill('0').concat(rightParts);
-  }
-
-  const parts = leftParts.concat(rightParts);
-  if (parts.length !== 8) return null;
-
-  const bytes = [];
-  for (const part of parts) {
-    if (!/^[0-9a-fA-F]{1,4}$/.test(part)) return null;
-    const value = parseInt(part, 16);
-    bytes.push((value >> 8) & 0xff, value & 0xff);
-  }
-
-  return bytes;
-}
+// 路由处理函数，键为 configs/routes.js 中的路由 id
+const routeHandlers = {
+  ui: () => handleUI(),
+  // 带 fileHash 的匹配之后的搜索标记为手动改选上下文，随后请求的其他剧集才会覆盖文件哈希记录
+  searchAnime: withRateLimit(({ url, clientIp }) => {
+    markPendingFileHashSearched(clientIp);
+    return searchAnime(url);
+  }),
+  searchEpisodes: withRateLimit(({ url, clientIp }) => {
+    markPendingFileHashSearched(clientIp);
+    return searchEpisodes(url);
+  }),
+  matchAnime: withRateLimit(({ url, req, clientIp }) => matchAnime(url, req, clientIp)),
+  matchAnimeBatch: withRateLimit(({ url, req }) => matchAnimeBatch(url, req)),
+  getBangumi: ({ path }) => getBangumi(path),
+  getComment: handleCommentRoute,
+  getCommentByUrl: handleCommentRoute,
+  getExtComment: handleCommentRoute,
+  getSegmentComment: withRateLimit(handleSegmentCommentRoute),
+  fongmiDanmaku: ({ url, req }) => getFongmiDanmaku(url, req),
+  danmaku: ({ url, req }) => getFongmiDanmaku(url, req),
+  favoriteAdd: ({ req, url }) => handleFavoriteAdd(req, url),
+  favoriteRefresh: ({ req, url }) => handleFavoriteRefresh(req, url),
+  favoriteSchedule: ({ req }) => handleFavoriteSchedule(req),
+  favoriteRemove: ({ req }) => handleFavoriteRemove(req),
+  favoriteWebhookLog: () => handleFavoriteWebhookLog(),
+  favoriteList: () => handleFavoriteList(),
+  config: () => handleConfig(!globals.currentApiKey || apiKeyHasScope(globals.currentApiKey, 'admin')), // 无 admin 权限的 API 密钥只返回有限信息
+  openapi: ({ url }) => handleOpenApiSpec(url),
+  metrics: () => handleMetrics(),
+  reqRecords: () => handleReqRecords(),
+  logs: ({ url }) => handleLogs(url),
+  logsClear: () => handleClearLogs(),
+  envSet: ({ req }) => handleSetEnv(req),
+  envAdd: ({ req }) => handleAddEnv(req),
+  envDel: ({ req }) => handleDelEnv(req),
+  deploy: () => handleDeploy(),
+  cacheAnimes: () => handleCacheAnimes(),
+  cacheClear: ({ req }) => handleClearCache(req),
+  aiVerify: ({ req }) => handleAiVerify(req),
+  aiModeration: () => handleAiModeration(),
+  sourceHealth: () => handleSourceHealth(),
+  sourceHealthReset: ({ req }) => handleResetSourceHealth(req),
+  localImport: ({ req }) => handleLocalDanmuImport(req),
+  localList: () => handleLocalDanmuList(),
+  localRemove: ({ req }) => handleLocalDanmuRemove(req),
+  rulesList: ({ url }) => handleRulesList(url),
+  rulesSave: ({ req }) => handleRuleSave(req),
+  rulesRemove: ({ req }) => handleRuleRemove(req),
+  rulesImport: ({ req }) => handleRulesImport(req),
+  rulesReset: ({ req }) => handleRulesReset(req),
+  rulesSuggestions: () => handleRuleSuggestions(),
+  rulesSuggestionPromote: ({ req }) => handleRuleSuggestionPromote(req),
+  rulesSuggestionDismiss: ({ req }) => handleRuleSuggestionDismiss(req),
+  fileHashExport: () => handleFileHashExport(),
+  fileHashImport: ({ req }) => handleFileHashImport(req),
+  cookieStatus: () => handleCookieStatus(),
+  cookieQrGenerate: () => handleQRGenerate(),
+  cookieQrCheck: ({ req }) => handleQRCheck(req),
+  cookieVerify: ({ req }) => handleCookieVerify(req),
+  cookieSave: ({ req }) => handleCookieSave(req),
+  forwardTrace: ({ req }) => handleForwardTrace(req),
+  mergeTrace: ({ url }) => handleMergeTrace(url)
+};
 
 function isRunningOnVercel() {
   if (typeof process === 'undefined' || !process.env) {
@@ -741,6 +619,27 @@ function detectDeployPlatform(env) {
   return isRunningOnVercel() ? "vercel" : "cloudflare";
 }
 
+// Cloudflare Cron Trigger：预取收藏刷新时发现新集的弹幕。收藏与预取状态需通过 Upstash Redis 跨实例保存
+async function runScheduledPrefetch(env, ctx) {
+  return runWithRequestId(createRequestId(), async () => {
+    globals = Globals.init(env);
+    globals.deployPlatform = detectDeployPlatform(env);
+    if (!(globals.favoritePrefetchEpisodes > 0)) return;
+
+    await judgeRedisValid('/cron/favorite-prefetch');
+    if (!globals.redisValid) {
+      log("warn", "[system] [cron] FAVORITE_PREFETCH_EPISODES is set but Upstash Redis is not configured, skipping favorite prefetch");
+      return;
+    }
+    await getRedisCaches();
+    await getFavoriteCachesFromRedis();
+
+    const results = await runFavoritePrefetchJob();
+    log("info", `[system] [cron] Favorite prefetch finished for ${results.length} favorites`);
+    extendSharedCacheWriteLifecycle(ctx);
+  });
+}
+
 // --- Cloudflare Workers 入口 ---
 export default {
   async fetch(request, env, ctx) {
@@ -748,10 +647,19 @@ export default {
     const clientIp = request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || 'unknown';
 
     const response = await handleRequest(request, env, detectDeployPlatform(env), clientIp);
-    // 边缘运行时在响应返回后延长生命周期，容纳可能在途的 Bangumi Data 后台静默下载
+    // 边缘运行时在响应返回后延长生命周期，容纳可能在途的 Bangumi Data 后台静默下载、弹幕缓存后台刷新、AI 弹幕审核后台判定与 Redis 共享缓存写入
     extendBangumiDownloadLifecycle(ctx);
+    extendCommentRefreshLifecycle(ctx);
+    extendAiModerationLifecycle(ctx);
+    extendSharedCacheWriteLifecycle(ctx);
     return response;
   },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledPrefetch(env, ctx).catch(error => {
+      log("error", `[system] [cron] Favorite prefetch failed: ${error.message}`);
+    }));
+  },
 };
 
 // --- Vercel 入口 ---
@@ -7,7 +7,7 @@ import assert from 'node:assert';
 import { handleRequest } from './worker.js';
 import { extractTitleSeasonEpisode, getBangumi, getComment, getCommentByUrl, matchAnime, searchAnime, buildSearchAnimeUrl } from "./apis/dandan-api.js";
 import { stripLinkOffset, applyOffset } from "./utils/offset-util.js";
-import { handleFavoriteRefresh } from './apis/favorite-api.js';
+import { handleFavoriteRefresh, runFavoritePrefetchJob } from './apis/favorite-api.js';
 import { handleClearCache } from './apis/system-api.js';
 import { getRedisCaches, getRedisKey, pingRedis, setRedisKey, setRedisKeyWithExpiry, updateRedisCaches } from "./utils/redis-util.js";
 import { getLocalRedisKey, setLocalRedisKey, setLocalRedisKeyWithExpiry } from "./utils/local-redis-util.js";
@@ -15,6 +15,7 @@ import { getImdbepisodes } from "./utils/imdb-util.js";
 import { getTMDBChineseTitle, getTmdbJpDetail, searchTmdbTitles } from "./utils/tmdb-util.js";
 import { getDoubanDetail, getDoubanInfoByImdbId, searchDoubanTitles } from "./utils/douban-util.js";
 import AIClient from './utils/ai-util.js';
+import { extendAiModerationLifecycle, moderateDanmus } from './utils/ai-moderation-util.js';
 import RenrenSource from "./sources/renren.js";
 import HanjutvSource from "./sources/hanjutv.js";
 import BahamutSource from "./sources/bahamut.js";
@@ -40,15 +41,33 @@ import { EdgeoneHandler } from "./configs/handlers/edgeone-handler.js";
 import { HuggingfaceHandler } from "./configs/handlers/huggingface-handler.js";
 import { HandlerFactory } from "./configs/handlers/handler-factory.js";
 import { Globals } from "./configs/globals.js";
-import { addAnime, addEpisode, getSearchCache, hasSeasonSpecificPreference, isSearchCacheValid, setSearchCache } from "./utils/cache-util.js";
-import { addFavorite, listFavorites, loadFavorites, removeFavorite, resolveFavoriteForKeyword, saveFavorites } from './utils/favorite-util.js';
+import { addAnime, addEpisode, extendCommentRefreshLifecycle, getCommentCache, getSearchCache, getStoredCommentCache, hasSeasonSpecificPreference, isSearchCacheValid, loadSharedCommentCache, loadSharedSearchCache, setCommentCache, setSearchCache } from "./utils/cache-util.js";
+import { extendSharedCacheWriteLifecycle } from './utils/shared-cache-util.js';
+import { closeSqliteDatabase, getSqliteCaches, judgeSqliteValid, updateSqliteCaches } from "./utils/sqlite-util.js";
+import { addFavorite, listFavorites, loadFavorites, refreshFavorite, removeFavorite, resolveFavoriteForKeyword, saveFavorites } from './utils/favorite-util.js';
+import { createFavoriteSchedule, runDueFavoriteSchedules } from './utils/favorite-schedule-util.js';
+import { runFavoritePrefetch } from './utils/favorite-prefetch-util.js';
+import { recordRuleSuggestionEvidence } from './utils/rule-suggestion-util.js';
+import { flushFavoriteWebhookQueue, resetFavoriteWebhookQueue } from './utils/favorite-webhook-util.js';
+import { applyMergeLogic, isTracingMergeDecisions, traceMergeDecisions } from './utils/merge-util.js';
 import { candidateMatchesMappingQualifiers, candidateMatchesMappingTitle, parseAutoMatchMappingRules, resolveAutoMatchMapping } from './utils/auto-match-mapping-util.js';
 import { HTML_TEMPLATE } from './ui/template.js';
+import { Envs } from './configs/envs.js';
+import BaseSource from './sources/base.js';
+import { registerSource, unregisterSource, getSource, getSourceDefinition, findSourceDefinitionByUrl, getDefaultSourceOrder, getSourceAliases } from './sources/index.js';
+import { httpGet, toLogSourceName } from './utils/http-util.js';
+import { resetMetrics } from './utils/metrics-util.js';
+import { consumeApiKeyRequest } from './utils/api-key-util.js';
+import { consumeRateLimit, getRateLimitPolicy } from './utils/rate-limit-util.js';
+import { log, runWithLogSource, runWithRequestId } from './utils/log-util.js';
+import { isSourceCircuitOpen, noteSourceHttpResult, trackSourceCall, getSourceHealthSnapshot, resetSourceHealth } from './utils/source-health-util.js';
 import { apitestJsContent } from './ui/js/apitest.js';
 import { systemSettingsJsContent } from './ui/js/systemsettings.js';
 import { previewJsContent } from './ui/js/preview.js';
 import { convertToAsciiSum } from "./utils/codec-util.js";
-import { convertToDanmakuJson, handleDanmusLike, splitBlockedWords, parseBlockedWord } from "./utils/danmu-util.js";
+import { convertToDanmakuJson, filterDanmuQuality, formatDanmuResponse, handleDanmusLike, splitBlockedWords, parseBlockedWord } from "./utils/danmu-util.js";
+import { convertDanmuToAss } from "./utils/ass-util.js";
+import { detectLocalDanmuFormat, finalizeLocalDanmuComments, parseAssDanmu } from "./utils/local-danmu-util.js";
 import { Segment, SegmentListResponse } from "./models/dandan-model.js"
 import { initBangumiData, searchBangumiData, clearBangumiDataCache, dedupeBangumiSearchResults } from "./utils/bangumi-data-util.js";
 import { generateNipaplaySignature, parseNipaplayRelatedLinks, resolveNipaplayLink, applyShiftToDanmu } from "./utils/nipaplay-util.js";
@@ -191,6 +210,290 @@ test('worker.js API endpoints', async (t) => {
     assert.equal(res.status, 200);
   });
 
+  await t.test('route table drives dispatch, api test forms and /api/openapi.json', async () => {
+    const env = { TOKEN: 'route-token', ADMIN_TOKEN: 'route-admin-token' };
+    const get = path => handleRequest(new Request(`http://localhost${path}`), env, 'cloudflare', '127.0.0.1', {});
+
+    const res = await get('/route-token/api/openapi.json');
+    assert.equal(res.status, 200);
+    const spec = await res.json();
+    assert.equal(spec.openapi, '3.0.3');
+    assert.equal(spec.servers[0].url, 'http://localhost/{token}');
+    assert.equal(spec.servers[0].variables.token.default, 'TOKEN');
+    assert.equal(spec.paths['/api/v2/search/anime'].get.operationId, 'searchAnime');
+    assert.deepEqual(spec.paths['/api/v2/bangumi/{animeId}'].get.parameters.map(param => [param.name, param.in, param.required]), [['animeId', 'path', true]]);
+    assert.equal(spec.paths['/api/v2/match'].post.requestBody.content['application/json'].schema.required[0], 'fileName');
+    assert.equal(spec.paths['/api/sources/health'].get['x-auth'], 'admin');
+    assert.equal(spec.paths['/api/v2/favorite/list'].get['x-auth'], 'public');
+    assert.equal(spec.paths['/api/v2/fongmi/danmaku'].post.operationId, 'fongmiDanmakuPost');
+    assert.equal(spec.paths['/'], undefined);
+    assert.equal(spec.paths['/api/favorite/list'], undefined);
+    assert.ok(spec.components.schemas.CommentResponse);
+    assert.doesNotMatch(JSON.stringify(spec), /"(label|placeholder)"/);
+    assert.doesNotMatch(JSON.stringify(spec), /route-token/);
+
+    // 未登记的路径、不支持的方法返回 404；admin 接口仅允许 ADMIN_TOKEN
+    assert.equal((await get('/route-token/api/unknown')).status, 404);
+    assert.equal((await get('/route-token/api/v2/match')).status, 404);
+    assert.equal((await get('/route-token/api/sources/health')).status, 403);
+    assert.equal((await get('/route-admin-token/api/sources/health')).status, 200);
+    assert.equal((await get('/api/favorite/list')).status, 200);
+    assert.equal((await get('/api/openapi.json')).status, 401);
+
+    assert.match(HTML_TEMPLATE, /<option value="getBangumi">获取番剧详情 - \/api\/v2\/bangumi\/:animeId<\/option>/);
+    assert.match(apitestJsContent, /"getSegmentComment": \{[\s\S]*?"bodyType": "json"/);
+    assert.doesNotThrow(() => new Function(apitestJsContent));
+  });
+
+  await t.test('request validation rejects malformed params and bodies with field-level 400 errors', async () => {
+    const env = {};
+    const send = (path, init) => handleRequest(new Request(`http://localhost${path}`, init), env, 'node', '127.0.0.1', {});
+    const post = (path, body) => send(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const badQuery = await send('/api/v2/comment/10001?format=pdf&chConvert=5&fontsize=abc&since=-1');
+    assert.equal(badQuery.status, 400);
+    const badQueryBody = await badQuery.json();
+    assert.equal(badQueryBody.errorCode, 400);
+    assert.equal(badQueryBody.success, false);
+    assert.deepEqual(badQueryBody.errors.map(error => [error.field, error.in]), [
+      ['format', 'query'], ['since', 'query'], ['fontsize', 'query'], ['chConvert', 'query']
+    ]);
+    assert.match(badQueryBody.errorMessage, /chConvert must be one of: 0, 1, 2/);
+
+    const badId = await (await send('/api/v2/comment/abc')).json();
+    assert.deepEqual(badId.errors, [{ field: 'commentId', in: 'path', message: 'commentId must be an integer' }]);
+
+    const missingBody = await (await post('/api/v2/match', '')).json();
+    assert.equal(missingBody.errorMessage, 'Invalid request: body is required');
+    const brokenJson = await (await post('/api/v2/match', '{"fileName":')).json();
+    assert.equal(brokenJson.errorMessage, 'Invalid request: body must be valid JSON');
+    const wrongType = await (await post('/api/v2/match', { fileName: 123 })).json();
+    assert.deepEqual(wrongType.errors, [{ field: 'fileName', in: 'body', message: 'fileName must be a string' }]);
+
+    const segment = await (await post('/api/v2/segmentcomment', { type: 'qq', segment_start: '0', url: 'https://v.qq.com/x' })).json();
+    assert.deepEqual(segment.errors.map(error => error.field), ['segment_end', 'segment_start']);
+
+    const schedule = await post('/api/v2/favorite/schedule', { keyword: '火影忍者', schedule: { frequency: 'monthly', time: '25:00', weekday: 8 } });
+    assert.equal(schedule.status, 400);
+    assert.deepEqual((await schedule.json()).errors.map(error => error.field), ['schedule.frequency', 'schedule.time', 'schedule.weekday']);
+
+    // 合法请求不受影响：大小写不敏感的枚举、空的非字符串参数、null 关闭定时刷新、表单 FongMi 请求
+    assert.notEqual((await send('/api/v2/comment/999999?format=XML&chConvert=1&withRelated=true&since=')).status, 400);
+    assert.notEqual((await post('/api/v2/favorite/schedule', { keyword: '不存在的收藏', schedule: null })).status, 400);
+    assert.notEqual((await send('/api/v2/search/anime?keyword=')).status, 400);
+    assert.equal((await send('/api/v2/search/anime')).status, 400);
+    const form = await send('/api/v2/fongmi/danmaku', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'name='
+    });
+    assert.equal(form.status, 200);
+  });
+
+  await t.test('structured logs carry request ids and can be filtered in /api/logs', async () => {
+    const env = {};
+    const get = (path, headers = {}) => handleRequest(new Request(`http://localhost${path}`, { headers }), env, 'cloudflare', '127.0.0.1', {});
+    Globals.init(env);
+    Globals.logBuffer = [];
+
+    // 并发请求的日志各自携带请求 ID，源调用内的日志保留请求 ID 并标注来源
+    await Promise.all(['a', 'b'].map(id => runWithRequestId(`req-${id}`, async () => {
+      log('info', `[system] [server] start ${id}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await runWithLogSource('tencent', async () => log('info', `fetch ${id}`));
+    })));
+    const byRequest = id => Globals.logBuffer.filter(record => record.requestId === id).map(record => [record.source, record.message]);
+    assert.deepEqual(byRequest('req-a'), [['system', '[system] [server] start a'], ['tencent', 'fetch a']]);
+    assert.deepEqual(byRequest('req-b'), [['system', '[system] [server] start b'], ['tencent', 'fetch b']]);
+
+    const res = await get('/api/config', { 'X-Request-Id': 'client-trace.1' });
+    assert.equal(res.headers.get('X-Request-Id'), 'client-trace.1');
+    const generated = await get('/api/config', { 'X-Request-Id': 'bad id<script>' });
+    assert.match(generated.headers.get('X-Request-Id'), /^[0-9a-f]{12}$/);
+
+    const logs = await (await get('/api/logs?format=json&requestId=client-trace.1')).json();
+    assert.ok(logs.logs.length > 1);
+    assert.ok(logs.logs.every(record => record.requestId === 'client-trace.1'));
+    const completed = logs.logs.find(record => record.durationMs !== undefined);
+    assert.equal(completed.status, 200);
+    assert.match(completed.message, /GET \/api\/config completed with 200/);
+    // 普通 token 查看日志时仍隐藏客户端 IP
+    assert.ok(logs.logs.some(record => /client ip: \*+\.\*+\.\*+\.\*+/.test(record.message)));
+
+    const text = await (await get('/api/logs?requestId=req-b')).text();
+    assert.deepEqual(text.split('\n').map(line => line.replace(/^\[[^\]]+\] /, '')), ['info: [system] [server] start b', 'info: fetch b']);
+    assert.equal((await get('/api/logs?format=yaml')).status, 400);
+  });
+
+  await t.test('/metrics exposes request, upstream, cache and rate limit metrics in Prometheus format', async () => {
+    const env = { COMMENT_CACHE_MIN_COUNT: '0' };
+    const get = path => handleRequest(new Request(`http://localhost${path}`), env, 'cloudflare', '10.0.0.9', {});
+    const globals = Globals.init(env);
+    resetMetrics();
+
+    await get('/api/config');
+    await get('/api/config');
+    await get('/api/v2/nope/missing');
+
+    await withMockFetch(async url => {
+      if (url.includes('fail')) throw new Error('connect ECONNREFUSED');
+      return mockJsonResponse({ ok: true }, url);
+    }, async () => {
+      await runWithLogSource('tencent', async () => {
+        await httpGet('https://example.com/ok');
+        await assert.rejects(httpGet('https://example.com/fail'));
+      });
+    });
+
+    setCommentCache('https://example.com/metrics-video', [{ p: '1,1,25,16777215', m: 'hi', cid: 1 }]);
+    // 限流前的缓存预检查与 getCommentByUrl 内的检查合计只记录一次命中
+    assert.equal((await get('/api/v2/comment?url=https://example.com/metrics-video')).status, 200);
+    getSearchCache('metrics-missing-keyword');
+
+    // 该 IP 最近 1 分钟已达到限流上限，未命中缓存的弹幕请求被拒绝
+    globals.requestHistory.set('comment:10.0.0.9', [Date.now(), Date.now(), Date.now()]);
+    const limited = await get('/api/v2/comment?url=https://example.com/metrics-uncached');
+    assert.equal(limited.status, 429);
+    globals.requestHistory.delete('comment:10.0.0.9');
+
+    const res = await get('/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('Content-Type'), /^text\/plain; version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /# TYPE danmu_api_requests_total counter/);
+    assert.match(text, /danmu_api_requests_total\{route="config",method="GET",status="200"\} 2/);
+    assert.match(text, /danmu_api_requests_total\{route="unmatched",method="GET",status="404"\} 1/);
+    assert.match(text, /danmu_api_request_duration_seconds_count\{route="config"\} 2/);
+    assert.match(text, /danmu_api_request_duration_seconds_bucket\{route="config",le="\+Inf"\} 2/);
+    assert.match(text, /danmu_api_upstream_requests_total\{source="tencent",method="GET",result="success"\} 1/);
+    assert.match(text, /danmu_api_upstream_requests_total\{source="tencent",method="GET",result="error"\} 1/);
+    assert.match(text, /danmu_api_upstream_errors_total\{source="tencent",method="GET"\} 1/);
+    assert.match(text, /danmu_api_cache_requests_total\{cache="comment",result="hit"\} 1/);
+    assert.match(text, /danmu_api_cache_requests_total\{cache="search",result="miss"\} 1/);
+    assert.match(text, /danmu_api_rate_limit_rejections_total\{route="getCommentByUrl"\} 1/);
+    assert.match(text, /danmu_api_cache_entries\{cache="comment"\} \d+/);
+    // 本次抓取在输出之后才计入
+    assert.doesNotMatch(text, /route="metrics"/);
+  });
+
+  await t.test('API_KEYS grant per-key scopes, rate limits and daily quotas', async () => {
+    const env = {
+      TOKEN: 'owner-token',
+      ADMIN_TOKEN: 'admin-token',
+      API_KEYS: 'friend:friendKey01:read:2:3;helper:helperKey01:read,favorite:0:0\nops:opsKey0001:admin:0:0;bad:short:read;typo:typoKey001:write'
+    };
+    const request = (path, options = {}) => handleRequest(new Request(`http://localhost${path}`, options), env, 'cloudflare', '127.0.0.1', {});
+    const globals = Globals.init(env);
+    globals.apiKeyUsage = {};
+    globals.apiKeyRequestHistory.clear();
+
+    // 格式错误或权限未知的密钥被跳过，密钥值不出现在配置预览中
+    assert.deepEqual(globals.apiKeys.map(apiKey => [apiKey.name, apiKey.scopes]), [['friend', ['read']], ['helper', ['read', 'favorite']], ['ops', ['admin']]]);
+    assert.match(globals.accessedEnvVars.API_KEYS, /^\*+$/);
+
+    assert.equal((await request('/notAKey123/api/openapi.json')).status, 401);
+
+    const spec = await (await request('/friendKey01/api/openapi.json')).json();
+    assert.equal(spec.paths['/api/v2/search/anime'].get['x-scope'], 'read');
+    assert.equal(spec.paths['/api/v2/favorite/add'].post['x-scope'], 'favorite');
+    assert.equal(spec.paths['/api/v2/favorite/list'].get['x-scope'], undefined);
+
+    // 缺少权限时返回 403，不计入用量
+    const denied = await request('/friendKey01/api/logs');
+    assert.equal(denied.status, 403);
+    assert.match((await denied.json()).errorMessage, /API key "friend" requires admin scope/);
+    const favoriteDenied = await request('/friendKey01/api/v2/favorite/remove', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ keyword: 'x' })
+    });
+    assert.equal(favoriteDenied.status, 403);
+    const favoriteAllowed = await request('/helperKey01/api/v2/favorite/remove', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ keyword: 'not-a-favorite' })
+    });
+    assert.notEqual(favoriteAllowed.status, 403);
+
+    // admin 权限的密钥与 ADMIN_TOKEN 同等：可以访问管理接口，配置、日志与请求记录不脱敏
+    assert.equal((await request('/opsKey0001/api/sources/health')).status, 200);
+    const opsConfig = await (await request('/opsKey0001/api/config')).json();
+    assert.equal(opsConfig.originalEnvVars.API_KEYS, env.API_KEYS);
+    const friendConfig = await (await request('/friendKey01/api/config')).json();
+    assert.match(friendConfig.originalEnvVars.ADMIN_TOKEN, /^\*+$/);
+    assert.match(await (await request('/opsKey0001/api/logs')).text(), /client ip: 127\.0\.0\.1/);
+    const opsRecords = await (await request('/opsKey0001/api/reqrecords')).json();
+    assert.ok(opsRecords.records.some(record => record.clientIp === '127.0.0.1'));
+    const tokenRecords = await (await request('/owner-token/api/reqrecords')).json();
+    assert.ok(tokenRecords.records.length > 0 && tokenRecords.records.every(record => record.clientIp !== '127.0.0.1'));
+    // 非管理员看不到 API 密钥的名称、权限与用量
+    assert.equal(tokenRecords.apiKeys, undefined);
+    assert.ok(Array.isArray(opsRecords.apiKeys));
+
+    // 每分钟请求上限 2：第 3 次被拒绝
+    assert.equal((await request('/friendKey01/api/openapi.json')).status, 200);
+    const limited = await request('/friendKey01/api/openapi.json');
+    assert.equal(limited.status, 429);
+    assert.match((await limited.json()).errorMessage, /rate limit/);
+
+    // 每日配额 3：1 分钟后再请求一次用完配额，之后被拒绝
+    const friend = globals.apiKeys[0];
+    const later = Date.now() + 61 * 1000;
+    assert.equal(consumeApiKeyRequest(friend, later).allowed, true);
+    const overQuota = consumeApiKeyRequest(friend, later + 61 * 1000);
+    assert.deepEqual(overQuota, { allowed: false, errorMessage: 'API key daily quota exceeded' });
+
+    const records = await (await request('/admin-token/api/reqrecords')).json();
+    const friendUsage = records.apiKeys.find(apiKey => apiKey.name === 'friend');
+    assert.equal(friendUsage.todayCount, 3);
+    assert.equal(friendUsage.remainingToday, 0);
+    assert.equal(friendUsage.rejectedCount, 2);
+    assert.equal(friendUsage.key, undefined);
+    assert.ok(!JSON.stringify(records.apiKeys).includes('friendKey01'));
+  });
+
+  await t.test('RATE_LIMIT_POLICIES limit search and match per IP with Retry-After and allowlist', async () => {
+    const env = {
+      RATE_LIMIT_POLICIES: 'search:sliding-window:2/60;match:token-bucket:2/60;comment:sliding-window:0/60;unknown:sliding-window:1/60;segmentcomment:leaky:1/60',
+      RATE_LIMIT_ALLOWLIST: '10.8.0.0/16'
+    };
+    const globals = Globals.init(env);
+    globals.requestHistory = new Map();
+
+    // 未知策略名或算法被跳过；comment 次数为 0 时覆盖 RATE_LIMIT_MAX_REQUESTS，不再限流
+    assert.deepEqual(Object.keys(globals.rateLimitPolicies), ['search', 'match', 'comment']);
+    assert.equal(getRateLimitPolicy('comment'), null);
+    assert.equal(getRateLimitPolicy('segmentcomment'), null);
+
+    // 滑动窗口：60 秒内 2 次，最早的请求滑出窗口后放行，各 IP 独立计数
+    const now = Date.now();
+    assert.equal((await consumeRateLimit('search', '10.0.0.1', now)).allowed, true);
+    assert.equal((await consumeRateLimit('search', '10.0.0.1', now + 1000)).allowed, true);
+    assert.deepEqual(await consumeRateLimit('search', '10.0.0.1', now + 2000), { allowed: false, policy: globals.rateLimitPolicies.search, retryAfter: 58 });
+    assert.equal((await consumeRateLimit('search', '10.0.0.2', now + 2000)).allowed, true);
+    assert.equal((await consumeRateLimit('search', '10.0.0.1', now + 60 * 1000)).allowed, true);
+
+    // 令牌桶：2 个令牌用完后每 30 秒补充 1 个
+    assert.equal((await consumeRateLimit('match', '10.0.0.1', now)).allowed, true);
+    assert.equal((await consumeRateLimit('match', '10.0.0.1', now)).allowed, true);
+    assert.equal((await consumeRateLimit('match', '10.0.0.1', now)).retryAfter, 30);
+    assert.equal((await consumeRateLimit('match', '10.0.0.1', now + 31 * 1000)).allowed, true);
+
+    // 白名单内的 IP 不受限制
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await consumeRateLimit('search', '10.8.3.4', now)).allowed, true);
+    }
+
+    // 超出限制的请求在访问上游前返回 429 与 Retry-After
+    globals.requestHistory.set('search:10.0.0.3', [Date.now(), Date.now()]);
+    const limited = await handleRequest(new Request('http://localhost/api/v2/search/anime?keyword=test'), env, 'cloudflare', '10.0.0.3', {});
+    assert.equal(limited.status, 429);
+    const retryAfter = Number(limited.headers.get('Retry-After'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal((await limited.json()).errorCode, 429);
+    globals.requestHistory = new Map();
+  });
+
   await t.test('HandlerFactory should support Hugging Face Spaces', async () => {
     const handler = await HandlerFactory.getHandler('huggingface');
 
@@ -257,6 +560,302 @@ test('worker.js API endpoints', async (t) => {
     assert.equal(seenRedirectMode, 'manual');
   });
 
+  await t.test('source registry should derive source options, aliases and url dispatch from source meta', async () => {
+    assert.deepEqual(getDefaultSourceOrder(), ['douban', '360', 'renren', 'hanjutv']);
+    assert.ok(Envs.ALLOWED_SOURCES.includes('imgo'));
+    assert.ok(!Envs.ALLOWED_SOURCES.includes('other'));
+    assert.ok(Envs.ALLOWED_PLATFORMS.includes('bilibili1'));
+    assert.ok(!Envs.MERGE_ALLOWED_SOURCES.includes('custom'));
+    assert.ok(!Envs.VOD_ALLOWED_PLATFORMS.includes('renren'));
+    assert.equal(getSourceAliases().tencent, 'qq');
+    assert.equal(toLogSourceName('360'), '360kan');
+    assert.equal(toLogSourceName('imgo'), 'mango');
+
+    assert.equal(findSourceDefinitionByUrl('https://v.qq.com/x/cover/abc/def.html').key, 'tencent');
+    assert.equal(findSourceDefinitionByUrl('https://b23.tv/BV1GJ411x7h7').key, 'bilibili');
+    assert.equal(findSourceDefinitionByUrl('https://bgm.tv/ep/12345').key, 'animeko');
+    assert.equal(findSourceDefinitionByUrl('https://example.com/video/1'), null);
+    assert.equal(getSource('animeko').extractCommentId('https://bgm.tv/ep/12345@3'), '12345');
+    assert.equal(getSource('bahamut').extractCommentId('https://ani.gamer.com.tw/animeVideo.php?sn=50709'), '50709');
+    assert.strictEqual(getSource('tmdb').doubanSource, getSource('douban'));
+
+    // 自研源只需声明 meta 并注册即可进入各配置可选项与链接调度
+    class InhouseSource extends BaseSource {
+      static meta = {
+        key: 'inhouse',
+        platform: 'inhouse1',
+        urlPatterns: [/\.inhouse\.example/],
+        capabilities: { segments: true, merge: true },
+      };
+    }
+    registerSource(InhouseSource);
+    try {
+      assert.throws(() => registerSource(InhouseSource), /already registered/);
+      assert.ok(Envs.ALLOWED_SOURCES.includes('inhouse'));
+      assert.ok(Envs.ALLOWED_PLATFORMS.includes('inhouse1'));
+      assert.ok(Envs.MERGE_ALLOWED_SOURCES.includes('inhouse'));
+      assert.equal(getSourceAliases().inhouse, 'inhouse1');
+      assert.equal(findSourceDefinitionByUrl('https://v.inhouse.example/play/1').key, 'inhouse');
+      assert.ok(getSource('inhouse') instanceof InhouseSource);
+
+      Globals.init({ SOURCE_ORDER: 'inhouse,douban,unknown', MERGE_SOURCE_PAIRS: 'inhouse&bilibili' });
+      assert.deepEqual(Globals.envs.sourceOrderArr, ['inhouse', 'douban']);
+      assert.equal(getSourceDefinition('inhouse').capabilities.cookies, false);
+    } finally {
+      unregisterSource('inhouse');
+      Globals.init({});
+    }
+    assert.ok(!Envs.ALLOWED_SOURCES.includes('inhouse'));
+  });
+
+  await t.test('source circuit breaker should open after consecutive failures and recover via half-open probe', async () => {
+    const env = { TOKEN: '87654321', ADMIN_TOKEN: 'health-admin-token', SOURCE_BREAKER_THRESHOLD: '2', SOURCE_BREAKER_COOLDOWN: '10' };
+    Globals.init(env);
+    resetSourceHealth();
+    try {
+      // 源内部吞掉请求异常返回空结果时，调用期间所有 HTTP 请求失败同样计为失败
+      await trackSourceCall('renren', async () => {
+        noteSourceHttpResult(false, new Error('HTTP error! status: 502'));
+        return [];
+      });
+      assert.equal(isSourceCircuitOpen('renren'), false);
+      await assert.rejects(trackSourceCall('renren', async () => { throw new Error('boom'); }), /boom/);
+      assert.equal(isSourceCircuitOpen('renren'), true);
+
+      let snapshot = getSourceHealthSnapshot().find(item => item.key === 'renren');
+      assert.equal(snapshot.state, 'open');
+      assert.equal(snapshot.consecutiveFailures, 2);
+      assert.equal(snapshot.failureRate, 1);
+      assert.equal(snapshot.lastError, 'boom');
+
+      // 冷却结束后进入半开状态，仅放行一个探测调用
+      Globals.sourceHealth.get('renren').openUntil = Date.now() - 1;
+      assert.equal(isSourceCircuitOpen('renren'), false);
+      let releaseProbe;
+      let checkedInsideProbe = null;
+      const probe = trackSourceCall('renren', () => new Promise(resolve => {
+        // 探测调用内部（如 executeSourceHandlers）再次检查时不能跳过自身
+        checkedInsideProbe = isSourceCircuitOpen('renren');
+        releaseProbe = resolve;
+      }));
+      assert.equal(checkedInsideProbe, false);
+      assert.equal(isSourceCircuitOpen('renren'), true);
+      noteSourceHttpResult(true); // 不在源调用上下文中的请求不计入统计
+      releaseProbe([]);
+      await probe;
+      assert.equal(isSourceCircuitOpen('renren'), false);
+      snapshot = getSourceHealthSnapshot().find(item => item.key === 'renren');
+      assert.equal(snapshot.state, 'closed');
+      assert.equal(snapshot.consecutiveFailures, 0);
+      assert.equal(snapshot.totalCalls, 3);
+
+      const userResponse = await handleRequest(new Request('http://localhost/87654321/api/sources/health'), env, 'cloudflare', '127.0.0.1', {});
+      assert.equal(userResponse.status, 403);
+
+      const adminResponse = await handleRequest(new Request('http://localhost/health-admin-token/api/sources/health'), env, 'cloudflare', '127.0.0.1', {});
+      assert.equal(adminResponse.status, 200);
+      const body = await parseResponse(adminResponse);
+      assert.equal(body.threshold, 2);
+      assert.ok(body.sources.some(item => item.key === 'renren' && item.totalCalls === 3));
+
+      const resetResponse = await handleRequest(new Request('http://localhost/health-admin-token/api/sources/health/reset', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ source: 'renren' })
+      }), env, 'cloudflare', '127.0.0.1', {});
+      assert.equal(resetResponse.status, 200);
+      assert.equal(Globals.sourceHealth.has('renren'), false);
+    } finally {
+      resetSourceHealth();
+      Globals.init({});
+    }
+  });
+
+  await t.test('merge trace should record checks, alignment offset and episode mapping per primary/secondary pair', async () => {
+    resetFavoriteState({ MERGE_SOURCE_PAIRS: 'tencent&iqiyi', LOG_LEVEL: 'error' });
+    try {
+      const primary = createFavoriteAnime('诊断测试番', 3, 950001);
+      const secondary = { ...createFavoriteAnime('诊断测试番', 3, 950002), source: 'iqiyi' };
+      const sequel = { ...createFavoriteAnime('诊断测试番 第二季', 3, 950003), source: 'iqiyi' };
+      Globals.animes.push(primary, secondary, sequel);
+
+      const curAnimes = [primary, secondary, sequel].map(favoriteSearchResult);
+      const { pairs } = await traceMergeDecisions(() => applyMergeLogic(curAnimes));
+
+      const merged = pairs.find(pair => pair.secondary.animeId === 950002);
+      assert.equal(merged.verdict, 'merged');
+      assert.equal(merged.primary.source, 'tencent');
+      assert.equal(merged.offset, 0);
+      assert.equal(merged.mergedCount, 3);
+      assert.ok(merged.score >= 0.65);
+      assert.ok(merged.checks.some(check => check.name === 'isMergeRatioValid' && check.passed));
+      assert.deepEqual(merged.mapping.map(row => row.status), ['matched', 'matched', 'matched']);
+
+      const vetoed = pairs.find(pair => pair.secondary.animeId === 950003);
+      assert.equal(vetoed.verdict, 'vetoed');
+      assert.ok(vetoed.checks.some(check => !check.passed));
+      assert.ok(vetoed.reason);
+
+      // 追踪上下文之外发起的合并（如并发的常规搜索）即使在追踪期间完成也不记录
+      assert.equal(isTracingMergeDecisions(), false);
+      const untracedMerge = applyMergeLogic([primary, secondary, sequel].map(favoriteSearchResult));
+      const { pairs: emptyPairs } = await traceMergeDecisions(async () => {
+        assert.equal(isTracingMergeDecisions(), true);
+        await untracedMerge;
+      });
+      assert.deepEqual(emptyPairs, []);
+    } finally {
+      Globals.init({});
+    }
+
+    // 追踪接口的强制刷新搜索不写入搜索缓存
+    const originalSearch = TencentSource.prototype.search;
+    const originalHandleAnimes = TencentSource.prototype.handleAnimes;
+    TencentSource.prototype.search = async keyword => [{ keyword }];
+    TencentSource.prototype.handleAnimes = async (_source, _title, results, details) => {
+      const anime = createFavoriteAnime('诊断测试番', 3, 950001);
+      results.push(anime);
+      details.set(String(anime.animeId), anime);
+    };
+    try {
+      const traceEnv = { TOKEN: '87654321', ADMIN_TOKEN: 'merge-admin-token', MERGE_SOURCE_PAIRS: 'tencent&iqiyi', SOURCE_ORDER: 'tencent', LOG_LEVEL: 'error' };
+      Globals.init(traceEnv);
+      Globals.searchCache = new Map();
+      const traced = await parseResponse(await handleRequest(new Request('http://localhost/merge-admin-token/api/debug/merge?keyword=诊断测试番'), traceEnv, 'cloudflare', '127.0.0.1', {}));
+      assert.equal(traced.mergeEnabled, true);
+      assert.deepEqual(traced.animes.map(anime => anime.animeId), [950001]);
+      assert.equal(Globals.searchCache.has('诊断测试番'), false);
+    } finally {
+      TencentSource.prototype.search = originalSearch;
+      TencentSource.prototype.handleAnimes = originalHandleAnimes;
+      Globals.init({});
+    }
+
+    const env = { TOKEN: '87654321', ADMIN_TOKEN: 'merge-admin-token' };
+    const userResponse = await handleRequest(new Request('http://localhost/87654321/api/debug/merge?keyword=test'), env, 'cloudflare', '127.0.0.1', {});
+    assert.equal(userResponse.status, 403);
+    assert.match((await parseResponse(userResponse)).errorMessage, /Debug API requires ADMIN_TOKEN/);
+
+    const missingKeyword = await handleRequest(new Request('http://localhost/merge-admin-token/api/debug/merge'), env, 'cloudflare', '127.0.0.1', {});
+    assert.equal(missingKeyword.status, 400);
+
+    // 未配置合并时不执行搜索
+    const disabled = await parseResponse(await handleRequest(new Request('http://localhost/merge-admin-token/api/debug/merge?keyword=test'), env, 'cloudflare', '127.0.0.1', {}));
+    assert.equal(disabled.mergeEnabled, false);
+    assert.deepEqual(disabled.pairs, []);
+  });
+
+  await t.test('rule store should manage mapping rules with validation, toggles and env import', async () => {
+    const env = { TOKEN: '87654321', ADMIN_TOKEN: 'rules-admin-token', TITLE_MAPPING_TABLE: '唐朝诡事录->唐朝诡事录之西行;国色芳华->锦绣芳华' };
+    const rulesRequest = (path, body) => handleRequest(new Request(`http://localhost/rules-admin-token/api/rules/${path}`, body
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : undefined), env, 'cloudflare', '127.0.0.1', {});
+
+    const userResponse = await handleRequest(new Request('http://localhost/87654321/api/rules/list'), env, 'cloudflare', '127.0.0.1', {});
+    assert.equal(userResponse.status, 403);
+    assert.match((await parseResponse(userResponse)).errorMessage, /Rules API requires ADMIN_TOKEN/);
+
+    // 未接管时列出环境变量中的规则
+    const initial = await parseResponse(await rulesRequest('list?table=TITLE_MAPPING_TABLE'));
+    assert.equal(initial.managed, false);
+    assert.deepEqual(initial.rules.map(rule => rule.id), ['env-1', 'env-2']);
+
+    const invalid = await rulesRequest('save', { table: 'TITLE_MAPPING_TABLE', rule: '没有箭头' });
+    assert.equal(invalid.status, 400);
+    assert.match((await parseResponse(invalid)).errors[0], /缺少 -> 分隔符/);
+
+    try {
+      // 停用环境变量中的规则时自动接管
+      const toggled = await parseResponse(await rulesRequest('save', { table: 'TITLE_MAPPING_TABLE', id: 'env-2', enabled: false }));
+      assert.equal(toggled.managed, true);
+      assert.equal(toggled.effectiveCount, 1);
+      assert.equal(Globals.envs.titleMappingTable.has('国色芳华'), false);
+      assert.equal(Globals.envs.titleMappingTable.get('唐朝诡事录'), '唐朝诡事录之西行');
+
+      const added = await parseResponse(await rulesRequest('save', { table: 'TITLE_MAPPING_TABLE', rule: '唐朝诡事录->唐朝诡事录之长安', note: '第三季' }));
+      assert.equal(added.rule.note, '第三季');
+      assert.match(added.rule.warnings[0], /与第 1 条规则的作用对象相同/);
+
+      const imported = await parseResponse(await rulesRequest('import', { table: 'TITLE_MAPPING_TABLE', text: '藏海传->藏海传;唐朝诡事录->唐朝诡事录之长安' }));
+      assert.equal(imported.added, 1);
+      assert.equal(imported.skipped, 1);
+      assert.match(imported.rules.at(-1).warnings[0], /原始标题与映射标题相同/);
+
+      const removed = await parseResponse(await rulesRequest('remove', { table: 'TITLE_MAPPING_TABLE', id: 'env-1' }));
+      assert.equal(removed.rules.length, 3);
+      assert.equal(Globals.envs.titleMappingTable.get('唐朝诡事录'), '唐朝诡事录之长安');
+
+      const merge = await parseResponse(await rulesRequest('import', {
+        table: 'CUSTOM_MERGE_RULES',
+        text: '我推的孩子/S01@bahamut -> 我推的孩子/S03@dandan | E25~E35>E25~E35,E1>X;天气之子 bilibili -> 天气之子@dandan'
+      }));
+      assert.equal(merge.invalid, 1);
+      assert.ok(merge.rules[0].warnings.some(message => /路由段格式无效，已忽略: E1>X/.test(message)));
+      assert.match(merge.rules[1].errors[0], /副源实体格式无效/);
+      assert.equal(Globals.envs.customMergeRules.length, 1);
+      assert.equal(Globals.envs.customMergeRules[0].routes.length, 1);
+    } finally {
+      await rulesRequest('reset', { table: 'CUSTOM_MERGE_RULES' });
+      const reset = await parseResponse(await rulesRequest('reset', { table: 'TITLE_MAPPING_TABLE' }));
+      assert.equal(reset.managed, false);
+    }
+    assert.equal(Globals.envs.titleMappingTable.get('国色芳华'), '锦绣芳华');
+    assert.deepEqual(Globals.envs.customMergeRules, []);
+  });
+
+  await t.test('rule suggestions should turn repeated manual corrections into promotable rules', async () => {
+    const env = { TOKEN: '87654321', ADMIN_TOKEN: 'rules-admin-token' };
+    const rulesRequest = (path, body) => handleRequest(new Request(`http://localhost/rules-admin-token/api/rules/${path}`, body
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : undefined), env, 'cloudflare', '127.0.0.1', {});
+    const originalSuggestions = Globals.ruleSuggestions;
+    Globals.ruleSuggestions = {};
+
+    try {
+      const correction = { title: '不朽', season: 5, animeTitle: '永生 第二季(2023)【动漫】from tencent' };
+      assert.ok(recordRuleSuggestionEvidence({ ...correction, episode: 2, episodeIndex: 10 }, 1000));
+      // 同一集短时间内重复选择只计一次
+      assert.equal(recordRuleSuggestionEvidence({ ...correction, episode: 2, episodeIndex: 10 }, 2000), null);
+      // 仅更换来源、标题季集一致时不构成规则
+      assert.equal(recordRuleSuggestionEvidence({ title: '永生', season: 2, episode: 3, animeTitle: '永生 第二季(2023)【动漫】from qq', episodeIndex: 3 }), null);
+      recordRuleSuggestionEvidence({ title: '国色芳华', season: 1, episode: 3, animeTitle: '锦绣芳华(2024)【电视剧】from qq', episodeIndex: 3 });
+
+      const pending = await parseResponse(await rulesRequest('suggestions'));
+      assert.equal(pending.suggestions.length, 0);
+      assert.equal(pending.pending, 2);
+
+      recordRuleSuggestionEvidence({ ...correction, animeTitle: '永生 第二季(2023)【动漫】from qq', episode: 4, episodeIndex: 12 }, 3000);
+      const listed = await parseResponse(await rulesRequest('suggestions'));
+      assert.equal(listed.suggestions.length, 1);
+      const [suggestion] = listed.suggestions;
+      assert.equal(suggestion.table, 'AUTO_MATCH_MAPPING_TABLE');
+      assert.equal(suggestion.rule, '不朽 S5E2 -> 永生(2023)【动漫】 S2E10');
+      assert.equal(suggestion.count, 2);
+      assert.deepEqual(suggestion.episodes, [2, 4]);
+
+      const promoted = await parseResponse(await rulesRequest('suggestions/promote', { key: suggestion.key }));
+      assert.equal(promoted.rule.note, '由 2 次手动选择生成');
+      assert.equal(promoted.suggestions.length, 0);
+      assert.equal(Globals.envs.autoMatchMappingTable[0].raw, '不朽 S5E2 -> 永生(2023)【动漫】 S2E10');
+
+      // 已由规则覆盖的改选不再建议
+      recordRuleSuggestionEvidence({ ...correction, episode: 6, episodeIndex: 14 }, 4000);
+      recordRuleSuggestionEvidence({ ...correction, episode: 7, episodeIndex: 15 }, 5000);
+      assert.equal((await parseResponse(await rulesRequest('suggestions'))).pending, 1);
+
+      recordRuleSuggestionEvidence({ title: '国色芳华', season: 1, episode: 4, animeTitle: '锦绣芳华(2024)【电视剧】from qq', episodeIndex: 4 });
+      const titleSuggestion = (await parseResponse(await rulesRequest('suggestions'))).suggestions[0];
+      assert.equal(titleSuggestion.rule, '国色芳华->锦绣芳华');
+      const dismissed = await parseResponse(await rulesRequest('suggestions/dismiss', { key: titleSuggestion.key }));
+      assert.equal(dismissed.suggestions.length, 0);
+      assert.equal((await rulesRequest('suggestions/promote', { key: titleSuggestion.key })).status, 404);
+    } finally {
+      Globals.ruleSuggestions = originalSuggestions;
+      await rulesRequest('reset', { table: 'AUTO_MATCH_MAPPING_TABLE' });
+    }
+    assert.deepEqual(Globals.envs.autoMatchMappingTable, []);
+  });
+
   await t.test('buildSearchAnimeUrl should preserve special characters in keyword', async () => {
     const searchUrl = buildSearchAnimeUrl(`${urlPrefix}/api/v2/match`, 'Love & Death', 1, 2);
 
@@ -395,7 +994,7 @@ test('worker.js API endpoints', async (t) => {
       const originalSearch = TencentSource.prototype.search;
       const originalHandleAnimes = TencentSource.prototype.handleAnimes;
       const originalGetComments = TencentSource.prototype.getComments;
-      const originalAiAsk = AIClient.prototype.ask;
+      const originalAiChat = AIClient.prototype.chat;
       const originalOrder = Globals.envs.sourceOrderArr;
       const originalAiValid = Globals.aiValid;
       let searchKeywords = [];
@@ -484,8 +1083,8 @@ test('worker.js API endpoints', async (t) => {
         body = await parseResponse(await matchAnime(new URL(defaultPreferenceRequest.url), defaultPreferenceRequest, '127.0.0.1'));
         assert.equal(body.matches[0].episodeId, 9300030 + 59);
 
-        AIClient.prototype.ask = async prompt => {
-          aiMatchInput = JSON.parse(prompt);
+        AIClient.prototype.chat = async messages => {
+          aiMatchInput = JSON.parse(messages[messages.length - 1].content);
           return JSON.stringify({ animeIndex: 0 });
         };
         body = await runMatch({ AUTO_MATCH_MAPPING_TABLE: '永生 S05E02->永生 S01E58' }, '永生 S05E03', true);
@@ -494,7 +1093,7 @@ test('worker.js API endpoints', async (t) => {
           { title: aiMatchInput.title, season: aiMatchInput.season, episode: aiMatchInput.episode },
           { title: '永生', season: 1, episode: 59 }
         );
-        AIClient.prototype.ask = originalAiAsk;
+        AIClient.prototype.chat = originalAiChat;
         Globals.aiValid = false;
 
         scenario = 'qualified';
@@ -577,13 +1176,371 @@ test('worker.js API endpoints', async (t) => {
         TencentSource.prototype.search = originalSearch;
         TencentSource.prototype.handleAnimes = originalHandleAnimes;
         TencentSource.prototype.getComments = originalGetComments;
-        AIClient.prototype.ask = originalAiAsk;
+        AIClient.prototype.chat = originalAiChat;
         Globals.envs.sourceOrderArr = originalOrder;
         Globals.aiValid = originalAiValid;
       }
     });
   });
 
+  await t.test('batch match groups files by title and season so each distinct search runs once', async () => {
+    const originalSearch = TencentSource.prototype.search;
+    const originalHandleAnimes = TencentSource.prototype.handleAnimes;
+    const originalOrder = Globals.envs.sourceOrderArr;
+    const originalIndex = Globals.fileHashIndex;
+    const searchKeywords = [];
+
+    TencentSource.prototype.search = async keyword => {
+      searchKeywords.push(keyword);
+      return [{ keyword }];
+    };
+    TencentSource.prototype.handleAnimes = async (_source, title, results, details) => {
+      const ids = { 测试番: 950001, 另一部: 960001, 剧场版番: 970001, 坏数据番: 980001 };
+      const anime = createFavoriteAnime(`${title}(2026)【动漫】from tencent`, title === '剧场版番' ? 1 : 24, ids[title]);
+      if (title === '剧场版番') {
+        anime.type = '电影';
+        anime.typeDescription = '剧场版';
+      }
+      // 源返回的条目字段类型异常，匹配该文件时会抛错
+      if (title === '坏数据番') anime.imageUrl = 404;
+      results.push(anime);
+      details.set(String(anime.animeId), anime);
+    };
+    const runBatch = requests => handleRequest(new Request('http://localhost/api/v2/match/batch', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ requests })
+    }), { SOURCE_ORDER: 'tencent' }, 'cloudflare', '127.0.0.1', {});
+
+    try {
+      resetFavoriteState();
+      Globals.envs.sourceOrderArr = ['tencent'];
+      const body = await parseResponse(await runBatch([
+        { fileName: '测试番 S01E03', fileHash: 'hash-3' },
+        { fileName: '另一部 S01E02' },
+        { fileName: '测试番.S01E01.1080p.WEB-DL.mkv', fileHash: 'hash-1' },
+        { fileName: '测试番 S01E12' }
+      ]));
+
+      assert.deepEqual(searchKeywords, ['测试番', '另一部']);
+      assert.equal(body.searchCount, 2);
+      assert.deepEqual(body.results.map(result => result.fileName), ['测试番 S01E03', '另一部 S01E02', '测试番.S01E01.1080p.WEB-DL.mkv', '测试番 S01E12']);
+      assert.deepEqual(body.results.map(result => result.matches[0]?.episodeId), [9500013, 9600012, 9500011, 9500022]);
+      assert.equal(body.results[0].fileHash, 'hash-3');
+      assert.equal(body.results[1].fileHash, null);
+      assert.ok(body.results.every(result => result.isMatched));
+
+      const tooMany = await runBatch(Array.from({ length: 51 }, (_, index) => ({ fileName: `测试番 S01E${index + 1}` })));
+      assert.equal(tooMany.status, 400);
+      assert.match((await parseResponse(tooMany)).errorMessage, /at most 50/);
+
+      // 单个文件匹配失败只影响该文件，不中断整个批次
+      const partial = await runBatch([{ fileName: '坏数据番 S01E01' }, { fileName: '测试番 S01E04' }]);
+      assert.equal(partial.status, 200);
+      const partialBody = await parseResponse(partial);
+      assert.equal(partialBody.results[0].fileName, '坏数据番 S01E01');
+      assert.equal(partialBody.results[0].errorCode, 500);
+      assert.equal(partialBody.results[0].isMatched, false);
+      assert.equal(partialBody.results[1].matches[0]?.episodeId, 9500014);
+
+      // videoDuration 原样返回，并用于识别时长与匹配类型不符的结果，可疑结果不写入文件哈希索引
+      const durations = await parseResponse(await runBatch([
+        { fileName: '测试番 S01E05', fileHash: '5'.repeat(32), videoDuration: 1440 },
+        { fileName: '测试番 S01E06', fileHash: '6'.repeat(32), videoDuration: 3 * 3600 },
+        { fileName: '剧场版番', fileHash: 'a'.repeat(32), videoDuration: 600 },
+        { fileName: '测试番 S01E07' }
+      ]));
+      assert.deepEqual(durations.results.map(result => result.videoDuration), [1440, 10800, 600, null]);
+      assert.deepEqual(durations.results.map(result => result.durationMismatch), [false, true, true, false]);
+      assert.ok(durations.results.every(result => result.isMatched));
+      assert.ok(Globals.fileHashIndex['5'.repeat(32)]);
+      assert.equal(Globals.fileHashIndex['6'.repeat(32)], undefined);
+      assert.equal(Globals.fileHashIndex['a'.repeat(32)], undefined);
+    } finally {
+      TencentSource.prototype.search = originalSearch;
+      TencentSource.prototype.handleAnimes = originalHandleAnimes;
+      Globals.envs.sourceOrderArr = originalOrder;
+      Globals.fileHashIndex = originalIndex;
+    }
+  });
+
+  await t.test('file hash index answers repeated matches directly, keeps manual corrections and round-trips through export/import', async () => {
+    const originalSearch = TencentSource.prototype.search;
+    const originalHandleAnimes = TencentSource.prototype.handleAnimes;
+    const originalGetComments = TencentSource.prototype.getComments;
+    const originalOrder = Globals.envs.sourceOrderArr;
+    const originalIndex = Globals.fileHashIndex;
+    const fileHash = '0123456789ABCDEF0123456789ABCDEF';
+    const searchKeywords = [];
+
+    TencentSource.prototype.search = async keyword => {
+      searchKeywords.push(keyword);
+      return [{ keyword }];
+    };
+    TencentSource.prototype.handleAnimes = async (_source, _title, results, details) => {
+      const anime = createFavoriteAnime('测试番(2026)【动漫】from tencent', 12, 970001);
+      results.push(anime);
+      details.set(String(anime.animeId), anime);
+    };
+    TencentSource.prototype.getComments = async () => [{ p: '1,1,16777215,test', m: 'file-hash-test' }];
+    const runMatch = async body => {
+      Globals.envs.sourceOrderArr = ['tencent'];
+      const request = new Request('http://localhost/api/v2/match', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return parseResponse(await matchAnime(new URL(request.url), request, '10.0.0.8'));
+    };
+    const hashRequest = (path, body) => handleRequest(new Request(`http://localhost/hash-admin-token/api/hash/${path}`, body
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : undefined), { TOKEN: '87654321', ADMIN_TOKEN: 'hash-admin-token' }, 'cloudflare', '127.0.0.1', {});
+
+    try {
+      resetFavoriteState();
+      Globals.fileHashIndex = {};
+      let body = await runMatch({ fileName: '测试番 S01E03', fileHash, fileSize: 1024 });
+      assert.equal(body.matches[0].episodeId, 9700013);
+      const key = fileHash.toLowerCase();
+      assert.equal(Globals.fileHashIndex[key].url, 'https://v.qq.com/x/cover/favorite/ep3.html');
+      assert.equal(Globals.fileHashIndex[key].manual, false);
+
+      // 未经搜索直接请求其他剧集（顺播下一集）不视为改选，也不清除匹配上下文
+      await getComment('/api/v2/comment/9700014', 'json', false, '10.0.0.8');
+      assert.equal(Globals.fileHashIndex[key].url, 'https://v.qq.com/x/cover/favorite/ep3.html');
+      assert.equal(Globals.fileHashIndex[key].manual, false);
+
+      // 匹配后在播放器中搜索并改选第 5 集，改选结果覆盖自动匹配的记录
+      const searched = await handleRequest(new Request(`http://localhost/api/v2/search/anime?keyword=${encodeURIComponent('测试番')}`), { SOURCE_ORDER: 'tencent' }, 'cloudflare', '10.0.0.8', {});
+      assert.equal(searched.status, 200);
+      await getComment('/api/v2/comment/9700015', 'json', false, '10.0.0.8');
+      assert.equal(Globals.fileHashIndex[key].url, 'https://v.qq.com/x/cover/favorite/ep5.html');
+      assert.equal(Globals.fileHashIndex[key].manual, true);
+
+      // 模拟实例重启：剧集缓存为空时按记录的链接重新换算 episodeId，不解析文件名也不搜索
+      Globals.animes = [];
+      Globals.episodeIds = [];
+      Globals.episodeNum = 10001;
+      Globals.searchCache = new Map();
+      searchKeywords.length = 0;
+      body = await runMatch({ fileName: 'renamed-file.mkv', fileHash, fileSize: 1024 });
+      assert.equal(body.isMatched, true);
+      assert.equal(body.matches[0].episodeId, 10002);
+      assert.equal(body.matches[0].episodeTitle, '【qq】 第5集');
+      assert.equal(body.matches[0].animeTitle, '测试番(2026)【动漫】from tencent');
+      assert.deepEqual(searchKeywords, []);
+
+      const exported = await parseResponse(await hashRequest('export'));
+      assert.equal(exported.count, 1);
+      assert.equal(exported.entries[0].fileHash, key);
+
+      Globals.fileHashIndex = {};
+      const imported = await parseResponse(await hashRequest('import', { entries: [...exported.entries, { fileHash: 'not-a-hash', url: 'https://example.com' }] }));
+      assert.deepEqual([imported.added, imported.updated, imported.skipped, imported.count], [1, 0, 1, 1]);
+      // 合并时较新的自动匹配记录不覆盖手动改选
+      const merged = await parseResponse(await hashRequest('import', {
+        entries: [{ ...exported.entries[0], url: 'https://v.qq.com/x/cover/favorite/ep3.html', manual: false, updatedAt: Date.now() + 1000 }]
+      }));
+      assert.equal(merged.skipped, 1);
+      assert.equal(Globals.fileHashIndex[key].url, 'https://v.qq.com/x/cover/favorite/ep5.html');
+      assert.equal((await hashRequest('import', { entries: [], mode: 'replace' })).status, 200);
+      assert.deepEqual(Globals.fileHashIndex, {});
+    } finally {
+      TencentSource.prototype.search = originalSearch;
+      TencentSource.prototype.handleAnimes = originalHandleAnimes;
+      TencentSource.prototype.getComments = originalGetComments;
+      Globals.envs.sourceOrderArr = originalOrder;
+      Globals.fileHashIndex = originalIndex;
+    }
+  });
+
+  await t.test('AI match verifies answers against episode lists, retries once with feedback and caches decisions per file', async () => {
+    const originalSearch = TencentSource.prototype.search;
+    const originalHandleAnimes = TencentSource.prototype.handleAnimes;
+    const originalAiChat = AIClient.prototype.chat;
+    const originalOrder = Globals.envs.sourceOrderArr;
+    const originalAiValid = Globals.aiValid;
+    const conversations = [];
+    let replies = [];
+
+    TencentSource.prototype.search = async keyword => [{ keyword }];
+    TencentSource.prototype.handleAnimes = async (_source, _title, results, details) => {
+      for (const anime of [
+        createFavoriteAnime('测试番(2026)【动漫】from tencent', 12, 940001),
+        createFavoriteAnime('测试番 第二季(2026)【动漫】from tencent', 12, 940002)
+      ]) {
+        results.push(anime);
+        details.set(String(anime.animeId), anime);
+      }
+    };
+    AIClient.prototype.chat = async messages => {
+      conversations.push(messages.map(message => ({ ...message })));
+      return replies.shift();
+    };
+
+    const runMatch = async fileName => {
+      resetFavoriteState();
+      Globals.envs.sourceOrderArr = ['tencent'];
+      Globals.aiValid = true;
+      const request = new Request('http://localhost/api/v2/match', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ fileName })
+      });
+      return parseResponse(await matchAnime(new URL(request.url), request, '127.0.0.1'));
+    };
+
+    try {
+      Globals.aiMatchCache = {};
+
+      // 首次回答的 episodeId 不在剧集列表中，带上错误说明重试一次
+      replies = [
+        JSON.stringify({ animeIndex: 0, episodeId: 123, confidence: 0.9 }),
+        '```json\n{ "animeIndex": 0, "episodeId": 9400015, "confidence": 0.9, "reason": "标题与季度一致" }\n```'
+      ];
+      let body = await runMatch('测试番 S01E03');
+      assert.equal(body.matches[0].episodeId, 9400015);
+      assert.equal(conversations.length, 2);
+      const input = JSON.parse(conversations[0][1].content);
+      assert.deepEqual(
+        { typeDescription: input.animes[0].typeDescription, year: input.animes[0].year, episodeCount: input.animes[0].episodeCount },
+        { typeDescription: 'TV', year: '2026', episodeCount: 12 }
+      );
+      assert.equal(input.animes[1].episodes.length, 12);
+      assert.equal(input.animes[1].episodes[0].episodeId, 9400021);
+      // 重试沿用同一会话：系统提示词、首轮输入、首轮回答、错误说明
+      assert.equal(conversations[1].length, 4);
+      assert.equal(conversations[1][0].role, 'system');
+      assert.match(conversations[1][3].content, /episodeId 123 不在候选 0 的 episodes 中/);
+
+      // 同一文件直接使用缓存的 AI 结果
+      body = await runMatch('测试番 S01E03');
+      assert.equal(body.matches[0].episodeId, 9400015);
+      assert.equal(conversations.length, 2);
+      assert.equal(Globals.aiMatchCache['测试番|S1|E3'].episodeId, 9400015);
+
+      // 置信度过低时交给常规匹配
+      replies = [JSON.stringify({ animeIndex: 1, episodeId: 9400024, confidence: 0.2 })];
+      body = await runMatch('测试番 S01E04');
+      assert.notEqual(body.matches[0].episodeId, 9400024);
+      assert.equal(conversations.length, 3);
+
+      // 重试后仍无效时不缓存，同一文件下次仍请求 AI
+      replies = ['无法判断', JSON.stringify({ animeIndex: 5 })];
+      await runMatch('测试番 S01E06');
+      assert.equal(conversations.length, 5);
+      assert.match(conversations[4][3].content, /无法解析为 JSON/);
+      assert.equal(Globals.aiMatchCache['测试番|S1|E6'], undefined);
+
+      // AI 明确回答无匹配时缓存未匹配，同一文件不再请求 AI
+      replies = [JSON.stringify({ animeIndex: null })];
+      await runMatch('测试番 S01E06');
+      assert.equal(conversations.length, 6);
+      assert.equal(Globals.aiMatchCache['测试番|S1|E6'].animeId, null);
+      await runMatch('测试番 S01E06');
+      assert.equal(conversations.length, 6);
+    } finally {
+      TencentSource.prototype.search = originalSearch;
+      TencentSource.prototype.handleAnimes = originalHandleAnimes;
+      AIClient.prototype.chat = originalAiChat;
+      Globals.envs.sourceOrderArr = originalOrder;
+      Globals.aiValid = originalAiValid;
+      Globals.aiMatchCache = {};
+    }
+  });
+
+  await t.test('AI moderation drops configured categories, caches verdicts by text and supports dry-run', async () => {
+    const originalAiChat = AIClient.prototype.chat;
+    const originalAiValid = Globals.aiValid;
+    const originalCategories = Globals.envs.aiModerationCategories;
+    const originalDryRun = Globals.envs.aiModerationDryRun;
+    const requests = [];
+    let fail = false;
+
+    AIClient.prototype.chat = async messages => {
+      if (fail) throw new Error('AI API error 500: unavailable');
+      const batch = JSON.parse(messages[messages.length - 1].content);
+      requests.push(batch);
+      const verdicts = { '主角下集就死了': 'spoiler', '加群领资源': 'ad', '傻X编剧': 'abuse', '弹幕149': 'spoiler' };
+      return '```json\n' + JSON.stringify(batch.map(({ id, text }) => ({ id, category: verdicts[text] || 'ok' }))) + '\n```';
+    };
+    const danmus = ['前方高能', '主角下集就死了', '加群领资源', '前方高能', '傻X编剧']
+      .map((m, i) => ({ p: `${i + 1}.00,1,16777215,[tencent]`, m, cid: i + 1 }));
+
+    try {
+      Globals.aiValid = true;
+      Globals.aiModerationCache = {};
+      Globals.aiModerationReports = [];
+      Globals.envs.aiModerationCategories = ['spoiler', 'ad'];
+      Globals.envs.aiModerationDryRun = false;
+
+      // 重复文本只发送一次，未配置的 abuse 类别保留
+      let result = await moderateDanmus(danmus, 'https://v.qq.com/x/cover/test.html');
+      assert.deepEqual(result.map(d => d.m), ['前方高能', '前方高能', '傻X编剧']);
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].length, 4);
+      assert.deepEqual(Globals.aiModerationReports[0].removed, { spoiler: 1, ad: 1 });
+
+      // 判定已缓存，其他剧集中的相同弹幕不再请求 AI；修改类别后沿用缓存
+      Globals.envs.aiModerationCategories = ['abuse'];
+      result = await moderateDanmus(danmus.slice(1), 'https://v.qq.com/x/cover/test2.html');
+      assert.deepEqual(result.map(d => d.m), ['主角下集就死了', '加群领资源', '前方高能']);
+      assert.equal(requests.length, 1);
+
+      // 试运行只记录会被丢弃的弹幕
+      Globals.envs.aiModerationCategories = ['spoiler', 'abuse', 'ad'];
+      Globals.envs.aiModerationDryRun = true;
+      result = await moderateDanmus(danmus, 'dry-run');
+      assert.equal(result.length, danmus.length);
+      assert.equal(Globals.aiModerationReports[0].dryRun, true);
+      assert.deepEqual(Globals.aiModerationReports[0].samples.map(s => s.category), ['spoiler', 'ad', 'abuse']);
+
+      // AI 请求失败时原样返回
+      Globals.envs.aiModerationDryRun = false;
+      fail = true;
+      const fresh = [{ p: '1.00,1,16777215,[tencent]', m: '新的弹幕', cid: 1 }];
+      assert.deepEqual(await moderateDanmus(fresh, 'fail'), fresh);
+      assert.equal(Globals.aiModerationCache && Object.keys(Globals.aiModerationCache).length, 4);
+
+      const res = await handleRequest(new Request('http://localhost/api/ai/moderation'), {}, 'cloudflare', '127.0.0.1', {});
+      const body = await res.json();
+      assert.equal(res.status, 200);
+      assert.equal(body.cacheSize, 4);
+      assert.equal(body.reports.length, 4);
+
+      // 请求内只同步判定一批，其余文本在后台判定，由 waitUntil 承接
+      fail = false;
+      requests.length = 0;
+      Globals.aiValid = true;
+      Globals.envs.aiModerationCategories = ['spoiler'];
+      const many = Array.from({ length: 150 }, (_, i) => ({ p: `${i}.00,1,16777215,[tencent]`, m: `弹幕${i}`, cid: i + 1 }));
+      result = await moderateDanmus(many, 'many');
+      assert.equal(result.length, 150);
+      assert.equal(Globals.aiModerationReports[0].classified, 100);
+      assert.equal(Globals.aiModerationReports[0].queued, 50);
+      const pending = [];
+      extendAiModerationLifecycle({ waitUntil: promise => pending.push(promise) });
+      assert.equal(pending.length, 1);
+      await pending[0];
+      assert.equal(requests.length, 2);
+      assert.equal(Object.keys(Globals.aiModerationCache).length, 154);
+
+      // 后台判定的结果不在已缓存的弹幕中，输出弹幕时应用判定
+      const formatted = await formatDanmuResponse({ count: result.length, comments: result }, 'json').json();
+      assert.equal(formatted.count, 149);
+      assert.ok(!formatted.comments.some(danmu => danmu.m === '弹幕149'));
+      Globals.envs.aiModerationDryRun = true;
+      assert.equal((await formatDanmuResponse({ count: result.length, comments: result }, 'json').json()).count, 150);
+    } finally {
+      AIClient.prototype.chat = originalAiChat;
+      Globals.aiValid = originalAiValid;
+      Globals.envs.aiModerationCategories = originalCategories;
+      Globals.envs.aiModerationDryRun = originalDryRun;
+      Globals.aiModerationCache = {};
+      Globals.aiModerationReports = [];
+    }
+  });
+
   await t.test('danmu text conversion should run after normalization and before filtering and grouping', () => {
     const baseEnv = {
       BLOCKED_WORDS: '',
@@ -630,6 +1587,444 @@ test('worker.js API endpoints', async (t) => {
     resetSearchState();
   });
 
+  await t.test('danmu quality stage removes near-duplicate floods, repeated characters, emoji-only lines and user floods', () => {
+    const baseEnv = { BLOCKED_WORDS: '', GROUP_MINUTE: '0', DANMU_LIMIT: '0', LIKE_SWITCH: 'false' };
+    const texts = danmus => danmus.map(item => item.m);
+
+    // 默认不检测
+    Globals.init(baseEnv);
+    const sample = [
+      { p: '1.00,1,16777215,[test]', m: '前方高能' },
+      { p: '1.50,1,16777215,[test]', m: '前方高能！！！' },
+      { p: '2.00,1,16777215,[test]', m: '前方高能啊啊' },
+      { p: '2.50,1,16777215,[test]', m: '前方高能' },
+      { p: '3.00,1,16777215,[test]', m: '哈哈哈哈哈哈哈哈哈' },
+      { p: '3.50,1,16777215,[test]', m: '哈哈哈' },
+      { p: '4.00,1,16777215,[test]', m: '😂😂 [doge]' },
+      { p: '4.50,1,16777215,[test]', m: '笑死😂' },
+      { p: '30.00,1,16777215,[test]', m: '前方高能!' }
+    ];
+    assert.equal(convertToDanmakuJson(structuredClone(sample), 'test').length, sample.length);
+
+    Globals.init({
+      ...baseEnv,
+      DANMU_NEAR_DUPLICATE_WINDOW: '10',
+      DANMU_REPEAT_CHAR_LIMIT: '6',
+      DANMU_FILTER_EMOJI_ONLY: 'true'
+    });
+    // 完全相同的弹幕留给 GROUP_MINUTE，窗口外的变体保留
+    assert.deepEqual(texts(convertToDanmakuJson(structuredClone(sample), 'test')), [
+      '前方高能', '前方高能', '哈哈哈', '笑死😂', '前方高能!'
+    ]);
+
+    Globals.init({ ...baseEnv, DANMU_NEAR_DUPLICATE_WINDOW: '10', DANMU_NEAR_DUPLICATE_SIMILARITY: '100' });
+    assert.equal(convertToDanmakuJson([
+      { p: '1.00,1,16777215,[test]', m: '这集作画好棒' },
+      { p: '2.00,1,16777215,[test]', m: '这集作画好棒啊' }
+    ], 'test').length, 2);
+
+    // 单用户刷屏：XML 第 7 个字段与 bilibili midHash 为用户哈希，0 表示未知用户
+    Globals.init({ ...baseEnv, DANMU_USER_FLOOD_LIMIT: '2' });
+    const flood = convertToDanmakuJson([
+      ...[1, 2, 3, 4].map(t => ({ p: `${t},1,25,16777215,0,0,abc123,${t}`, m: `刷屏${t}` })),
+      ...[1, 2, 3].map(t => ({ p: `${t},1,25,16777215,0,0,0,${t}`, m: `路人${t}` })),
+      { progress: 2500, mode: 1, color: 16777215, content: '另一位用户', midHash: 'def456' },
+      { p: '70,1,25,16777215,0,0,abc123,9', m: '一分钟后' }
+    ], 'bilibili1');
+    assert.deepEqual(texts(flood), ['刷屏1', '刷屏2', '路人1', '路人2', '路人3', '另一位用户', '一分钟后']);
+
+    // 密集剧集：上万条互不相似的弹幕挤在同一窗口内，每条只与最近的有限条文本比较
+    Globals.init({ ...baseEnv, DANMU_NEAR_DUPLICATE_WINDOW: '10' });
+    const pool = '前方高能这集作画好棒主角终于出场了笑死我弹幕护体名场面泪目经典回忆杀太燃了下饭神作打卡签到';
+    let seed = 1;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const dense = Array.from({ length: 12000 }, (_, i) => ({
+      cid: i + 1,
+      p: `${(i / 1200).toFixed(2)},1,16777215,[test]`,
+      m: Array.from({ length: 6 + Math.floor(random() * 10) }, () => pool[Math.floor(random() * pool.length)]).join('')
+    }));
+    dense.push(
+      { cid: 12001, p: '9.99,1,16777215,[test]', m: '片尾曲响起全员谢幕' },
+      { cid: 12002, p: '9.99,1,16777215,[test]', m: '片尾曲响起全员谢幕啦' }
+    );
+    const started = Date.now();
+    const { danmus: denseKept } = filterDanmuQuality(dense);
+    assert.ok(Date.now() - started < 5000, `near-duplicate check took ${Date.now() - started}ms`);
+    // 紧挨着的变体仍在比较范围内
+    assert.deepEqual(denseKept.filter(danmu => danmu.cid > 12000).map(danmu => danmu.cid), [12001]);
+
+    resetSearchState();
+  });
+
+  await t.test('ass format should allocate non-overlapping tracks and honor query options over env', async () => {
+    Globals.init({ ASS_FONT_SIZE: '40', ASS_RESOLUTION: '1280x720', ASS_DURATION: '8' });
+    try {
+      const danmuData = {
+        count: 5,
+        comments: [
+          { cid: 1, p: '1.00,1,16777215,[bilibili1]', m: '第一条滚动弹幕' },
+          { cid: 2, p: '1.20,1,16711680,[bilibili1]', m: '同时出现的{\\b1}弹幕' },
+          { cid: 3, p: '2.00,5,16777215,[qq]', m: '顶部' },
+          { cid: 4, p: '2.50,5,0,[qq]', m: '顶部2' },
+          { cid: 5, p: '3.00,4,16777215,[qq]', m: '底部' }
+        ]
+      };
+
+      const ass = convertDanmuToAss(danmuData);
+      assert.match(ass, /PlayResX: 1280\nPlayResY: 720/);
+      assert.match(ass, /Style: Danmaku,sans-serif,40,&H33FFFFFF/);
+      const dialogues = ass.split('\n').filter(line => line.startsWith('Dialogue:'));
+      assert.equal(dialogues.length, 5);
+      // 第二条在第一条尚未完全进入屏幕时出现，应分配到下一条轨道
+      assert.match(dialogues[0], /^Dialogue: 0,0:00:01\.00,0:00:09\.00,Danmaku,,0,0,0,,\{\\an7\\move\(1280,0,-280,0\)\}第一条滚动弹幕$/);
+      assert.match(dialogues[1], /\\move\(1280,48,-\d+,48\)\\c&H0000FF&\}同时出现的｛＼b1｝弹幕$/);
+      // 顶部弹幕停留滚动时长的一半，重叠时向下错开，黑色弹幕加白色描边
+      assert.match(dialogues[2], /0:00:02\.00,0:00:06\.00,.*\\an8\\pos\(640,0\)\}顶部$/);
+      assert.match(dialogues[3], /\\an8\\pos\(640,48\)\\c&H000000&\\3c&HFFFFFF&\}顶部2$/);
+      assert.match(dialogues[4], /\\an2\\pos\(640,720\)\}底部$/);
+
+      const overridden = convertDanmuToAss(danmuData, { fontSize: '30', opacity: '50', duration: '6', resolution: '1920x1080' });
+      assert.match(overridden, /PlayResX: 1920/);
+      assert.match(overridden, /Style: Danmaku,sans-serif,30,&H80FFFFFF/);
+      assert.match(overridden, /0:00:01\.00,0:00:07\.00/);
+
+      const response = formatDanmuResponse(danmuData, 'ass', { opacity: '100' });
+      assert.match(response.headers.get('Content-Type'), /text\/x-ssa/);
+      assert.match(await response.text(), /&H00FFFFFF/);
+    } finally {
+      Globals.init({});
+    }
+  });
+
+  await t.test('local danmu import should store uploaded files as a searchable local source', async () => {
+    const env = { TOKEN: 'local-token', ADMIN_TOKEN: 'local-admin-token', SOURCE_ORDER: 'local' };
+    Globals.init(env);
+    const post = (token, path, body) => handleRequest(new Request(`http://localhost/${token}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), env, 'cloudflare', '127.0.0.1', {});
+    try {
+      const xml = '<?xml version="1.0" encoding="UTF-8"?><i>'
+        + '<d p="12.5,1,25,16711680,1700000000,0,abc,1">后来&amp;的弹幕</d>'
+        + '<d p="3.2,5,25,16777215,1700000000,0,abc,2">顶部弹幕</d>'
+        + '<d p="5.0,7,25,16777215,1700000000,0,abc,3">[0,0,"1-1",4.5,"高级"]</d></i>';
+      assert.equal(detectLocalDanmuFormat(xml, 'ep02.xml'), 'xml');
+      // dan-any 导出的弹弹play弹幕按时间排序重新编号，跳过高级弹幕与空弹幕
+      assert.deepEqual(finalizeLocalDanmuComments([
+        { cid: 1, p: '12.5,1,16711680,abc', m: '后来&的弹幕' },
+        { cid: 2, p: '3.2,5,16777215,abc', m: '顶部弹幕' },
+        { cid: 3, p: '5,7,16777215,abc', m: '[0,0,"1-1",4.5,"高级"]' },
+        { cid: 4, p: '6,1,16777215,abc', m: '  ' }
+      ]), [
+        { cid: 1, p: '3.20,5,16777215', m: '顶部弹幕' },
+        { cid: 2, p: '12.50,1,16711680', m: '后来&的弹幕' }
+      ]);
+
+      const ass = '[Script Info]\nScriptType: v4.00+\n\n[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n'
+        + 'Dialogue: 0,0:01:02.50,0:01:10.50,Danmaku,,0,0,0,,{\\an7\\move(1920,0,-100,0)\\c&H0000FF&}滚动,带逗号\n'
+        + 'Dialogue: 0,0:00:04.00,0:00:09.00,Danmaku,,0,0,0,,{\\an2\\pos(960,1080)}底部';
+      assert.equal(detectLocalDanmuFormat(ass, ''), 'ass');
+      assert.deepEqual(finalizeLocalDanmuComments(parseAssDanmu(ass)), [
+        { cid: 1, p: '4.00,4,16777215', m: '底部' },
+        { cid: 2, p: '62.50,1,16711680', m: '滚动,带逗号' }
+      ]);
+
+      const forbidden = await post('local-token', '/api/local/import', { title: '本地测试番', episode: 2, content: xml });
+      assert.equal(forbidden.status, 403);
+
+      const invalid = await post('local-admin-token', '/api/local/import', { title: '本地测试番', episode: 2, content: 'not a danmu file' });
+      assert.equal(invalid.status, 400);
+
+      const imported = await post('local-admin-token', '/api/local/import', {
+        title: '本地测试番', episode: 2, episodeTitle: '归档', fileName: 'ep02.xml', content: xml
+      });
+      assert.equal(imported.status, 200);
+      const { entry } = await imported.json();
+      assert.equal(entry.count, 2);
+      assert.equal(entry.format, 'xml');
+
+      const listResponse = await handleRequest(new Request('http://localhost/local-admin-token/api/local/list'), env, 'cloudflare', '127.0.0.1', {});
+      const list = await listResponse.json();
+      assert.equal(list.enabled, true);
+      assert.deepEqual(list.entries.map(item => item.id), [entry.id]);
+
+      const searchResponse = await handleRequest(new Request('http://localhost/local-token/api/v2/search/anime?keyword=本地测试番'), env, 'cloudflare', '127.0.0.1', {});
+      const searchData = await searchResponse.json();
+      const localAnime = searchData.animes.find(anime => anime.source === 'local');
+      assert.ok(localAnime);
+
+      const bangumiResponse = await handleRequest(new Request(`http://localhost/local-token/api/v2/bangumi/${localAnime.animeId}`), env, 'cloudflare', '127.0.0.1', {});
+      const bangumiData = await bangumiResponse.json();
+      const episodeInfo = bangumiData.bangumi.episodes[0];
+      assert.match(episodeInfo.episodeTitle, /【local】 归档/);
+
+      const commentResponse = await handleRequest(new Request(`http://localhost/local-token/api/v2/comment/${episodeInfo.episodeId}?format=json`), env, 'cloudflare', '127.0.0.1', {});
+      const commentData = await commentResponse.json();
+      assert.equal(commentData.count, 2);
+      assert.ok(commentData.comments.some(comment => comment.m === '后来&的弹幕'));
+
+      const removed = await post('local-admin-token', '/api/local/remove', { id: entry.id });
+      assert.equal(removed.status, 200);
+      assert.equal(Globals.localDanmuIndex.size, 0);
+    } finally {
+      Globals.localDanmuIndex.clear();
+      Globals.localDanmuComments.clear();
+      Globals.init({});
+    }
+  });
+
+  await t.test('comment cache should serve stale comments within grace window and refresh in background', async () => {
+    let calls = 0;
+    let releaseRefresh;
+    const refreshGate = new Promise(resolve => { releaseRefresh = resolve; });
+    class StaleTestSource extends BaseSource {
+      static meta = {
+        key: 'staletest',
+        platform: 'staletest',
+        urlPatterns: [/\.stale\.example/],
+        capabilities: {},
+      };
+
+      async getComments() {
+        const call = ++calls;
+        if (call === 2) await refreshGate;
+        return [{ cid: 1, p: '1.00,1,16777215', m: `第${call}次` }];
+      }
+    }
+    registerSource(StaleTestSource);
+    Globals.init({ COMMENT_CACHE_MINUTES: '1', COMMENT_CACHE_MIN_COUNT: '0', COMMENT_STALE_MINUTES: '10' });
+    Globals.commentCache = new Map();
+    const videoUrl = 'https://v.stale.example/play/1';
+
+    try {
+      let response = await getCommentByUrl(videoUrl, 'json', false);
+      assert.equal(response.headers.get('X-Danmu-Cache'), null);
+      assert.equal((await response.json()).comments[0].m, '第1次');
+
+      // 过期但仍在宽限期内：立即返回旧弹幕，后台刷新由 waitUntil 承接
+      Globals.commentCache.get(videoUrl).timestamp = Date.now() - 5 * 60 * 1000;
+      response = await getCommentByUrl(videoUrl, 'json', false);
+      assert.equal(response.headers.get('X-Danmu-Cache'), 'stale');
+      assert.equal((await response.json()).comments[0].m, '第1次');
+
+      const pending = [];
+      extendCommentRefreshLifecycle({ waitUntil: promise => pending.push(promise) });
+      assert.equal(pending.length, 1);
+      releaseRefresh();
+      await pending[0];
+      assert.equal(calls, 2);
+
+      response = await getCommentByUrl(videoUrl, 'json', false);
+      assert.equal(response.headers.get('X-Danmu-Cache'), null);
+      // 刷新结果以上游为准，上游已不存在的旧弹幕不再保留
+      assert.deepEqual((await response.json()).comments.map(comment => comment.m), ['第2次']);
+
+      // 超出宽限期后重新阻塞请求上游
+      Globals.commentCache.get(videoUrl).timestamp = Date.now() - 20 * 60 * 1000;
+      response = await getCommentByUrl(videoUrl, 'json', false);
+      assert.equal(response.headers.get('X-Danmu-Cache'), null);
+      assert.deepEqual((await response.json()).comments.map(comment => comment.m), ['第3次']);
+    } finally {
+      unregisterSource('staletest');
+      Globals.commentCache = new Map();
+      Globals.commentHistory = new Map();
+      Globals.init({});
+    }
+  });
+
+  await t.test('refetched comments should merge into cache and be served incrementally via since', async () => {
+    const batches = [
+      [{ cid: 1, p: '1.00,1,16777215,[incr]', m: '首播弹幕' }],
+      [{ cid: 1, p: '1.00,1,16777215,[incr]', m: '首播弹幕' }, { cid: 2, p: '8.00,1,16777215,[incr]', m: '追更弹幕' }],
+      [{ cid: 1, p: '8.00,1,16777215,[incr]', m: '追更弹幕' }, { cid: 2, p: '12.00,1,16777215,[incr]', m: '第三次弹幕' }],
+      // 模拟 CONVERT_COLOR=color：重新获取时白色弹幕换成随机颜色
+      [
+        { cid: 1, p: '8.00,1,16744319,[incr]', m: '追更弹幕' },
+        { cid: 2, p: '12.00,1,9498256,[incr]', m: '第三次弹幕' },
+        { cid: 3, p: '15.00,1,16777215,[incr]', m: '第四次弹幕' }
+      ],
+      [{ cid: 1, p: '20.00,1,16777215,[incr]', m: '重新编号弹幕' }]
+    ];
+    class IncrementalTestSource extends BaseSource {
+      static meta = {
+        key: 'incrtest',
+        platform: 'incrtest',
+        urlPatterns: [/\.incr\.example/],
+        capabilities: {},
+      };
+
+      async getComments() {
+        return batches.shift() || [];
+      }
+    }
+    registerSource(IncrementalTestSource);
+    Globals.init({ COMMENT_CACHE_MIN_COUNT: '0' });
+    Globals.commentCache = new Map();
+    Globals.commentHistory = new Map();
+    const videoUrl = 'https://v.incr.example/play/1';
+
+    try {
+      const first = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, 0)).json();
+      assert.deepEqual(first.comments.map(comment => comment.m), ['首播弹幕']);
+      assert.ok(first.cursor > 0);
+
+      // 缓存命中时没有新增弹幕
+      const unchanged = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, first.cursor)).json();
+      assert.equal(unchanged.count, 0);
+      assert.equal(unchanged.cursor, first.cursor);
+
+      // 缓存过期后重新获取，新弹幕合并进已有列表，since 只返回新增部分
+      Globals.commentCache.delete(videoUrl);
+      const increment = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, first.cursor)).json();
+      assert.deepEqual(increment.comments.map(comment => [comment.cid, comment.m]), [[2, '追更弹幕']]);
+      assert.ok(increment.cursor > first.cursor);
+
+      const full = await (await getCommentByUrl(videoUrl, 'json', false)).json();
+      assert.deepEqual(full.comments.map(comment => comment.m), ['首播弹幕', '追更弹幕']);
+      assert.equal(full.cursor, undefined);
+
+      // 以新获取的弹幕为准：已有弹幕沿用 cid，上游删除的弹幕移除，列表不会越合并越长
+      Globals.commentCache.delete(videoUrl);
+      const third = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, increment.cursor)).json();
+      assert.deepEqual(third.comments.map(comment => [comment.cid, comment.m]), [[3, '第三次弹幕']]);
+      assert.equal(third.cursor, 3);
+      const refreshed = await (await getCommentByUrl(videoUrl, 'json', false)).json();
+      assert.deepEqual(refreshed.comments.map(comment => [comment.cid, comment.m]), [[2, '追更弹幕'], [3, '第三次弹幕']]);
+
+      // 弹幕缓存超出保留时间被移除后增量记录仍保留：重新获取的弹幕 cid 从 1 编号且颜色变化，仍沿用原 cid，旧游标继续有效
+      Globals.commentCache.get(videoUrl).timestamp = 0;
+      const afterExpiry = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, third.cursor)).json();
+      assert.deepEqual(afterExpiry.comments.map(comment => [comment.cid, comment.m]), [[4, '第四次弹幕']]);
+      assert.equal(afterExpiry.cursor, 4);
+      assert.equal(afterExpiry.reset, undefined);
+      const expiredFull = await (await getCommentByUrl(videoUrl, 'json', false)).json();
+      assert.deepEqual(expiredFull.comments.map(comment => comment.cid), [2, 3, 4]);
+
+      // 没有增量记录时返回全部弹幕，游标为其中最大的 cid 而不是 0
+      Globals.commentHistory = new Map();
+      const withoutHistory = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, 0)).json();
+      assert.equal(withoutHistory.count, 3);
+      assert.equal(withoutHistory.cursor, 4);
+
+      // 增量记录与弹幕缓存都丢失后 cid 重新编号：旧游标大于当前最大 cid，返回全部弹幕并标记 reset
+      Globals.commentCache.delete(videoUrl);
+      const renumbered = await (await getCommentByUrl(videoUrl, 'json', false, false, {}, afterExpiry.cursor)).json();
+      assert.deepEqual(renumbered.comments.map(comment => [comment.cid, comment.m]), [[1, '重新编号弹幕']]);
+      assert.equal(renumbered.cursor, 1);
+      assert.equal(renumbered.reset, true);
+
+      const invalid = await handleRequest(new Request(`http://localhost/api/v2/comment?url=${encodeURIComponent(videoUrl)}&since=abc`), {}, 'cloudflare', '127.0.0.1', {});
+      assert.equal(invalid.status, 400);
+    } finally {
+      unregisterSource('incrtest');
+      Globals.commentCache = new Map();
+      Globals.commentHistory = new Map();
+      Globals.init({});
+    }
+  });
+
+  await t.test('density limit caps comments per time window, preferring multi-source and liked comments', async () => {
+    class DensityTestSource extends BaseSource {
+      static meta = {
+        key: 'densitytest',
+        platform: 'densitytest',
+        urlPatterns: [/\.density\.example/],
+        capabilities: {},
+      };
+
+      async getComments() {
+        return [
+          { cid: 1, p: '1.00,1,16777215,[densitytest]', m: '普通弹幕' },
+          { cid: 2, p: '2.00,1,16777215,[densitytest＆qq]', m: '两个平台都有' },
+          { cid: 3, p: '3.00,1,16777215,[densitytest]', m: '高赞弹幕 ♡50' },
+          { cid: 4, p: '4.00,1,16777215,[densitytest]', m: '没人点赞', like: 0 },
+          { cid: 5, p: '5.00,1,16777215,[densitytest]', m: '合并弹幕 x 3' },
+          { cid: 6, p: '12.00,1,16777215,[densitytest]', m: '下一窗口' }
+        ];
+      }
+    }
+    registerSource(DensityTestSource);
+    Globals.commentCache = new Map();
+    const videoUrl = 'https://v.density.example/play/1';
+    const fetchCids = async (query, env = {}) => {
+      const res = await handleRequest(
+        new Request(`http://localhost/api/v2/comment?url=${encodeURIComponent(videoUrl)}&format=json${query}`),
+        { COMMENT_CACHE_MIN_COUNT: '0', ...env }, 'cloudflare', '127.0.0.1', {}
+      );
+      const body = await res.json();
+      assert.equal(body.count, body.comments.length);
+      return body.comments.map(comment => comment.cid);
+    };
+
+    try {
+      assert.deepEqual(await fetchCids(''), [1, 2, 3, 4, 5, 6]);
+      // 缓存中保留完整弹幕，每次请求按参数重新限制
+      assert.deepEqual(await fetchCids('&density=2/10'), [2, 3, 6]);
+      assert.deepEqual(await fetchCids('&density=3/10'), [2, 3, 5, 6]);
+      assert.deepEqual(await fetchCids('', { DANMU_DENSITY_LIMIT: '1/10' }), [2, 6]);
+      assert.deepEqual(await fetchCids('&density=0', { DANMU_DENSITY_LIMIT: '1/10' }), [1, 2, 3, 4, 5, 6]);
+
+      const invalid = await handleRequest(new Request(`http://localhost/api/v2/comment?url=${encodeURIComponent(videoUrl)}&density=abc`), {}, 'cloudflare', '127.0.0.1', {});
+      assert.equal(invalid.status, 400);
+    } finally {
+      unregisterSource('densitytest');
+      Globals.commentCache = new Map();
+      Globals.commentHistory = new Map();
+      Globals.init({});
+    }
+  });
+
+  await t.test('SQLite storage should restore caches and comments after restart', async () => {
+    const os = await import('node:os');
+    const fs = await import('node:fs');
+    const path = await import('node:path');
+    const dbPath = path.join(os.tmpdir(), `danmu-sqlite-test-${Date.now()}.db`);
+    const comments = [{ cid: 1, p: '1.00,1,16777215', m: '持久化弹幕' }];
+    const cacheKey = 'https://example.com/sqlite-test';
+    Globals.init({ SQLITE_DB_PATH: dbPath, COMMENT_CACHE_MIN_COUNT: '0' });
+    Globals.commentCache = new Map();
+
+    try {
+      const sqliteAvailable = await import('node:sqlite').then(() => true, () => false);
+      await judgeSqliteValid('/api/v2/comment/1');
+      assert.equal(Globals.sqliteValid, sqliteAvailable);
+
+      if (!sqliteAvailable) {
+        // node:sqlite 不可用时静默降级，弹幕缓存仅保存在内存中
+        setCommentCache(cacheKey, comments);
+        assert.deepEqual(getCommentCache(cacheKey), comments);
+        assert.equal(getStoredCommentCache(cacheKey), null);
+        return;
+      }
+
+      Globals.animes = [{ animeId: 1, animeTitle: '持久化测试番', links: [] }];
+      Globals.lastSelectMap = new Map([['持久化测试番', { prefer: 1 }]]);
+      setCommentCache(cacheKey, comments);
+      await updateSqliteCaches();
+
+      // 模拟重启：清空内存后重新打开数据库
+      closeSqliteDatabase();
+      Globals.animes = [];
+      Globals.lastSelectMap = new Map();
+      Globals.commentCache = new Map();
+      await judgeSqliteValid('/api/v2/comment/1');
+      await getSqliteCaches();
+
+      assert.deepEqual(Globals.animes.map(anime => anime.animeTitle), ['持久化测试番']);
+      assert.deepEqual(Globals.lastSelectMap.get('持久化测试番'), { prefer: 1 });
+      assert.deepEqual(getCommentCache(cacheKey), comments);
+      assert.deepEqual(getStoredCommentCache(cacheKey), comments);
+    } finally {
+      closeSqliteDatabase();
+      for (const suffix of ['', '-wal', '-shm']) fs.rmSync(`${dbPath}${suffix}`, { force: true });
+      Globals.animes = [];
+      Globals.lastSelectMap = new Map();
+      Globals.commentCache = new Map();
+      Globals.init({});
+    }
+  });
+
   await t.test('BLOCKED_WORDS 屏蔽词解析与过滤', async () => {
     const baseEnv = {
       GROUP_MINUTE: '0',
@@ -748,6 +2143,96 @@ test('worker.js API endpoints', async (t) => {
     Globals.redisValid = false;
   });
 
+  await t.test('Redis shared cache stores compressed search and comment entries with native TTL for other instances', async () => {
+    resetFavoriteState({
+      UPSTASH_REDIS_REST_URL: 'https://redis.example.com',
+      UPSTASH_REDIS_REST_TOKEN: 'test-token',
+      REDIS_SHARED_CACHE: 'true',
+      COMMENT_STALE_MINUTES: '2',
+      LOG_LEVEL: 'error'
+    });
+    Globals.redisValid = true;
+    Globals.commentHistory = new Map();
+
+    const redisData = new Map();
+    const redisCommands = [];
+    const flushWrites = async () => {
+      const pending = [];
+      extendSharedCacheWriteLifecycle({ waitUntil: task => pending.push(task) });
+      await Promise.all(pending);
+    };
+
+    const anime = createFavoriteAnime('共享缓存测试');
+    const videoUrl = 'https://v.qq.com/x/cover/shared/e1.html';
+    const comments = Array.from({ length: 120 }, (_, i) => ({ cid: i + 1, p: `${i}.00,1,16777215,[tencent]`, m: `共享弹幕${i % 5}` }));
+
+    await withMockFetch(async (_url, options) => {
+      const commands = JSON.parse(options.body);
+      redisCommands.push(...commands);
+      return {
+        json: async () => commands.map(command => {
+          if (command[0] === 'SET') {
+            redisData.set(command[1], command[2]);
+            return { result: 'OK' };
+          }
+          // 每页只返回 1 个键，覆盖多次 SCAN 的情况
+          if (command[0] === 'SCAN') {
+            const prefix = command[3].replace('*', '');
+            const keys = [...redisData.keys()].filter(key => key.startsWith(prefix));
+            return { result: [keys.length > 1 ? '1' : '0', keys.slice(0, 1)] };
+          }
+          if (command[0] === 'DEL') {
+            return { result: redisData.delete(command[1]) ? 1 : 0 };
+          }
+          return { result: redisData.get(command[1]) ?? null };
+        })
+      };
+    }, async () => {
+      setSearchCache('共享搜索', [favoriteSearchResult(anime)], new Map([[anime.animeId, anime]]));
+      setCommentCache(videoUrl, comments);
+      await flushWrites();
+
+      const searchSet = redisCommands.find(command => command[0] === 'SET' && command[1].startsWith('danmuCache:search:'));
+      const commentSet = redisCommands.find(command => command[0] === 'SET' && command[1].startsWith('danmuCache:comment:'));
+      assert.deepStrictEqual(searchSet.slice(3), ['EX', '180']);
+      assert.deepStrictEqual(commentSet.slice(3), ['EX', '300']);
+      assert.ok(commentSet[2].startsWith('z1:'));
+      assert.ok(commentSet[2].length < JSON.stringify(comments).length / 4, 'comment payload should be compressed');
+
+      // 模拟另一个实例：内存为空时从 Redis 恢复
+      Globals.searchCache = new Map();
+      Globals.commentCache = new Map();
+      Globals.commentHistory = new Map();
+      assert.equal(getCommentCache(videoUrl), null);
+      assert.equal(await loadSharedCommentCache(videoUrl), true);
+      assert.deepStrictEqual(getCommentCache(videoUrl), comments);
+      assert.equal(await loadSharedSearchCache('共享搜索'), true);
+      const detailsMap = new Map();
+      assert.equal(getSearchCache('共享搜索', detailsMap)[0].animeId, anime.animeId);
+      assert.ok([...detailsMap.values()].some(detail => detail.animeTitle === anime.animeTitle));
+      assert.equal(await loadSharedSearchCache('未缓存的搜索'), false);
+
+      // 超过 REDIS_CACHE_MAX_KB 的条目只保存在内存中
+      Globals.envs.redisCacheMaxKb = 0.01;
+      const setCount = redisCommands.filter(command => command[0] === 'SET').length;
+      setCommentCache('https://v.qq.com/x/cover/shared/e2.html', comments);
+      await flushWrites();
+      assert.equal(redisCommands.filter(command => command[0] === 'SET').length, setCount);
+
+      // 清理弹幕缓存时一并删除 Redis 中的弹幕键，搜索键保留
+      const res = await handleClearCache({ json: async () => ({ items: ['commentCache'] }) });
+      assert.equal(res.status, 200);
+      // 在客户端分批 SCAN 后逐个 DEL，不使用访问未声明键的 Lua 脚本（Upstash 与 Redis Cluster 会拒绝）
+      assert.ok(redisCommands.some(command => command[0] === 'SCAN' && command[3] === 'danmuCache:comment:*'));
+      assert.equal(redisCommands.some(command => command[0] === 'EVAL'), false);
+      assert.equal([...redisData.keys()].some(key => key.startsWith('danmuCache:comment:')), false);
+      assert.equal([...redisData.keys()].some(key => key.startsWith('danmuCache:search:')), true);
+      assert.equal(await loadSharedCommentCache(videoUrl), false);
+    });
+
+    Globals.redisValid = false;
+  });
+
   await t.test('clearing runtime caches preserves favorites and auto match mapping configuration', async () => {
     resetFavoriteState({
       AUTO_MATCH_MAPPING_TABLE: '火影忍者 S01E57->火影忍者 疾风传(2007)【日番】 S01E59',
@@ -1026,6 +2511,164 @@ test('worker.js API endpoints', async (t) => {
       }
     });
 
+    await t.test('scheduled refresh pushes webhooks for new episodes and failures with retry', async () => {
+      resetFavoriteState();
+      resetFavoriteWebhookQueue();
+      const anime = createFavoriteAnime('通知测试', 2, 930001);
+      const now = Date.now();
+      const favorite = addFavorite('通知测试', [favoriteSearchResult(anime)], [anime]);
+      favorite.refreshSchedule = { ...createFavoriteSchedule({ frequency: 'daily', time: '03:00' }, now - 60_000).value, nextRunAt: now - 1 };
+
+      const originalFetch = globalThis.fetch;
+      const originalEnvs = {
+        favoriteWebhookUrl: Globals.envs.favoriteWebhookUrl,
+        favoriteTelegramBotToken: Globals.envs.favoriteTelegramBotToken,
+        favoriteTelegramChatId: Globals.envs.favoriteTelegramChatId,
+        favoriteBarkUrl: Globals.envs.favoriteBarkUrl
+      };
+      Object.assign(Globals.envs, {
+        favoriteWebhookUrl: 'https://hooks.example.com/danmu',
+        favoriteTelegramBotToken: 'bot-secret',
+        favoriteTelegramChatId: '10086',
+        favoriteBarkUrl: 'https://api.day.app/bark-key/'
+      });
+      const requests = [];
+      let webhookFailures = 1;
+      globalThis.fetch = async (url, options) => {
+        requests.push({ url: String(url), body: JSON.parse(options.body) });
+        if (String(url).startsWith('https://hooks.example.com') && webhookFailures-- > 0) {
+          return new Response('unavailable', { status: 503 });
+        }
+        return new Response('{}', { status: 200 });
+      };
+
+      try {
+        const refreshed = createFavoriteAnime('通知测试', 3, 930001);
+        const results = await runDueFavoriteSchedules({
+          favoriteCache: Globals.favoriteCache,
+          now,
+          refresh: async keyword => {
+            refreshFavorite(keyword, [favoriteSearchResult(refreshed)], [refreshed]);
+            return { cacheKey: keyword, animeTitle: '通知测试' };
+          }
+        });
+        assert.deepEqual(results, [{ keyword: '通知测试', success: true, retry: false, newEpisodes: 1 }]);
+
+        const firstFlush = await flushFavoriteWebhookQueue(now);
+        assert.deepEqual(firstFlush, { sent: 2, failed: 0, pending: 1 });
+        const webhookRequest = requests.find(request => request.url === 'https://hooks.example.com/danmu');
+        assert.equal(webhookRequest.body.type, 'new_episodes');
+        assert.equal(webhookRequest.body.previousEpisodeCount, 2);
+        assert.equal(webhookRequest.body.episodeCount, 3);
+        assert.equal(webhookRequest.body.newEpisodes, 1);
+        const telegramRequest = requests.find(request => request.url.includes('api.telegram.org'));
+        assert.equal(telegramRequest.url, 'https://api.telegram.org/botbot-secret/sendMessage');
+        assert.equal(telegramRequest.body.chat_id, '10086');
+        assert.match(telegramRequest.body.text, /新增 1 集/);
+        assert.equal(requests.find(request => request.url.startsWith('https://api.day.app')).url, 'https://api.day.app/bark-key');
+
+        // 未到退避时间不重发，到期后重试成功
+        assert.deepEqual(await flushFavoriteWebhookQueue(now + 1000), { sent: 0, failed: 0, pending: 1 });
+        assert.deepEqual(await flushFavoriteWebhookQueue(now + 60_000), { sent: 1, failed: 0, pending: 0 });
+
+        // 刷新失败同样推送，投递记录不包含通道地址
+        requests.length = 0;
+        Globals.favoriteCache.get('通知测试').refreshSchedule.nextRunAt = now + 1;
+        await runDueFavoriteSchedules({
+          favoriteCache: Globals.favoriteCache,
+          now: now + 2,
+          refresh: async () => { throw new Error('源站超时'); }
+        });
+        await flushFavoriteWebhookQueue(now + 2);
+        assert.equal(requests.length, 3);
+        assert.equal(requests.find(request => request.url === 'https://hooks.example.com/danmu').body.type, 'refresh_failed');
+        assert.equal(requests.find(request => request.url === 'https://hooks.example.com/danmu').body.error, '源站超时');
+
+        const logResponse = await handleRequest(new Request('http://localhost/api/v2/favorite/webhook/log'), {
+          FAVORITE_WEBHOOK_URL: 'https://hooks.example.com/danmu'
+        });
+        assert.equal(logResponse.status, 200);
+        const logData = await logResponse.json();
+        assert.deepEqual(logData.channels, ['webhook']);
+        assert.equal(logData.pending, 0);
+        assert.equal(logData.deliveries.length, 6);
+        assert.equal(logData.deliveries[0].event, 'refresh_failed');
+        assert.equal(logData.deliveries.find(record => record.event === 'new_episodes' && record.channel === 'webhook').attempts, 2);
+        assert.doesNotMatch(JSON.stringify(logData), /bot-secret|bark-key/);
+      } finally {
+        globalThis.fetch = originalFetch;
+        Object.assign(Globals.envs, originalEnvs);
+        resetFavoriteWebhookQueue();
+      }
+    });
+
+    await t.test('refresh with new episodes queues a prefetch of the latest episodes through getComment', async () => {
+      resetFavoriteState({ FAVORITE_PREFETCH_EPISODES: '2', LOG_LEVEL: 'error' });
+      const anime = createFavoriteAnime('预取测试', 2, 940001);
+      addFavorite('预取测试', [favoriteSearchResult(anime)], [anime]);
+      assert.equal(listFavorites()[0].prefetch, null);
+
+      // 集数未增加时不预取
+      refreshFavorite('预取测试', [favoriteSearchResult(anime)], [anime]);
+      assert.equal(listFavorites()[0].prefetch, null);
+
+      const refreshed = createFavoriteAnime('预取测试', 4, 940001);
+      refreshFavorite('预取测试', [favoriteSearchResult(refreshed)], [refreshed]);
+      assert.equal(listFavorites()[0].prefetch.status, 'pending');
+      assert.equal(listFavorites()[0].prefetch.newEpisodes, 2);
+
+      const fetched = [];
+      const waits = [];
+      const persistedStatuses = [];
+      const results = await runFavoritePrefetch({
+        favoriteCache: Globals.favoriteCache,
+        fetchComment: async episodeId => {
+          fetched.push(episodeId);
+          return episodeId === 9400014
+            ? Response.json({ errorMessage: '上游超时' }, { status: 502 })
+            : Response.json({ count: 3, comments: [] });
+        },
+        persist: async () => { persistedStatuses.push(Globals.favoriteCache.get('预取测试').prefetch.status); },
+        wait: async ms => { waits.push(ms); }
+      });
+
+      assert.deepEqual(fetched, [9400013, 9400014]);
+      // 默认 comment 限流 3 次/分钟，每集间隔 20 秒
+      assert.deepEqual(waits, [20000]);
+      assert.deepEqual(persistedStatuses, ['running', 'done']);
+      assert.equal(results[0].keyword, '预取测试');
+      const prefetch = listFavorites()[0].prefetch;
+      assert.equal(prefetch.status, 'done');
+      assert.deepEqual([prefetch.total, prefetch.completed, prefetch.failed], [2, 1, 1]);
+      assert.equal(prefetch.lastError, '上游超时');
+
+      // 已完成的收藏不再预取
+      assert.deepEqual(await runFavoritePrefetch({ favoriteCache: Globals.favoriteCache, fetchComment: async () => assert.fail('should not fetch') }), []);
+
+      // 通过 getComment 预取：上游弹幕请求失败时 getComment 返回空弹幕，记为失败；间隔可注入，不真实等待
+      refreshFavorite('预取测试', [favoriteSearchResult(createFavoriteAnime('预取测试', 5, 940001))], [createFavoriteAnime('预取测试', 5, 940001)]);
+      Globals.envs.rateLimitMaxRequests = 0;
+      const originalGetComments = TencentSource.prototype.getComments;
+      TencentSource.prototype.getComments = async () => { throw new Error('源站超时'); };
+      const jobWaits = [];
+      try {
+        const jobResults = await runFavoritePrefetchJob({ intervalMs: 0, wait: async ms => { jobWaits.push(ms); } });
+        assert.equal(jobResults[0].status, 'failed');
+        assert.deepEqual([jobResults[0].completed, jobResults[0].failed], [0, 2]);
+        assert.deepEqual(jobWaits, [0]);
+      } finally {
+        TencentSource.prototype.getComments = originalGetComments;
+        resetSourceHealth();
+      }
+
+      // 没有可预取的剧集时记为 skipped，而不是 done
+      Globals.favoriteCache.get('预取测试').prefetch = { status: 'pending', newEpisodes: 1, requestedAt: Date.now() };
+      Globals.favoriteCache.get('预取测试').results = [];
+      const skippedResults = await runFavoritePrefetch({ favoriteCache: Globals.favoriteCache, fetchComment: async () => assert.fail('should not fetch') });
+      assert.equal(skippedResults[0].status, 'skipped');
+      assert.equal(listFavorites()[0].prefetch.status, 'skipped');
+    });
+
     await t.test('frontend bundle contains working favorite controls', () => {
       assert.match(HTML_TEMPLATE, /id="manual-favorite-btn"/);
       assert.doesNotMatch(HTML_TEMPLATE, /id="auto-favorite-btn"/);
@@ -1048,6 +2691,7 @@ test('worker.js API endpoints', async (t) => {
       assert.doesNotThrow(() => new Function(previewJsContent));
       assert.match(previewJsContent, /AUTO_MATCH_MAPPING_TABLE/);
     });
+  });
 
   await t.test('handleClearCache clears only the selected cache items', async t => {
     // 各清理项对应的全局状态种子；favorites 不在清理范围内，用于验证不被误清
@@ -2,8 +2,11 @@ import { searchAnime, getBangumi, getComment, getSegmentComment, matchSeason } f
 import { Globals } from '../danmu_api/configs/globals.js';
 import { log } from '../danmu_api/utils/log-util.js';
 import { simplized } from '../danmu_api/utils/zh-util.js';
+import { getAllowedSources, getAllowedPlatforms, getDefaultSourceOrder } from '../danmu_api/sources/index.js';
 
 const wv = typeof widgetVersion !== 'undefined' ? widgetVersion : Globals.VERSION;
+// 可选项由源注册表生成，与服务端 SOURCE_ORDER / PLATFORM_ORDER 校验保持一致
+const formatOptionList = (items) => `[${items.map(item => `'${item}'`).join(', ')}]`;
 WidgetMetadata = {
   id: globalThis.__FORWARD_WIDGET_DEBUG__ === true ? "forward.auto.danmu2.debug" : "forward.auto.danmu2",
   title: globalThis.__FORWARD_WIDGET_DEBUG__ === true ? "自动链接弹幕v2 [DEBUG]" : "自动链接弹幕v2",
@@ -25,7 +28,7 @@ WidgetMetadata = {
     // 源配置
     {
       name: "sourceOrder",
-      title: "源排序配置，默认'douban,360,renren,hanjutv'，可选['360', 'vod', 'tmdb', 'douban', 'tencent', 'youku', 'iqiyi', 'imgo', 'bilibili', 'migu', 'sohu', 'leshi', 'xigua', 'maiduidui', 'aiyifan', 'hongguo', 'renren', 'hanjutv', 'bahamut', 'dandan', 'custom']",
+      title: `源排序配置，默认'${getDefaultSourceOrder().join(',')}'，可选${formatOptionList(getAllowedSources())}`,
       type: "input",
       placeholders: [
         {
@@ -171,7 +174,7 @@ WidgetMetadata = {
     // 匹配配置
     {
       name: "platformOrder",
-      title: "平台优选配置，可选['qiyi', 'bilibili1', 'imgo', 'youku', 'qq', 'migu', 'sohu', 'leshi, 'xigua', 'maiduidui', 'aiyifan', 'hongguo', 'renren', 'hanjutv', 'bahamut', 'dandan', 'custom']",
+      title: `平台优选配置，可选${formatOptionList(getAllowedPlatforms())}`,
       type: "input",
       placeholders: [
         {
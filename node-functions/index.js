@@ -1,4 +1,5 @@
 import { handleRequest } from '../danmu_api/worker.js';
+import { extendCommentRefreshLifecycle } from '../danmu_api/utils/cache-util.js';
 
 export const onRequest = async (context) => {
   const { request, env } = context;
@@ -53,5 +54,8 @@ export const onRequest = async (context) => {
   }
 
   // 传递修改后的 request 和 env 给 handleRequest
-  return await handleRequest(modifiedRequest, env, "edgeone", clientIp);
+  const response = await handleRequest(modifiedRequest, env, "edgeone", clientIp);
+  // 响应返回后通过 waitUntil 延长生命周期，容纳弹幕缓存后台刷新
+  extendCommentRefreshLifecycle(context);
+  return response;
 };